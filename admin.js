@@ -0,0 +1,199 @@
+// admin.js - Admin console for the bot owners in a private chat (!tickers, !kill, !broadcast, !queue, !health)
+const { getTickerStatus } = require('./utils.js');
+const { getWorkerStatus } = require('./polling.js');
+const { selectTickers, resetTickers } = require('./commands.js');
+const { isBotOwner } = require('./permissions.js');
+const { getUptime, getRecentErrors, reportError } = require('./health.js');
+const { getTransport } = require('./transports/index.js');
+const { getGroupLanguage } = require('./settings.js');
+const { translate, isKeyword, formatDateTime } = require('./i18n.js');
+
+const MAX_LISTED_JOBS = 10; // Jobs listed by !queue
+
+// --- SHARED STATE (Initialized by app.js) ---
+let activeTickers, jobQueue;
+
+/**
+ * Initializes the admin console with shared state variables from app.js.
+ * @param {Map} tickers - The Map storing active ticker states (passed by reference).
+ * @param {Array} queue - The job queue of the workers (passed by reference).
+ */
+function initializeAdmin(tickers, queue) {
+    activeTickers = tickers;
+    jobQueue = queue;
+}
+
+/**
+ * Describes the state of a ticker for !tickers.
+ * @param {object} tickerState - The state object for the ticker.
+ * @param {string} language - The language code.
+ * @returns {string}
+ */
+function describeTickerState(tickerState, language) {
+    const status = getTickerStatus(tickerState);
+    const date = tickerState.scheduledTime ? formatDateTime(new Date(tickerState.scheduledTime), language) : '?';
+    return translate(language, `admin.states.${status}`, { date });
+}
+
+/**
+ * Builds the reply to !tickers: every ticker of every group with its state, mode and transport.
+ * @param {string} language - The language code.
+ * @returns {string}
+ */
+function formatAllTickers(language) {
+    if (activeTickers.size === 0) return translate(language, 'admin.noTickers');
+    const lines = [...activeTickers.values()].map(tickerState => translate(language, 'admin.tickerLine', {
+        group: tickerState.groupName || '?',
+        chatId: tickerState.chatId,
+        id: tickerState.tickerId,
+        teams: tickerState.teamNames ? `${tickerState.teamNames.home} – ${tickerState.teamNames.guest}` : translate(language, 'admin.unknownGame'),
+        state: describeTickerState(tickerState, language),
+        mode: tickerState.mode,
+        transport: tickerState.transport
+    }));
+    return translate(language, 'admin.tickers', { count: activeTickers.size, lines: lines.join('\n') });
+}
+
+/**
+ * Builds the reply to !queue: the waiting worker jobs and the worker usage.
+ * @param {string} language - The language code.
+ * @returns {string}
+ */
+function formatQueue(language) {
+    const { activeWorkers, maxWorkers } = getWorkerStatus();
+    const now = Date.now();
+    let jobs = jobQueue.slice(0, MAX_LISTED_JOBS).map(job => translate(language, 'admin.jobLine', {
+        type: job.type,
+        tickerKey: job.tickerKey,
+        seconds: Math.max(0, Math.round((now - job.jobId) / 1000))
+    })).join('');
+    if (jobQueue.length > MAX_LISTED_JOBS) jobs += translate(language, 'admin.moreJobs', { count: jobQueue.length - MAX_LISTED_JOBS });
+    return translate(language, 'admin.queue', { length: jobQueue.length, active: activeWorkers, max: maxWorkers, jobs });
+}
+
+/**
+ * Formats a duration as days, hours and minutes.
+ * @param {number} ms - The duration in milliseconds.
+ * @param {string} language - The language code.
+ * @returns {string}
+ */
+function formatUptime(ms, language) {
+    const minutes = Math.floor(ms / 60000);
+    return translate(language, 'admin.uptime', { days: Math.floor(minutes / 1440), hours: Math.floor(minutes / 60) % 24, minutes: minutes % 60 });
+}
+
+/**
+ * Builds the reply to !health: uptime, memory, tickers, workers and the last errors.
+ * @param {string} language - The language code.
+ * @returns {string}
+ */
+function formatHealth(language) {
+    const statuses = [...activeTickers.values()].map(getTickerStatus);
+    const { activeWorkers, maxWorkers } = getWorkerStatus();
+    const recentErrors = getRecentErrors();
+    const errors = recentErrors.length === 0
+        ? translate(language, 'admin.noErrors')
+        : recentErrors.map(error => translate(language, 'admin.errorLine', { time: formatDateTime(error.time, language), message: error.message })).join('');
+    return translate(language, 'admin.health', {
+        uptime: formatUptime(getUptime(), language),
+        memory: Math.round(process.memoryUsage().rss / 1024 / 1024),
+        running: statuses.filter(status => status === 'running').length,
+        scheduled: statuses.filter(status => status === 'scheduled' || status === 'scheduling').length,
+        finished: statuses.filter(status => status === 'finished').length,
+        queue: jobQueue.length,
+        active: activeWorkers,
+        max: maxWorkers,
+        errors
+    });
+}
+
+/**
+ * Sends a message to every group that has a ticker, through the transport of its tickers.
+ * @param {string} text - The message.
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+async function broadcast(text) {
+    const chats = new Map(); // chatId -> transport name
+    for (const tickerState of activeTickers.values()) {
+        if (!chats.has(tickerState.chatId)) chats.set(tickerState.chatId, tickerState.transport);
+    }
+    let sent = 0;
+    let failed = 0;
+    for (const [chatId, transportName] of chats) {
+        try {
+            await getTransport(transportName).sendMessage(chatId, text);
+            sent++;
+        } catch (error) {
+            reportError(`[${chatId}] Fehler beim Senden der Rundnachricht:`, error.message);
+            failed++;
+        }
+    }
+    return { sent, failed };
+}
+
+/**
+ * Handles the commands of the bot owners in a private chat. Group messages and other senders are ignored
+ * (they are handled by commands.js, which also rejects private messages of everyone else).
+ * @param {object} msg - The normalized command message ({ transport, chatId, isGroup, senderId, body, reply }).
+ */
+async function handleAdminCommand(msg) {
+    if (msg.isGroup || !isBotOwner(msg)) return;
+
+    const language = getGroupLanguage(msg.chatId);
+    const args = msg.body.trim().split(/\s+/);
+    const command = args[0].toLowerCase();
+
+    // --- !tickers Command ---
+    if (command === '!tickers') {
+        await msg.reply(formatAllTickers(language));
+    }
+    // --- !kill Command ---
+    else if (command === '!kill') {
+        const chatId = args[1];
+        if (!chatId) {
+            await msg.reply(translate(language, 'admin.killUsage'));
+            return;
+        }
+        const targets = selectTickers(chatId, args[2]);
+        if (!targets || targets.length === 0) {
+            await msg.reply(translate(language, 'admin.killUnknown', { chatId, selector: args[2] ? ` ${args[2]}` : '' }));
+            return;
+        }
+        const resetAll = !args[2] || isKeyword(args[2], 'all');
+        const group = targets[0][1].groupName || chatId;
+        const ids = targets.map(([, tickerState]) => `#${tickerState.tickerId}`).join(', ');
+        resetTickers(chatId, targets, resetAll);
+        await msg.reply(translate(language, 'admin.killed', { ids, group, chatId }));
+        console.log(`Ticker ${ids} der Gruppe "${group}" (${chatId}) vom Bot-Besitzer ${msg.senderId} beendet.`);
+    }
+    // --- !broadcast Command ---
+    else if (command === '!broadcast') {
+        // The text is taken from the raw message so it keeps its line breaks
+        const match = /^!broadcast\s+([\s\S]+)$/i.exec(msg.body.trim());
+        if (!match) {
+            await msg.reply(translate(language, 'admin.broadcastUsage'));
+            return;
+        }
+        const { sent, failed } = await broadcast(match[1]);
+        if (sent === 0 && failed === 0) {
+            await msg.reply(translate(language, 'admin.broadcastNoGroups'));
+            return;
+        }
+        await msg.reply(translate(language, 'admin.broadcastSent', { count: sent, failed: failed > 0 ? translate(language, 'admin.broadcastFailed', { count: failed }) : '' }));
+        console.log(`Rundnachricht vom Bot-Besitzer ${msg.senderId} an ${sent} Gruppen gesendet (${failed} fehlgeschlagen).`);
+    }
+    // --- !queue Command ---
+    else if (command === '!queue') {
+        await msg.reply(formatQueue(language));
+    }
+    // --- !health Command ---
+    else if (command === '!health') {
+        await msg.reply(formatHealth(language));
+    }
+    // --- Everything else: show the available commands ---
+    else {
+        await msg.reply(translate(language, 'admin.help'));
+    }
+}
+
+module.exports = { initializeAdmin, handleAdminCommand };
@@ -0,0 +1,24 @@
+// ai-providers/gemini.js - AI provider for Google Gemini (GEMINI_API_KEY, optional GEMINI_MODEL)
+const { GoogleGenAI } = require("@google/genai");
+
+const DEFAULT_MODEL = 'gemini-2.5-pro';
+let client = null; // Created on first use, so the key may be set after this module was loaded
+
+const geminiProvider = {
+    name: 'gemini',
+
+    isConfigured() {
+        return Boolean(process.env.GEMINI_API_KEY);
+    },
+
+    async generateSummary({ prompt }) {
+        if (!client) client = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+        const response = await client.models.generateContent({
+            model: process.env.GEMINI_MODEL || DEFAULT_MODEL,
+            contents: prompt,
+        });
+        return (response.text || '').trim();
+    }
+};
+
+module.exports = { geminiProvider };
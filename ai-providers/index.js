@@ -0,0 +1,65 @@
+// ai-providers/index.js - Registry of the AI providers that write the summary after the game
+
+/*
+ * An AI provider turns the data of a finished game into a short summary. Every provider is a plain object with:
+ *   name                  - Unique name, chosen with the AI_PROVIDER environment variable (e.g. 'gemini').
+ *   isConfigured()        - True if the provider has what it needs (API key, server URL) in the environment.
+ *   generateSummary(game) - Resolves to the summary text, or an empty string if the model gave no answer.
+ *                           `game` is { prompt, teamNames, groupName, language, stats, gameStats }:
+ *                           the prompt built by ai.js, the statistics from computeGameStats and the texts from extractGameStats.
+ * Errors are caught by ai.js, which then falls back to the template provider.
+ */
+
+const { geminiProvider } = require('./gemini.js');
+const { openAiProvider } = require('./openai.js');
+const { templateProvider } = require('./template.js');
+
+const FALLBACK_PROVIDER = 'template'; // Works without any AI service
+const aiProviders = new Map();
+
+/**
+ * Registers an AI provider.
+ * @param {object} provider - The provider object (see above).
+ */
+function registerAiProvider(provider) {
+    aiProviders.set(provider.name, provider);
+}
+
+/**
+ * Returns a registered AI provider by name.
+ * @param {string} name - The provider name.
+ * @returns {object|null}
+ */
+function getAiProvider(name) {
+    return aiProviders.get(name) || null;
+}
+
+/**
+ * Returns the template provider that writes the summary when no AI is available or the AI call fails.
+ * @returns {object}
+ */
+function getFallbackAiProvider() {
+    return aiProviders.get(FALLBACK_PROVIDER);
+}
+
+/**
+ * Picks the AI provider for the summaries: the one named in AI_PROVIDER, otherwise the first configured one
+ * (Gemini before an OpenAI-compatible server), otherwise the template provider.
+ * @returns {object}
+ */
+function getActiveAiProvider() {
+    const configuredName = (process.env.AI_PROVIDER || '').trim().toLowerCase();
+    if (configuredName) {
+        const provider = getAiProvider(configuredName);
+        if (provider) return provider;
+        console.warn(`Unbekannter AI_PROVIDER "${configuredName}", nutze die Vorlage.`);
+        return getFallbackAiProvider();
+    }
+    return [...aiProviders.values()].find(provider => provider.name !== FALLBACK_PROVIDER && provider.isConfigured()) || getFallbackAiProvider();
+}
+
+registerAiProvider(geminiProvider);
+registerAiProvider(openAiProvider);
+registerAiProvider(templateProvider);
+
+module.exports = { registerAiProvider, getAiProvider, getFallbackAiProvider, getActiveAiProvider };
@@ -0,0 +1,32 @@
+// ai-providers/openai.js - AI provider for OpenAI-compatible chat servers (OpenAI, llama.cpp, Ollama, LM Studio, ...)
+const axios = require('axios');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const REQUEST_TIMEOUT_MS = 5 * 60 * 1000; // Local models on small machines can take minutes
+
+/*
+ * Configured through the environment:
+ *   OPENAI_BASE_URL - Base URL of the API, e.g. "https://api.openai.com/v1" or "http://localhost:11434/v1" (Ollama).
+ *   OPENAI_API_KEY  - Sent as Bearer token if set; local servers usually don't need one.
+ *   OPENAI_MODEL    - The model name, e.g. "llama3.1" for Ollama.
+ */
+const openAiProvider = {
+    name: 'openai',
+
+    isConfigured() {
+        return Boolean(process.env.OPENAI_BASE_URL);
+    },
+
+    async generateSummary({ prompt }) {
+        const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        const headers = process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {};
+        const res = await axios.post(`${baseUrl}/chat/completions`, {
+            model: process.env.OPENAI_MODEL || DEFAULT_MODEL,
+            messages: [{ role: 'user', content: prompt }]
+        }, { headers, timeout: REQUEST_TIMEOUT_MS });
+        const choice = res.data && Array.isArray(res.data.choices) ? res.data.choices[0] : null;
+        return choice && choice.message && choice.message.content ? choice.message.content.trim() : '';
+    }
+};
+
+module.exports = { openAiProvider };
@@ -0,0 +1,56 @@
+// ai-providers/template.js - Summary from templates (locales "summary"), used when no AI is available or the AI call fails
+const { translate } = require('../i18n.js');
+
+const CLOSE_MARGIN = 2; // Won by up to 2 goals: "Knapper Sieg"
+const CLEAR_MARGIN = 8; // Won by 8 goals or more: "Deutlicher Sieg"
+
+/**
+ * Writes the same summary for the same game every time: headline, result, halftime, comeback, top scorers and sanctions.
+ * @param {object} game - { teamNames, language, stats, gameStats } (see ai-providers/index.js).
+ * @returns {string}
+ */
+function writeTemplateSummary({ teamNames, language, stats, gameStats }) {
+    const { home, guest } = teamNames;
+    const score = stats.score;
+    const margin = Math.abs(score.home - score.guest);
+    const winnerSide = score.home === score.guest ? null : (score.home > score.guest ? 'home' : 'guest');
+    const winnerParams = winnerSide && {
+        winner: teamNames[winnerSide],
+        loser: teamNames[winnerSide === 'home' ? 'guest' : 'home'],
+        winnerGoals: score[winnerSide],
+        loserGoals: score[winnerSide === 'home' ? 'guest' : 'home']
+    };
+
+    let headline;
+    if (!winnerSide) headline = translate(language, 'summary.headlineDraw', { home, guest });
+    else if (margin <= CLOSE_MARGIN) headline = translate(language, 'summary.headlineClose', winnerParams);
+    else if (margin >= CLEAR_MARGIN) headline = translate(language, 'summary.headlineClear', winnerParams);
+    else headline = translate(language, 'summary.headlineWin', winnerParams);
+
+    let text = winnerSide
+        ? translate(language, 'summary.win', winnerParams)
+        : translate(language, 'summary.draw', { home, guest, score: `${score.home}:${score.guest}` });
+    if (stats.halves) {
+        const { first } = stats.halves;
+        text += translate(language, 'summary.halftime', { score: `${first.home}:${first.guest}` });
+        const halftimeLeader = first.home === first.guest ? null : (first.home > first.guest ? 'home' : 'guest');
+        if (halftimeLeader && halftimeLeader !== winnerSide) text += translate(language, 'summary.comeback', { team: teamNames[halftimeLeader] });
+    }
+    text += translate(language, 'summary.topScorers', { home, guest, ...gameStats });
+    text += translate(language, 'summary.sanctions', { home, guest, ...gameStats });
+    return translate(language, 'summary.text', { headline, text });
+}
+
+const templateProvider = {
+    name: 'template',
+
+    isConfigured() {
+        return true;
+    },
+
+    async generateSummary(game) {
+        return writeTemplateSummary(game);
+    }
+};
+
+module.exports = { templateProvider, writeTemplateSummary };
@@ -1,45 +1,20 @@
 // ai.js 
-const { GoogleGenAI } = require("@google/genai"); // Use GoogleGenAI
+// Die KI-Anbieter (Gemini, OpenAI-kompatible Server, Vorlage) liegen in ai-providers/
+const { getActiveAiProvider, getFallbackAiProvider } = require('./ai-providers/index.js');
+const { DEFAULT_LANGUAGE, translate } = require('./i18n.js'); // Message templates (locales/<lang>.json)
+const { computeGameStats, getPlayers, getScorers } = require('./stats.js'); // Statistics from the game events
+const { reportError } = require('./health.js');
 
-// The client gets the API key from the environment variable `GEMINI_API_KEY`.
-const genAI = new GoogleGenAI(process.env.GEMINI_API_KEY); // Use GoogleGenAI
-
-// Funktion zum Extrahieren von detaillierten Statistiken
-function extractGameStats(events, teamNames) {
-    const stats = {
-        home: { name: teamNames.home, goals: new Map(), penalties: 0, sevenMetersMade: 0, sevenMetersMissed: 0 },
-        guest: { name: teamNames.guest, goals: new Map(), penalties: 0, sevenMetersMade: 0, sevenMetersMissed: 0 }
-    };
-
-    for (const ev of events) {
-        const targetTeam = ev.teamHome ? stats.home : stats.guest;
-        if (!targetTeam) continue;
-
-        const playerName = `${ev.personFirstname || ''} ${ev.personLastname || ''}`.trim();
-
-        switch (ev.event) {
-            case 4: // Tor
-            case 5: // 7-Meter Tor
-                if (playerName) {
-                    targetTeam.goals.set(playerName, (targetTeam.goals.get(playerName) || 0) + 1);
-                }
-                if (ev.event === 5) targetTeam.sevenMetersMade++;
-                break;
-            case 6: // 7-Meter Fehlwurf
-                targetTeam.sevenMetersMissed++;
-                break;
-            case 8: // Zeitstrafe
-                targetTeam.penalties++;
-                break;
-        }
-    }
+// Funktion zum Extrahieren von detaillierten Statistiken (Texte in der Sprache der Gruppe)
+function extractGameStats(events, teamNames, language = DEFAULT_LANGUAGE) {
+    const stats = computeGameStats(events);
 
     const findTopScorer = (teamStats) => {
-        if (teamStats.goals.size === 0) return "Niemand";
-        const sortedScorers = [...teamStats.goals.entries()].sort((a, b) => b[1] - a[1]);
-        const topScore = sortedScorers[0][1];
-        const topScorers = sortedScorers.filter(([_, score]) => score === topScore).map(([name, _]) => name);
-        return `${topScorers.join(' & ')} (${topScore} Tore)`;
+        const sortedScorers = getScorers(teamStats);
+        if (sortedScorers.length === 0) return translate(language, 'game.noTopScorer');
+        const topScore = sortedScorers[0][1].goals;
+        const topScorers = sortedScorers.filter(([_, player]) => player.goals === topScore).map(([name, _]) => name);
+        return translate(language, topScore === 1 ? 'game.topScorerOneGoal' : 'game.topScorer', { names: topScorers.join(' & '), goals: topScore });
     };
 
     return {
@@ -47,19 +22,45 @@ function extractGameStats(events, teamNames) {
         guestTopScorer: findTopScorer(stats.guest),
         homePenalties: stats.home.penalties,
         guestPenalties: stats.guest.penalties,
-        homeSevenMeters: `${stats.home.sevenMetersMade} von ${stats.home.sevenMetersMade + stats.home.sevenMetersMissed}`,
-        guestSevenMeters: `${stats.guest.sevenMetersMade} von ${stats.guest.sevenMetersMade + stats.guest.sevenMetersMissed}`
+        homeSevenMeters: translate(language, 'game.sevenMeters', { made: stats.home.sevenMetersMade, total: stats.home.sevenMetersMade + stats.home.sevenMetersMissed }),
+        guestSevenMeters: translate(language, 'game.sevenMeters', { made: stats.guest.sevenMetersMade, total: stats.guest.sevenMetersMade + stats.guest.sevenMetersMissed })
     };
 }
 
-async function generateGameSummary(events, teamNames, groupName, halftimeLength) {
-    if (!process.env.GEMINI_API_KEY) {
-        console.log("GEMINI_API_KEY nicht gefunden. KI-Zusammenfassung wird übersprungen.");
-        return "";
-    }
+/**
+ * Beschreibt den Spielverlauf aus den Statistiken von computeGameStats für den Prompt.
+ * @param {object} stats - Die Statistiken des Spiels.
+ * @param {object} teamNames - Die Teamnamen ({ home, guest }).
+ * @returns {string} - Eine Zeile pro Kennzahl, im Format der übrigen Spieldaten.
+ */
+function describeGameCourse(stats, teamNames) {
+    const time = second => `${Math.floor(second / 60)}. Minute`;
+    const perTeam = (label, describe) => ['home', 'guest']
+        .map(team => `    - ${label} ${teamNames[team]}: ${describe(stats[team]) || 'keine'}`);
+    const players = team => getPlayers(stats[team])
+        .filter(([name, player]) => !/anonym/i.test(name) && (player.goals > 0 || player.redCards > 0))
+        .slice(0, 5)
+        .map(([name, player]) => `${name} ${player.goals} Tore${player.sevenMetersMade ? ` (${player.sevenMetersMade} per 7m)` : ''}${player.penalties ? `, ${player.penalties}x 2 Min.` : ''}${player.redCards ? ', Rote Karte' : ''}`)
+        .join('; ');
+    return [
+        `    - Tore pro Halbzeit: ${stats.halves ? `1. HZ ${stats.halves.first.home}:${stats.halves.first.guest}, 2. HZ ${stats.halves.second.home}:${stats.halves.second.guest}` : 'N/A'}`,
+        ...perTeam('Höchste Führung', team => team.largestLead && `+${team.largestLead.goals} beim ${team.largestLead.pointsHome}:${team.largestLead.pointsGuest} (${time(team.largestLead.second)})`),
+        `    - Führungswechsel: ${stats.leadChanges}, Ausgleiche: ${stats.ties}`,
+        ...perTeam('Längster Lauf', team => team.longestRun && `${team.longestRun.goals} Tore in Folge (${time(team.longestRun.from)} bis ${time(team.longestRun.to)})`),
+        ...perTeam('Längste Torflaute', team => team.longestDrought && `${Math.round(team.longestDrought.seconds / 60)} Minuten (${time(team.longestDrought.from)} bis ${time(team.longestDrought.to)})`),
+        ...perTeam('Gelbe/Rote Karten', team => `${team.yellowCards}/${team.redCards}`),
+        ...['home', 'guest'].map(team => `    - Beste Spieler ${teamNames[team]}: ${players(team) || 'keine Angaben'}`)
+    ].join('\n');
+}
 
-    const finalEvent = events.find(e => e.event === 16) || events[events.length - 1];
-    const halftimeEvent = events.find(e => e.event === 14);
+/**
+ * Schreibt die Zusammenfassung nach dem Spiel mit dem eingestellten KI-Anbieter (AI_PROVIDER, siehe ai-providers/).
+ * Ohne KI, bei einem Fehler oder einer leeren Antwort wird die Zusammenfassung aus den Vorlagen geschrieben.
+ * @returns {Promise<string>} - Die fertige Nachricht (KI-Analyse oder Vorlagen-Zusammenfassung).
+ */
+async function generateGameSummary(events, teamNames, groupName, halftimeLength, language = DEFAULT_LANGUAGE, stats = computeGameStats(events)) {
+    const finalEvent = events.find(e => e.type === 'end') || events[events.length - 1];
+    const halftimeEvent = events.find(e => e.type === 'periodEnd');
 
     // ** 1. USE HALFTIMELENGTH TO DETERMINE GAME DURATION **
     // Use the provided halftimeLength (in minutes) to calculate total duration. Default to 60 if not available.
@@ -76,7 +77,7 @@ async function generateGameSummary(events, teamNames, groupName, halftimeLength)
     }
 
     // 2. Detaillierte Statistiken extrahieren
-    const gameStats = extractGameStats(events, teamNames);
+    const gameStats = extractGameStats(events, teamNames, language);
 
     // 3. & 4. Neuer, kreativer und parteiischer Prompt
     const prompt = `Du bist ein witziger, leicht sarkastischer und fachkundiger deutscher Handball-Kommentator.
@@ -98,6 +99,7 @@ async function generateGameSummary(events, teamNames, groupName, halftimeLength)
     - Zeitstrafen ${teamNames.guest}: ${gameStats.guestPenalties}
     - 7-Meter ${teamNames.home}: ${gameStats.homeSevenMeters}
     - 7-Meter ${teamNames.guest}: ${gameStats.guestSevenMeters}
+${describeGameCourse(stats, teamNames)}
 
     Anweisungen:
     1.  Gib deiner Zusammenfassung eine kreative, reißerische Überschrift in Fett (z.B. *Herzschlagfinale in der Halle West!* oder *Eine Lehrstunde in Sachen Abwehrschlacht.*).
@@ -105,21 +107,24 @@ async function generateGameSummary(events, teamNames, groupName, halftimeLength)
     3.  Sei kreativ, vermeide Standardfloskeln. Gib dem Kommentar Persönlichkeit! Vermeide Sachen aus den Daten zu interpretieren die nicht daraus zu erschließen sind, bleibe lieber bei den Fakten als eine "zu offensive Abwehr" zu erfinden. 
     5.  Falls Julian Langschwert, Tiard Brinkmann und/oder Simon Goßmann gespielt hat, lobe ihn sarkastisch bis in den Himmel.
 
+    Schreibe Überschrift und Text in dieser Sprache: ${translate(language, 'language')}.
+
     Deine Zusammenfassung (nur Überschrift und Text, ohne "Zusammenfassung:"):`;
 
-    try {
-        //const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-        //const result = await model.generateContent(prompt);
-        const response = await genAI.models.generateContent({
-            model: "gemini-2.5-pro",
-            contents: prompt,
-        });
-        
-        return `🤖 *KI-Analyse zum Spiel:*\n\n${response.text}`;
-    } catch (error) {
-        console.error("Fehler bei der AI-Zusammenfassung:", error);
-        return "";
+    const game = { prompt, teamNames, groupName, language, stats, gameStats };
+    const provider = getActiveAiProvider();
+    if (provider !== getFallbackAiProvider()) {
+        try {
+            const summary = await provider.generateSummary(game);
+            if (summary) return translate(language, 'game.aiSummary', { summary });
+            console.warn(`KI-Anbieter "${provider.name}" hat keine Zusammenfassung geliefert, nutze die Vorlage.`);
+        } catch (error) {
+            reportError(`Fehler bei der AI-Zusammenfassung (${provider.name}), nutze die Vorlage:`, error.message);
+        }
     }
+
+    // 5. Ohne KI: Zusammenfassung aus den Vorlagen (immer gleich für dasselbe Spiel)
+    return translate(language, 'game.templateSummary', { summary: await getFallbackAiProvider().generateSummary(game) });
 }
 
-module.exports = { generateGameSummary, extractGameStats };
\ No newline at end of file
+module.exports = { generateGameSummary, extractGameStats, describeGameCourse };
\ No newline at end of file
@@ -4,14 +4,28 @@ require('dotenv').config();
 const path = require('path');
 const qrcode = require('qrcode-terminal');
 const { Client, LocalAuth } = require('whatsapp-web.js');
-const { loadSeenTickers, saveSeenTickers, loadScheduledTickers, saveScheduledTickers } = require('./utils.js');
-const { initializePolling, masterScheduler, dispatcherLoop, startPolling, beginActualPolling } = require('./polling.js');
+const { loadSeenTickers, saveSeenTickers } = require('./utils.js');
+const { initializePolling, masterScheduler, dispatcherLoop, restoreScheduledTickers } = require('./polling.js');
+const { initializeCommands, handleCommand } = require('./commands.js');
+const { initializeAdmin, handleAdminCommand } = require('./admin.js');
+const { reportError } = require('./health.js');
+const { initializeDashboard, startDashboard } = require('./dashboard.js');
+const { initializeSettings } = require('./settings.js');
+const { initializeReports } = require('./report.js');
+const { initializeArchive } = require('./archive.js');
+const { registerTransport, getAllTransports } = require('./transports/index.js');
+const { createWhatsAppTransport } = require('./transports/whatsapp.js');
+const { createTelegramTransport } = require('./transports/telegram.js');
+const { createWebhookTransport } = require('./transports/webhook.js');
 
 // --- GLOBAL STATE ---
 const activeTickers = new Map();
 const jobQueue = [];
 const SEEN_FILE = path.resolve(__dirname, 'seen_tickers.json');
 const SCHEDULE_FILE = path.resolve(__dirname, 'scheduled_tickers.json');
+const SETTINGS_FILE = path.resolve(__dirname, 'group_settings.json');
+const REPORTS_DIR = path.resolve(__dirname, 'reports'); // Copies of the match reports (HTML/PDF)
+const ARCHIVE_FILE = path.resolve(__dirname, 'match_archive.json');
 
 // --- WHATSAPP CLIENT INITIALIZATION ---
 // Creates the WhatsApp client instance
@@ -33,10 +47,26 @@ const client = new Client({
 */        
 });
 
+// --- CHAT TRANSPORTS ---
+// WhatsApp is always available; Telegram and the outgoing webhook are enabled via .env
+registerTransport(createWhatsAppTransport(client));
+if (process.env.TELEGRAM_BOT_TOKEN) {
+    registerTransport(createTelegramTransport(process.env.TELEGRAM_BOT_TOKEN));
+}
+if (process.env.WEBHOOK_URL) {
+    registerTransport(createWebhookTransport(process.env.WEBHOOK_URL, process.env.WEBHOOK_SECRET));
+}
+
 // --- INITIALIZE MODULES ---
 // Pass shared state variables (maps, queues, file paths) to the polling module
 // This allows polling.js to access and modify the central state.
-initializePolling(activeTickers, jobQueue, client, SEEN_FILE, SCHEDULE_FILE);
+initializeSettings(SETTINGS_FILE);
+initializeReports(REPORTS_DIR);
+initializeArchive(ARCHIVE_FILE);
+initializePolling(activeTickers, jobQueue, SEEN_FILE, SCHEDULE_FILE);
+initializeCommands(activeTickers, SEEN_FILE, SCHEDULE_FILE);
+initializeAdmin(activeTickers, jobQueue);
+initializeDashboard(activeTickers, jobQueue, SCHEDULE_FILE);
 
 // --- WHATSAPP CLIENT EVENT HANDLERS ---
 
@@ -58,46 +88,8 @@ client.on('ready', () => {
     // Load seen event IDs from the JSON file into the activeTickers map
     loadSeenTickers(activeTickers, SEEN_FILE);
 
-    // Load scheduled tickers from the JSON file
-    const scheduledTickersData = loadScheduledTickers(SCHEDULE_FILE);
-    const now = Date.now();
-    let rescheduledCount = 0;
-
-    // Iterate through the loaded schedule data
-    for (const chatId in scheduledTickersData) {
-        const scheduleData = scheduledTickersData[chatId];
-        const startTime = new Date(scheduleData.startTime);
-        const delay = startTime.getTime() - now; // Calculate remaining time until start
-
-        // Create or get the state object for this ticker
-        const tickerState = activeTickers.get(chatId) || { seen: new Set() };
-        // Populate state with schedule data (URL, group name etc.)
-        tickerState.meetingPageUrl = scheduleData.meetingPageUrl;
-        tickerState.groupName = scheduleData.groupName;
-        tickerState.halftimeLength = scheduleData.halftimeLength;
-        tickerState.mode = scheduleData.mode; // Restore the mode
-        tickerState.recapMessages = []; // Initialize recap buffer
-        tickerState.isPolling = false; // It's not polling yet
-        activeTickers.set(chatId, tickerState); // Ensure it's in the main map
-
-        if (delay > 0) {
-            // If start time is still in the future, set a new timeout
-            console.log(`[${chatId}] Lade geplante Aufgabe. Startet in ${Math.round(delay / 60000)} Minuten.`);
-            tickerState.isScheduled = true;
-            tickerState.scheduleTimeout = setTimeout(() => {
-                // When timer fires, call the function to start actual polling
-                beginActualPolling(chatId);
-            }, delay);
-            rescheduledCount++;
-        } else {
-            // If start time has passed while bot was offline, start polling immediately
-            console.log(`[${chatId}] Geplante Startzeit verpasst. Starte Polling sofort.`);
-            beginActualPolling(chatId); // Call function to start polling now
-        }
-    }
-    if (rescheduledCount > 0) {
-        console.log(`${rescheduledCount} Ticker erfolgreich neu geplant.`);
-    }
+    // Re-schedule the tickers from the schedule file
+    restoreScheduledTickers();
 });
 
 /**
@@ -111,128 +103,18 @@ client.on('disconnected', (reason) => {
         ticker.isPolling = false;
         ticker.isScheduled = false; // Also mark scheduled as false
         if (ticker.scheduleTimeout) clearTimeout(ticker.scheduleTimeout); // Clear any pending timers
+        if (ticker.scheduleRetryTimeout) clearTimeout(ticker.scheduleRetryTimeout); // And retries of the scheduling
         if (ticker.recapIntervalId) clearInterval(ticker.recapIntervalId); // Clear recap timers
      });
     saveSeenTickers(activeTickers, SEEN_FILE); // Save current seen state
     // Note: Scheduled tickers are NOT saved here, only on successful scheduling via !start
 });
 
-// --- MESSAGE LISTENER ---
-/**
- * Handles incoming WhatsApp messages.
- * Parses commands (!start, !stop, !reset) and executes corresponding actions.
- */
-client.on('message', async msg => {
-    // Ignore messages not starting with '!'
-    if (!msg.body.startsWith('!')) return;
-
-    // Ensure the message is from a group chat
-    const chat = await msg.getChat();
-    if (!chat.isGroup) {
-        await msg.reply('Fehler: Befehle funktionieren nur in Gruppen.');
-        return;
-    }
-
-    // Parse message content
-    const chatId = chat.id._serialized; // Unique ID for the group chat
-    const args = msg.body.split(' ');   // Split message into words
-    const command = args[0].toLowerCase(); // Get the command (e.g., '!start')
-    const groupName = chat.name;          // Get the name of the group
-
-    // --- !start Command ---
-    if (command === '!start' && args.length >= 2) {
-        // Prevent starting if already active or scheduled
-        if (activeTickers.has(chatId) && (activeTickers.get(chatId).isPolling || activeTickers.get(chatId).isScheduled)) {
-            await msg.reply('In dieser Gruppe läuft oder ist bereits ein Live-Ticker geplant. Stoppen oder resetten Sie ihn zuerst.');
-            return;
-        }
-        const meetingPageUrl = args[1]; // Get the URL from the command
-        const mode = (args[2] && args[2].toLowerCase() === 'recap') ? 'recap' : 'live'; // Determine mode (live or recap)
-
-        try {
-            // Call the scheduling function from polling.js
-            await startPolling(meetingPageUrl, chatId, groupName, mode);
-        } catch (error) {
-            // Handle critical errors during scheduling/startup
-            console.error(`[${chatId}] Kritischer Fehler beim Starten des Tickers:`, error);
-            await msg.reply('Ein kritischer Fehler ist aufgetreten und der Ticker konnte nicht gestartet werden.');
-            activeTickers.delete(chatId); // Clean up failed state
-        }
-    }
-    // --- !stop Command ---
-    else if (command === '!stop') {
-        const tickerState = activeTickers.get(chatId);
-        let wasStopped = false; // Flag to check if action was taken
-
-        if (tickerState) {
-            // If it was scheduled, clear the timeout and remove from schedule file
-            if (tickerState.isScheduled && tickerState.scheduleTimeout) {
-                clearTimeout(tickerState.scheduleTimeout);
-                tickerState.isScheduled = false;
-                const currentSchedule = loadScheduledTickers(SCHEDULE_FILE);
-                if (currentSchedule[chatId]) {
-                    delete currentSchedule[chatId];
-                    saveScheduledTickers(currentSchedule, SCHEDULE_FILE);
-                }
-                wasStopped = true;
-            }
-            // If it was polling, mark as stopped and clear recap timer
-            if (tickerState.isPolling) {
-                tickerState.isPolling = false;
-                if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
-                wasStopped = true;
-            }
-            // Remove any pending jobs for this chat from the queue
-            const index = jobQueue.findIndex(job => job.chatId === chatId);
-            if (index > -1) jobQueue.splice(index, 1);
-        }
-
-        // Send confirmation only if something was actually stopped
-        if (wasStopped) {
-            await client.sendMessage(chatId, 'Laufender/geplanter Live-Ticker in dieser Gruppe gestoppt.');
-            console.log(`Live-Ticker für Gruppe "${groupName}" (${chatId}) gestoppt.`);
-        } else {
-            await msg.reply('In dieser Gruppe läuft derzeit kein Live-Ticker.');
-        }
-    }
-    // --- !reset Command ---
-    else if (command === '!reset') {
-        const tickerState = activeTickers.get(chatId);
-
-        // Stop timers and polling if active/scheduled
-        if (tickerState) {
-            if (tickerState.scheduleTimeout) clearTimeout(tickerState.scheduleTimeout);
-            if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
-            tickerState.isPolling = false;
-            tickerState.isScheduled = false;
-            // Remove pending jobs
-            const index = jobQueue.findIndex(job => job.chatId === chatId);
-            if (index > -1) jobQueue.splice(index, 1);
-        }
-
-        // Always remove from active tickers map (memory)
-        activeTickers.delete(chatId);
-        // Always save the seen tickers file (to remove the entry from persistence)
-        saveSeenTickers(activeTickers, SEEN_FILE);
-
-        // Also remove from the schedule file persistence
-        const currentSchedule = loadScheduledTickers(SCHEDULE_FILE);
-        if (currentSchedule[chatId]) {
-            delete currentSchedule[chatId];
-            saveScheduledTickers(currentSchedule, SCHEDULE_FILE);
-        }
-
-        await msg.reply('Alle Ticker-Daten für diese Gruppe wurden zurückgesetzt.');
-        console.log(`Ticker-Daten für Gruppe "${groupName}" (${chatId}) wurden manuell zurückgesetzt.`);
-    }
-    // --- Handle !start command without a URL ---
-    else if (command === '!start') {
-        await msg.reply(`Fehler: Bitte geben Sie eine gültige URL an. Format:\n\n!start <URL> [recap]`);
-    }
-    // --- Optional: Handle other unknown commands ---
-    // else {
-    //     await msg.reply(`Unbekannter Befehl: ${command}\nVerfügbare Befehle: !start <URL> [recap], !stop, !reset`);
-    // }
+// Listen for commands on every transport that can receive them (group commands and the owners' admin console)
+getAllTransports().forEach(transport => {
+    if (!transport.onCommand) return;
+    transport.onCommand(handleCommand);
+    transport.onCommand(handleAdminCommand);
 });
 
 // --- MAIN EXECUTION ---
@@ -240,8 +122,15 @@ client.on('message', async msg => {
 setInterval(masterScheduler, 20000); // Check every 20 seconds
 // Start the Dispatcher Loop to process jobs from the queue
 setInterval(dispatcherLoop, 500); // Check every 0.5 seconds
-// Initialize the WhatsApp client and start listening
-client.initialize();
+// Status dashboard and REST API in the local network (only if a port is set)
+if (process.env.DASHBOARD_PORT) {
+    startDashboard(parseInt(process.env.DASHBOARD_PORT, 10), process.env.DASHBOARD_TOKEN, process.env.DASHBOARD_HOST)
+        .catch(error => reportError('Dashboard konnte nicht gestartet werden:', error.message));
+}
+// Initialize the WhatsApp client and the other transports and start listening
+getAllTransports().forEach(transport => {
+    if (transport.initialize) transport.initialize();
+});
 
 // --- GRACEFUL SHUTDOWN HANDLER ---
 /**
@@ -255,10 +144,14 @@ process.on('SIGINT', async () => {
         ticker.isPolling = false;
         ticker.isScheduled = false;
         if (ticker.scheduleTimeout) clearTimeout(ticker.scheduleTimeout);
+        if (ticker.scheduleRetryTimeout) clearTimeout(ticker.scheduleRetryTimeout);
         if (ticker.recapIntervalId) clearInterval(ticker.recapIntervalId);
      });
     saveSeenTickers(activeTickers, SEEN_FILE); // Save final seen state
     // Note: Schedule file is intentionally NOT cleared here, allowing restarts
-    if (client) await client.destroy(); // Properly close the WhatsApp connection
+    // Properly close the WhatsApp connection and stop the other transports
+    for (const transport of getAllTransports()) {
+        if (transport.destroy) await transport.destroy();
+    }
     process.exit(0); // Exit the Node.js process
 });
\ No newline at end of file
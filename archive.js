@@ -0,0 +1,219 @@
+// archive.js - Archive of finished games (match_archive.json) for !history, !lastgame and !vs
+const fs = require('fs');
+const { extractGameStats } = require('./ai.js');
+const { resolveTeamSide } = require('./filters.js');
+const { upgradeSavedEvent } = require('./providers/index.js');
+const { getGroupSettings, getGroupLanguage } = require('./settings.js');
+const { translate, formatDate } = require('./i18n.js');
+const { reportError } = require('./health.js');
+
+// --- SHARED STATE (Initialized by app.js) ---
+let archiveFilePath;
+
+const DEFAULT_HISTORY_GAMES = 5; // Games listed by !history without a number
+const MAX_HISTORY_GAMES = 20;
+
+/*
+ * Every archived game is stored as:
+ *   id              - `${chatId}|${meetingPageUrl}`, so a game ticked again replaces its old entry.
+ *   chatId, groupName, provider, meetingPageUrl
+ *   date            - Kick-off (ISO string), or the time the game ended if the kick-off is unknown.
+ *   finishedAt      - When the final whistle was processed (ISO string).
+ *   teamNames, halftimeLength
+ *   score, halftimeScore - { home, guest }; halftimeScore is null if the game had no halftime whistle.
+ *   events          - All events of the game in the bot's event format.
+ *   stats           - The statistics from computeGameStats, with the players of each team as an object keyed by name.
+ *   summary         - The AI summary, or null.
+ */
+
+/**
+ * Initializes the archive module with the file path from app.js.
+ * Without initialization (e.g. in replay.js) games are not archived.
+ * @param {string} archiveFile - The file path for saving the archive.
+ */
+function initializeArchive(archiveFile) {
+    archiveFilePath = archiveFile;
+}
+
+/**
+ * Loads all archived games.
+ * Events archived before the engine had event types of its own are converted (see upgradeSavedEvent).
+ * @returns {Array<object>} - The games, or [] on error/no file.
+ */
+function loadArchive() {
+    if (!archiveFilePath) return [];
+    try {
+        const games = JSON.parse(fs.readFileSync(archiveFilePath, 'utf8'));
+        return games.map(game => ({ ...game, events: (game.events || []).map(ev => upgradeSavedEvent(ev)).filter(Boolean) }));
+    } catch (e) {
+        // Handle file not found or invalid JSON
+        return [];
+    }
+}
+
+/**
+ * Saves all archived games.
+ * @param {Array<object>} games - The games.
+ */
+function saveArchive(games) {
+    try {
+        fs.writeFileSync(archiveFilePath, JSON.stringify(games, null, 2));
+    } catch (e) {
+        reportError("Fehler beim Speichern des Spielarchivs:", e);
+    }
+}
+
+/**
+ * Converts the statistics of a game into plain JSON (the players of each team are a Map).
+ * @param {object} stats - The statistics from computeGameStats.
+ * @returns {object}
+ */
+function serializeGameStats(stats) {
+    const serializeTeam = teamStats => ({ ...teamStats, players: Object.fromEntries(teamStats.players) });
+    return { ...stats, home: serializeTeam(stats.home), guest: serializeTeam(stats.guest) };
+}
+
+/**
+ * Stores a finished game in the archive, replacing an older entry of the same game in the same group.
+ * @param {object} tickerState - The state object of the ticker.
+ * @param {Array<object>} events - All events of the game.
+ * @param {object} stats - The statistics of the game (from computeGameStats).
+ * @param {string|null} summary - The AI summary, if there is one.
+ * @returns {object|null} - The archived game, or null if the archive isn't initialized.
+ */
+function archiveGame(tickerState, events, stats, summary) {
+    if (!archiveFilePath) return null;
+    const finishedAt = new Date().toISOString();
+    const game = {
+        id: `${tickerState.chatId}|${tickerState.meetingPageUrl}`,
+        chatId: tickerState.chatId,
+        groupName: tickerState.groupName,
+        provider: tickerState.provider,
+        meetingPageUrl: tickerState.meetingPageUrl,
+        date: tickerState.scheduledTime || finishedAt,
+        finishedAt,
+        teamNames: tickerState.teamNames,
+        halftimeLength: tickerState.halftimeLength,
+        score: stats.score,
+        halftimeScore: stats.halves ? stats.halves.first : null,
+        events,
+        stats: serializeGameStats(stats),
+        summary: summary || null
+    };
+    const games = loadArchive().filter(entry => entry.id !== game.id);
+    games.push(game);
+    saveArchive(games);
+    console.log(`[${tickerState.chatId}] Spiel archiviert: ${game.teamNames.home} ${game.score.home}:${game.score.guest} ${game.teamNames.guest}`);
+    return game;
+}
+
+/**
+ * Returns the archived games of a group, the latest first.
+ * @param {string} chatId - The chat ID.
+ * @returns {Array<object>}
+ */
+function getChatGames(chatId) {
+    return loadArchive()
+        .filter(game => game.chatId === chatId)
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+/**
+ * Determines the result of an archived game for the group's team (settings "team").
+ * @param {object} game - The archived game.
+ * @param {string|null} groupTeam - The team the group supports.
+ * @returns {('win'|'draw'|'loss'|null)} - The result, or null if the group's team didn't play (or isn't set).
+ */
+function getGameResult(game, groupTeam) {
+    const side = groupTeam ? resolveTeamSide(groupTeam, game.teamNames) : null;
+    if (!side) return null;
+    const other = side === 'home' ? 'guest' : 'home';
+    if (game.score[side] === game.score[other]) return 'draw';
+    return game.score[side] > game.score[other] ? 'win' : 'loss';
+}
+
+/**
+ * Formats one line of !history and !vs, e.g. "24.05.2025  HSG Heim  *28:25*  TV Gast ✅".
+ * @param {object} game - The archived game.
+ * @param {string} language - The language code.
+ * @param {string|null} groupTeam - The team the group supports.
+ * @returns {string}
+ */
+function formatGameLine(game, language, groupTeam) {
+    const result = getGameResult(game, groupTeam);
+    return translate(language, 'archive.line', {
+        date: formatDate(language, new Date(game.date)),
+        home: game.teamNames.home,
+        guest: game.teamNames.guest,
+        score: `${game.score.home}:${game.score.guest}`,
+        result: result ? translate(language, `archive.${result}`) : ''
+    });
+}
+
+/**
+ * Formats the reply to !history: the latest games of the group.
+ * @param {string} chatId - The chat ID.
+ * @param {string} [countArg] - The number of games as typed by the user.
+ * @returns {string}
+ */
+function formatHistory(chatId, countArg) {
+    const language = getGroupLanguage(chatId);
+    const games = getChatGames(chatId);
+    if (games.length === 0) return translate(language, 'archive.empty');
+    const count = Math.min(Math.max(parseInt(countArg, 10) || DEFAULT_HISTORY_GAMES, 1), MAX_HISTORY_GAMES);
+    const { team } = getGroupSettings(chatId);
+    const lines = games.slice(0, count).map(game => formatGameLine(game, language, team));
+    return translate(language, 'archive.history', { count: lines.length, total: games.length, lines: lines.join('\n') });
+}
+
+/**
+ * Formats the reply to !lastgame: result, halftime, top scorers and the AI summary of the group's latest game.
+ * @param {string} chatId - The chat ID.
+ * @returns {string}
+ */
+function formatLastGame(chatId) {
+    const language = getGroupLanguage(chatId);
+    const [game] = getChatGames(chatId);
+    if (!game) return translate(language, 'archive.empty');
+    const gameStats = extractGameStats(game.events, game.teamNames, language);
+    return translate(language, 'archive.lastGame', {
+        ...game.teamNames,
+        ...gameStats,
+        date: formatDate(language, new Date(game.date)),
+        score: `${game.score.home}:${game.score.guest}`,
+        halftime: game.halftimeScore ? `${game.halftimeScore.home}:${game.halftimeScore.guest}` : translate(language, 'game.none'),
+        summary: game.summary ? translate(language, 'archive.summary', { summary: game.summary }) : ''
+    });
+}
+
+/**
+ * Formats the reply to !vs: all archived games of the group against a team and, if the group's team is set, the record.
+ * @param {string} chatId - The chat ID.
+ * @param {string} opponent - The (partial) name of the other team.
+ * @returns {string}
+ */
+function formatHeadToHead(chatId, opponent) {
+    const language = getGroupLanguage(chatId);
+    const { team } = getGroupSettings(chatId);
+    const needle = opponent.toLowerCase();
+    // The group's own team doesn't count as a match, so "!vs Heim" finds the games against "TV Heimsheim" but not our own
+    const games = getChatGames(chatId).filter(game => ['home', 'guest'].some(side =>
+        game.teamNames[side].toLowerCase().includes(needle) && side !== (team && resolveTeamSide(team, game.teamNames))));
+    if (games.length === 0) return translate(language, 'archive.vsNone', { team: opponent });
+
+    const lines = games.map(game => formatGameLine(game, language, team));
+    let record = '';
+    const results = games.map(game => ({ game, result: getGameResult(game, team) })).filter(({ result }) => result);
+    if (results.length > 0) {
+        const count = result => results.filter(entry => entry.result === result).length;
+        const goals = results.reduce((sum, { game }) => {
+            const side = resolveTeamSide(team, game.teamNames);
+            const other = side === 'home' ? 'guest' : 'home';
+            return { scored: sum.scored + game.score[side], conceded: sum.conceded + game.score[other] };
+        }, { scored: 0, conceded: 0 });
+        record = translate(language, 'archive.record', { team, wins: count('win'), draws: count('draw'), losses: count('loss'), ...goals });
+    }
+    return translate(language, 'archive.vs', { team: opponent, count: games.length, lines: lines.join('\n'), record });
+}
+
+module.exports = { initializeArchive, loadArchive, archiveGame, getChatGames, getGameResult, formatHistory, formatLastGame, formatHeadToHead };
@@ -0,0 +1,242 @@
+// chart.js - Score progression chart (PNG) for halftime and full time, drawn locally without a browser or external service
+const zlib = require('zlib');
+const { GOAL_EVENTS } = require('./stats.js');
+
+const WIDTH = 800;
+const HEIGHT = 400;
+const PLOT = { left: 50, right: 780, top: 20, bottom: 310 }; // Area of the score lines
+const LANES = { home: 345, guest: 365, height: 12 }; // Rows for the 2-minute penalties below the axis labels
+
+const COLORS = {
+    background: [255, 255, 255],
+    grid: [230, 230, 230],
+    axis: [90, 90, 90],
+    halftime: [150, 150, 150],
+    home: [37, 99, 235], // Blue, like 🔵 in the caption
+    guest: [220, 38, 38], // Red, like 🔴 in the caption
+    homePenalty: [147, 178, 245],
+    guestPenalty: [240, 150, 150]
+};
+
+// 3x5 pixel digits for the axis labels; everything else is explained in the caption
+const DIGITS = {
+    0: ['111', '101', '101', '101', '111'],
+    1: ['010', '110', '010', '010', '111'],
+    2: ['111', '001', '111', '100', '111'],
+    3: ['111', '001', '111', '001', '111'],
+    4: ['101', '101', '111', '001', '001'],
+    5: ['111', '100', '111', '001', '111'],
+    6: ['111', '100', '111', '101', '111'],
+    7: ['111', '001', '010', '010', '010'],
+    8: ['111', '101', '111', '101', '111'],
+    9: ['111', '101', '111', '001', '111']
+};
+const DIGIT_SCALE = 2;
+
+/**
+ * Creates an empty RGB image.
+ * @param {number} width - Width in pixels.
+ * @param {number} height - Height in pixels.
+ * @param {Array<number>} color - The background color [r, g, b].
+ * @returns {{width: number, height: number, pixels: Buffer}}
+ */
+function createImage(width, height, color) {
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let i = 0; i < pixels.length; i += 3) pixels.set(color, i);
+    return { width, height, pixels };
+}
+
+/**
+ * Fills a rectangle; parts outside the image are cut off.
+ * @param {object} image - The image.
+ * @param {number} x - Left edge.
+ * @param {number} y - Top edge.
+ * @param {number} width - Width in pixels.
+ * @param {number} height - Height in pixels.
+ * @param {Array<number>} color - [r, g, b].
+ */
+function fillRect(image, x, y, width, height, color) {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(image.width, Math.round(x + width));
+    const y1 = Math.min(image.height, Math.round(y + height));
+    for (let row = y0; row < y1; row++) {
+        for (let col = x0; col < x1; col++) image.pixels.set(color, (row * image.width + col) * 3);
+    }
+}
+
+/**
+ * Draws a horizontal or vertical line (all lines of the chart are axis-parallel).
+ * @param {object} image - The image.
+ * @param {number} x0 - Start x.
+ * @param {number} y0 - Start y.
+ * @param {number} x1 - End x.
+ * @param {number} y1 - End y.
+ * @param {Array<number>} color - [r, g, b].
+ * @param {number} [thickness=1] - Line width in pixels.
+ * @param {number} [dash=0] - Length of dashes and gaps, 0 for a solid line.
+ */
+function drawLine(image, x0, y0, x1, y1, color, thickness = 1, dash = 0) {
+    const offset = Math.floor(thickness / 2);
+    if (Math.round(y0) === Math.round(y1)) {
+        const from = Math.min(x0, x1);
+        const length = Math.abs(x1 - x0) + thickness;
+        for (let pos = 0; pos < length; pos += dash || length) {
+            fillRect(image, from - offset + pos, y0 - offset, Math.min(dash || length, length - pos), thickness, color);
+            if (dash) pos += dash;
+        }
+    } else {
+        const from = Math.min(y0, y1);
+        const length = Math.abs(y1 - y0) + thickness;
+        for (let pos = 0; pos < length; pos += dash || length) {
+            fillRect(image, x0 - offset, from - offset + pos, thickness, Math.min(dash || length, length - pos), color);
+            if (dash) pos += dash;
+        }
+    }
+}
+
+/**
+ * Draws a number with the pixel digits, centered on x.
+ * @param {object} image - The image.
+ * @param {number} value - The number to draw.
+ * @param {number} x - Center x.
+ * @param {number} y - Top edge.
+ * @param {Array<number>} color - [r, g, b].
+ */
+function drawNumber(image, value, x, y, color) {
+    const text = String(value);
+    const charWidth = 4 * DIGIT_SCALE; // 3 pixels and 1 pixel spacing
+    let left = Math.round(x - (text.length * charWidth - DIGIT_SCALE) / 2);
+    for (const char of text) {
+        DIGITS[char].forEach((row, rowIndex) => {
+            [...row].forEach((bit, colIndex) => {
+                if (bit === '1') fillRect(image, left + colIndex * DIGIT_SCALE, y + rowIndex * DIGIT_SCALE, DIGIT_SCALE, DIGIT_SCALE, color);
+            });
+        });
+        left += charWidth;
+    }
+}
+
+// CRC-32 lookup table for the PNG chunk checksums
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    return c >>> 0;
+});
+
+/**
+ * Calculates the CRC-32 checksum of a buffer.
+ * @param {Buffer} buffer - The data.
+ * @returns {number}
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds one PNG chunk (length, type, data, checksum).
+ * @param {string} type - The four-letter chunk type.
+ * @param {Buffer} data - The chunk data.
+ * @returns {Buffer}
+ */
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const checksum = Buffer.alloc(4);
+    checksum.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, checksum]);
+}
+
+/**
+ * Encodes an RGB image as PNG.
+ * @param {object} image - The image from createImage.
+ * @returns {Buffer} - The PNG file.
+ */
+function encodePng(image) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(image.width, 0);
+    header.writeUInt32BE(image.height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 2; // Color type: RGB
+    // Every row starts with filter type 0 (none)
+    const rowLength = image.width * 3;
+    const raw = Buffer.alloc((rowLength + 1) * image.height);
+    for (let row = 0; row < image.height; row++) {
+        image.pixels.copy(raw, row * (rowLength + 1) + 1, row * rowLength, (row + 1) * rowLength);
+    }
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Draws the score progression of a game: both scores over the game time (home blue, guest red),
+ * a dashed line at halftime and the 2-minute penalties of each team as bars below the time axis.
+ * The time axis always covers the full game, so the halftime chart shows how much is left.
+ * @param {Array<object>} events - The events of the game so far.
+ * @param {number} [halftimeLength] - Length of a half in minutes (default 30).
+ * @returns {Buffer} - The chart as PNG.
+ */
+function renderScoreChart(events, halftimeLength) {
+    const sorted = events.slice().sort((a, b) => a.idx - b.idx);
+    const halfSeconds = (halftimeLength || 30) * 60;
+    const lastSecond = sorted.reduce((max, ev) => Math.max(max, ev.second || 0), 0);
+    const duration = Math.max(2 * halfSeconds, lastSecond);
+    const maxScore = sorted.reduce((max, ev) => Math.max(max, ev.pointsHome || 0, ev.pointsGuest || 0), 0);
+    const maxGoals = Math.max(5, Math.ceil(maxScore / 5) * 5); // The goal axis ends at a multiple of 5
+
+    const x = second => PLOT.left + (second / duration) * (PLOT.right - PLOT.left);
+    const y = goals => PLOT.bottom - (goals / maxGoals) * (PLOT.bottom - PLOT.top);
+    const image = createImage(WIDTH, HEIGHT, COLORS.background);
+
+    // Grid and labels: every 5 minutes (labelled every 10) and every 5 goals
+    for (let minute = 0; minute * 60 <= duration; minute += 5) {
+        drawLine(image, x(minute * 60), PLOT.top, x(minute * 60), PLOT.bottom, COLORS.grid);
+        if (minute % 10 === 0) drawNumber(image, minute, x(minute * 60), PLOT.bottom + 10, COLORS.axis);
+    }
+    for (let goals = 0; goals <= maxGoals; goals += 5) {
+        drawLine(image, PLOT.left, y(goals), PLOT.right, y(goals), COLORS.grid);
+        drawNumber(image, goals, PLOT.left - 20, y(goals) - 5, COLORS.axis);
+    }
+    drawLine(image, PLOT.left, PLOT.top, PLOT.left, PLOT.bottom, COLORS.axis, 2);
+    drawLine(image, PLOT.left, PLOT.bottom, PLOT.right, PLOT.bottom, COLORS.axis, 2);
+
+    // Halftime: the whistle of the first half, or the nominal half length before it
+    const halftime = sorted.find(ev => ev.type === 'periodEnd');
+    const halftimeX = x(halftime ? (halftime.second || halfSeconds) : halfSeconds);
+    drawLine(image, halftimeX, PLOT.top, halftimeX, LANES.guest + LANES.height, COLORS.halftime, 2, 6);
+
+    // Penalties as bars of their duration in the lane of the team
+    for (const penalty of sorted.filter(ev => ev.type === 'suspension')) {
+        const lane = penalty.teamHome ? LANES.home : LANES.guest;
+        const from = x(penalty.second || 0);
+        const to = x(Math.min(duration, (penalty.second || 0) + (penalty.duration || 0)));
+        fillRect(image, from, lane, Math.max(2, to - from), LANES.height, penalty.teamHome ? COLORS.homePenalty : COLORS.guestPenalty);
+    }
+
+    // Score lines as steps: flat until a goal, then one step up (the score of the goal events counts)
+    const goalEvents = sorted.filter(ev => GOAL_EVENTS.includes(ev.type));
+    for (const team of ['guest', 'home']) {
+        const field = team === 'home' ? 'pointsHome' : 'pointsGuest';
+        let second = 0;
+        let goals = 0;
+        for (const ev of goalEvents) {
+            const newGoals = ev[field] || 0;
+            if (newGoals === goals) continue;
+            drawLine(image, x(second), y(goals), x(ev.second || 0), y(goals), COLORS[team], 3);
+            drawLine(image, x(ev.second || 0), y(goals), x(ev.second || 0), y(newGoals), COLORS[team], 3);
+            second = ev.second || 0;
+            goals = newGoals;
+        }
+        drawLine(image, x(second), y(goals), x(lastSecond), y(goals), COLORS[team], 3);
+    }
+    return encodePng(image);
+}
+
+module.exports = { renderScoreChart, encodePng };
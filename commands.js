@@ -0,0 +1,383 @@
+// commands.js - Group chat command handling (!start, !stop, !reset, !filter, !score, !stats, !history, !lastgame, !vs, !topscorer, !season, !player, !config)
+const { saveSeenTickers, loadScheduledTickers, saveScheduledTickers, getChatTickers, formatTickerLabel, formatScore, formatLiveStats } = require('./utils.js');
+const { startPolling, removeQueuedJobs, scheduleTicker, startRecapTimer } = require('./polling.js');
+const { hasTransport } = require('./transports/index.js');
+const { getGroupSettings, getGroupLanguage, setGroupSetting, resetGroupSettings, formatSettingValue, formatGroupSettings } = require('./settings.js');
+const { translate, isKeyword } = require('./i18n.js');
+const { parseFilterOptions, matchesFilter, formatFilter } = require('./filters.js');
+const { formatHistory, formatLastGame, formatHeadToHead } = require('./archive.js');
+const { formatTopScorers, formatSeasonTable, formatPlayerSeason } = require('./season.js');
+const { isBotOwner, isRestrictedCommand, isAccessCommand, mayControlTickers } = require('./permissions.js');
+const { reportError } = require('./health.js');
+
+// --- SHARED STATE (Initialized by app.js) ---
+let activeTickers, seenFilePath, scheduleFilePath;
+
+/**
+ * Initializes the command module with shared state variables from app.js.
+ * @param {Map} tickers - The Map storing active ticker states (passed by reference).
+ * @param {string} seenFile - The file path for saving seen event IDs.
+ * @param {string} scheduleFile - The file path for saving scheduled tickers.
+ */
+function initializeCommands(tickers, seenFile, scheduleFile) {
+    activeTickers = tickers;
+    seenFilePath = seenFile;
+    scheduleFilePath = scheduleFile;
+}
+
+// --- TICKER CONTROL ---
+
+/**
+ * Resolves which tickers of a chat a !stop, !reset, !filter, !score or !stats command targets.
+ * @param {string} chatId - The chat ID.
+ * @param {string} [selector] - A ticker number ("2" or "#2"), the keyword "all", or undefined for all tickers.
+ * @returns {Array<[string, object]>|null} - The targeted [tickerKey, tickerState] pairs, or null if no such ticker exists.
+ */
+function selectTickers(chatId, selector) {
+    const chatTickers = getChatTickers(activeTickers, chatId);
+    if (!selector || isKeyword(selector, 'all')) return chatTickers;
+    const tickerId = parseInt(selector.replace(/^#/, ''), 10);
+    const match = chatTickers.filter(([, tickerState]) => tickerState.tickerId === tickerId);
+    return match.length > 0 ? match : null;
+}
+
+/**
+ * Stops a running or scheduled ticker but keeps its data (seen events).
+ * Used by !stop and by the dashboard.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @param {object} tickerState - The state object for the ticker.
+ * @returns {boolean} - True if the ticker was running or scheduled.
+ */
+function stopTicker(tickerKey, tickerState) {
+    let wasStopped = false; // Flag to check if action was taken
+    // If it was scheduled, clear the timeout and remove from schedule file
+    if (tickerState.isScheduled && tickerState.scheduleTimeout) {
+        clearTimeout(tickerState.scheduleTimeout);
+        tickerState.isScheduled = false;
+        const currentSchedule = loadScheduledTickers(scheduleFilePath);
+        if (currentSchedule[tickerKey]) {
+            delete currentSchedule[tickerKey];
+            saveScheduledTickers(currentSchedule, scheduleFilePath);
+        }
+        wasStopped = true;
+    }
+    // If its scheduling waits for a retry (ticker API unreachable), cancel it
+    if (tickerState.scheduleRetryTimeout) {
+        clearTimeout(tickerState.scheduleRetryTimeout);
+        tickerState.scheduleRetryTimeout = null;
+        tickerState.isScheduling = false;
+        wasStopped = true;
+    }
+    // If it was polling, mark as stopped and clear recap timer
+    if (tickerState.isPolling) {
+        tickerState.isPolling = false;
+        if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
+        wasStopped = true;
+    }
+    // Remove any pending jobs for this ticker from the queue; a waiting scheduling job means the ticker was being scheduled
+    const removedJobs = removeQueuedJobs(tickerKey);
+    if (removedJobs.some(job => job.type === 'schedule')) {
+        tickerState.isScheduling = false;
+        wasStopped = true;
+    }
+    return wasStopped;
+}
+
+/**
+ * Stops a ticker and deletes all of its data from memory and the schedule file.
+ * The caller saves the seen tickers file afterwards.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @param {object} tickerState - The state object for the ticker.
+ */
+function resetTicker(tickerKey, tickerState) {
+    // Stop timers and polling if active/scheduled
+    if (tickerState.scheduleTimeout) clearTimeout(tickerState.scheduleTimeout);
+    if (tickerState.scheduleRetryTimeout) clearTimeout(tickerState.scheduleRetryTimeout);
+    if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
+    tickerState.isPolling = false;
+    tickerState.isScheduled = false;
+    // Remove pending jobs
+    removeQueuedJobs(tickerKey);
+    // Remove from active tickers map (memory)
+    activeTickers.delete(tickerKey);
+}
+
+/**
+ * Resets tickers of a chat and removes them from the seen tickers and schedule files.
+ * Used by !reset and by the admin console (!kill).
+ * @param {string} chatId - The chat ID.
+ * @param {Array<[string, object]>} targets - The [tickerKey, tickerState] pairs from selectTickers.
+ * @param {boolean} resetAll - True to also remove schedule entries of the chat that have no ticker in memory.
+ */
+function resetTickers(chatId, targets, resetAll) {
+    targets.forEach(([tickerKey, tickerState]) => resetTicker(tickerKey, tickerState));
+    // Always save the seen tickers file (to remove the entries from persistence)
+    saveSeenTickers(activeTickers, seenFilePath);
+
+    // Also remove from the schedule file persistence (for a full reset, every entry of this group)
+    const currentSchedule = loadScheduledTickers(scheduleFilePath);
+    const targetKeys = targets.map(([tickerKey]) => tickerKey);
+    const keysToRemove = Object.keys(currentSchedule).filter(key =>
+        targetKeys.includes(key) || (resetAll && currentSchedule[key].chatId === chatId));
+    if (keysToRemove.length > 0) {
+        keysToRemove.forEach(key => delete currentSchedule[key]);
+        saveScheduledTickers(currentSchedule, scheduleFilePath);
+    }
+}
+
+/**
+ * Applies changed settings to the tickers a group already has:
+ * running recap tickers get the new interval, waiting tickers the new pre-game start time.
+ * @param {string} chatId - The chat ID.
+ */
+function applyGroupSettings(chatId) {
+    for (const [tickerKey, tickerState] of getChatTickers(activeTickers, chatId)) {
+        if (tickerState.isPolling && tickerState.mode === 'recap') startRecapTimer(tickerKey);
+        if (tickerState.isScheduled && !tickerState.isPolling && tickerState.scheduledTime) {
+            scheduleTicker(tickerKey, new Date(tickerState.scheduledTime));
+        }
+    }
+}
+
+// --- MESSAGE LISTENER ---
+/**
+ * Handles incoming commands from any transport (WhatsApp, Telegram).
+ * Parses commands (!start, !stop, !reset) and executes corresponding actions.
+ * A chat can hold several tickers; !stop, !reset, !score and !stats take an optional ticker number (default: all).
+ * Commands that change tickers or settings can be restricted to admins (see permissions.js).
+ * @param {object} msg - The normalized command message ({ transport, chatId, chatName, isGroup, senderId, isAdmin, body, reply }).
+ */
+async function handleCommand(msg) {
+    // Ensure the message is from a group chat; private messages of the bot owners go to the admin console (admin.js)
+    if (!msg.isGroup) {
+        if (!isBotOwner(msg)) await msg.reply(translate(getGroupLanguage(msg.chatId), 'commands.groupsOnly'));
+        return;
+    }
+
+    // Parse message content
+    const chatId = msg.chatId;            // Unique ID for the group chat
+    const language = getGroupLanguage(chatId); // Replies use the group's language (!config language)
+    const args = msg.body.split(' ');   // Split message into words
+    const command = args[0].toLowerCase(); // Get the command (e.g., '!start')
+    const groupName = msg.chatName;       // Get the name of the group
+
+    // Ticker control and settings may be limited to admins and approved members (!config access);
+    // who may do that is always up to the admins
+    const adminsOnly = isAccessCommand(command, args);
+    if ((adminsOnly || isRestrictedCommand(command, args)) && !(await mayControlTickers(msg, adminsOnly))) {
+        await msg.reply(translate(language, adminsOnly ? 'commands.accessAdminsOnly' : 'commands.notAllowed', { command }));
+        console.log(`${command} von ${msg.senderId} in Gruppe "${groupName}" (${chatId}) abgelehnt: keine Berechtigung.`);
+        return;
+    }
+
+    // --- !start Command ---
+    if (command === '!start' && args.length >= 2) {
+        const meetingPageUrl = args[1]; // Get the URL from the command
+        // Prevent starting the same game twice in one group
+        const duplicate = getChatTickers(activeTickers, chatId).find(([, tickerState]) =>
+            tickerState.meetingPageUrl === meetingPageUrl && (tickerState.isPolling || tickerState.isScheduled || tickerState.isScheduling));
+        if (duplicate) {
+            await msg.reply(translate(language, 'commands.duplicate', { id: duplicate[1].tickerId }));
+            return;
+        }
+        // Filter options (tore, events=..., team=...) keep their case for team names
+        let filterOptions;
+        try {
+            filterOptions = parseFilterOptions(args.slice(2).filter(Boolean), getGroupSettings(chatId).team, language);
+        } catch (error) {
+            await msg.reply(translate(language, 'error', { message: error.message }));
+            return;
+        }
+        const options = filterOptions.rest.map(arg => arg.toLowerCase());
+        // Determine mode (live, recap, or only the scoreboard)
+        const mode = options.includes('scoreboard-only') ? 'scoreboard' : (options.includes('recap') ? 'recap' : 'live');
+        const tickerOptions = { scoreboard: options.includes('scoreboard'), pin: options.includes('pin'), filter: filterOptions.filter };
+        // Optional target transport (e.g. 'webhook'), defaults to the chat the command came from
+        const transportName = options.find(option => option !== 'recap' && hasTransport(option)) || msg.transport.name;
+
+        try {
+            // Call the scheduling function from polling.js
+            await startPolling(meetingPageUrl, chatId, groupName, mode, transportName, tickerOptions);
+        } catch (error) {
+            // Handle critical errors during scheduling/startup
+            reportError(`[${chatId}] Kritischer Fehler beim Starten des Tickers:`, error);
+            await msg.reply(translate(language, 'commands.startFailed'));
+            // Clean up failed state
+            getChatTickers(activeTickers, chatId)
+                .filter(([, tickerState]) => tickerState.meetingPageUrl === meetingPageUrl && tickerState.isScheduling)
+                .forEach(([tickerKey]) => activeTickers.delete(tickerKey));
+        }
+    }
+    // --- !stop Command ---
+    else if (command === '!stop') {
+        const targets = selectTickers(chatId, args[1]);
+        if (!targets) {
+            await msg.reply(translate(language, 'commands.unknownTicker', { selector: args[1] }));
+            return;
+        }
+        const stoppedIds = targets
+            .filter(([tickerKey, tickerState]) => stopTicker(tickerKey, tickerState))
+            .map(([, tickerState]) => tickerState.tickerId);
+
+        // Send confirmation only if something was actually stopped
+        if (stoppedIds.length > 0) {
+            const confirmation = (args[1] || stoppedIds.length > 1)
+                ? translate(language, 'commands.stoppedTickers', { ids: stoppedIds.map(id => `#${id}`).join(', ') })
+                : translate(language, 'commands.stopped');
+            await msg.transport.sendMessage(chatId, confirmation);
+            console.log(`Live-Ticker ${stoppedIds.join(', ')} für Gruppe "${groupName}" (${chatId}) gestoppt.`);
+        } else {
+            await msg.reply(translate(language, 'commands.noTicker'));
+        }
+    }
+    // --- !reset Command ---
+    else if (command === '!reset') {
+        const resetAll = !args[1] || isKeyword(args[1], 'all');
+        const targets = selectTickers(chatId, args[1]);
+        if (!targets) {
+            await msg.reply(translate(language, 'commands.unknownTicker', { selector: args[1] }));
+            return;
+        }
+        resetTickers(chatId, targets, resetAll);
+
+        if (resetAll) {
+            await msg.reply(translate(language, 'commands.resetAll'));
+        } else {
+            await msg.reply(translate(language, 'commands.resetTicker', { id: targets[0][1].tickerId }));
+        }
+        console.log(`Ticker-Daten (${resetAll ? 'alle' : args[1]}) für Gruppe "${groupName}" (${chatId}) wurden manuell zurückgesetzt.`);
+    }
+    // --- !filter Command ---
+    else if (command === '!filter') {
+        // "!filter [#n] [options|aus]"; without a ticker number the group's only running or scheduled ticker is meant
+        const selector = (args[1] && /^#?\d+$/.test(args[1])) ? args[1] : undefined;
+        const filterArgs = args.slice(selector ? 2 : 1).filter(Boolean);
+        const targets = selectTickers(chatId, selector);
+        if (!targets) {
+            await msg.reply(translate(language, 'commands.unknownTicker', { selector }));
+            return;
+        }
+        const activeTargets = targets.filter(([, tickerState]) => tickerState.isPolling || tickerState.isScheduled || tickerState.isScheduling);
+        if (activeTargets.length === 0) {
+            await msg.reply(translate(language, 'commands.noTicker'));
+            return;
+        }
+        if (activeTargets.length > 1) {
+            const ids = activeTargets.map(([, tickerState]) => `#${tickerState.tickerId}`).join(', ');
+            await msg.reply(translate(language, 'commands.filterSeveralTickers', { ids, id: activeTargets[0][1].tickerId }));
+            return;
+        }
+        const [tickerKey, tickerState] = activeTargets[0];
+        if (filterArgs.length === 0) {
+            await msg.reply(translate(language, 'commands.filterCurrent', { id: tickerState.tickerId, filter: formatFilter(tickerState.filter, tickerState.teamNames, language) }));
+            return;
+        }
+
+        let filter = null;
+        if (!isKeyword(filterArgs[0], 'off') && !isKeyword(filterArgs[0], 'all')) {
+            try {
+                const parsed = parseFilterOptions(filterArgs, getGroupSettings(chatId).team, language);
+                if (parsed.rest.length > 0) throw new Error(translate(language, 'filters.unknownOption', { option: parsed.rest[0] }));
+                filter = parsed.filter;
+            } catch (error) {
+                await msg.reply(translate(language, 'error', { message: error.message }));
+                return;
+            }
+        }
+        tickerState.filter = filter;
+        // Events waiting for the next recap are dropped if the new filter hides them
+        if (tickerState.recapEvents) tickerState.recapEvents = tickerState.recapEvents.filter(ev => matchesFilter(ev, tickerState));
+        // Waiting tickers keep the filter across restarts through their schedule entry
+        if (tickerState.isScheduled && !tickerState.isPolling && tickerState.scheduledTime) {
+            scheduleTicker(tickerKey, new Date(tickerState.scheduledTime));
+        }
+        await msg.reply(translate(language, 'commands.filterChanged', { id: tickerState.tickerId, filter: formatFilter(filter, tickerState.teamNames, language) }));
+        console.log(`[${tickerKey}] Filter geändert:`, filter);
+    }
+    // --- !score and !stats Commands ---
+    else if (command === '!score' || command === '!stats') {
+        // "!score [#n]"; without a ticker number every running game of the group is shown
+        const targets = selectTickers(chatId, args[1]);
+        if (!targets) {
+            await msg.reply(translate(language, 'commands.unknownTicker', { selector: args[1] }));
+            return;
+        }
+        // Finished games stay available until their data is cleaned up
+        const liveTargets = targets.filter(([, tickerState]) => tickerState.isPolling || tickerState.isFinished);
+        if (liveTargets.length === 0) {
+            await msg.reply(translate(language, 'commands.noTicker'));
+            return;
+        }
+        const format = command === '!score' ? formatScore : formatLiveStats;
+        const replies = liveTargets.map(([, tickerState]) => {
+            const text = tickerState.events ? format(tickerState.events, tickerState) : translate(language, 'commands.noGameData');
+            return liveTargets.length > 1 ? `${formatTickerLabel(tickerState)}\n${text}` : text;
+        });
+        await msg.reply(replies.join('\n\n'));
+    }
+    // --- !history, !lastgame and !vs Commands (archived games of the group) ---
+    else if (command === '!history') {
+        await msg.reply(formatHistory(chatId, args[1]));
+    }
+    else if (command === '!lastgame') {
+        await msg.reply(formatLastGame(chatId));
+    }
+    else if (command === '!vs' && args.slice(1).join(' ').trim()) {
+        await msg.reply(formatHeadToHead(chatId, args.slice(1).join(' ').trim()));
+    }
+    // --- !topscorer, !season and !player Commands (season leaderboards from the archive) ---
+    else if (command === '!topscorer') {
+        await msg.reply(formatTopScorers(chatId, args.slice(1).join(' ')));
+    }
+    else if (command === '!season' || command === '!saison') {
+        await msg.reply(formatSeasonTable(chatId, args.slice(1).join(' ')));
+    }
+    else if (command === '!player' && args.slice(1).join(' ').trim()) {
+        await msg.reply(formatPlayerSeason(chatId, args.slice(1).join(' ')));
+    }
+    // --- !config Command ---
+    else if (command === '!config') {
+        // "!config <name> <value>"; the value is taken from the raw message so texts keep their case and line breaks
+        const match = /^!config\s+(\S+)(?:\s+([\s\S]+))?$/i.exec(msg.body.trim());
+        const name = match ? match[1].toLowerCase() : null;
+        if (!name) {
+            await msg.reply(formatGroupSettings(chatId));
+        } else if (name === 'reset' && !match[2]) {
+            resetGroupSettings(chatId);
+            applyGroupSettings(chatId);
+            await msg.reply(translate(getGroupLanguage(chatId), 'commands.configReset'));
+            console.log(`Einstellungen für Gruppe "${groupName}" (${chatId}) zurückgesetzt.`);
+        } else if (!match[2]) {
+            await msg.reply(translate(language, 'commands.configMissingValue', { name }));
+        } else {
+            try {
+                const value = setGroupSetting(chatId, name, match[2]);
+                applyGroupSettings(chatId);
+                // A changed language applies to this reply already
+                const newLanguage = getGroupLanguage(chatId);
+                await msg.reply(translate(newLanguage, 'commands.configChanged', { name, value: formatSettingValue(name, value, newLanguage) }));
+                console.log(`Einstellung "${name}" für Gruppe "${groupName}" (${chatId}) geändert:`, getGroupSettings(chatId)[name]);
+            } catch (error) {
+                await msg.reply(translate(language, 'error', { message: error.message }));
+            }
+        }
+    }
+    // --- Handle !vs command without a team ---
+    else if (command === '!vs') {
+        await msg.reply(translate(language, 'commands.vsUsage'));
+    }
+    // --- Handle !player command without a name ---
+    else if (command === '!player') {
+        await msg.reply(translate(language, 'commands.playerUsage'));
+    }
+    // --- Handle !start command without a URL ---
+    else if (command === '!start') {
+        await msg.reply(translate(language, 'commands.startUsage'));
+    }
+    // --- Optional: Handle other unknown commands ---
+    // else {
+    //     await msg.reply(`Unbekannter Befehl: ${command}\nVerfügbare Befehle: !start <URL> [recap], !stop, !reset`);
+    // }
+}
+
+module.exports = { initializeCommands, handleCommand, selectTickers, stopTicker, resetTickers };
@@ -1,21 +1,22 @@
 // config.js
 
-const EVENT_MAP = {
-    //0: { label: "Spiel geht weiter", emoji: "🔁" },
-    1: { label: "Spiel unterbrochen", emoji: "⏱️" },
-    2: { label: "Timeout", emoji: "⏱️" },
-    3: { label: "Timeout", emoji: "⏱️" },
-    4: { label: "Tor", emoji: "🤾‍♀️" },
-    5: { label: "7-Meter Tor", emoji: "7️⃣✅" },
-    6: { label: "7-Meter Fehlwurf", emoji: "7️⃣❌" },
-    8: { label: "Zeitstrafe", emoji: "✌🏼" },
-    9: { label: "Gelbe Karte", emoji: "🟨" },
-    11: { label: "Rote Karte", emoji: "🟥" },
-    14: { label: "Abpfiff (Halbzeit oder Spielende)", emoji: "⏸️" },
-    15: { label: "Spielbeginn", emoji: "▶️" },
-    16: { label: "Spielende", emoji: "🏁" },
-    //17: { label: "Teamaufstellung", emoji: "👥" }
-};
+// The event types of the ticker engine. They don't depend on the sport: every provider maps the events of its
+// backend onto these (see providers/index.js). Their names are in the locale files: "events" for messages,
+// "eventNames" for the words users type, e.g. in "!config ignore gelb" or "!start <URL> events=goal,red".
+const EVENT_TYPES = [
+    'start',        // A period starts (kick-off, also after halftime)
+    'periodEnd',    // A period ends (e.g. halftime); the game end is 'end'
+    'end',          // The game is over
+    'goal',
+    'penaltyGoal',  // Goal from a penalty (handball: 7-meter throw)
+    'penaltyMiss',  // Missed penalty
+    'suspension',   // Player suspended for a while (handball: 2 minutes); the event carries the duration
+    'yellowCard',
+    'redCard',
+    'timeout',      // Team timeout
+    'interruption', // Game stopped by the referees
+    'other'         // An event of the backend without a type of its own
+];
 
-// This makes the EVENT_MAP available to other files
-module.exports = { EVENT_MAP };
\ No newline at end of file
+// This makes the EVENT_TYPES available to other files
+module.exports = { EVENT_TYPES };
@@ -0,0 +1,341 @@
+// dashboard.js - Local HTTP status dashboard and REST API (DASHBOARD_PORT, DASHBOARD_TOKEN)
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getChatTickers, getTickerStatus, loadScheduledTickers } = require('./utils.js');
+const { startPolling, getWorkerStatus } = require('./polling.js');
+const { stopTicker, resetTickers } = require('./commands.js');
+const { getStartTime, getUptime, getRecentErrors, getErrorCount, reportError } = require('./health.js');
+const metrics = require('./metrics.js');
+const { findProviderForUrl } = require('./providers/index.js');
+const { DEFAULT_TRANSPORT, hasTransport, getTransport } = require('./transports/index.js');
+const { getGroupLanguage } = require('./settings.js');
+const { translate } = require('./i18n.js');
+
+const DASHBOARD_PAGE = path.join(__dirname, 'dashboard.html');
+const DEFAULT_HOST = '127.0.0.1'; // Only the bot's own machine; DASHBOARD_HOST=0.0.0.0 opens it to the local network
+const LOOPBACK_HOSTS = ['localhost', '::1'];
+const MAX_BODY_BYTES = 64 * 1024;
+const MODES = ['live', 'recap', 'scoreboard'];
+
+/*
+ * Endpoints (JSON unless noted):
+ *   GET    /                          - The dashboard (HTML), refreshes itself every few seconds.
+ *   GET    /api/status                - Uptime, ticker counts, job queue, workers and errors.
+ *   GET    /api/tickers               - All tickers with state, game, score, last poll and errors.
+ *   GET    /api/schedule              - The scheduled tickers (scheduled_tickers.json).
+ *   GET    /api/queue                 - The waiting worker jobs and the worker usage.
+ *   GET    /metrics                   - Prometheus metrics (text format), see metrics.js.
+ *   POST   /api/tickers               - Starts a ticker. Body: { url, chatId, groupName?, mode?, transport? }.
+ *   POST   /api/tickers/<key>/stop    - Stops a ticker but keeps its data, like !stop.
+ *   DELETE /api/tickers/<key>         - Stops a ticker and deletes its data, like !reset.
+ * The ticker key is "<chatId>#<number>" and must be URL-encoded. Starting and stopping needs the header
+ * "Authorization: Bearer <DASHBOARD_TOKEN>"; without a token these endpoints are switched off.
+ * If the dashboard listens on more than the bot's own machine (DASHBOARD_HOST), the read endpoints and
+ * /metrics need the token as well, since they show the chat IDs and games of every group.
+ */
+
+// --- SHARED STATE (Initialized by app.js) ---
+let activeTickers, jobQueue, scheduleFilePath;
+
+/**
+ * Initializes the dashboard with shared state variables from app.js.
+ * @param {Map} tickers - The Map storing active ticker states (passed by reference).
+ * @param {Array} queue - The job queue of the workers (passed by reference).
+ * @param {string} scheduleFile - The file path of the scheduled tickers.
+ */
+function initializeDashboard(tickers, queue, scheduleFile) {
+    activeTickers = tickers;
+    jobQueue = queue;
+    scheduleFilePath = scheduleFile;
+}
+
+/**
+ * Turns a ticker into the JSON object of the API.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @param {object} tickerState - The state object for the ticker.
+ * @returns {object}
+ */
+function serializeTicker(tickerKey, tickerState) {
+    const lastEvent = tickerState.events && tickerState.events.length > 0 ? tickerState.events[tickerState.events.length - 1] : null;
+    return {
+        key: tickerKey,
+        chatId: tickerState.chatId,
+        tickerId: tickerState.tickerId,
+        groupName: tickerState.groupName || null,
+        status: getTickerStatus(tickerState),
+        mode: tickerState.mode || null,
+        transport: tickerState.transport || null,
+        meetingPageUrl: tickerState.meetingPageUrl || null,
+        teamNames: tickerState.teamNames || null,
+        score: lastEvent ? { home: lastEvent.pointsHome, guest: lastEvent.pointsGuest } : null,
+        scheduledTime: tickerState.scheduledTime || null,
+        lastPollAt: tickerState.lastPollAt || null,
+        errorCount: tickerState.errorCount || 0,
+        lastError: tickerState.lastError || null
+    };
+}
+
+/**
+ * Builds the answer of /api/status.
+ * @returns {object}
+ */
+function getStatus() {
+    const tickers = { running: 0, scheduled: 0, scheduling: 0, finished: 0, stopped: 0 };
+    for (const tickerState of activeTickers.values()) tickers[getTickerStatus(tickerState)]++;
+    const { activeWorkers, maxWorkers } = getWorkerStatus();
+    return {
+        startedAt: getStartTime().toISOString(),
+        uptimeSeconds: Math.round(getUptime() / 1000),
+        memoryMb: Math.round(process.memoryUsage().rss / 1024 / 1024),
+        tickers,
+        queue: { length: jobQueue.length, activeWorkers, maxWorkers },
+        errors: { total: getErrorCount(), recent: getRecentErrors().map(error => ({ time: error.time.toISOString(), message: error.message })) }
+    };
+}
+
+/**
+ * Builds the answer of /api/queue.
+ * @returns {object}
+ */
+function getQueue() {
+    const { activeWorkers, maxWorkers } = getWorkerStatus();
+    const now = Date.now();
+    return {
+        length: jobQueue.length,
+        activeWorkers,
+        maxWorkers,
+        jobs: jobQueue.map(job => ({ type: job.type, tickerKey: job.tickerKey, waitingSeconds: Math.max(0, Math.round((now - job.jobId) / 1000)) }))
+    };
+}
+
+/**
+ * Builds the answer of /metrics. Gauges that describe the current state are updated on every scrape.
+ * @returns {string} - The metrics in the Prometheus text format.
+ */
+function getMetrics() {
+    const { activeWorkers, maxWorkers } = getWorkerStatus();
+    metrics.queueLength.set({}, jobQueue.length);
+    metrics.activeWorkers.set({}, activeWorkers);
+    metrics.maxWorkers.set({}, maxWorkers);
+    metrics.startTime.set({}, Math.floor(getStartTime().getTime() / 1000));
+    const tickers = { running: 0, scheduled: 0, scheduling: 0, finished: 0, stopped: 0 };
+    for (const tickerState of activeTickers.values()) tickers[getTickerStatus(tickerState)]++;
+    for (const [status, count] of Object.entries(tickers)) metrics.tickers.set({ status }, count);
+    return metrics.renderMetrics();
+}
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {object} body - The response body.
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Reads and parses the JSON body of a request.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<object|null>} - The JSON object, or null if the body is too large or no JSON object.
+ */
+async function readJsonBody(req) {
+    let body = '';
+    for await (const chunk of req) {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) return null;
+    }
+    try {
+        const data = JSON.parse(body || '{}');
+        return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Checks whether an address only accepts connections from the bot's own machine.
+ * @param {string} host - The address the dashboard listens on.
+ * @returns {boolean}
+ */
+function isLoopbackHost(host) {
+    return LOOPBACK_HOSTS.includes(host) || host.startsWith('127.');
+}
+
+/**
+ * Answers 403 without a configured token and 401 if the request doesn't carry it.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {string} [token] - The configured token.
+ * @param {string} missingTokenError - The error message if no token is configured.
+ * @returns {boolean} - True if the request may go on.
+ */
+function checkToken(req, res, token, missingTokenError) {
+    if (!token) {
+        sendJson(res, 403, { error: missingTokenError });
+        return false;
+    }
+    if (!isAuthorized(req, token)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJson(res, 401, { error: 'Ungültiger oder fehlender Token.' });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Checks the Bearer token of a request in constant time.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {string} token - The configured token.
+ * @returns {boolean}
+ */
+function isAuthorized(req, token) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return false;
+    const given = crypto.createHash('sha256').update(match[1].trim()).digest();
+    const expected = crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Starts a ticker from POST /api/tickers, like !start in the group.
+ * @param {object|null} data - { url, chatId, groupName?, mode?, transport? }, null if the body was invalid.
+ * @returns {Promise<[number, object]>} - HTTP status and response body.
+ */
+async function startTickerFromApi(data) {
+    if (!data) return [400, { error: 'Der Body muss ein JSON-Objekt sein.' }];
+    const { url, chatId } = data;
+    const mode = data.mode || 'live';
+    const transportName = data.transport || DEFAULT_TRANSPORT;
+    if (typeof url !== 'string' || typeof chatId !== 'string' || !url || !chatId) return [400, { error: '"url" und "chatId" werden benötigt.' }];
+    if (!MODES.includes(mode)) return [400, { error: `Unbekannter Modus "${mode}". Möglich sind: ${MODES.join(', ')}.` }];
+    if (!hasTransport(transportName)) return [400, { error: `Unbekannter Transport "${transportName}".` }];
+    if (!findProviderForUrl(url)) return [400, { error: 'Die URL gehört zu keinem bekannten Live-Ticker.' }];
+    const duplicate = getChatTickers(activeTickers, chatId).find(([, tickerState]) =>
+        tickerState.meetingPageUrl === url && (tickerState.isPolling || tickerState.isScheduled || tickerState.isScheduling));
+    if (duplicate) return [409, { error: `Für dieses Spiel gibt es schon Ticker ${duplicate[0]}.`, ticker: serializeTicker(...duplicate) }];
+
+    const groupName = data.groupName || chatId;
+    const tickerKey = await startPolling(url, chatId, groupName, mode, transportName, { scoreboard: mode === 'scoreboard' });
+    if (!tickerKey) return [400, { error: 'Der Ticker konnte nicht gestartet werden.' }];
+    console.log(`[${tickerKey}] Ticker über das Dashboard gestartet.`);
+    return [202, serializeTicker(tickerKey, activeTickers.get(tickerKey))];
+}
+
+/**
+ * Stops (POST .../stop) or deletes (DELETE) a ticker from the API.
+ * @param {string} tickerKey - The key of the ticker.
+ * @param {boolean} remove - True to delete the ticker's data like !reset.
+ * @returns {Promise<[number, object]>} - HTTP status and response body.
+ */
+async function stopTickerFromApi(tickerKey, remove) {
+    const tickerState = activeTickers.get(tickerKey);
+    if (!tickerState) return [404, { error: `Ticker ${tickerKey} gibt es nicht.` }];
+    const { chatId, tickerId } = tickerState;
+    if (remove) {
+        resetTickers(chatId, [[tickerKey, tickerState]], false);
+        console.log(`[${tickerKey}] Ticker über das Dashboard gelöscht.`);
+        return [200, { key: tickerKey, deleted: true }];
+    }
+    const wasStopped = stopTicker(tickerKey, tickerState);
+    if (wasStopped) {
+        // The group learns why its ticker went quiet, like after !stop
+        try {
+            await getTransport(tickerState.transport).sendMessage(chatId, translate(getGroupLanguage(chatId), 'commands.stoppedTickers', { ids: `#${tickerId}` }));
+        } catch (error) {
+            reportError(`[${tickerKey}] Fehler beim Senden der Stopp-Nachricht:`, error.message);
+        }
+        console.log(`[${tickerKey}] Ticker über das Dashboard gestoppt.`);
+    }
+    return [200, { ...serializeTicker(tickerKey, tickerState), stopped: wasStopped }];
+}
+
+/**
+ * Creates the request handler of the dashboard.
+ * @param {string} [token] - The token for starting and stopping tickers.
+ * @param {boolean} protectReads - True if reading the data needs the token too (not only bound to localhost).
+ * @returns {function(http.IncomingMessage, http.ServerResponse): Promise<void>}
+ */
+function createRequestHandler(token, protectReads) {
+    return async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        try {
+            if (req.method === 'GET') {
+                // The page itself holds no data, it asks for the token and sends it with its requests
+                if (pathname === '/') {
+                    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                    res.end(fs.readFileSync(DASHBOARD_PAGE));
+                    return;
+                }
+                if (protectReads && !checkToken(req, res, token, 'Außerhalb von localhost ist das Dashboard nur mit DASHBOARD_TOKEN lesbar.')) return;
+                if (pathname === '/api/status') {
+                    sendJson(res, 200, getStatus());
+                } else if (pathname === '/api/tickers') {
+                    sendJson(res, 200, [...activeTickers.entries()].map(([tickerKey, tickerState]) => serializeTicker(tickerKey, tickerState)));
+                } else if (pathname === '/api/schedule') {
+                    sendJson(res, 200, loadScheduledTickers(scheduleFilePath));
+                } else if (pathname === '/api/queue') {
+                    sendJson(res, 200, getQueue());
+                } else if (pathname === '/metrics') {
+                    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+                    res.end(getMetrics());
+                } else {
+                    sendJson(res, 404, { error: 'Nicht gefunden.' });
+                }
+                return;
+            }
+
+            const stopMatch = /^\/api\/tickers\/([^/]+)(\/stop)?$/.exec(pathname);
+            const isStart = req.method === 'POST' && pathname === '/api/tickers';
+            const isStop = req.method === 'POST' && stopMatch && stopMatch[2];
+            const isDelete = req.method === 'DELETE' && stopMatch && !stopMatch[2];
+            if (!isStart && !isStop && !isDelete) {
+                sendJson(res, 404, { error: 'Nicht gefunden.' });
+                return;
+            }
+            if (!checkToken(req, res, token, 'Starten und Stoppen ist ausgeschaltet (DASHBOARD_TOKEN fehlt).')) return;
+            let tickerKey = null;
+            if (!isStart) {
+                try {
+                    tickerKey = decodeURIComponent(stopMatch[1]);
+                } catch (e) {
+                    sendJson(res, 400, { error: 'Der Ticker-Schlüssel ist nicht korrekt URL-kodiert.' });
+                    return;
+                }
+            }
+            const [status, body] = isStart
+                ? await startTickerFromApi(await readJsonBody(req))
+                : await stopTickerFromApi(tickerKey, isDelete);
+            sendJson(res, status, body);
+        } catch (error) {
+            reportError(`Dashboard: Fehler bei ${req.method} ${pathname}:`, error.message);
+            if (!res.headersSent) sendJson(res, 500, { error: error.message });
+        }
+    };
+}
+
+/**
+ * Starts the HTTP server of the dashboard.
+ * @param {number} port - The port (0 picks a free one).
+ * @param {string} [token] - The token for starting and stopping tickers; without one only the read endpoints work,
+ *   and only on localhost.
+ * @param {string} [host] - The address to listen on (default: only the bot's own machine).
+ * @returns {Promise<http.Server>}
+ */
+function startDashboard(port, token, host = DEFAULT_HOST) {
+    const protectReads = !isLoopbackHost(host);
+    if (protectReads && !token) console.warn(`Dashboard auf ${host} ohne DASHBOARD_TOKEN: alle Anfragen werden abgelehnt.`);
+    const server = http.createServer(createRequestHandler(token, protectReads));
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            console.log(`Dashboard läuft auf http://${host}:${server.address().port}/${token ? '' : ' (nur lesend, DASHBOARD_TOKEN fehlt)'}`);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = { initializeDashboard, startDashboard };
@@ -0,0 +1,133 @@
+// filters.js - Per-ticker filters by event type and team (!start options and !filter)
+const { DEFAULT_LANGUAGE, translate, isKeyword, parseEventName, getEventNames } = require('./i18n.js');
+const { GOAL_EVENTS } = require('./stats.js');
+const { upgradeEventType } = require('./providers/index.js');
+
+// Start, halftime and end carry the score, so they are shown with every filter
+const ALWAYS_SHOWN_EVENTS = ['start', 'periodEnd', 'end'];
+// Events that belong to one team and are hidden by a team filter if they are the other team's
+const TEAM_EVENTS = ['timeout', 'goal', 'penaltyGoal', 'penaltyMiss', 'suspension', 'yellowCard', 'redCard'];
+
+/*
+ * A ticker filter is stored as tickerState.filter (null = show everything):
+ *   events - Array of event types to show, or null for all types.
+ *   team   - 'home', 'guest' or a (partial) team name whose events are shown, or null for both teams.
+ */
+
+/**
+ * Parses the filter options of !start or !filter.
+ * Supported: the keyword "goals" (goals only), "events=<name>,<name>" (names from the locales' "eventNames"),
+ * "team=home|guest|<name>" and "team" alone for the team set with "!config team". Keywords and names of every language work.
+ * @param {Array<string>} options - The command words after the URL or ticker number.
+ * @param {string|null} groupTeam - The team the group supports (settings "team").
+ * @param {string} [language] - The language of the error messages.
+ * @returns {{filter: object|null, rest: Array<string>}} - The filter (null if no filter option was given) and the remaining options.
+ * @throws {Error} - With a user-facing message if an option is invalid.
+ */
+function parseFilterOptions(options, groupTeam, language = DEFAULT_LANGUAGE) {
+    const filter = { events: null, team: null };
+    const rest = [];
+    let found = false;
+    for (const option of options) {
+        const [key, value] = option.split('=');
+        const lowerKey = key.toLowerCase();
+        if (isKeyword(lowerKey, 'goals') && value === undefined) {
+            filter.events = [...GOAL_EVENTS];
+        } else if (lowerKey === 'events' && value) {
+            const eventTypes = [];
+            for (const eventName of value.toLowerCase().split(',').filter(Boolean)) {
+                const eventType = parseEventName(eventName);
+                if (!eventType) throw new Error(translate(language, 'filters.unknownEvent', { event: eventName, names: getEventNames(language).join(', ') }));
+                eventTypes.push(eventType);
+            }
+            filter.events = [...new Set(eventTypes)];
+        } else if (lowerKey === 'team') {
+            if (!value) {
+                if (!groupTeam) throw new Error(translate(language, 'filters.noTeam'));
+                filter.team = groupTeam;
+            } else if (isKeyword(value, 'home')) {
+                filter.team = 'home';
+            } else if (isKeyword(value, 'guest') || value.toLowerCase() === 'auswärts') {
+                filter.team = 'guest';
+            } else {
+                filter.team = value.replace(/_/g, ' '); // Spaces in names can be typed as "_"
+            }
+        } else {
+            rest.push(option);
+            continue;
+        }
+        found = true;
+    }
+    return { filter: found ? filter : null, rest };
+}
+
+/**
+ * Converts a filter saved before the engine had event types of its own (see upgradeEventType).
+ * @param {object|null} filter - The saved filter.
+ * @returns {object|null} - The filter with current event types.
+ */
+function upgradeFilter(filter) {
+    if (!filter || !filter.events) return filter;
+    return { ...filter, events: [...new Set(filter.events.map(upgradeEventType).filter(Boolean))] };
+}
+
+/**
+ * Resolves the team filter to the home or guest side of the game.
+ * @param {string} team - 'home', 'guest' or a (partial) team name.
+ * @param {{home: string, guest: string}} [teamNames] - The team names of the game, once known.
+ * @returns {('home'|'guest'|null)} - The side, or null if the name matches neither (or both) teams.
+ */
+function resolveTeamSide(team, teamNames) {
+    if (team === 'home' || team === 'guest') return team;
+    if (!teamNames) return null;
+    const needle = team.toLowerCase();
+    const matchesHome = teamNames.home.toLowerCase().includes(needle);
+    const matchesGuest = teamNames.guest.toLowerCase().includes(needle);
+    if (matchesHome === matchesGuest) return null;
+    return matchesHome ? 'home' : 'guest';
+}
+
+/**
+ * Checks whether an event passes the filter of a ticker.
+ * A team filter whose name matches neither team of the game shows both teams.
+ * @param {object} ev - The event object from the API.
+ * @param {object} tickerState - The state object for the ticker (filter and team names).
+ * @returns {boolean} - True if the event should be reported.
+ */
+function matchesFilter(ev, tickerState) {
+    const filter = tickerState.filter;
+    if (!filter || ALWAYS_SHOWN_EVENTS.includes(ev.type)) return true;
+    if (filter.events && !filter.events.includes(ev.type)) return false;
+    if (filter.team && TEAM_EVENTS.includes(ev.type)) {
+        const side = resolveTeamSide(filter.team, tickerState.teamNames);
+        if (side && (side === 'home') !== Boolean(ev.teamHome)) return false;
+    }
+    return true;
+}
+
+/**
+ * Describes a filter for chat messages, e.g. "nur Tore von *HSG Heim*".
+ * @param {object|null} filter - The ticker filter.
+ * @param {{home: string, guest: string}} [teamNames] - The team names of the game, once known.
+ * @param {string} [language] - The language of the message.
+ * @returns {string}
+ */
+function formatFilter(filter, teamNames, language = DEFAULT_LANGUAGE) {
+    let eventsText = translate(language, 'filters.all');
+    if (!filter || (!filter.events && !filter.team)) return eventsText;
+    if (filter.events) {
+        const isGoalsOnly = filter.events.length === GOAL_EVENTS.length && GOAL_EVENTS.every(type => filter.events.includes(type));
+        const names = getEventNames(language, filter.events).join(', ');
+        eventsText = isGoalsOnly ? translate(language, 'filters.goals') : translate(language, 'filters.events', { names });
+    }
+    if (!filter.team) return eventsText;
+    const side = resolveTeamSide(filter.team, teamNames);
+    let teamText;
+    if (side && teamNames) teamText = teamNames[side];
+    else if (filter.team === 'home') teamText = translate(language, 'teams.home');
+    else if (filter.team === 'guest') teamText = translate(language, 'teams.guest');
+    else teamText = filter.team;
+    return translate(language, 'filters.team', { events: eventsText, team: teamText });
+}
+
+module.exports = { parseFilterOptions, upgradeFilter, resolveTeamSide, matchesFilter, formatFilter };
@@ -0,0 +1,68 @@
+// health.js - Uptime and the errors the bot reported, for !health (admin.js) and the dashboard
+
+const MAX_RECENT_ERRORS = 10; // Errors kept for !health and the dashboard
+const MAX_ERROR_LENGTH = 200; // Characters per error line
+
+const startedAt = new Date();
+const recentErrors = []; // { time, message }, newest last
+let errorCount = 0;
+
+/**
+ * Logs an error and keeps it for !health and the dashboard. Used by the bot's catch sites instead of console.error.
+ * @param {string} message - What failed, e.g. '[chat#1] Fehler beim Senden der Nachricht:'.
+ * @param {Error|string} [error] - The error that was caught.
+ */
+function reportError(message, error) {
+    if (error === undefined) {
+        console.error(message);
+        recordError(message);
+        return;
+    }
+    console.error(message, error);
+    recordError(`${message} ${error instanceof Error ? error.message : error}`);
+}
+
+/**
+ * Remembers an error (only the first line, shortened).
+ * @param {string} message - The error message.
+ */
+function recordError(message) {
+    const line = message.split('\n')[0];
+    errorCount++;
+    recentErrors.push({ time: new Date(), message: line.length > MAX_ERROR_LENGTH ? `${line.slice(0, MAX_ERROR_LENGTH)}…` : line });
+    if (recentErrors.length > MAX_RECENT_ERRORS) recentErrors.shift();
+}
+
+/**
+ * Returns when the bot was started.
+ * @returns {Date}
+ */
+function getStartTime() {
+    return startedAt;
+}
+
+/**
+ * Returns how long the bot has been running.
+ * @returns {number} - Milliseconds.
+ */
+function getUptime() {
+    return Date.now() - startedAt.getTime();
+}
+
+/**
+ * Returns the last logged errors, oldest first.
+ * @returns {Array<{time: Date, message: string}>}
+ */
+function getRecentErrors() {
+    return [...recentErrors];
+}
+
+/**
+ * Returns the number of errors logged since the start.
+ * @returns {number}
+ */
+function getErrorCount() {
+    return errorCount;
+}
+
+module.exports = { reportError, recordError, getStartTime, getUptime, getRecentErrors, getErrorCount };
@@ -0,0 +1,170 @@
+// i18n.js - Message templates per language (locales/<lang>.json), chosen per group with !config language
+const fs = require('fs');
+const path = require('path');
+const { reportError } = require('./health.js');
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LANGUAGE = 'de'; // Also the fallback for templates missing in another language
+
+// Loaded locale files, by language code
+const locales = new Map();
+
+/**
+ * Returns the languages there is a locale file for.
+ * @returns {Array<string>} - Language codes, e.g. ['de', 'en'].
+ */
+function getLanguages() {
+    return fs.readdirSync(LOCALES_DIR)
+        .filter(file => /^[a-z]{2}\.json$/.test(file))
+        .map(file => file.slice(0, -'.json'.length))
+        .sort();
+}
+
+/**
+ * Merges the templates of an override file into the templates of a locale (nested objects are merged key by key).
+ * @param {object} target - The templates to change.
+ * @param {object} source - The templates that take precedence.
+ * @returns {object} - The target.
+ */
+function mergeTemplates(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+        if (value && typeof value === 'object' && target[key] && typeof target[key] === 'object') mergeTemplates(target[key], value);
+        else target[key] = value;
+    }
+    return target;
+}
+
+/**
+ * Loads the templates of a language once.
+ * An optional `locales/<lang>.custom.json` (not tracked in git) overrides single templates,
+ * so the wording can be changed without editing the shipped files.
+ * @param {string} language - The language code.
+ * @returns {object} - The templates, or {} if there is no locale file for the language.
+ */
+function loadLocale(language) {
+    if (locales.has(language)) return locales.get(language);
+    let templates = {};
+    try {
+        templates = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${language}.json`), 'utf8'));
+        const customFile = path.join(LOCALES_DIR, `${language}.custom.json`);
+        if (fs.existsSync(customFile)) mergeTemplates(templates, JSON.parse(fs.readFileSync(customFile, 'utf8')));
+    } catch (e) {
+        reportError(`Fehler beim Laden der Sprachdatei "${language}":`, e.message);
+    }
+    locales.set(language, templates);
+    return templates;
+}
+
+/**
+ * Looks up a template by its dotted key, e.g. "live.goal".
+ * @param {object} templates - The templates of a language.
+ * @param {string} key - The dotted key.
+ * @returns {string|undefined}
+ */
+function lookupTemplate(templates, key) {
+    const template = key.split('.').reduce((node, part) => (node && typeof node === 'object') ? node[part] : undefined, templates);
+    return typeof template === 'string' ? template : undefined;
+}
+
+/**
+ * Renders a message template of a language. Placeholders are written as {name}.
+ * Templates missing in the language are taken from the default language (German).
+ * @param {string} language - The language code.
+ * @param {string} key - The dotted template key, e.g. "live.goal".
+ * @param {object} [params] - The values for the placeholders.
+ * @returns {string} - The rendered message, or the key itself if no language has the template.
+ */
+function translate(language, key, params = {}) {
+    let template = lookupTemplate(loadLocale(language || DEFAULT_LANGUAGE), key);
+    if (template === undefined) template = lookupTemplate(loadLocale(DEFAULT_LANGUAGE), key);
+    if (template === undefined) {
+        console.warn(`Text "${key}" fehlt in den Sprachdateien.`);
+        return key;
+    }
+    // Unknown placeholders are kept, so a typo in a customized template is visible in the chat
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined && params[name] !== null) ? String(params[name]) : placeholder);
+}
+
+/**
+ * Returns the name of an event type in a language, e.g. "Zeitstrafe".
+ * @param {string} language - The language code.
+ * @param {string} eventType - The event type (see EVENT_TYPES in config.js).
+ * @returns {string}
+ */
+function getEventLabel(language, eventType) {
+    const templates = loadLocale(language || DEFAULT_LANGUAGE);
+    const defaults = loadLocale(DEFAULT_LANGUAGE);
+    const label = (templates.events && templates.events[eventType]) || (defaults.events && defaults.events[eventType]);
+    return label || translate(language, 'events.unknown', { type: eventType });
+}
+
+/**
+ * Checks whether a word typed by a user is a keyword (locales "keywords"), e.g. "aus" or "off" for "off".
+ * The words of every language are accepted, so nobody has to know which language the group is set to.
+ * @param {string} word - The word as typed.
+ * @param {string} key - The keyword, e.g. "off".
+ * @returns {boolean}
+ */
+function isKeyword(word, key) {
+    const lowerWord = (word || '').toLowerCase();
+    return getLanguages().some(language => translate(language, `keywords.${key}`).toLowerCase() === lowerWord);
+}
+
+/**
+ * Returns the event type for an event name typed by a user (locales "eventNames"), e.g. "zeitstrafe" or "suspension".
+ * The names of every language are accepted.
+ * @param {string} name - The name as typed.
+ * @returns {string|null} - The event type, or null for unknown names.
+ */
+function parseEventName(name) {
+    const lowerName = name.toLowerCase();
+    for (const language of getLanguages()) {
+        const names = loadLocale(language).eventNames || {};
+        const eventType = Object.keys(names).find(type => names[type].toLowerCase() === lowerName);
+        if (eventType) return eventType;
+    }
+    return null;
+}
+
+/**
+ * Returns the event names users type in a language, e.g. ["tor", "zeitstrafe"].
+ * @param {string} language - The language code.
+ * @param {Array<string>} [eventTypes] - Only the names of these event types; all names if omitted.
+ * @returns {Array<string>}
+ */
+function getEventNames(language, eventTypes) {
+    const names = { ...loadLocale(DEFAULT_LANGUAGE).eventNames, ...loadLocale(language || DEFAULT_LANGUAGE).eventNames };
+    return Object.keys(names).filter(type => !eventTypes || eventTypes.includes(type)).map(type => names[type]);
+}
+
+/**
+ * Formats a date as day, month and year in the style of a language, e.g. "24.05.2025".
+ * @param {string} language - The language code.
+ * @param {Date} date - The date to format.
+ * @returns {string}
+ */
+function formatDate(language, date) {
+    return date.toLocaleDateString(translate(language, 'dateLocale'), { day: '2-digit', month: '2-digit', year: 'numeric' });
+}
+
+/**
+ * Formats the time of a date in the style of a language, e.g. "18:30".
+ * @param {string} language - The language code.
+ * @param {Date} date - The date to format.
+ * @returns {string}
+ */
+function formatTime(language, date) {
+    return date.toLocaleTimeString(translate(language, 'dateLocale'), { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Formats a date as "dd.mm.yyyy um hh:mm" (or the format of another language) for user messages.
+ * @param {Date} date - The date to format.
+ * @param {string} [language] - The language code.
+ * @returns {string}
+ */
+function formatDateTime(date, language = DEFAULT_LANGUAGE) {
+    return translate(language, 'dateTime', { date: formatDate(language, date), time: formatTime(language, date) });
+}
+
+module.exports = { DEFAULT_LANGUAGE, getLanguages, translate, getEventLabel, isKeyword, parseEventName, getEventNames, formatDate, formatTime, formatDateTime };
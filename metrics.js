@@ -0,0 +1,184 @@
+// metrics.js - Prometheus metrics of the bot (served as /metrics by dashboard.js)
+
+/*
+ * A small implementation of the Prometheus text format, so no extra package is needed.
+ * Every metric is a plain object created by createCounter, createGauge or createHistogram;
+ * values are kept per combination of label values, e.g. { transport: 'whatsapp' }.
+ * renderMetrics() writes all metrics in the text format that Prometheus scrapes.
+ */
+
+const METRIC_PREFIX = 'liveticker_';
+const metrics = []; // In the order they were created
+
+/**
+ * Builds the label part of a sample line, e.g. '{type="poll",result="ok"}'.
+ * @param {object} labels - Label name -> value.
+ * @returns {string} - Empty string without labels.
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Orders the labels of a sample like the label names of the metric, so equal label sets share one series.
+ * @param {Array<string>} labelNames - The label names of the metric.
+ * @param {object} labels - The labels given by the caller.
+ * @returns {object}
+ */
+function pickLabels(labelNames, labels) {
+    const picked = {};
+    for (const name of labelNames) picked[name] = labels[name] === undefined ? '' : labels[name];
+    return picked;
+}
+
+/**
+ * Creates a counter: a value that only goes up (e.g. sent messages).
+ * @param {string} name - The metric name without prefix, ending in "_total".
+ * @param {string} help - The description shown in Prometheus.
+ * @param {Array<string>} [labelNames] - The label names.
+ * @returns {{inc: function(object=, number=): void}}
+ */
+function createCounter(name, help, labelNames = []) {
+    const series = new Map(); // Label key -> { labels, value }
+    const metric = {
+        name: METRIC_PREFIX + name,
+        help,
+        type: 'counter',
+        inc(labels = {}, amount = 1) {
+            const picked = pickLabels(labelNames, labels);
+            const key = formatLabels(picked);
+            if (!series.has(key)) series.set(key, { labels: picked, value: 0 });
+            series.get(key).value += amount;
+        },
+        samples() {
+            // A counter without labels is shown as 0 before its first increment
+            if (series.size === 0 && labelNames.length === 0) return [[metric.name, {}, 0]];
+            return [...series.values()].map(({ labels, value }) => [metric.name, labels, value]);
+        }
+    };
+    metrics.push(metric);
+    return metric;
+}
+
+/**
+ * Creates a gauge: a value that goes up and down (e.g. the queue length).
+ * @param {string} name - The metric name without prefix.
+ * @param {string} help - The description shown in Prometheus.
+ * @param {Array<string>} [labelNames] - The label names.
+ * @returns {{set: function(object, number): void, reset: function(): void}}
+ */
+function createGauge(name, help, labelNames = []) {
+    const series = new Map();
+    const metric = {
+        name: METRIC_PREFIX + name,
+        help,
+        type: 'gauge',
+        set(labels, value) {
+            const picked = pickLabels(labelNames, labels);
+            series.set(formatLabels(picked), { labels: picked, value });
+        },
+        reset() {
+            series.clear();
+        },
+        samples() {
+            return [...series.values()].map(({ labels, value }) => [metric.name, labels, value]);
+        }
+    };
+    metrics.push(metric);
+    return metric;
+}
+
+/**
+ * Creates a histogram: counts observations (e.g. durations) in buckets, plus their sum and count.
+ * @param {string} name - The metric name without prefix, ending in the unit (e.g. "_seconds").
+ * @param {string} help - The description shown in Prometheus.
+ * @param {Array<number>} buckets - The upper bounds of the buckets, ascending.
+ * @param {Array<string>} [labelNames] - The label names.
+ * @returns {{observe: function(object, number): void}}
+ */
+function createHistogram(name, help, buckets, labelNames = []) {
+    const series = new Map(); // Label key -> { labels, counts (per bucket), sum, count }
+    const metric = {
+        name: METRIC_PREFIX + name,
+        help,
+        type: 'histogram',
+        observe(labels, value) {
+            const picked = pickLabels(labelNames, labels);
+            const key = formatLabels(picked);
+            if (!series.has(key)) series.set(key, { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 });
+            const entry = series.get(key);
+            buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+            entry.sum += value;
+            entry.count++;
+        },
+        samples() {
+            const samples = [];
+            for (const { labels, counts, sum, count } of series.values()) {
+                buckets.forEach((bound, i) => samples.push([`${metric.name}_bucket`, { ...labels, le: String(bound) }, counts[i]]));
+                samples.push([`${metric.name}_bucket`, { ...labels, le: '+Inf' }, count]);
+                samples.push([`${metric.name}_sum`, labels, sum]);
+                samples.push([`${metric.name}_count`, labels, count]);
+            }
+            return samples;
+        }
+    };
+    metrics.push(metric);
+    return metric;
+}
+
+/**
+ * Writes all metrics in the Prometheus text format (version 0.0.4).
+ * @returns {string}
+ */
+function renderMetrics() {
+    const lines = [];
+    for (const metric of metrics) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        for (const [name, labels, value] of metric.samples()) {
+            lines.push(`${name}${formatLabels(labels)} ${Number.isInteger(value) ? value : Number(value.toFixed(6))}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+// --- THE METRICS OF THE BOT ---
+
+const workerJobDuration = createHistogram('worker_job_duration_seconds', 'Duration of the worker jobs (fetching and processing a game).',
+    [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120], ['type', 'result']);
+const puppeteerLaunchFailures = createCounter('puppeteer_launch_failures_total', 'Failed Puppeteer (Chromium) launches.', ['purpose']);
+const apiErrors = createCounter('api_errors_total', 'Failed requests to the live-ticker API.', ['provider', 'endpoint']);
+const apiRetries = createCounter('api_retries_total', 'Requests repeated after a transient error (see retry.js).', ['host']);
+const circuitOpen = createGauge('circuit_open', 'Whether the circuit breaker pauses the requests to a host (1) or not (0).', ['host']);
+const messagesSent = createCounter('messages_sent_total', 'Ticker messages delivered to the chat service.', ['transport']);
+const messagesFailed = createCounter('messages_failed_total', 'Ticker messages the chat service did not accept.', ['transport']);
+const eventDeliveryDelay = createHistogram('event_delivery_seconds', 'Time from entering an event in the live ticker backend to sending its message (live mode).',
+    [5, 10, 20, 30, 60, 120, 300, 600, 1800]);
+const queueLength = createGauge('job_queue_length', 'Worker jobs waiting in the queue.');
+const activeWorkers = createGauge('active_workers', 'Workers currently running a job.');
+const maxWorkers = createGauge('max_workers', 'Maximum number of parallel workers (MAX_WORKERS).');
+const tickers = createGauge('tickers', 'Tickers by status.', ['status']);
+const startTime = createGauge('start_time_seconds', 'Start time of the bot (Unix time).');
+
+module.exports = {
+    createCounter,
+    createGauge,
+    createHistogram,
+    renderMetrics,
+    workerJobDuration,
+    puppeteerLaunchFailures,
+    apiErrors,
+    apiRetries,
+    circuitOpen,
+    messagesSent,
+    messagesFailed,
+    eventDeliveryDelay,
+    queueLength,
+    activeWorkers,
+    maxWorkers,
+    tickers,
+    startTime
+};
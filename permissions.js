@@ -0,0 +1,100 @@
+// permissions.js - Who may control the tickers of a group (!config access, !config allowed and the BOT_OWNERS list)
+const { getGroupSettings } = require('./settings.js');
+const { reportError } = require('./health.js');
+const { DEFAULT_TRANSPORT } = require('./transports/index.js');
+
+// Commands that change tickers or settings; everything else (e.g. !score, !history) stays open to every member
+const RESTRICTED_COMMANDS = ['!start', '!stop', '!reset', '!filter', '!config'];
+// Settings that decide who may control the tickers ('reset' restores them too); only admins may change them
+const ACCESS_SETTINGS = ['access', 'allowed', 'reset'];
+
+/**
+ * Reduces a member ID to a comparable form keyed by the chat service it belongs to, so "+49 151 2345678",
+ * "0049151 2345678" and "491512345678@c.us" all become "whatsapp:491512345678". IDs may name their chat service
+ * ("telegram:123456789"); the ones that don't (e.g. phone numbers in BOT_OWNERS) belong to transportName.
+ * This keeps a Telegram user ID from matching a WhatsApp number with the same digits.
+ * @param {string|number} id - A chat service member ID or a phone number, optionally with a "<transport>:" prefix.
+ * @param {string} [transportName] - The chat service of IDs without a prefix (default: WhatsApp).
+ * @returns {string} - "<transport>:<id>".
+ */
+function normalizeMemberId(id, transportName = DEFAULT_TRANSPORT) {
+    const [, prefix, memberId] = String(id).trim().match(/^(?:([a-z]+):)?(.*)$/i);
+    return `${(prefix || transportName).toLowerCase()}:${memberId.split('@')[0].replace(/[\s+\-()/]/g, '').replace(/^00/, '').toLowerCase()}`;
+}
+
+/**
+ * Returns the normalized ID of the member who sent a command.
+ * @param {object} msg - The normalized command message (see transports/index.js).
+ * @returns {string|null} - "<transport>:<id>", or null if the chat service didn't name the sender.
+ */
+function getSenderId(msg) {
+    return msg.senderId ? normalizeMemberId(msg.senderId, msg.transport.name) : null;
+}
+
+/**
+ * Returns the bot owners from the environment variable BOT_OWNERS (comma-separated WhatsApp phone numbers,
+ * or IDs of other chat services with their prefix, e.g. "telegram:123456789").
+ * Owners may use every command in every group, whatever the group settings say.
+ * @returns {Array<string>} - The normalized IDs.
+ */
+function getBotOwners() {
+    return (process.env.BOT_OWNERS || '').split(',').filter(id => id.trim()).map(id => normalizeMemberId(id));
+}
+
+/**
+ * Checks whether the sender of a command is one of the bot owners.
+ * @param {object} msg - The normalized command message (see transports/index.js).
+ * @returns {boolean}
+ */
+function isBotOwner(msg) {
+    const senderId = getSenderId(msg);
+    return Boolean(senderId) && getBotOwners().includes(senderId);
+}
+
+/**
+ * Checks whether a command needs permission. !config without a name only shows the settings and stays open.
+ * @param {string} command - The command in lower case, e.g. '!reset'.
+ * @param {Array<string>} args - The words of the message, including the command.
+ * @returns {boolean}
+ */
+function isRestrictedCommand(command, args) {
+    if (!RESTRICTED_COMMANDS.includes(command)) return false;
+    return command !== '!config' || args.slice(1).some(Boolean);
+}
+
+/**
+ * Checks whether a command changes who may control the tickers (!config access, !config allowed, !config reset).
+ * Only group admins and bot owners may do that, even if the group lets every member control the tickers.
+ * @param {string} command - The command in lower case, e.g. '!config'.
+ * @param {Array<string>} args - The words of the message, including the command.
+ * @returns {boolean}
+ */
+function isAccessCommand(command, args) {
+    return command === '!config' && ACCESS_SETTINGS.includes((args[1] || '').toLowerCase());
+}
+
+/**
+ * Checks whether the sender of a command may control the group's tickers and settings:
+ * everyone if the group didn't restrict access, otherwise bot owners, group admins and the members in "allowed".
+ * @param {object} msg - The normalized command message (see transports/index.js).
+ * @param {boolean} [adminsOnly] - Only bot owners and group admins, whatever the group settings say (see isAccessCommand).
+ * @returns {Promise<boolean>}
+ */
+async function mayControlTickers(msg, adminsOnly = false) {
+    if (isBotOwner(msg)) return true;
+    if (!adminsOnly) {
+        const { access, allowed } = getGroupSettings(msg.chatId);
+        if (access === 'all') return true;
+        const senderId = getSenderId(msg);
+        if (senderId && allowed.some(id => normalizeMemberId(id) === senderId)) return true;
+    }
+    // Asking the chat service for the admins can fail (e.g. Telegram API errors); then only the lists above count
+    try {
+        return msg.isAdmin ? Boolean(await msg.isAdmin()) : false;
+    } catch (error) {
+        reportError(`[${msg.chatId}] Admin-Rechte von ${msg.senderId} konnten nicht geprüft werden:`, error.message);
+        return false;
+    }
+}
+
+module.exports = { normalizeMemberId, getBotOwners, isBotOwner, isRestrictedCommand, isAccessCommand, mayControlTickers };
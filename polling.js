@@ -1,70 +1,305 @@
 // polling.js
-const axios = require('axios');
-const puppeteer = require('puppeteer');
 // Import utility functions, including those for saving/loading schedule data and formatting
-const { saveSeenTickers, formatEvent, saveScheduledTickers, loadScheduledTickers, formatRecapEventLine } = require('./utils.js');
+const { saveSeenTickers, formatEvent, saveScheduledTickers, loadScheduledTickers, formatRecapEventLine, getTickerKey, parseTickerKey, getChatTickers, getNextTickerId, formatTickerLabel, getEventSnapshot, hasEventChanged, formatCorrection, formatRetraction, formatScoreboard, formatGameDetails } = require('./utils.js');
 const { generateGameSummary, extractGameStats } = require('./ai.js'); // Import AI functions
-const { EVENT_MAP } = require('./config.js'); // Import event definitions
+const { computeGameStats } = require('./stats.js'); // Statistics from the game events
+const { getTransport, DEFAULT_TRANSPORT } = require('./transports/index.js');
+const { getProvider, findProviderForUrl, normalizeEvents } = require('./providers/index.js'); // Live-ticker backends (nuScore, ...)
+const { getGroupSettings, getGroupLanguage, getIgnoredEvents } = require('./settings.js'); // Per-group settings (!config)
+const { translate, getEventLabel, formatDate, formatTime } = require('./i18n.js'); // Message templates (locales/<lang>.json)
+const { upgradeFilter, matchesFilter, formatFilter } = require('./filters.js'); // Per-ticker event filters (!filter)
+const { renderScoreChart } = require('./chart.js'); // Score progression chart (PNG)
+const { createMatchReport } = require('./report.js'); // Match report (HTML/PDF) after the game
+const { archiveGame } = require('./archive.js'); // Archive of finished games (!history, !lastgame, !vs)
+const { workerJobDuration, messagesSent, messagesFailed, eventDeliveryDelay } = require('./metrics.js'); // Prometheus metrics (/metrics)
+const { getBackoffDelay } = require('./retry.js'); // Retries and circuit breaker of the API requests
+const { reportError } = require('./health.js'); // Errors for !health and the dashboard
 
 
 // --- SHARED STATE (Initialized by app.js) ---
-let activeTickers, jobQueue, client, seenFilePath, scheduleFilePath;
+let activeTickers, jobQueue, seenFilePath, scheduleFilePath;
 
 // --- WORKER POOL CONFIG ---
 let lastPolledIndex = -1; // Tracks the index of the last ticker polled by the scheduler (for round-robin)
 let activeWorkers = 0; // Counts currently running Puppeteer instances
 const MAX_WORKERS = 2; // Tunable: Maximum number of concurrent Puppeteer instances allowed
-const PRE_GAME_START_MINUTES = 5; // How many minutes before scheduled start time to begin active polling
-const RECAP_INTERVAL_MINUTES = 5; // Frequency of sending recap messages in 'recap' mode
+const MAX_TIMEOUT_MS = 7 * 24 * 60 * 60 * 1000; // Longest single setTimeout step for scheduled tickers (1 week)
+const UNREACHABLE_NOTICE_AFTER = 2; // Failed polls in a row before the group is told that the ticker data is unreachable
+const SCHEDULE_RETRY_BASE_MS = 60 * 1000; // First retry of a scheduling job that couldn't reach the API, doubled every time
+const SCHEDULE_RETRY_MAX_MS = 15 * 60 * 1000; // Longest pause between two scheduling attempts
+const SCHEDULE_RETRY_LIMIT = 8; // Retries of a scheduling job (about 75 minutes) before it fails for good
+// How early polling starts, the recap interval, ignored events and the messages after the game are per-group settings (see settings.js)
 
 /**
  * Initializes the polling module with shared state variables from app.js.
  * This function must be called once when the bot starts.
  * @param {Map} tickers - The Map storing active ticker states (passed by reference).
  * @param {Array} queue - The array acting as the job queue (passed by reference).
- * @param {Client} whatsappClient - The initialized whatsapp-web.js client instance.
  * @param {string} seenFile - The file path for saving seen event IDs.
  * @param {string} scheduleFile - The file path for saving scheduled tickers.
  */
-function initializePolling(tickers, queue, whatsappClient, seenFile, scheduleFile) {
+function initializePolling(tickers, queue, seenFile, scheduleFile) {
     activeTickers = tickers;
     jobQueue = queue;
-    client = whatsappClient;
     seenFilePath = seenFile;
     scheduleFilePath = scheduleFile;
 }
 
+/**
+ * Resolves the chat, the transport and the final text of a ticker message.
+ * If the chat holds several tickers, the text is prefixed with a label naming the game.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @param {string} text - The message text.
+ * @param {string} [transportName] - Overrides the ticker's transport (used before the ticker state exists).
+ * @returns {{chatId: string, transport: object, text: string}}
+ */
+function prepareMessage(tickerKey, text, transportName) {
+    const { chatId } = parseTickerKey(tickerKey);
+    const tickerState = activeTickers.get(tickerKey);
+    const transport = getTransport(transportName || (tickerState && tickerState.transport));
+    // Only count tickers that are running or just finished, not scheduled ones or leftover seen-event entries
+    const liveTickers = getChatTickers(activeTickers, chatId).filter(([, state]) => state.isPolling || state.isFinished);
+    if (tickerState && liveTickers.length > 1) {
+        text = `${formatTickerLabel(tickerState)}\n${text}`;
+    }
+    return { chatId, transport, text };
+}
+
+/**
+ * Sends a message through a transport and counts it as sent or failed for the metrics.
+ * @param {{chatId: string, transport: object}} prepared - The result of prepareMessage.
+ * @param {function(): Promise<*>} send - Sends (or edits) the message.
+ * @param {function(*): boolean} [isAccepted] - Tells from the result of send whether the chat service took the message
+ *   (an edit it refused returns false); by default every send that doesn't throw counts as sent.
+ * @returns {Promise<*>} - The result of send; errors are passed on.
+ */
+async function deliver(prepared, send, isAccepted = () => true) {
+    const labels = { transport: prepared.transport.name };
+    try {
+        const result = await send();
+        if (isAccepted(result)) messagesSent.inc(labels);
+        else messagesFailed.inc(labels);
+        return result;
+    } catch (error) {
+        messagesFailed.inc(labels);
+        throw error;
+    }
+}
+
+/**
+ * Sends a text message for a ticker to its chat via the ticker's transport (see transports/).
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @param {string} text - The message text.
+ * @param {string} [transportName] - Overrides the ticker's transport (used before the ticker state exists).
+ * @returns {Promise<string|undefined>} - The ID of the sent message, if the transport has message IDs.
+ */
+async function sendMessage(tickerKey, text, transportName) {
+    const prepared = prepareMessage(tickerKey, text, transportName);
+    return deliver(prepared, () => prepared.transport.sendMessage(prepared.chatId, prepared.text));
+}
+
+/**
+ * Sends an image with a caption for a ticker, if the ticker's transport can send images.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @param {Buffer} image - The PNG image.
+ * @param {string} caption - The caption (labelled like text messages if the chat holds several tickers).
+ * @returns {Promise<string|undefined>} - The ID of the sent message, if the transport has message IDs.
+ */
+async function sendImage(tickerKey, image, caption) {
+    const prepared = prepareMessage(tickerKey, caption);
+    if (!prepared.transport.sendImage) {
+        console.log(`[${tickerKey}] Transport kann keine Bilder senden, Grafik wird übersprungen.`);
+        return undefined;
+    }
+    return deliver(prepared, () => prepared.transport.sendImage(prepared.chatId, image, prepared.text));
+}
+
+/**
+ * Sends a file as a document for a ticker, if the ticker's transport can send documents.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @param {Buffer} document - The file content.
+ * @param {string} fileName - The file name shown in the chat.
+ * @param {string} mimeType - The MIME type, e.g. 'application/pdf'.
+ * @param {string} caption - The caption (labelled like text messages if the chat holds several tickers).
+ * @returns {Promise<string|undefined>} - The ID of the sent message, if the transport has message IDs.
+ */
+async function sendDocument(tickerKey, document, fileName, mimeType, caption) {
+    const prepared = prepareMessage(tickerKey, caption);
+    if (!prepared.transport.sendDocument) {
+        console.log(`[${tickerKey}] Transport kann keine Dateien senden, ${fileName} wird übersprungen.`);
+        return undefined;
+    }
+    return deliver(prepared, () => prepared.transport.sendDocument(prepared.chatId, document, fileName, mimeType, prepared.text));
+}
+
+/**
+ * Draws the score progression chart of a game and sends it with its caption.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @param {object} tickerState - The state object of the ticker.
+ * @param {Array<object>} events - The events to draw.
+ * @param {('halftime'|'end')} moment - Which caption to use.
+ */
+async function sendScoreChart(tickerKey, tickerState, events, moment) {
+    try {
+        const language = getGroupLanguage(tickerState.chatId);
+        const caption = translate(language, `chart.${moment}`, { legend: translate(language, 'chart.legend', tickerState.teamNames) });
+        await sendImage(tickerKey, renderScoreChart(events, tickerState.halftimeLength), caption);
+        console.log(`[${tickerKey}] Spielverlaufs-Grafik gesendet (${moment}).`);
+    } catch (e) {
+        reportError(`[${tickerKey}] Fehler beim Senden der Spielverlaufs-Grafik:`, e);
+    }
+}
+
+/**
+ * Replaces a sent ticker message with a new text.
+ * Edits the message if the transport supports it; if editing fails (e.g. the message is too old),
+ * the message is deleted and the new text is sent in its place.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @param {string} messageId - The ID of the sent message.
+ * @param {string} newText - The new message text.
+ * @returns {Promise<string|null>} - The ID of the message now showing the text (new if it was resent), or null if it couldn't be replaced.
+ */
+async function replaceSentMessage(tickerKey, messageId, newText) {
+    const prepared = prepareMessage(tickerKey, newText);
+    const { chatId, transport, text } = prepared;
+    try {
+        // Edits and resent messages are counted in the metrics like any other ticker message
+        if (transport.editMessage && await deliver(prepared, () => transport.editMessage(chatId, messageId, text), Boolean)) {
+            return messageId;
+        }
+        if (transport.deleteMessage && await transport.deleteMessage(chatId, messageId)) {
+            console.log(`[${tickerKey}] Nachricht ${messageId} kann nicht bearbeitet werden, gelöscht und neu gesendet.`);
+            return (await deliver(prepared, () => transport.sendMessage(chatId, text))) || null;
+        }
+    } catch (error) {
+        reportError(`[${tickerKey}] Fehler beim Ersetzen der Nachricht ${messageId}:`, error.message);
+    }
+    return null;
+}
+
+/**
+ * Replaces the message that was sent for an event (live mode) with a new text (see replaceSentMessage).
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @param {object} tickerState - The state object for the ticker.
+ * @param {string} idx - The event idx the message was sent for.
+ * @param {string} newText - The new message text.
+ * @returns {Promise<boolean>} - True if the sent message was replaced, false if the group needs a separate notice.
+ */
+async function replaceEventMessage(tickerKey, tickerState, idx, newText) {
+    const messageId = tickerState.sentMessages && tickerState.sentMessages[idx];
+    if (!messageId) return false;
+    const newMessageId = await replaceSentMessage(tickerKey, messageId, newText);
+    if (!newMessageId) return false;
+    console.log(`[${tickerKey}] Nachricht zu Event ${idx} ersetzt.`);
+    tickerState.sentMessages[idx] = newMessageId;
+    return true;
+}
+
+/**
+ * Brings the scoreboard message of a ticker up to date (see formatScoreboard).
+ * Posts (and optionally pins) the board the first time, then edits it whenever its content changes.
+ * If the board can't be edited anymore, it is replaced by a new message, which is pinned again.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @param {object} tickerState - The state object for the ticker.
+ * @param {Array<object>} events - All events of the game so far.
+ * @returns {Promise<boolean>} - True if the board is now a different message (the seen file needs saving).
+ */
+async function updateScoreboard(tickerKey, tickerState, events) {
+    const text = formatScoreboard(events, tickerState);
+    const previousMessageId = tickerState.scoreboardMessageId;
+    if (previousMessageId && text === tickerState.scoreboardText) return false;
+
+    let messageId = previousMessageId ? await replaceSentMessage(tickerKey, previousMessageId, text) : null;
+    try {
+        if (!messageId) messageId = await sendMessage(tickerKey, text);
+        tickerState.scoreboardText = text;
+        tickerState.scoreboardMessageId = messageId;
+        if (messageId && messageId !== previousMessageId && tickerState.pinScoreboard) {
+            const transport = getTransport(tickerState.transport);
+            if (!transport.pinMessage || !await transport.pinMessage(tickerState.chatId, messageId)) {
+                console.warn(`[${tickerKey}] Anzeigetafel konnte nicht angepinnt werden.`);
+            }
+        }
+    } catch (error) {
+        reportError(`[${tickerKey}] Fehler beim Aktualisieren der Anzeigetafel:`, error.message);
+    }
+    return tickerState.scoreboardMessageId !== previousMessageId;
+}
+
+/**
+ * Describes how a ticker reports the game, for the confirmation messages.
+ * @param {object} tickerState - The state object for the ticker.
+ * @returns {string} - E.g. "mit Live-Updates und Anzeigetafel".
+ */
+function describeTickerMode(tickerState) {
+    const { language, recap } = getGroupSettings(tickerState.chatId);
+    if (tickerState.mode === 'scoreboard') return translate(language, 'ticker.modeScoreboard');
+    let description = (tickerState.mode === 'recap') ? translate(language, 'ticker.modeRecap', { minutes: recap }) : translate(language, 'ticker.modeLive');
+    if (tickerState.scoreboard) description = translate(language, 'ticker.withScoreboard', { mode: description });
+    if (tickerState.filter) description = translate(language, 'ticker.withFilter', { mode: description, filter: formatFilter(tickerState.filter, tickerState.teamNames, language) });
+    return description;
+}
+
 /**
  * Creates the initial ticker state and adds a 'schedule' job to the queue.
  * This is the entry point called by the !start command. It offloads the
  * heavy Puppeteer work to the worker queue.
+ * Every call creates a new ticker with the next free ticker number of the chat, unless the chat has a
+ * stopped ticker for the same game (e.g. after a restart): that one is started again with its seen events,
+ * so nothing is posted twice.
  * @param {string} meetingPageUrl - The URL of the NuLiga live ticker webpage.
  * @param {string} chatId - The WhatsApp chat ID where the ticker runs.
  * @param {string} groupName - The name of the WhatsApp group (for AI).
- * @param {('live'|'recap')} mode - The desired ticker mode ('live' or 'recap').
+ * @param {('live'|'recap'|'scoreboard')} mode - The desired ticker mode ('live', 'recap' or 'scoreboard' for the scoreboard only).
+ * @param {string} [transportName] - The transport the ticker posts to (defaults to WhatsApp).
+ * @param {object} [options] - Additional ticker options.
+ * @param {boolean} [options.scoreboard] - Post a continuously updated scoreboard message in addition to the mode's messages.
+ * @param {boolean} [options.pin] - Pin the scoreboard message.
+ * @param {object|null} [options.filter] - Only report matching events (see filters.js).
+ * @returns {Promise<string|null>} - The key of the new ticker, or null if the URL was invalid.
  */
-async function queueTickerScheduling(meetingPageUrl, chatId, groupName, mode) {
-    // Validate the URL format early
-    const urlRegex = /https:\/\/hbde-live\.liga\.nu\/nuScoreLive\/#\/groups\/\d+\/meetings\/\d+/;
-    if (!urlRegex.test(meetingPageUrl)) {
-        await client.sendMessage(chatId, 'Fehler: Die angegebene URL ist keine gültige Live-Ticker-Seiten-URL.');
-        return;
+async function queueTickerScheduling(meetingPageUrl, chatId, groupName, mode, transportName = DEFAULT_TRANSPORT, options = {}) {
+    // Validate the URL format early and pick the provider the game comes from
+    const provider = findProviderForUrl(meetingPageUrl);
+    if (!provider) {
+        await getTransport(transportName).sendMessage(chatId, translate(getGroupLanguage(chatId), 'ticker.invalidUrl'));
+        return null;
     }
 
-    // Create initial state in memory
-    const tickerState = activeTickers.get(chatId) || { seen: new Set() };
+    // Create initial state in memory, taking over the seen events and sent messages of a stopped ticker for this game.
+    // Seen entries saved without a game URL come from the time of one ticker per group and belong to its next game.
+    const stoppedTickers = getChatTickers(activeTickers, chatId).filter(([, state]) =>
+        !state.isPolling && !state.isScheduled && !state.isScheduling && !state.isFinished);
+    const dormant = stoppedTickers.find(([, state]) => state.meetingPageUrl === meetingPageUrl)
+        || stoppedTickers.find(([, state]) => !state.meetingPageUrl);
+    const tickerId = dormant ? dormant[1].tickerId : getNextTickerId(activeTickers, chatId);
+    const tickerKey = getTickerKey(chatId, tickerId);
+    const tickerState = { chatId, tickerId, seen: new Set() };
+    if (dormant) {
+        console.log(`[${tickerKey}] Gestoppter Ticker für dieses Spiel wird fortgesetzt.`);
+        tickerState.seen = dormant[1].seen;
+        tickerState.eventSnapshots = dormant[1].eventSnapshots;
+        tickerState.sentMessages = dormant[1].sentMessages;
+        tickerState.scoreboardMessageId = dormant[1].scoreboardMessageId;
+    }
     tickerState.isPolling = false; // Not polling yet
     tickerState.isScheduling = true; // Mark as *being* scheduled
     tickerState.meetingPageUrl = meetingPageUrl;
+    tickerState.meetingApiUrl = null; // Resolved once by the first worker job
+    tickerState.provider = provider.name;
     tickerState.groupName = groupName;
     tickerState.mode = mode;
+    tickerState.transport = transportName; // Where the ticker messages are posted
+    tickerState.scoreboard = mode === 'scoreboard' || Boolean(options.scoreboard || options.pin); // Keep a scoreboard message up to date
+    tickerState.pinScoreboard = Boolean(options.pin);
+    tickerState.filter = options.filter || null; // Event type/team filter (null = all events)
     tickerState.recapEvents = []; // Initialize array for raw recap events
-    activeTickers.set(chatId, tickerState); // Store the initial state
+    activeTickers.set(tickerKey, tickerState); // Store the initial state
 
     // Add a 'schedule' job to the queue for the worker
     jobQueue.push({
         type: 'schedule', // Job type identifier
-        chatId,
+        tickerKey,
         meetingPageUrl,
         // Pass necessary info for the worker to complete scheduling
         groupName, // Needed for logging/AI if fetch fails before state is fully set
@@ -72,84 +307,152 @@ async function queueTickerScheduling(meetingPageUrl, chatId, groupName, mode) {
         jobId: Date.now() // Unique ID for logging
     });
 
-    console.log(`[${chatId}] Planungs-Job zur Warteschlange hinzugefügt. Aktuelle Länge: ${jobQueue.length}`);
+    console.log(`[${tickerKey}] Planungs-Job zur Warteschlange hinzugefügt. Aktuelle Länge: ${jobQueue.length}`);
     // Send immediate feedback to the user
-    await client.sendMessage(chatId, `⏳ Ticker-Planung für "${groupName}" wird bearbeitet...`);
+    await sendMessage(tickerKey, translate(getGroupLanguage(chatId), 'ticker.scheduling', { id: tickerId, group: groupName }));
+    return tickerKey;
+}
+
+
+/**
+ * Marks a ticker as scheduled, saves it to the schedule file and arms its start timer.
+ * Used by the 'schedule' worker job and when !config pregame changes the start of scheduled tickers.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @param {Date} scheduledTime - The scheduled game start (polling begins the group's "pregame" minutes earlier).
+ * @returns {Date} - The time at which polling will start.
+ */
+function scheduleTicker(tickerKey, scheduledTime) {
+    const tickerState = activeTickers.get(tickerKey);
+    const startTime = new Date(scheduledTime.getTime() - (getGroupSettings(tickerState.chatId).pregame * 60000));
+    tickerState.isPolling = false;
+    tickerState.isScheduling = false; // Scheduling is done, the start timer takes over
+    tickerState.isScheduled = true;
+    tickerState.scheduledTime = scheduledTime.toISOString();
+
+    const currentSchedule = loadScheduledTickers(scheduleFilePath);
+    // ** Save schedule data **
+    currentSchedule[tickerKey] = {
+        chatId: tickerState.chatId,
+        tickerId: tickerState.tickerId,
+        meetingPageUrl: tickerState.meetingPageUrl,
+        startTime: startTime.toISOString(),
+        scheduledTime: tickerState.scheduledTime,
+        meetingApiUrl: tickerState.meetingApiUrl,
+        provider: tickerState.provider,
+        groupName: tickerState.groupName,
+        halftimeLength: tickerState.halftimeLength,
+        mode: tickerState.mode,
+        transport: tickerState.transport,
+        scoreboard: tickerState.scoreboard,
+        pinScoreboard: tickerState.pinScoreboard,
+        filter: tickerState.filter
+    };
+    saveScheduledTickers(currentSchedule, scheduleFilePath);
+    armStartTimer(tickerKey, startTime);
+    return startTime;
 }
 
+/**
+ * (Re-)arms the timer that starts polling for a scheduled ticker.
+ * setTimeout overflows for delays above ~24.8 days, so long waits are split into several steps.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @param {Date} startTime - The time at which polling should start.
+ */
+function armStartTimer(tickerKey, startTime) {
+    const tickerState = activeTickers.get(tickerKey);
+    if (!tickerState) return;
+    if (tickerState.scheduleTimeout) clearTimeout(tickerState.scheduleTimeout);
+    const delay = startTime.getTime() - Date.now();
+    if (delay > MAX_TIMEOUT_MS) {
+        tickerState.scheduleTimeout = setTimeout(() => armStartTimer(tickerKey, startTime), MAX_TIMEOUT_MS);
+    } else {
+        tickerState.scheduleTimeout = setTimeout(() => beginActualPolling(tickerKey), Math.max(delay, 0));
+    }
+}
+
+/**
+ * (Re-)starts the timer that sends the recap messages, using the group's recap interval.
+ * Called when polling begins and when the group changes the interval with !config.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ */
+function startRecapTimer(tickerKey) {
+    const tickerState = activeTickers.get(tickerKey);
+    if (!tickerState) return;
+    const recapMinutes = getGroupSettings(tickerState.chatId).recap;
+    if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId); // Clear old timer if any
+    tickerState.recapIntervalId = setInterval(() => {
+        sendRecapMessage(tickerKey);
+    }, recapMinutes * 60 * 1000); // Convert minutes to ms
+    console.log(`[${tickerKey}] Recap-Timer gestartet (${recapMinutes} min).`);
+}
 
 /**
  * Activates the actual polling loop for a ticker.
  * Marks the ticker as 'polling', removes it from the schedule file,
  * starts the recap timer if needed, and adds the initial 'poll' job to the queue.
  * Called either after a schedule timer fires, or directly by the worker if game already started.
- * @param {string} chatId - The WhatsApp chat ID.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
  */
-async function beginActualPolling(chatId) {
-    const tickerState = activeTickers.get(chatId);
+async function beginActualPolling(tickerKey) {
+    const tickerState = activeTickers.get(tickerKey);
     // Safety checks
     if (!tickerState) {
-        console.warn(`[${chatId}] Ticker-Status nicht gefunden beim Versuch, das Polling zu starten.`);
+        console.warn(`[${tickerKey}] Ticker-Status nicht gefunden beim Versuch, das Polling zu starten.`);
         const currentSchedule = loadScheduledTickers(scheduleFilePath);
-         if (currentSchedule[chatId]) {
-             delete currentSchedule[chatId];
+         if (currentSchedule[tickerKey]) {
+             delete currentSchedule[tickerKey];
              saveScheduledTickers(currentSchedule, scheduleFilePath);
-             console.log(`[${chatId}] Überreste aus Planungsdatei entfernt.`);
+             console.log(`[${tickerKey}] Überreste aus Planungsdatei entfernt.`);
          }
         return;
     }
     if (tickerState.isPolling) {
-        console.log(`[${chatId}] Polling ist bereits aktiv.`);
+        console.log(`[${tickerKey}] Polling ist bereits aktiv.`);
         return;
     }
 
-    console.log(`[${chatId}] Aktiviere Polling (Modus: ${tickerState.mode}).`);
+    console.log(`[${tickerKey}] Aktiviere Polling (Modus: ${tickerState.mode}).`);
     tickerState.isPolling = true; // Mark as actively polling
     tickerState.isScheduled = false; // No longer just scheduled
 
     // Remove from the schedule file persistence
     const currentSchedule = loadScheduledTickers(scheduleFilePath);
-    if (currentSchedule[chatId]) {
-        delete currentSchedule[chatId]; // ** Remove the entry **
+    if (currentSchedule[tickerKey]) {
+        delete currentSchedule[tickerKey]; // ** Remove the entry **
         saveScheduledTickers(currentSchedule, scheduleFilePath); // ** Save the updated file **
-        console.log(`[${chatId}] Aus Planungsdatei entfernt.`);
+        console.log(`[${tickerKey}] Aus Planungsdatei entfernt.`);
     }
 
     // --- Send Emoji Legend (Only in Recap Mode) ---
     if (tickerState.mode === 'recap') { // Check the mode
         try {
-            let legendMessage = "ℹ️ *Ticker-Legende:*\n";
-            // Iterate through EVENT_MAP to build the legend
-            for (const key in EVENT_MAP) {
-                // Ensure EVENT_MAP is accessible here, might need import if moved
-                const eventDetails = EVENT_MAP[key]; // Assuming EVENT_MAP is accessible
-                // Include only relevant, user-facing events
-                if ([0, 1, 2, 15, 16, 17].includes(parseInt(key))) continue; // Skip internal/start events
-                legendMessage += `${eventDetails.emoji} = ${eventDetails.label}\n`;
+            const language = getGroupLanguage(tickerState.chatId);
+            const legendLines = [translate(language, 'recap.legendTitle')];
+            // Iterate through the provider's event map to build the legend
+            const { eventMap } = getProvider(tickerState.provider);
+            for (const type in eventMap) {
+                // Include only relevant, user-facing events the group didn't switch off
+                if (['start', 'end'].includes(type)) continue; // Skip start/end events, they have lines of their own
+                if (getIgnoredEvents(tickerState.chatId).includes(type)) continue;
+                legendLines.push(translate(language, 'recap.legendLine', { emoji: eventMap[type].emoji, label: getEventLabel(language, type) }));
             }
-            await client.sendMessage(chatId, legendMessage.trim()); // Send the constructed legend
-            console.log(`[${chatId}] Emoji-Legende gesendet (Recap-Modus).`);
+            await sendMessage(tickerKey, legendLines.join('\n')); // Send the constructed legend
+            console.log(`[${tickerKey}] Emoji-Legende gesendet (Recap-Modus).`);
         } catch (error) {
-            console.error(`[${chatId}] Fehler beim Senden der Legende:`, error);
+            reportError(`[${tickerKey}] Fehler beim Senden der Legende:`, error);
         }
     }
     // --- End Legend ---
 
     // Start the recap message timer ONLY if in recap mode
-    if (tickerState.mode === 'recap') {
-        if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId); // Clear old timer if any
-        tickerState.recapIntervalId = setInterval(() => {
-            sendRecapMessage(chatId);
-        }, RECAP_INTERVAL_MINUTES * 60 * 1000); // Convert minutes to ms
-        console.log(`[${chatId}] Recap-Timer gestartet (${RECAP_INTERVAL_MINUTES} min).`);
-    }
+    if (tickerState.mode === 'recap') startRecapTimer(tickerKey);
 
     // Add the *first* polling job immediately for a quick initial update
     // Use unshift to add to the front of the queue
-    if (!jobQueue.some(job => job.chatId === chatId && job.type === 'poll')) {
+    if (!jobQueue.some(job => job.tickerKey === tickerKey && job.type === 'poll')) {
         jobQueue.unshift({
             type: 'poll', // Mark as a polling job
-            chatId,
+            tickerKey,
             meetingPageUrl: tickerState.meetingPageUrl, // Get URL from state
             tickerState: tickerState, // Pass the current state reference
             jobId: Date.now() // Unique ID for timing/logging
@@ -157,21 +460,80 @@ async function beginActualPolling(chatId) {
     }
 }
 
+/**
+ * Restores the tickers from the schedule file after a restart.
+ * Tickers whose start time is still ahead get a new start timer, the others start polling immediately.
+ * Call after loadSeenTickers so restored tickers keep their seen events. Seen entries without a game URL
+ * (saved before the seen file stored it) get the URL from the schedule file if the ticker is scheduled there,
+ * the others are kept until the group's next !start takes them over (see queueTickerScheduling) or !reset.
+ * @returns {number} - The number of tickers that were re-scheduled.
+ */
+function restoreScheduledTickers() {
+    // Load scheduled tickers from the JSON file
+    const scheduledTickersData = loadScheduledTickers(scheduleFilePath);
+    const now = Date.now();
+    let rescheduledCount = 0;
+
+    // Iterate through the loaded schedule data
+    for (const tickerKey in scheduledTickersData) {
+        const scheduleData = scheduledTickersData[tickerKey];
+        const startTime = new Date(scheduleData.startTime);
+        const delay = startTime.getTime() - now; // Calculate remaining time until start
+
+        // Create or get the state object for this ticker
+        const tickerState = activeTickers.get(tickerKey) || { seen: new Set() };
+        // Populate state with schedule data (URL, group name etc.)
+        tickerState.chatId = scheduleData.chatId;
+        tickerState.tickerId = scheduleData.tickerId;
+        tickerState.meetingPageUrl = scheduleData.meetingPageUrl;
+        tickerState.meetingApiUrl = scheduleData.meetingApiUrl || null; // Cached API URL (re-resolved if missing)
+        tickerState.provider = scheduleData.provider; // Restore the provider (undefined = nuScore)
+        tickerState.groupName = scheduleData.groupName;
+        tickerState.halftimeLength = scheduleData.halftimeLength;
+        tickerState.mode = scheduleData.mode; // Restore the mode
+        tickerState.transport = scheduleData.transport; // Restore the transport (undefined = WhatsApp)
+        tickerState.scoreboard = Boolean(scheduleData.scoreboard);
+        tickerState.pinScoreboard = Boolean(scheduleData.pinScoreboard);
+        tickerState.filter = upgradeFilter(scheduleData.filter || null);
+        tickerState.scheduledTime = scheduleData.scheduledTime; // Game start, used to detect moved fixtures
+        tickerState.recapEvents = []; // Initialize recap buffer
+        tickerState.isPolling = false; // It's not polling yet
+        activeTickers.set(tickerKey, tickerState); // Ensure it's in the main map
+
+        if (delay > 0) {
+            // If start time is still in the future, set a new timeout
+            console.log(`[${tickerKey}] Lade geplante Aufgabe. Startet in ${Math.round(delay / 60000)} Minuten.`);
+            tickerState.isScheduled = true;
+            // When timer fires, polling starts (long waits are split, see armStartTimer)
+            armStartTimer(tickerKey, startTime);
+            rescheduledCount++;
+        } else {
+            // If start time has passed while bot was offline, start polling immediately
+            console.log(`[${tickerKey}] Geplante Startzeit verpasst. Starte Polling sofort.`);
+            beginActualPolling(tickerKey); // Call function to start polling now
+        }
+    }
+    if (rescheduledCount > 0) {
+        console.log(`${rescheduledCount} Ticker erfolgreich neu geplant.`);
+    }
+    return rescheduledCount;
+}
+
 /**
  * Sends a recap message containing accumulated events for a specific chat.
  * Formats the events using formatRecapEventLine and clears the buffer.
  * Calculates game time range for the recap title.
- * @param {string} chatId - The WhatsApp chat ID.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
  */
-async function sendRecapMessage(chatId) {
-    const tickerState = activeTickers.get(chatId);
+async function sendRecapMessage(tickerKey) {
+    const tickerState = activeTickers.get(tickerKey);
     // Only proceed if ticker is active and has events stored
     if (!tickerState || !tickerState.isPolling || !tickerState.recapEvents || tickerState.recapEvents.length === 0) {
         if (tickerState && tickerState.recapEvents) tickerState.recapEvents = []; // Clear buffer defensively
         return; // Nothing to do
     }
 
-    console.log(`[${chatId}] Sende ${tickerState.recapEvents.length} Events im Recap.`);
+    console.log(`[${tickerKey}] Sende ${tickerState.recapEvents.length} Events im Recap.`);
 
     // --- Calculate Game Time Range ---
     tickerState.recapEvents.sort((a, b) => a.second - b.second); // Ensure order
@@ -179,7 +541,6 @@ async function sendRecapMessage(chatId) {
     const lastEventSecond = tickerState.recapEvents[tickerState.recapEvents.length - 1].second;
     const startMinute = Math.floor(firstEventSecond / 60);
     const endMinute = Math.ceil(lastEventSecond / 60);
-    const timeRangeTitle = `Minute ${startMinute} - ${endMinute}`;
 
     // --- Build Recap Body ---
     // Format each stored raw event object into a string line using the specific recap formatter
@@ -188,25 +549,42 @@ async function sendRecapMessage(chatId) {
     const validLines = recapLines.filter(line => line && line.trim() !== '');
 
     if (validLines.length === 0) {
-        console.log(`[${chatId}] Keine gültigen Events zum Senden im Recap gefunden.`);
+        console.log(`[${tickerKey}] Keine gültigen Events zum Senden im Recap gefunden.`);
         tickerState.recapEvents = []; // Clear buffer anyway
         return;
     }
 
     // --- Construct Final Message ---
-    const teamHeader = `*${tickerState.teamNames.home}* : *${tickerState.teamNames.guest}*`;
-    const recapBody = validLines.join('\n'); // Join lines with newline
-    const finalMessage = `📬 *Recap ${timeRangeTitle}*\n\n${teamHeader}\n${recapBody}`; // Final recap message format
+    const finalMessage = translate(getGroupLanguage(tickerState.chatId), 'recap.message', {
+        from: startMinute,
+        to: endMinute,
+        home: tickerState.teamNames.home,
+        guest: tickerState.teamNames.guest,
+        lines: validLines.join('\n') // Join lines with newline
+    });
 
     try {
-        await client.sendMessage(chatId, finalMessage);
+        await sendMessage(tickerKey, finalMessage);
         tickerState.recapEvents = []; // Clear buffer after successful send
     } catch (error) {
-        console.error(`[${chatId}] Fehler beim Senden der Recap-Nachricht:`, error);
+        reportError(`[${tickerKey}] Fehler beim Senden der Recap-Nachricht:`, error);
         tickerState.recapEvents = []; // Clear buffer even on error
     }
 }
 
+/**
+ * Removes all pending jobs of a ticker from the queue.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @returns {Array<object>} - The removed jobs.
+ */
+function removeQueuedJobs(tickerKey) {
+    const removed = [];
+    for (let i = jobQueue.length - 1; i >= 0; i--) {
+        if (jobQueue[i].tickerKey === tickerKey) removed.unshift(...jobQueue.splice(i, 1));
+    }
+    return removed;
+}
+
 /**
  * Master Scheduler: Runs periodically (e.g., every 20s).
  * Selects the next active, polling ticker using round-robin.
@@ -221,22 +599,30 @@ function masterScheduler() {
     // Round-robin selection
     lastPolledIndex = (lastPolledIndex + 1) % pollingTickers.length;
     const tickerStateToPoll = pollingTickers[lastPolledIndex];
-    // Find the chatId for the selected state
-    const chatId = [...activeTickers.entries()].find(([key, val]) => val === tickerStateToPoll)?.[0];
+    // Find the key for the selected state
+    const tickerKey = [...activeTickers.entries()].find(([key, val]) => val === tickerStateToPoll)?.[0];
 
     // Add a 'poll' job only if the ticker is valid and not already waiting in the queue
-    if (chatId && tickerStateToPoll.isPolling && !jobQueue.some(job => job.chatId === chatId && job.type === 'poll')) {
+    if (tickerKey && tickerStateToPoll.isPolling && !jobQueue.some(job => job.tickerKey === tickerKey && job.type === 'poll')) {
         jobQueue.push({
              type: 'poll',
-             chatId,
+             tickerKey,
              meetingPageUrl: tickerStateToPoll.meetingPageUrl,
              tickerState: tickerStateToPoll, // Pass the state reference
              jobId: Date.now()
         });
-        console.log(`[${chatId}] Poll-Job zur Warteschlange hinzugefügt. Aktuelle Länge: ${jobQueue.length}`);
+        console.log(`[${tickerKey}] Poll-Job zur Warteschlange hinzugefügt. Aktuelle Länge: ${jobQueue.length}`);
     }
 }
 
+/**
+ * Returns the current usage of the worker pool.
+ * @returns {{activeWorkers: number, maxWorkers: number, queueLength: number}}
+ */
+function getWorkerStatus() {
+    return { activeWorkers, maxWorkers: MAX_WORKERS, queueLength: jobQueue.length };
+}
+
 /**
  * Dispatcher Loop: Runs frequently (e.g., every 0.5s).
  * Checks if there are jobs in the queue and if a worker slot is available (activeWorkers < MAX_WORKERS).
@@ -251,83 +637,117 @@ function dispatcherLoop() {
 }
 
 /**
- * Executes a single job (either 'schedule' or 'poll') using Puppeteer/Axios.
- * This function performs the resource-intensive browser launch and data fetching.
+ * Sends one of the notices about the reachability of the ticker data; a failure is only logged.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @param {object} tickerState - The state object of the ticker.
+ * @param {string} key - The template key, e.g. 'ticker.unreachable'.
+ */
+async function sendReachabilityNotice(tickerKey, tickerState, key) {
+    try {
+        await sendMessage(tickerKey, translate(getGroupLanguage(tickerState.chatId), key));
+    } catch (e) {
+        reportError(`[${tickerKey}] Fehler beim Senden des Hinweises (${key}):`, e.message);
+    }
+}
+
+/**
+ * Handles a worker job that couldn't reach the ticker API, even after the retries of retry.js (or with an open circuit).
+ * Instead of silent gaps the group is told once that the ticker data is unreachable, and again when it is back.
+ * A scheduling job is queued again with a growing delay instead of giving up at the first outage.
+ * @param {object} job - The failed job.
+ * @param {object} tickerState - The state object of the ticker.
+ * @returns {Promise<boolean>} - False if a scheduling job has used up its retries and fails for good.
+ */
+async function handleUnreachable(job, tickerState) {
+    const { tickerKey, type } = job;
+    tickerState.failedFetches = (tickerState.failedFetches || 0) + 1;
+    if (type === 'schedule' && tickerState.failedFetches > SCHEDULE_RETRY_LIMIT) return false;
+
+    // The group waits for the scheduling confirmation, so it hears about it at once; polls get a second chance
+    if (!tickerState.isUnreachable && (type === 'schedule' || tickerState.failedFetches >= UNREACHABLE_NOTICE_AFTER)) {
+        tickerState.isUnreachable = true;
+        console.log(`[${tickerKey}] Ticker-Daten nicht erreichbar, Gruppe wird informiert.`);
+        await sendReachabilityNotice(tickerKey, tickerState, type === 'schedule' ? 'ticker.unreachableScheduling' : 'ticker.unreachable');
+    }
+    if (type === 'schedule') {
+        const delay = getBackoffDelay(tickerState.failedFetches - 1, SCHEDULE_RETRY_BASE_MS, SCHEDULE_RETRY_MAX_MS);
+        console.log(`[${tickerKey}] Planung wird in ${Math.round(delay / 1000)} s wiederholt (Versuch ${tickerState.failedFetches + 1} von ${SCHEDULE_RETRY_LIMIT + 1}).`);
+        tickerState.scheduleRetryTimeout = setTimeout(() => {
+            tickerState.scheduleRetryTimeout = null;
+            jobQueue.push({ ...job, jobId: Date.now() });
+        }, delay);
+    }
+    return true;
+}
+
+/**
+ * Executes a single job (either 'schedule' or 'poll') through the ticker's provider (see providers/index.js).
+ * The game API URL is resolved once per ticker and cached in the ticker state,
+ * so e.g. nuScore only runs Puppeteer if the URL can't be derived from the meeting page URL.
  * It differentiates logic based on the job type.
- * @param {object} job - The job object from the queue (contains type, chatId, etc.).
+ * @param {object} job - The job object from the queue (contains type, tickerKey, etc.).
  */
 async function runWorker(job) {
-    const { chatId, jobId, type } = job;
-    const tickerState = activeTickers.get(chatId); // Get current state from map
-    const timerLabel = `[${chatId}] Job ${jobId} (${type}) Execution Time`;
+    const { tickerKey, jobId, type } = job;
+    const tickerState = activeTickers.get(tickerKey); // Get current state from map
+    const timerLabel = `[${tickerKey}] Job ${jobId} (${type}) Execution Time`;
     console.time(timerLabel); // Start timing
-    let browser = null; // Define outside try for robust cleanup
 
     // --- Pre-execution Check ---
     // Verify the ticker is still valid and in the expected state for this job type
     if (!tickerState || (type === 'poll' && !tickerState.isPolling) || (type === 'schedule' && !tickerState.isScheduling)) {
-        console.log(`[${chatId}] Job ${jobId} (${type}) wird übersprungen, da Ticker-Status ungültig oder geändert.`);
+        console.log(`[${tickerKey}] Job ${jobId} (${type}) wird übersprungen, da Ticker-Status ungültig oder geändert.`);
         activeWorkers--; // Free worker slot immediately since job is skipped
         console.timeEnd(timerLabel);
         return;
     }
 
-    console.log(`[${chatId}] Worker startet Job ${jobId} (${type}). Verbleibende Jobs: ${jobQueue.length}. Aktive Worker: ${activeWorkers}`);
+    console.log(`[${tickerKey}] Worker startet Job ${jobId} (${type}). Verbleibende Jobs: ${jobQueue.length}. Aktive Worker: ${activeWorkers}`);
+    const startedAt = Date.now();
+    let result = 'ok'; // For the job duration metric
 
     try {
-        // --- Puppeteer Phase (Common for both job types) ---
-        browser = await puppeteer.launch({ executablePath: '/usr/bin/chromium', args: ['--no-sandbox', '--disable-setuid-sandbox'] });
-        const page = await browser.newPage();
-        await page.setRequestInterception(true);
-        const apiCallPromise = new Promise((resolve, reject) => {
-             page.on('request', request => {
-                 if (request.url().includes('/nuScoreLiveRestBackend/api/1/meeting/')) resolve(request.url());
-                 request.continue();
-             });
-             setTimeout(() => reject(new Error('API-Request wurde nicht innerhalb von 120s abgefangen.')), 12000);
-        });
-        await page.goto(job.meetingPageUrl, { waitUntil: 'networkidle0', timeout: 90000 });
-        const capturedUrl = await apiCallPromise;
-        await browser.close(); browser = null; // Close browser
+        const provider = getProvider(tickerState.provider);
+        // --- Resolve Phase (only once per ticker) ---
+        if (!tickerState.meetingApiUrl) {
+            tickerState.meetingApiUrl = await provider.resolveGameApiUrl(job.meetingPageUrl);
+        }
 
-        // --- Axios Phase & Job-Specific Logic ---
-        const metaRes = await axios.get(capturedUrl);
-        const gameData = metaRes.data;
+        // --- Fetch Phase & Job-Specific Logic ---
+        const gameData = await provider.fetchGame(tickerState.meetingApiUrl);
+        tickerState.lastPollAt = new Date().toISOString(); // Shown on the dashboard
+        if (tickerState.isUnreachable) {
+            tickerState.isUnreachable = false;
+            console.log(`[${tickerKey}] Ticker-Daten wieder erreichbar.`);
+            // A scheduling job confirms the ticker with its usual message instead
+            if (type === 'poll') await sendReachabilityNotice(tickerKey, tickerState, 'ticker.reachableAgain');
+        }
 
         // --- Logic for 'schedule' job ---
         if (type === 'schedule') {
+            const { language, pregame, recap } = getGroupSettings(tickerState.chatId);
             const scheduledTime = new Date(gameData.scheduled);
-            const startTime = new Date(scheduledTime.getTime() - (PRE_GAME_START_MINUTES * 60000));
+            const startTime = new Date(scheduledTime.getTime() - (pregame * 60000));
             const delay = startTime.getTime() - Date.now();
             const teamNames = { home: gameData.teamHome, guest: gameData.teamGuest };
-            const startTimeLocale = startTime.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
-            const startDateLocale = startTime.toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' });
 
             tickerState.teamNames = teamNames;
             tickerState.halftimeLength = gameData.halftimeLength;
 
             if (delay > 0) { // Still in future
-                console.log(`[${chatId}] Planungs-Job erfolgreich...`);
-                const modeDescriptionScheduled = (tickerState.mode === 'recap') ? `im Recap-Modus (${RECAP_INTERVAL_MINUTES}-Minuten-Zusammenfassungen)` : "mit Live-Updates";
-                await client.sendMessage(chatId, `✅ Ticker für *${teamNames.home}* vs *${teamNames.guest}* ist geplant (${modeDescriptionScheduled}) und startet automatisch am ${startDateLocale} um ca. ${startTimeLocale} Uhr.`);                tickerState.isPolling = false; tickerState.isScheduled = true;
-                const currentSchedule = loadScheduledTickers(scheduleFilePath);
-                // ** Save schedule data **
-                currentSchedule[chatId] = {
-                    meetingPageUrl: job.meetingPageUrl,
-                    startTime: startTime.toISOString(),
-                    groupName: tickerState.groupName,
-                    halftimeLength: tickerState.halftimeLength,
-                    mode: tickerState.mode
-                };
-                saveScheduledTickers(currentSchedule, scheduleFilePath);
-                tickerState.scheduleTimeout = setTimeout(() => beginActualPolling(chatId), delay);
+                console.log(`[${tickerKey}] Planungs-Job erfolgreich...`);
+                await sendMessage(tickerKey, translate(language, 'ticker.scheduled', { ...teamNames, mode: describeTickerMode(tickerState), date: formatDate(language, startTime), time: formatTime(language, startTime) }));
+                scheduleTicker(tickerKey, scheduledTime);
             } else { // Already started
-                console.log(`[${chatId}] Planungs-Job erfolgreich. Spiel beginnt sofort...`);
-                let startMessage = `▶️ Ticker für *${teamNames.home}* vs *${teamNames.guest}* wird sofort gestartet. `;
-                startMessage += (tickerState.mode === 'recap') ? `Du erhältst alle ${RECAP_INTERVAL_MINUTES} Minuten eine Zusammenfassung. 📬` : `Du erhältst alle Events live! ⚽`;
-                await client.sendMessage(chatId, startMessage);
+                console.log(`[${tickerKey}] Planungs-Job erfolgreich. Spiel beginnt sofort...`);
+                tickerState.scheduledTime = scheduledTime.toISOString(); // Kick-off, shown in the archive and the match report
+                let details;
+                if (tickerState.mode === 'scoreboard') details = translate(language, 'ticker.startingScoreboard');
+                else details = (tickerState.mode === 'recap') ? translate(language, 'ticker.startingRecap', { minutes: recap }) : translate(language, 'ticker.startingLive');
+                if (tickerState.filter && tickerState.mode !== 'scoreboard') details += translate(language, 'ticker.startingFilter', { filter: formatFilter(tickerState.filter, teamNames, language) });
+                await sendMessage(tickerKey, translate(language, 'ticker.startingNow', { ...teamNames, details }));
                 tickerState.isScheduling = false;
-                beginActualPolling(chatId);
+                beginActualPolling(tickerKey);
             }
         }
         // --- Logic for 'poll' job ---
@@ -335,64 +755,158 @@ async function runWorker(job) {
              if (!tickerState.teamNames && gameData.teamHome) { tickerState.teamNames = { home: gameData.teamHome, guest: gameData.teamGuest }; }
              if (!tickerState.halftimeLength && gameData.halftimeLength) { tickerState.halftimeLength = gameData.halftimeLength; }
 
-            const versionUid = gameData.versionUid;
+            const versionUid = gameData.version;
             if (versionUid && versionUid !== tickerState.lastVersionUid) {
-                console.log(`[${chatId}] Neue Version erkannt: ${versionUid}`);
-                tickerState.lastVersionUid = versionUid;
-                const meetingApiRegex = /api\/1\/meeting\/(\d+)\/time\/(\d+)/;
-                const apiMatch = capturedUrl.match(meetingApiRegex);
-                if (!apiMatch) throw new Error("Konnte Meeting ID nicht aus URL extrahieren für Events-Abruf.");
-                const meetingId = apiMatch[1];
-                const eventsUrl = `https:\/\/hbde-live.liga.nu/nuScoreLiveRestBackend/api/1\/events/${meetingId}/versions/${versionUid}`;
-                const eventsRes = await axios.get(eventsUrl);
-                if (await processEvents(eventsRes.data, tickerState, chatId)) {
+                console.log(`[${tickerKey}] Neue Version erkannt: ${versionUid}`);
+                const rawEvents = await provider.fetchEvents(tickerState.meetingApiUrl, versionUid);
+                const events = rawEvents ? normalizeEvents(provider, rawEvents) : null;
+                let changed = await processEvents({ events }, tickerState, tickerKey);
+                // The scoreboard is edited after the event messages, so it shows the same state
+                if (tickerState.scoreboard && events) {
+                    changed = await updateScoreboard(tickerKey, tickerState, events) || changed;
+                }
+                if (changed) {
                     saveSeenTickers(activeTickers, seenFilePath);
                 }
+                // Only a version whose events arrived counts as done; otherwise the next poll fetches it again
+                if (events) tickerState.lastVersionUid = versionUid;
+                else console.warn(`[${tickerKey}] Version ${versionUid} lieferte keine Events, nächster Poll versucht es erneut.`);
             } else {
-                 console.log(`[${chatId}] Keine neue Version erkannt (${versionUid || 'N/A'}).`);
+                 console.log(`[${tickerKey}] Keine neue Version erkannt (${versionUid || 'N/A'}).`);
             }
         }
+        tickerState.failedFetches = 0;
     } catch (error) {
-        console.error(`[${chatId}] Fehler im Worker-Job ${jobId} (${type}):`, error.message);
-        if (type === 'schedule') {
-             await client.sendMessage(chatId, 'Fehler: Die initiale Planung des Tickers ist fehlgeschlagen. Bitte versuchen Sie es erneut.');
-             activeTickers.delete(chatId);
+        reportError(`[${tickerKey}] Fehler im Worker-Job ${jobId} (${type}):`, error.message);
+        result = 'error';
+        tickerState.errorCount = (tickerState.errorCount || 0) + 1; // Shown on the dashboard
+        tickerState.lastError = { time: new Date().toISOString(), message: error.message };
+        // A 404 means the cached API URL is stale; resolve it again on the next job
+        if (error.response && error.response.status === 404) tickerState.meetingApiUrl = null;
+        // Outages of the ticker API are retried; everything else fails the scheduling at once
+        const isRetrying = error.isUnreachable && await handleUnreachable(job, tickerState);
+        if (type === 'schedule' && !isRetrying) {
+             await sendMessage(tickerKey, translate(getGroupLanguage(tickerState.chatId), 'ticker.schedulingFailed'));
+             activeTickers.delete(tickerKey);
              const currentSchedule = loadScheduledTickers(scheduleFilePath);
-             if (currentSchedule[chatId]) {
-                 delete currentSchedule[chatId];
+             if (currentSchedule[tickerKey]) {
+                 delete currentSchedule[tickerKey];
                  saveScheduledTickers(currentSchedule, scheduleFilePath);
              }
         }
-        if (browser) await browser.close();
     } finally {
         console.timeEnd(timerLabel);
+        workerJobDuration.observe({ type, result }, (Date.now() - startedAt) / 1000);
         activeWorkers--;
     }
 }
 
+/**
+ * Compares the events of a new version with the snapshots of already seen events and
+ * tells the group about events the scorekeeper changed or deleted.
+ * In live mode the message sent for the event is edited (or replaced) where possible;
+ * otherwise a separate correction notice is posted.
+ * Events still waiting in the recap buffer were never posted, so they are just updated or dropped there.
+ * @param {Array<object>} events - All events of the new version, sorted by idx.
+ * @param {object} tickerState - The state object for the specific ticker.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @returns {Promise<boolean>} - True if a snapshot changed (the seen file needs saving).
+ */
+async function processCorrections(events, tickerState, tickerKey) {
+    const snapshots = tickerState.eventSnapshots;
+    // An empty list is more likely a backend hiccup than every event being deleted
+    if (events.length === 0 || Object.keys(snapshots).length === 0) return false;
+
+    // The score after the latest event of the new version
+    const lastEvent = events[events.length - 1];
+    const score = { pointsHome: lastEvent.pointsHome, pointsGuest: lastEvent.pointsGuest };
+    const currentEvents = new Map(events.map(ev => [String(ev.idx), ev]));
+    const ignoredEvents = getIgnoredEvents(tickerState.chatId);
+    const corrections = [];
+    let snapshotsChanged = false;
+
+    for (const [idx, previous] of Object.entries(snapshots)) {
+        // The filter was changed with !filter since the event was reported: the group no longer follows it
+        if (!matchesFilter(previous, tickerState)) {
+            delete snapshots[idx];
+            snapshotsChanged = true;
+            continue;
+        }
+        let current = currentEvents.get(idx);
+        // An event turned into an ignored or filtered type is gone as far as the group is concerned
+        if (current && (ignoredEvents.includes(current.type) || !matchesFilter(current, tickerState))) current = undefined;
+        if (current && !hasEventChanged(previous, current)) continue;
+        snapshotsChanged = true;
+
+        const recapIndex = (tickerState.recapEvents || []).findIndex(ev => String(ev.idx) === idx);
+        if (recapIndex !== -1) {
+            // Not posted yet: fix the recap buffer silently
+            if (current) tickerState.recapEvents[recapIndex] = current;
+            else tickerState.recapEvents.splice(recapIndex, 1);
+        } else if (tickerState.mode === 'scoreboard') {
+            // Nothing was posted for the event, the scoreboard shows the corrected state on its own
+        } else if (current) {
+            if (!await replaceEventMessage(tickerKey, tickerState, idx, formatEvent(current, tickerState))) {
+                corrections.push(formatCorrection(previous, current, tickerState, score));
+            }
+        } else {
+            const retraction = formatRetraction(previous, tickerState, score);
+            if (!await replaceEventMessage(tickerKey, tickerState, idx, retraction)) corrections.push(retraction);
+        }
+
+        if (current) {
+            console.log(`[${tickerKey}] Event ${idx} wurde korrigiert (Typ ${previous.type} -> ${current.type}).`);
+            snapshots[idx] = getEventSnapshot(current);
+        } else {
+            console.log(`[${tickerKey}] Event ${idx} wurde gelöscht (Typ ${previous.type}).`);
+            delete snapshots[idx];
+            if (tickerState.sentMessages) delete tickerState.sentMessages[idx];
+        }
+    }
+
+    for (const correction of corrections) {
+        try {
+            await sendMessage(tickerKey, correction);
+        } catch (sendError) {
+            reportError(`[${tickerKey}] Fehler beim Senden der Korrektur:`, sendError);
+        }
+    }
+    return snapshotsChanged;
+}
+
 /**
  * Processes events, handles modes, calls AI, sends final stats, schedules cleanup.
  * @param {object} data - The API response containing the events array.
  * @param {object} tickerState - The state object for the specific ticker.
- * @param {string} chatId - The WhatsApp chat ID.
- * @returns {boolean} - True if new, unseen events were processed, false otherwise.
+ * @param {string} tickerKey - The key of the ticker in activeTickers.
+ * @returns {boolean} - True if new, unseen events or corrections were processed, false otherwise.
  */
-async function processEvents(data, tickerState, chatId) {
+async function processEvents(data, tickerState, tickerKey) {
     if (!data || !Array.isArray(data.events)) return false;
-    let newUnseenEventsProcessed = false;
     const events = data.events.slice().sort((a, b) => a.idx - b.idx);
+    tickerState.events = events; // Latest version of all events, for !score and !stats (memory only)
+
+    // Corrections of already posted events come first, so the group sees them before newer events
+    tickerState.eventSnapshots = tickerState.eventSnapshots || {};
+    tickerState.sentMessages = tickerState.sentMessages || {};
+    let newUnseenEventsProcessed = await processCorrections(events, tickerState, tickerKey);
+    const settings = getGroupSettings(tickerState.chatId);
+    const ignoredEvents = getIgnoredEvents(tickerState.chatId);
 
     for (const ev of events) {
         if (tickerState.seen.has(ev.idx)) continue;
 
-        // Mark as seen immediately
+        // Mark as seen immediately and remember its content to detect later corrections
         tickerState.seen.add(ev.idx);
+        // Events hidden by the group's settings or the ticker filter are never reported
+        const isReported = !ignoredEvents.includes(ev.type) && matchesFilter(ev, tickerState);
+        if (isReported) tickerState.eventSnapshots[ev.idx] = getEventSnapshot(ev);
         newUnseenEventsProcessed = true;
 
         // Format a message *only* for live mode.
         // In recap mode, msg will be formatted later.
         let msg = "";
-        if (tickerState.mode === 'live') {
+        if (tickerState.mode === 'live' && isReported) {
             msg = formatEvent(ev, tickerState);
         }
 
@@ -401,87 +915,124 @@ async function processEvents(data, tickerState, chatId) {
         // For Live Mode, send message if it's not empty
         if (tickerState.mode === 'live' && msg) {
             try {
-                console.log(`[${chatId}] Sende neues Event (Live):`, msg);
-                await client.sendMessage(chatId, msg);
+                console.log(`[${tickerKey}] Sende neues Event (Live):`, msg);
+                const messageId = await sendMessage(tickerKey, msg);
+                // Remember the message so it can be edited if the scorekeeper corrects the event
+                if (messageId) tickerState.sentMessages[ev.idx] = messageId;
+                // Events without a time from the backend can't be measured
+                if (ev.time) eventDeliveryDelay.observe({}, Math.max(0, Date.now() - ev.time) / 1000);
             } catch (sendError) {
-                console.error(`[${chatId}] Fehler beim Senden der Nachricht für Event ${ev.idx}:`, sendError);
+                reportError(`[${tickerKey}] Fehler beim Senden der Nachricht für Event ${ev.idx}:`, sendError);
             }
         }
         // For Recap Mode, just store the event object
         else if (tickerState.mode === 'recap') {
-            // We store all events (except ignored ones) to build the recap
-            const ignoredEvents = [0, 1, 17];
-            if (!ignoredEvents.includes(ev.event)) {
-                console.log(`[${chatId}] Speichere Event-Objekt für Recap (ID: ${ev.idx}, Typ: ${ev.event})`);
+            // We store all events (except ignored or filtered ones) to build the recap
+            if (isReported) {
+                console.log(`[${tickerKey}] Speichere Event-Objekt für Recap (ID: ${ev.idx}, Typ: ${ev.type})`);
                 tickerState.recapEvents = tickerState.recapEvents || [];
                 tickerState.recapEvents.push(ev);
             }
         }
         
         // --- Handle Critical Events (AFTER processing them) ---
-        const isCriticalEvent = (ev.event === 14 || ev.event === 16 || ev.event === 15);
+        const isCriticalEvent = ['periodEnd', 'end', 'start'].includes(ev.type);
         if (isCriticalEvent && tickerState.mode === 'recap') {
             // If it's a critical event in recap mode, send the buffer *now*
-            console.log(`[${chatId}] Kritisches Event (${ev.event}) erkannt, sende Recap sofort.`);
-            await sendRecapMessage(chatId); // This sends and clears the buffer
+            console.log(`[${tickerKey}] Kritisches Event (${ev.type}) erkannt, sende Recap sofort.`);
+            await sendRecapMessage(tickerKey); // This sends and clears the buffer
+        }
+
+        // --- Score chart at halftime (the first whistle of the game, unless switched off with !config chart aus) ---
+        if (ev.type === 'periodEnd' && settings.chart && events.find(e => e.type === 'periodEnd') === ev) {
+            await sendScoreChart(tickerKey, tickerState, events.filter(e => e.idx <= ev.idx), 'halftime');
         }
 
 
         // --- Handle Game End ---
-        if (ev.event === 16) {
-            console.log(`[${chatId}] Spielende-Event empfangen. Ticker wird gestoppt.`);
+        if (ev.type === 'end') {
+            console.log(`[${tickerKey}] Spielende-Event empfangen. Ticker wird gestoppt.`);
             tickerState.isPolling = false;
+            tickerState.isFinished = true; // Kept until cleanup so the final messages stay labelled
             if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
 
             // Note: The final recap (including event 16) was already sent by the logic above.
             // We just continue to the final stats, AI, and cleanup messages.
 
-            // Remove pending job
-            const index = jobQueue.findIndex(job => job.chatId === chatId);
-            if (index > -1) jobQueue.splice(index, 1);
+            // Remove pending jobs of this ticker
+            removeQueuedJobs(tickerKey);
 
-            // --- Send Final Stats ---
-            try {
-                const gameStats = extractGameStats(events, tickerState.teamNames);
-                const statsMessage = `📊 *Statistiken zum Spiel:*\n` +
-                                     `-----------------------------------\n` +
-                                     `*Topscorer (${tickerState.teamNames.home}):* ${gameStats.homeTopScorer}\n` +
-                                     `*Topscorer (${tickerState.teamNames.guest}):* ${gameStats.guestTopScorer}\n` +
-                                     `*7-Meter (${tickerState.teamNames.home}):* ${gameStats.homeSevenMeters}\n` +
-                                     `*7-Meter (${tickerState.teamNames.guest}):* ${gameStats.guestSevenMeters}\n` +
-                                     `*Zeitstrafen (${tickerState.teamNames.home}):* ${gameStats.homePenalties}\n` +
-                                     `*Zeitstrafen (${tickerState.teamNames.guest}):* ${gameStats.guestPenalties}`;
+            // The statistics of the whole game, shared by the final stats and the AI summary
+            const finalStats = computeGameStats(events);
+
+            // --- Send Final Stats (unless switched off with !config stats aus) ---
+            if (settings.stats) {
+                try {
+                    const gameStats = extractGameStats(events, tickerState.teamNames, settings.language);
+                    const statsMessage = translate(settings.language, 'game.stats', { ...tickerState.teamNames, ...gameStats })
+                        + '\n\n' + formatGameDetails(finalStats, tickerState);
                 
-                setTimeout(async () => {
-                     try { await client.sendMessage(chatId, statsMessage); }
-                     catch(e) { console.error(`[${chatId}] Fehler beim Senden der Spielstatistiken:`, e); }
-                }, 1000); // 1s delay
-            } catch (e) { console.error(`[${chatId}] Fehler beim Erstellen der Spielstatistiken:`, e); }
+                    setTimeout(async () => {
+                         try { await sendMessage(tickerKey, statsMessage); }
+                         catch(e) { reportError(`[${tickerKey}] Fehler beim Senden der Spielstatistiken:`, e); }
+                    }, 1000); // 1s delay
+                } catch (e) { reportError(`[${tickerKey}] Fehler beim Erstellen der Spielstatistiken:`, e); }
+            }
 
-            // --- Send AI Summary ---
-            try {
-                const summary = await generateGameSummary(events, tickerState.teamNames, tickerState.groupName, tickerState.halftimeLength);
+            // --- Send the score chart of the whole game (unless switched off with !config chart aus) ---
+            if (settings.chart) {
+                setTimeout(() => sendScoreChart(tickerKey, tickerState, events, 'end'), 1500); // 1.5s delay, after the stats
+            }
+
+            // --- Send AI Summary (unless switched off with !config ai aus) ---
+            let summary = null;
+            if (settings.ai) {
+                try {
+                    summary = await generateGameSummary(events, tickerState.teamNames, tickerState.groupName, tickerState.halftimeLength, settings.language, finalStats);
+                    setTimeout(async () => {
+                         if (summary) {
+                             try { await sendMessage(tickerKey, summary); }
+                             catch(e) { reportError(`[${tickerKey}] Fehler beim Senden der AI-Zusammenfassung:`, e); }
+                         }
+                    }, 2000); // 2s delay
+                } catch (e) { reportError(`[${tickerKey}] Fehler beim Generieren der AI-Zusammenfassung:`, e); }
+            }
+
+            // --- Archive the game (for !history, !lastgame and !vs after the cleanup) ---
+            try { archiveGame(tickerState, events, finalStats, summary); }
+            catch (e) { reportError(`[${tickerKey}] Fehler beim Archivieren des Spiels:`, e); }
+
+            // --- Send Final Bot Message (the group's closing message, null if switched off) ---
+            const sendClosingMessage = async () => {
+                try { await sendMessage(tickerKey, settings.closing); }
+                catch (e) { reportError(`[${tickerKey}] Fehler beim Senden der Abschlussnachricht:`, e); }
+            };
+
+            // --- Send the match report (PDF, or HTML if it couldn't be printed; unless switched off with !config report aus) ---
+            // Rendered in the delayed send, so the worker isn't held while Puppeteer prints the PDF.
+            // The closing message waits for the report to stay the last message of the game.
+            if (settings.report) {
+                const caption = translate(settings.language, 'report.caption', { ...tickerState.teamNames, score: `${finalStats.score.home}:${finalStats.score.guest}` });
                 setTimeout(async () => {
-                     if (summary) {
-                         try { await client.sendMessage(chatId, summary); }
-                         catch(e) { console.error(`[${chatId}] Fehler beim Senden der AI-Zusammenfassung:`, e); }
-                     }
-                }, 2000); // 2s delay
-            } catch (e) { console.error(`[${chatId}] Fehler beim Generieren der AI-Zusammenfassung:`, e); }
-
-            // --- Send Final Bot Message ---
-            setTimeout(async () => {
-                const finalMessage = "Vielen Dank fürs Mitfiebern! 🥳\n\nDen Quellcode für diesen Bot könnt ihr hier einsehen:\nhttps://github.com/nambatu/whatsapp-liveticker-bot/";
-                try { await client.sendMessage(chatId, finalMessage); }
-                catch (e) { console.error(`[${chatId}] Fehler beim Senden der Abschlussnachricht: `, e); }
-            }, 4000); // 4s delay
+                    try {
+                        const report = await createMatchReport(events, tickerState);
+                        try {
+                            if (report.pdf) await sendDocument(tickerKey, report.pdf, `${report.fileName}.pdf`, 'application/pdf', caption);
+                            else await sendDocument(tickerKey, Buffer.from(report.html), `${report.fileName}.html`, 'text/html', caption);
+                        } catch (e) { reportError(`[${tickerKey}] Fehler beim Senden des Spielberichts:`, e); }
+                    } catch (e) { reportError(`[${tickerKey}] Fehler beim Erstellen des Spielberichts:`, e); }
+                    if (settings.closing) await sendClosingMessage();
+                }, 3000); // 3s delay
+            } else if (settings.closing) {
+                setTimeout(sendClosingMessage, 4000); // 4s delay
+            }
 
             // --- Schedule Cleanup ---
             setTimeout(() => {
-                if (activeTickers.has(chatId)) {
-                    activeTickers.delete(chatId);
+                if (activeTickers.has(tickerKey)) {
+                    activeTickers.delete(tickerKey);
                     saveSeenTickers(activeTickers, seenFilePath);
-                    console.log(`[${chatId}] Ticker-Daten automatisch bereinigt.`);
+                    console.log(`[${tickerKey}] Ticker-Daten automatisch bereinigt.`);
                 }
             }, 3600000);
             break; // Stop processing events
@@ -495,6 +1046,15 @@ module.exports = {
     initializePolling,
     masterScheduler,
     dispatcherLoop,
+    getWorkerStatus,
     startPolling: queueTickerScheduling, // Export queueTickerScheduling as startPolling
-    beginActualPolling
+    beginActualPolling,
+    restoreScheduledTickers,
+    scheduleTicker,
+    removeQueuedJobs,
+    // Used by the replay mode (replay.js)
+    processEvents,
+    sendRecapMessage,
+    updateScoreboard,
+    startRecapTimer
 };
\ No newline at end of file
@@ -0,0 +1,109 @@
+// providers/index.js - Registry of the live-ticker backends (sports and data providers) games can come from
+
+/*
+ * A provider connects the ticker engine to one live-ticker backend. Every provider is a plain object with:
+ *   name                        - Unique name, stored per ticker to pick the provider (e.g. 'nuscore').
+ *   sport                       - The sport of the games, e.g. 'handball'.
+ *   eventMap                    - Event type -> { emoji } for the event types of the engine (see below); the names of
+ *                                 the event types are in the locale files ("events").
+ *   matchesUrl(gamePageUrl)     - True if the game page URL users paste with !start belongs to this provider.
+ *   resolveGameApiUrl(gamePageUrl) - Resolves to the URL the game data is fetched from. Called once per ticker,
+ *                                 the result is cached (tickerState.meetingApiUrl) and saved with scheduled tickers.
+ *   fetchGame(gameApiUrl)       - Resolves to { scheduled (ISO date), teamHome, teamGuest, halftimeLength (minutes),
+ *                                 version }. A new version means there are new or changed events.
+ *   fetchEvents(gameApiUrl, version) - Resolves to the raw events of a version, or null if there are none yet.
+ *   normalizeEvent(rawEvent)    - Converts a raw event into the engine's event format (below), or returns null for
+ *                                 events the ticker doesn't show (e.g. team line-ups).
+ *   mapEventType(rawType)       - Returns the engine's event type for an event type of the backend, or null.
+ * A request failing with HTTP 404 makes the engine resolve the game API URL again.
+ *
+ * The event format of the engine is the same for every sport:
+ *   idx             - Position of the event in the game, unique per game (also identifies corrected events).
+ *   type            - One of EVENT_TYPES (config.js), e.g. 'goal' or 'periodEnd'.
+ *   second          - Game time in seconds.
+ *   teamHome        - True if the event belongs to the home team, false for the guest team.
+ *   pointsHome, pointsGuest - The score after the event.
+ *   personFirstname, personLastname - The player, if the backend names one.
+ *   duration        - Only 'suspension': how long the player is out, in game seconds.
+ *   time            - Optional: when the event was entered in the backend (Unix time in ms), for the delivery metric.
+ * Everything the engine does with events (messages, filters, statistics, chart, report) only looks at this format.
+ */
+
+const { EVENT_TYPES } = require('../config.js');
+const { nuscoreProvider } = require('./nuscore.js');
+
+const DEFAULT_PROVIDER = 'nuscore'; // Tickers saved before providers existed are nuScore tickers
+const providers = new Map();
+
+/**
+ * Registers a provider so games of its backend can be ticked.
+ * @param {object} provider - The provider object (see above).
+ */
+function registerProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+/**
+ * Returns a registered provider, falling back to the default (nuScore) provider.
+ * @param {string} [name] - The provider name stored in the ticker state.
+ * @returns {object} - The provider object.
+ */
+function getProvider(name) {
+    const provider = providers.get(name || DEFAULT_PROVIDER) || providers.get(DEFAULT_PROVIDER);
+    if (!provider) throw new Error(`Provider "${name}" ist nicht registriert.`);
+    return provider;
+}
+
+/**
+ * Finds the provider a game page URL belongs to.
+ * @param {string} gamePageUrl - The URL users paste with !start.
+ * @returns {object|null} - The provider object, or null if no provider handles the URL.
+ */
+function findProviderForUrl(gamePageUrl) {
+    return [...providers.values()].find(provider => provider.matchesUrl(gamePageUrl)) || null;
+}
+
+/**
+ * Converts the raw events of a provider into the engine's event format.
+ * Events the provider skips are left out, types the engine doesn't know become 'other'.
+ * @param {object} provider - The provider object.
+ * @param {Array<object>} rawEvents - The events as returned by provider.fetchEvents.
+ * @returns {Array<object>} - The normalized events.
+ */
+function normalizeEvents(provider, rawEvents) {
+    return rawEvents.map(rawEvent => provider.normalizeEvent(rawEvent))
+        .filter(Boolean)
+        .map(ev => (EVENT_TYPES.includes(ev.type) ? ev : { ...ev, type: 'other' }));
+}
+
+/**
+ * Converts an event type saved before the engine had event types of its own (settings, filters).
+ * Those are nuScore codes, the only provider back then; current types are returned unchanged.
+ * @param {string|number} type - The saved event type.
+ * @returns {string|null} - The event type, or null for events the ticker doesn't show.
+ */
+function upgradeEventType(type) {
+    return typeof type === 'number' ? getProvider(DEFAULT_PROVIDER).mapEventType(type) : type;
+}
+
+/**
+ * Converts an event saved before the engine had event types of its own (archive, seen file), see upgradeEventType.
+ * @param {object} ev - The saved event or event snapshot.
+ * @returns {object|null} - The event in the engine's format, or null for events the ticker doesn't show.
+ */
+function upgradeSavedEvent(ev) {
+    return ev.type ? ev : getProvider(DEFAULT_PROVIDER).normalizeEvent(ev);
+}
+
+/**
+ * Returns all registered providers.
+ * @returns {Array<object>}
+ */
+function getAllProviders() {
+    return [...providers.values()];
+}
+
+// Built-in providers; more sports can be added as modules in this directory and registered here
+registerProvider(nuscoreProvider);
+
+module.exports = { DEFAULT_PROVIDER, registerProvider, getProvider, findProviderForUrl, normalizeEvents, upgradeEventType, upgradeSavedEvent, getAllProviders };
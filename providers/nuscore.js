@@ -0,0 +1,285 @@
+// providers/nuscore.js - Ticker provider for handball games on nuScore (API URLs, events)
+const axios = require('axios');
+const puppeteer = require('puppeteer');
+const { apiErrors, puppeteerLaunchFailures } = require('../metrics.js');
+const { requestWithRetry } = require('../retry.js');
+
+// The event codes of nuScore and the event types of the engine they map to (see providers/index.js).
+// 0 ("Spiel geht weiter") and 17 ("Teamaufstellung") have no message and are left out.
+const EVENT_TYPES_BY_CODE = {
+    1: 'interruption',
+    2: 'timeout', // Home team
+    3: 'timeout', // Guest team
+    4: 'goal',
+    5: 'penaltyGoal', // 7-meter goal
+    6: 'penaltyMiss', // 7-meter miss
+    8: 'suspension', // 2 minutes
+    9: 'yellowCard',
+    11: 'redCard',
+    14: 'periodEnd', // Whistle at halftime (and before the game end)
+    15: 'start',
+    16: 'end'
+};
+const SKIPPED_CODES = [0, 17];
+const SUSPENSION_SECONDS = 120; // A suspension in handball lasts 2 minutes
+
+// Emojis of the event types for handball; their names are in the locale files (locales/<lang>.json, "events")
+const EVENT_MAP = {
+    interruption: { emoji: "⏱️" },
+    timeout: { emoji: "⏱️" },
+    goal: { emoji: "🤾‍♀️" },
+    penaltyGoal: { emoji: "7️⃣✅" },
+    penaltyMiss: { emoji: "7️⃣❌" },
+    suspension: { emoji: "✌🏼" },
+    yellowCard: { emoji: "🟨" },
+    redCard: { emoji: "🟥" },
+    periodEnd: { emoji: "⏸️" },
+    start: { emoji: "▶️" },
+    end: { emoji: "🏁" }
+};
+
+// How long Puppeteer waits for the web app to request the meeting API
+const CAPTURE_TIMEOUT_MS = 12000;
+
+// Base URL of the nuScore live ticker (web app and REST backend share the host)
+const NUSCORE_BASE_URL = 'https://hbde-live.liga.nu';
+
+/**
+ * Returns the base URL of the nuScore REST backend.
+ * It can be overridden with NUSCORE_API_BASE_URL, e.g. to point the tests at a local mock server;
+ * the variable is read on every request, so it may be set after this module was loaded.
+ * @returns {string}
+ */
+function getApiBaseUrl() {
+    return process.env.NUSCORE_API_BASE_URL || `${NUSCORE_BASE_URL}/nuScoreLiveRestBackend/api/1`;
+}
+
+// Matches the meeting page URL users paste with !start, e.g. .../nuScoreLive/#/groups/12345/meetings/67890
+const MEETING_PAGE_REGEX = /https:\/\/hbde-live\.liga\.nu\/nuScoreLive\/#\/groups\/(\d+)\/meetings\/(\d+)/;
+// Matches the meeting API URL, e.g. .../api/1/meeting/67890/time/1718000000000
+const MEETING_API_REGEX = /api\/1\/meeting\/(\d+)\/time\/(\d+)/;
+
+/**
+ * Extracts the group and meeting IDs from a nuScore meeting page URL.
+ * @param {string} meetingPageUrl - The URL of the NuLiga live ticker webpage.
+ * @returns {{groupId: string, meetingId: string}|null} - The IDs, or null if the URL doesn't match.
+ */
+function parseMeetingPageUrl(meetingPageUrl) {
+    const match = MEETING_PAGE_REGEX.exec(meetingPageUrl || '');
+    if (!match) return null;
+    return { groupId: match[1], meetingId: match[2] };
+}
+
+/**
+ * Extracts the meeting ID from a meeting API URL.
+ * @param {string} meetingApiUrl - The meeting API URL.
+ * @returns {string|null} - The meeting ID, or null if the URL doesn't match.
+ */
+function getMeetingIdFromApiUrl(meetingApiUrl) {
+    const match = MEETING_API_REGEX.exec(meetingApiUrl || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Builds the meeting API URL for a meeting ID.
+ * The trailing `/time/<ms>` segment is a cache buster the web app sets to the current time.
+ * @param {string} meetingId - The nuScore meeting ID.
+ * @returns {string} - The meeting API URL.
+ */
+function buildMeetingApiUrl(meetingId) {
+    return `${getApiBaseUrl()}/meeting/${meetingId}/time/${Date.now()}`;
+}
+
+/**
+ * Returns a copy of a cached meeting API URL with a fresh cache-buster timestamp.
+ * @param {string} meetingApiUrl - The cached meeting API URL.
+ * @returns {string} - The URL to request for the current poll.
+ */
+function refreshMeetingApiUrl(meetingApiUrl) {
+    return meetingApiUrl.replace(/\/time\/\d+/, `/time/${Date.now()}`);
+}
+
+/**
+ * Builds the events API URL for a specific version of a meeting.
+ * @param {string} meetingId - The nuScore meeting ID.
+ * @param {string} versionUid - The version UID reported by the meeting API.
+ * @returns {string} - The events API URL.
+ */
+function buildEventsUrl(meetingId, versionUid) {
+    return `${getApiBaseUrl()}/events/${meetingId}/versions/${versionUid}`;
+}
+
+/**
+ * Fetches a URL of the nuScore backend, retrying transient errors (see retry.js),
+ * and counts every failed request per endpoint for the metrics.
+ * @param {string} url - The URL.
+ * @param {('meeting'|'events'|'resolve')} endpoint - The endpoint, used as metric label.
+ * @returns {Promise<object>} - The axios response; errors are passed on.
+ */
+async function apiGet(url, endpoint) {
+    return requestWithRetry(url, async () => {
+        try {
+            return await axios.get(url);
+        } catch (error) {
+            apiErrors.inc({ provider: 'nuscore', endpoint });
+            throw error;
+        }
+    });
+}
+
+/**
+ * Loads the meeting page in Puppeteer and captures the meeting API request the web app makes.
+ * This is the slow fallback used only if the URL can't be derived directly.
+ * @param {string} meetingPageUrl - The URL of the NuLiga live ticker webpage.
+ * @returns {Promise<string>} - The captured meeting API URL.
+ */
+async function captureMeetingApiUrl(meetingPageUrl) {
+    let browser = null;
+    let captureTimer = null;
+    try {
+        try {
+            browser = await puppeteer.launch({ executablePath: '/usr/bin/chromium', args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+        } catch (error) {
+            puppeteerLaunchFailures.inc({ purpose: 'resolve' });
+            throw error;
+        }
+        const page = await browser.newPage();
+        await page.setRequestInterception(true);
+        const apiCallPromise = new Promise((resolve, reject) => {
+             page.on('request', request => {
+                 if (request.url().includes('/nuScoreLiveRestBackend/api/1/meeting/')) resolve(request.url());
+                 request.continue();
+             });
+             captureTimer = setTimeout(() => reject(new Error(`API-Request wurde nicht innerhalb von ${CAPTURE_TIMEOUT_MS / 1000}s abgefangen.`)), CAPTURE_TIMEOUT_MS);
+        });
+        // The request usually comes long before the page is idle; whichever settles first decides,
+        // so neither a late timeout nor a late navigation error goes unhandled
+        const navigation = page.goto(meetingPageUrl, { waitUntil: 'networkidle0', timeout: 90000 });
+        return await Promise.race([apiCallPromise, navigation.then(() => apiCallPromise)]);
+    } finally {
+        clearTimeout(captureTimer);
+        if (browser) await browser.close();
+    }
+}
+
+/**
+ * Resolves the meeting API URL for a meeting page.
+ * Derives the URL from the meeting ID in the page URL and checks that the backend answers;
+ * falls back to capturing it with Puppeteer if derivation fails.
+ * The result should be cached in the ticker state so this runs once per ticker.
+ * @param {string} meetingPageUrl - The URL of the NuLiga live ticker webpage.
+ * @returns {Promise<string>} - The meeting API URL.
+ */
+async function resolveMeetingApiUrl(meetingPageUrl) {
+    const ids = parseMeetingPageUrl(meetingPageUrl);
+    if (ids) {
+        const derivedUrl = buildMeetingApiUrl(ids.meetingId);
+        try {
+            const res = await apiGet(derivedUrl, 'resolve');
+            // Only trust the derived URL if it returns actual meeting data
+            if (res.data && typeof res.data === 'object' && (res.data.teamHome || res.data.scheduled)) {
+                console.log(`Meeting-API-URL für Meeting ${ids.meetingId} direkt abgeleitet.`);
+                return derivedUrl;
+            }
+            console.warn(`Abgeleitete Meeting-API-URL lieferte keine Spieldaten, nutze Puppeteer.`);
+        } catch (error) {
+            // If nuScore is down, the web app can't load the meeting either; Puppeteer would only waste time
+            if (error.isUnreachable) throw error;
+            console.warn(`Abgeleitete Meeting-API-URL nicht erreichbar (${error.message}), nutze Puppeteer.`);
+        }
+    }
+    const capturedUrl = await captureMeetingApiUrl(meetingPageUrl);
+    console.log(`Meeting-API-URL per Puppeteer abgefangen: ${capturedUrl}`);
+    return capturedUrl;
+}
+
+/**
+ * Returns the event type of the engine for a nuScore event code.
+ * @param {number} code - The `event` field of a nuScore event.
+ * @returns {string|null} - The event type ('other' for unknown codes), or null for codes without a message.
+ */
+function mapEventType(code) {
+    if (SKIPPED_CODES.includes(code)) return null;
+    return EVENT_TYPES_BY_CODE[code] || 'other';
+}
+
+/**
+ * Reads the time a nuScore event was entered, which comes as Unix time (seconds or ms) or as an ISO date.
+ * @param {number|string} [timestamp] - The `timestamp` field of a nuScore event.
+ * @returns {number|null} - Unix time in ms, or null if the event has no valid time.
+ */
+function parseEventTime(timestamp) {
+    if (typeof timestamp === 'number') return timestamp < 1e12 ? timestamp * 1000 : timestamp;
+    if (typeof timestamp === 'string') return Date.parse(timestamp) || null;
+    return null;
+}
+
+/**
+ * Converts an event of the nuScore events API into the event format of the ticker engine.
+ * @param {object} rawEvent - The event as returned by the events API.
+ * @returns {object|null} - The normalized event, or null for events without a message.
+ */
+function normalizeEvent(rawEvent) {
+    const type = mapEventType(rawEvent.event);
+    if (!type) return null;
+    const ev = {
+        idx: rawEvent.idx,
+        type,
+        second: rawEvent.second,
+        teamHome: rawEvent.teamHome,
+        pointsHome: rawEvent.pointsHome,
+        pointsGuest: rawEvent.pointsGuest,
+        personFirstname: rawEvent.personFirstname,
+        personLastname: rawEvent.personLastname
+    };
+    if (type === 'suspension') ev.duration = SUSPENSION_SECONDS;
+    const time = parseEventTime(rawEvent.timestamp);
+    if (time) ev.time = time;
+    return ev;
+}
+
+// The provider object registered in providers/index.js
+const nuscoreProvider = {
+    name: 'nuscore',
+    sport: 'handball',
+    eventMap: EVENT_MAP,
+
+    matchesUrl(gamePageUrl) {
+        return MEETING_PAGE_REGEX.test(gamePageUrl || '');
+    },
+
+    resolveGameApiUrl: resolveMeetingApiUrl,
+
+    async fetchGame(gameApiUrl) {
+        const { data } = await apiGet(refreshMeetingApiUrl(gameApiUrl), 'meeting');
+        return {
+            scheduled: data.scheduled,
+            teamHome: data.teamHome,
+            teamGuest: data.teamGuest,
+            halftimeLength: data.halftimeLength,
+            version: data.versionUid
+        };
+    },
+
+    async fetchEvents(gameApiUrl, version) {
+        const meetingId = getMeetingIdFromApiUrl(gameApiUrl);
+        if (!meetingId) throw new Error("Konnte Meeting ID nicht aus URL extrahieren für Events-Abruf.");
+        const { data } = await apiGet(buildEventsUrl(meetingId, version), 'events');
+        return (data && Array.isArray(data.events)) ? data.events : null;
+    },
+
+    normalizeEvent,
+    mapEventType
+};
+
+module.exports = {
+    EVENT_MAP,
+    nuscoreProvider,
+    MEETING_PAGE_REGEX,
+    parseMeetingPageUrl,
+    buildMeetingApiUrl,
+    getMeetingIdFromApiUrl,
+    refreshMeetingApiUrl,
+    buildEventsUrl,
+    resolveMeetingApiUrl
+};
@@ -0,0 +1,132 @@
+// replay.js - Replays a recorded game through the normal ticker pipeline (offline simulation)
+//
+// Usage: node replay.js <recording.json> [--speed <factor>] [--recap] [--scoreboard] [--verbose]
+//
+// The recording contains the meeting data and the events as returned by the nuScore API:
+//   { "meeting": { "teamHome": ..., "teamGuest": ..., "halftimeLength": ... }, "events": [ ... ] }
+// A plain response of the events endpoint ({ "events": [...] }) works too.
+// Events are fed to processEvents in game-time order, --speed 60 plays one game minute per second,
+// --speed 0 replays everything without waiting. Messages are printed instead of sent
+// (with --scoreboard, every update of the scoreboard is printed as a new message);
+// the bot's own log output is only shown with --verbose.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerTransport, DEFAULT_TRANSPORT } = require('./transports/index.js');
+const { createConsoleTransport } = require('./transports/console.js');
+const { initializePolling, beginActualPolling, removeQueuedJobs, processEvents, sendRecapMessage, updateScoreboard } = require('./polling.js');
+const { getGroupSettings } = require('./settings.js');
+const { getTickerKey } = require('./utils.js');
+const { DEFAULT_PROVIDER, getProvider, normalizeEvents } = require('./providers/index.js');
+
+const FINAL_MESSAGES_WAIT_MS = 6000; // The final stats, AI summary and closing message are sent with up to 4s delay
+
+/**
+ * Parses the command line arguments.
+ * @param {Array<string>} argv - process.argv without node and script path.
+ * @returns {{file: string, speed: number, mode: ('live'|'recap'), scoreboard: boolean, verbose: boolean}}
+ */
+function parseArgs(argv) {
+    const options = { file: null, speed: 1, mode: 'live', scoreboard: false, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--speed') options.speed = parseFloat(argv[++i]);
+        else if (argv[i] === '--recap') options.mode = 'recap';
+        else if (argv[i] === '--scoreboard') options.scoreboard = true;
+        else if (argv[i] === '--verbose') options.verbose = true;
+        else options.file = argv[i];
+    }
+    if (!options.file || isNaN(options.speed) || options.speed < 0) {
+        console.error('Verwendung: node replay.js <aufnahme.json> [--speed <faktor>] [--recap] [--scoreboard] [--verbose]');
+        process.exit(1);
+    }
+    return options;
+}
+
+/**
+ * Groups the events by game second, so events that happened at the same time arrive in one "version".
+ * @param {Array<object>} events - The recorded events.
+ * @returns {Array<Array<object>>} - Steps of events, sorted by game time.
+ */
+function groupEventsBySecond(events) {
+    const sorted = events.slice().sort((a, b) => (a.second || 0) - (b.second || 0) || a.idx - b.idx);
+    const steps = [];
+    for (const ev of sorted) {
+        const lastStep = steps[steps.length - 1];
+        if (lastStep && (lastStep[0].second || 0) === (ev.second || 0)) lastStep.push(ev);
+        else steps.push([ev]);
+    }
+    return steps;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs the replay.
+ */
+async function main() {
+    const { file, speed, mode, scoreboard, verbose } = parseArgs(process.argv.slice(2));
+    const log = console.log;
+    if (!verbose) console.log = () => {}; // Only show what would be sent
+    const recording = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    const meeting = recording.meeting || {};
+    if (!Array.isArray(recording.events)) throw new Error('Die Aufnahme enthält kein "events"-Array.');
+
+    // Print instead of sending: the console transport replaces the default (WhatsApp) transport
+    registerTransport(createConsoleTransport(DEFAULT_TRANSPORT));
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticker-replay-'));
+    const activeTickers = new Map();
+    initializePolling(activeTickers, [], path.join(tmpDir, 'seen_tickers.json'), path.join(tmpDir, 'scheduled_tickers.json'));
+
+    const chatId = 'replay@console';
+    const tickerKey = getTickerKey(chatId, 1);
+    activeTickers.set(tickerKey, {
+        chatId,
+        tickerId: 1,
+        seen: new Set(),
+        isPolling: false,
+        meetingPageUrl: 'replay',
+        groupName: 'Replay',
+        teamNames: { home: meeting.teamHome || 'Heim', guest: meeting.teamGuest || 'Gast' },
+        halftimeLength: meeting.halftimeLength,
+        mode,
+        scoreboard,
+        recapEvents: []
+    });
+
+    await beginActualPolling(tickerKey);
+    removeQueuedJobs(tickerKey); // Events come from the recording, not from the worker
+    const tickerState = activeTickers.get(tickerKey);
+    if (tickerState.recapIntervalId && speed > 0) {
+        // Scale the recap interval with the replay speed
+        clearInterval(tickerState.recapIntervalId);
+        tickerState.recapIntervalId = setInterval(() => sendRecapMessage(tickerKey), getGroupSettings(chatId).recap * 60000 / speed);
+    }
+
+    log(`Replay: ${meeting.teamHome || 'Heim'} vs ${meeting.teamGuest || 'Gast'}, ${recording.events.length} Events, Modus ${mode}, Geschwindigkeit ${speed || 'sofort'}.`);
+    const revealed = [];
+    let lastSecond = 0;
+    const events = normalizeEvents(getProvider(DEFAULT_PROVIDER), recording.events);
+    for (const step of groupEventsBySecond(events)) {
+        const second = step[0].second || 0;
+        if (speed > 0) await sleep((second - lastSecond) * 1000 / speed);
+        lastSecond = second;
+        revealed.push(...step);
+        await processEvents({ events: revealed.slice() }, tickerState, tickerKey);
+        if (scoreboard) await updateScoreboard(tickerKey, tickerState, revealed);
+        if (!tickerState.isPolling) break; // Game end was processed
+    }
+
+    // In recap mode without a game end event, flush what is left in the buffer
+    if (tickerState.isPolling) await sendRecapMessage(tickerKey);
+    if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
+    await sleep(FINAL_MESSAGES_WAIT_MS);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    log('\nReplay beendet.');
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('Fehler beim Replay:', error);
+    process.exit(1);
+});
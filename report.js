@@ -0,0 +1,242 @@
+// report.js - Match report after the final whistle: a standalone HTML page and a PDF (via Puppeteer), kept in the reports folder
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { getProvider } = require('./providers/index.js');
+const { computeGameStats, getPlayers } = require('./stats.js');
+const { renderScoreChart } = require('./chart.js');
+const { getGroupLanguage } = require('./settings.js');
+const { translate, getEventLabel, formatDate } = require('./i18n.js');
+const { puppeteerLaunchFailures } = require('./metrics.js');
+const { reportError } = require('./health.js');
+
+// --- SHARED STATE (Initialized by app.js) ---
+let reportsDirPath;
+
+/**
+ * Initializes the report module with the folder for the report copies from app.js.
+ * Without initialization (e.g. in replay.js) reports are still created and sent, but not kept on disk.
+ * @param {string} reportsDir - The folder for the HTML and PDF files.
+ */
+function initializeReports(reportsDir) {
+    reportsDirPath = reportsDir;
+}
+
+/**
+ * Escapes text for use in HTML.
+ * @param {*} value - The text (numbers are converted).
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+/**
+ * Formats game seconds as MM:SS.
+ * @param {number} sec - The game second.
+ * @returns {string}
+ */
+function formatGameTime(sec) {
+    return `${String(Math.floor(sec / 60)).padStart(2, '0')}:${String(sec % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Returns the full name of a player for the report, leaving out "Anonym" parts.
+ * @param {string|null} firstName - The player's first name.
+ * @param {string|null} lastName - The player's last name.
+ * @returns {string} - The name, or an empty string for anonymous players.
+ */
+function formatPlayerName(firstName, lastName) {
+    return [firstName, lastName].filter(part => part && part.toLowerCase() !== 'anonym').join(' ');
+}
+
+/**
+ * Builds a file name for the report from the game date and the team names, e.g. "2025-05-24_hsg-heim_tv-gast".
+ * @param {object} tickerState - The state object of the ticker.
+ * @returns {string} - The file name without extension.
+ */
+function getReportBaseName(tickerState) {
+    const date = (tickerState.scheduledTime ? new Date(tickerState.scheduledTime) : new Date()).toISOString().slice(0, 10);
+    const slug = name => String(name || '').toLowerCase()
+        .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+        .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const teams = tickerState.teamNames || {};
+    return [date, slug(teams.home) || 'heim', slug(teams.guest) || 'gast'].join('_');
+}
+
+/**
+ * Builds the match report as a standalone HTML page: header with the final and halftime score, the score chart,
+ * the team statistics, a table per team with the players and the full event timeline.
+ * @param {Array<object>} events - All events of the game.
+ * @param {object} tickerState - The state object of the ticker (team names, provider, group, halftime length).
+ * @returns {string} - The HTML page.
+ */
+function buildReportHtml(events, tickerState) {
+    const language = getGroupLanguage(tickerState.chatId);
+    const t = (key, params) => escapeHtml(translate(language, `report.${key}`, params));
+    const { eventMap } = getProvider(tickerState.provider);
+    const home = tickerState.teamNames ? tickerState.teamNames.home : translate(language, 'teams.home');
+    const guest = tickerState.teamNames ? tickerState.teamNames.guest : translate(language, 'teams.guest');
+    const sorted = events.slice().sort((a, b) => a.idx - b.idx);
+    const stats = computeGameStats(sorted);
+    const none = escapeHtml(translate(language, 'game.none'));
+
+    const halftime = stats.halves ? `<p class="halftime">${t('halftime', { score: `${stats.halves.first.home}:${stats.halves.first.guest}` })}</p>` : '';
+    const dateLine = tickerState.scheduledTime ? `<p class="meta">${t('date', { date: formatDate(language, new Date(tickerState.scheduledTime)), group: tickerState.groupName || '' })}</p>` : '';
+    const chart = renderScoreChart(sorted, tickerState.halftimeLength).toString('base64');
+
+    // Team statistics: one row per value, home and guest side by side
+    const formatSevenMeters = team => `${team.sevenMetersMade}/${team.sevenMetersMade + team.sevenMetersMissed}`;
+    const formatLead = lead => lead
+        ? escapeHtml(translate(language, 'game.lead', { goals: lead.goals, score: `${lead.pointsHome}:${lead.pointsGuest}`, time: formatGameTime(lead.second) }))
+        : none;
+    const formatRun = run => run
+        ? escapeHtml(translate(language, 'game.run', { goals: run.goals, from: formatGameTime(run.from), to: formatGameTime(run.to) }))
+        : none;
+    const statRows = [
+        [t('goals'), stats.home.goals, stats.guest.goals],
+        [t('sevenMeters'), formatSevenMeters(stats.home), formatSevenMeters(stats.guest)],
+        [t('penalties'), stats.home.penalties, stats.guest.penalties],
+        [t('yellowCards'), stats.home.yellowCards, stats.guest.yellowCards],
+        [t('redCards'), stats.home.redCards, stats.guest.redCards],
+        [t('timeouts'), stats.home.timeouts, stats.guest.timeouts],
+        [t('largestLead'), formatLead(stats.home.largestLead), formatLead(stats.guest.largestLead)],
+        [t('longestRun'), formatRun(stats.home.longestRun), formatRun(stats.guest.longestRun)]
+    ].map(([label, homeValue, guestValue]) => `<tr><th>${label}</th><td>${homeValue}</td><td>${guestValue}</td></tr>`).join('\n');
+
+    /**
+     * Builds the player table of a team. "Anonym" players are left out.
+     * @param {object} teamStats - The statistics of the team.
+     * @param {string} team - The team name.
+     * @returns {string}
+     */
+    const playerTable = (teamStats, team) => {
+        const rows = getPlayers(teamStats)
+            .map(([, player]) => ({ player, name: formatPlayerName(player.firstName, player.lastName) }))
+            .filter(({ name }) => name)
+            .map(({ player, name }) => {
+                const sevenMeterAttempts = player.sevenMetersMade + player.sevenMetersMissed;
+                return `<tr><td>${escapeHtml(name)}</td><td>${player.goals}</td><td>${sevenMeterAttempts > 0 ? `${player.sevenMetersMade}/${sevenMeterAttempts}` : ''}</td>`
+                    + `<td>${player.penalties || ''}</td><td>${player.yellowCards || ''}</td><td>${player.redCards || ''}</td></tr>`;
+            });
+        const body = rows.length > 0 ? rows.join('\n') : `<tr><td colspan="6">${escapeHtml(translate(language, 'game.noPlayers'))}</td></tr>`;
+        return `<h3>${escapeHtml(team)}</h3>
+<table class="players">
+<tr><th>${t('player')}</th><th>${t('goals')}</th><th>${t('sevenMeters')}</th><th>${t('penalties')}</th><th>${t('yellowCards')}</th><th>${t('redCards')}</th></tr>
+${body}
+</table>`;
+    };
+
+    // Timeline: every event type the provider has an emoji for (no events without a type of their own)
+    const timelineRows = sorted.filter(ev => eventMap[ev.type]).map(ev => {
+        const isTeamEvent = !['interruption', 'periodEnd', 'start', 'end'].includes(ev.type);
+        return `<tr><td>${formatGameTime(ev.second || 0)}</td><td>${ev.pointsHome || 0}:${ev.pointsGuest || 0}</td>`
+            + `<td>${escapeHtml(eventMap[ev.type].emoji)} ${escapeHtml(getEventLabel(language, ev.type))}</td>`
+            + `<td>${isTeamEvent ? escapeHtml(ev.teamHome ? home : guest) : ''}</td>`
+            + `<td>${escapeHtml(formatPlayerName(ev.personFirstname, ev.personLastname))}</td></tr>`;
+    });
+    const timeline = timelineRows.length > 0 ? timelineRows.join('\n') : `<tr><td colspan="5">${t('noEvents')}</td></tr>`;
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+<meta charset="utf-8">
+<title>${t('title', { home, guest })}</title>
+<style>
+body { font-family: Arial, Helvetica, sans-serif; color: #1f2937; margin: 24px; }
+header { text-align: center; margin-bottom: 16px; }
+h1 { font-size: 22px; margin: 0 0 8px; }
+h2 { font-size: 18px; border-bottom: 2px solid #2563eb; padding-bottom: 4px; margin-top: 28px; }
+h3 { font-size: 15px; margin: 16px 0 6px; }
+.score { font-size: 40px; font-weight: bold; margin: 4px 0; }
+.halftime, .meta, footer { color: #6b7280; margin: 2px 0; }
+.home { color: #2563eb; }
+.guest { color: #dc2626; }
+img { width: 100%; max-width: 800px; display: block; margin: 0 auto; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { border-bottom: 1px solid #e5e7eb; padding: 4px 6px; text-align: left; }
+tr { page-break-inside: avoid; }
+footer { margin-top: 28px; font-size: 11px; text-align: center; }
+</style>
+</head>
+<body>
+<header>
+<h1><span class="home">${escapeHtml(home)}</span> – <span class="guest">${escapeHtml(guest)}</span></h1>
+<p class="score">${stats.score.home}:${stats.score.guest}</p>
+${halftime}
+${dateLine}
+</header>
+<img src="data:image/png;base64,${chart}" alt="${t('chart')}">
+<h2>${t('stats')}</h2>
+<table class="stats">
+<tr><th></th><th class="home">${escapeHtml(home)}</th><th class="guest">${escapeHtml(guest)}</th></tr>
+${statRows}
+</table>
+<p>${t('course', { leadChanges: stats.leadChanges, ties: stats.ties })}</p>
+<h2>${t('players')}</h2>
+${playerTable(stats.home, home)}
+${playerTable(stats.guest, guest)}
+<h2>${t('timeline')}</h2>
+<table class="timeline">
+<tr><th>${t('time')}</th><th>${t('score')}</th><th>${t('event')}</th><th>${t('team')}</th><th>${t('player')}</th></tr>
+${timeline}
+</table>
+<footer>${t('footer')}</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Prints an HTML page to an A4 PDF with Puppeteer.
+ * @param {string} html - The HTML page.
+ * @returns {Promise<Buffer>} - The PDF file.
+ */
+async function renderPdf(html) {
+    let browser = null;
+    try {
+        try {
+            browser = await puppeteer.launch({ executablePath: '/usr/bin/chromium', args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+        } catch (error) {
+            puppeteerLaunchFailures.inc({ purpose: 'report' });
+            throw error;
+        }
+        const page = await browser.newPage();
+        await page.setContent(html, { waitUntil: 'load' });
+        return Buffer.from(await page.pdf({ format: 'A4', printBackground: true, margin: { top: '12mm', bottom: '12mm', left: '10mm', right: '10mm' } }));
+    } finally {
+        if (browser) await browser.close();
+    }
+}
+
+/**
+ * Creates the match report of a finished game and keeps a copy of the HTML and PDF file in the reports folder.
+ * If the PDF can't be printed (e.g. no Chromium), the report is still available as HTML.
+ * @param {Array<object>} events - All events of the game.
+ * @param {object} tickerState - The state object of the ticker.
+ * @returns {Promise<{fileName: string, html: string, pdf: (Buffer|null)}>} - fileName is without extension.
+ */
+async function createMatchReport(events, tickerState) {
+    const fileName = getReportBaseName(tickerState);
+    const html = buildReportHtml(events, tickerState);
+    let pdf = null;
+    try {
+        pdf = await renderPdf(html);
+    } catch (error) {
+        reportError(`Fehler beim Erstellen des PDF-Spielberichts (${fileName}), nur HTML verfügbar:`, error.message);
+    }
+
+    if (reportsDirPath) {
+        try {
+            fs.mkdirSync(reportsDirPath, { recursive: true });
+            fs.writeFileSync(path.join(reportsDirPath, `${fileName}.html`), html);
+            if (pdf) fs.writeFileSync(path.join(reportsDirPath, `${fileName}.pdf`), pdf);
+            console.log(`Spielbericht gespeichert: ${fileName}`);
+        } catch (error) {
+            reportError(`Fehler beim Speichern des Spielberichts (${fileName}):`, error);
+        }
+    }
+    return { fileName, html, pdf };
+}
+
+module.exports = { initializeReports, buildReportHtml, createMatchReport };
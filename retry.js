@@ -0,0 +1,150 @@
+// retry.js - Retries with exponential backoff and a circuit breaker per host, for the requests to the live-ticker APIs
+const { apiRetries, circuitOpen } = require('./metrics.js');
+
+/*
+ * Transient errors (timeouts, dropped connections, 429 and 5xx answers) are retried a few times with
+ * growing, jittered delays. Permanent errors (e.g. 404) are passed on at once, retrying wouldn't change them.
+ * If a host keeps failing, its circuit opens: requests to it fail at once for a while instead of piling up
+ * in the worker queue. After that pause the circuit is half-open: the next request is let through as a test
+ * while all others are still blocked; if it works the circuit closes again, if not it stays open for another pause.
+ * Errors that leave requestWithRetry because the host couldn't be reached are marked with `isUnreachable`.
+ */
+
+const DEFAULT_OPTIONS = {
+    retries: 2, // Further attempts after the first one
+    baseDelayMs: 500, // Delay before the first retry, doubled for every further one
+    maxDelayMs: 5000, // Longest delay between two attempts
+    failureThreshold: 5, // Failed requests in a row that open the circuit of a host
+    openMs: 60 * 1000 // How long an open circuit blocks requests
+};
+const TRANSIENT_STATUS_CODES = [408, 425, 429]; // Plus all 5xx answers
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH', 'EHOSTUNREACH', 'EPIPE', 'ERR_NETWORK'];
+const CIRCUIT_OPEN = 'ECIRCUITOPEN'; // Error code of requests blocked by an open circuit
+
+let options = { ...DEFAULT_OPTIONS };
+const circuits = new Map(); // Host -> { failures, openedAt (null while closed), testStartedAt (null without a test request) }
+
+/**
+ * Changes the retry and circuit breaker settings (e.g. shorter delays in the tests) and closes all circuits.
+ * @param {object} [overrides] - Any of retries, baseDelayMs, maxDelayMs, failureThreshold, openMs; missing ones use the defaults.
+ */
+function configureRetry(overrides = {}) {
+    options = { ...DEFAULT_OPTIONS, ...overrides };
+    circuits.clear();
+}
+
+/**
+ * Checks whether an error is worth retrying: no answer at all, a timeout, 429 or a server error.
+ * @param {Error} error - The error of an axios request.
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+    if (!error) return false;
+    if (error.response) return TRANSIENT_STATUS_CODES.includes(error.response.status) || error.response.status >= 500;
+    return error.code === CIRCUIT_OPEN || TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Computes the delay before a retry: exponential backoff with jitter, so several tickers don't retry in lockstep.
+ * Half of the delay is fixed, the other half random.
+ * @param {number} attempt - The number of the retry, starting at 0.
+ * @param {number} baseMs - The delay of the first retry.
+ * @param {number} maxMs - The longest delay.
+ * @returns {number} - Milliseconds.
+ */
+function getBackoffDelay(attempt, baseMs, maxMs) {
+    const delay = Math.min(maxMs, baseMs * 2 ** attempt);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Reads the Retry-After header (in seconds) of a 429 or 503 answer.
+ * @param {Error} error - The error of an axios request.
+ * @returns {number|null} - Milliseconds, or null without a usable header.
+ */
+function getRetryAfter(error) {
+    const header = error.response && error.response.headers && error.response.headers['retry-after'];
+    const seconds = Number(header);
+    return header && Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+}
+
+/**
+ * Throws if the circuit of a host is open: during its pause, and after it while a test request is running.
+ * A test request that hasn't finished after another pause no longer blocks the next one.
+ * @param {string} host - The host, e.g. 'hbde-live.liga.nu'.
+ */
+function checkCircuit(host) {
+    const circuit = circuits.get(host);
+    if (!circuit || circuit.openedAt === null) return;
+    const now = Date.now();
+    const remainingMs = circuit.openedAt + options.openMs - now;
+    const isTesting = circuit.testStartedAt !== null && now - circuit.testStartedAt < options.openMs;
+    if (remainingMs <= 0 && !isTesting) {
+        circuit.testStartedAt = now; // Half-open: only this request is let through
+        return;
+    }
+    const error = new Error(remainingMs > 0
+        ? `${host} ist nicht erreichbar, Anfragen pausieren noch ${Math.ceil(remainingMs / 1000)} s.`
+        : `${host} ist nicht erreichbar, eine Testanfrage läuft bereits.`);
+    error.code = CIRCUIT_OPEN;
+    throw error;
+}
+
+/**
+ * Updates the circuit of a host after a request.
+ * Any answer, even an error like 404, shows that the host is reachable and closes the circuit.
+ * @param {string} host - The host.
+ * @param {Error|null} error - The error of the request, null if it worked.
+ */
+function recordResult(host, error) {
+    if (!circuits.has(host)) circuits.set(host, { failures: 0, openedAt: null, testStartedAt: null });
+    const circuit = circuits.get(host);
+    if (!isTransientError(error)) {
+        if (circuit.openedAt !== null) console.log(`${host} ist wieder erreichbar, Anfragen laufen wieder normal.`);
+        circuit.failures = 0;
+        circuit.openedAt = null;
+        circuit.testStartedAt = null;
+        circuitOpen.set({ host }, 0);
+        return;
+    }
+    circuit.failures++;
+    // A failed test request opens the circuit again right away
+    if (circuit.openedAt !== null || circuit.failures >= options.failureThreshold) {
+        if (circuit.openedAt === null) console.warn(`${host} ist nach ${circuit.failures} Fehlern in Folge nicht erreichbar, Anfragen pausieren für ${Math.round(options.openMs / 1000)} s.`);
+        circuit.openedAt = Date.now();
+        circuit.testStartedAt = null; // A new pause, then a new test request
+        circuitOpen.set({ host }, 1);
+    }
+}
+
+/**
+ * Runs a request with retries and the circuit breaker of its host.
+ * @param {string} url - The requested URL (its host selects the circuit).
+ * @param {function(): Promise<*>} request - Makes the request, e.g. () => axios.get(url).
+ * @returns {Promise<*>} - The result of the request.
+ * @throws {Error} - The last error; `isUnreachable` is true if the host couldn't be reached.
+ */
+async function requestWithRetry(url, request) {
+    const { host } = new URL(url);
+    for (let attempt = 0; ; attempt++) {
+        try {
+            checkCircuit(host);
+            const result = await request();
+            recordResult(host, null);
+            return result;
+        } catch (error) {
+            if (error.code !== CIRCUIT_OPEN) recordResult(host, error);
+            if (!isTransientError(error) || error.code === CIRCUIT_OPEN || attempt >= options.retries) {
+                error.isUnreachable = isTransientError(error);
+                throw error;
+            }
+            const retryAfter = getRetryAfter(error);
+            const delay = retryAfter !== null ? Math.min(options.maxDelayMs, retryAfter) : getBackoffDelay(attempt, options.baseDelayMs, options.maxDelayMs);
+            console.warn(`Anfrage an ${host} fehlgeschlagen (${error.message}), Versuch ${attempt + 2} von ${options.retries + 1} in ${delay} ms.`);
+            apiRetries.inc({ host });
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+module.exports = { configureRetry, isTransientError, getBackoffDelay, requestWithRetry };
@@ -0,0 +1,227 @@
+// season.js - Season leaderboards of a team from the archived games (!topscorer, !season, !player)
+const { getChatGames } = require('./archive.js');
+const { resolveTeamSide } = require('./filters.js');
+const { abbreviatePlayerName } = require('./utils.js');
+const { getGroupSettings, getGroupLanguage } = require('./settings.js');
+const { translate } = require('./i18n.js');
+
+const SEASON_START_MONTH = 6; // Handball seasons start in July (months count from 0)
+const MAX_TOP_SCORERS = 10;
+const COUNTED_FIELDS = ['goals', 'sevenMetersMade', 'sevenMetersMissed', 'penalties', 'yellowCards', 'redCards'];
+
+/**
+ * Returns the year a season starts in for a date, e.g. 2024 for March 2025.
+ * @param {Date} date - The date.
+ * @returns {number}
+ */
+function getSeasonStartYear(date) {
+    return date.getMonth() >= SEASON_START_MONTH ? date.getFullYear() : date.getFullYear() - 1;
+}
+
+/**
+ * Formats a season like "2024/25".
+ * @param {number} startYear - The year the season starts in.
+ * @returns {string}
+ */
+function formatSeason(startYear) {
+    return `${startYear}/${String(startYear + 1).slice(-2)}`;
+}
+
+/**
+ * Checks whether a name part is missing or "Anonym" (as in abbreviatePlayerName).
+ * @param {string|null} name - The first or last name.
+ * @returns {boolean}
+ */
+function isAnonymousName(name) {
+    return !name || name.toLowerCase() === 'anonym';
+}
+
+/**
+ * Adds the numbers of a player in one game to the season entry.
+ * @param {object} entry - The season entry.
+ * @param {object} player - The player of an archived game (or another season entry).
+ * @param {Array<string>} gameIds - The archived games the numbers come from.
+ */
+function addPlayerGames(entry, player, gameIds) {
+    gameIds.forEach(id => entry.gameIds.add(id));
+    for (const field of COUNTED_FIELDS) entry[field] += player[field] || 0;
+}
+
+/**
+ * Adds up the players of one team over the archived games of a season.
+ * Players without a usable name ("Anonym" or no last name) only count as anonymous goals. Players whose first name
+ * is "Anonym" are added to the player with the same last name if the team has exactly one, otherwise they are listed by last name.
+ * @param {Array<object>} games - The archived games of the season.
+ * @param {string} team - The team (as set with !config team or typed by the user).
+ * @returns {{players: Array<object>, anonymousGoals: number}} - The players sorted by goals, with name, firstName, lastName,
+ *                                                                games (in which the player has an event) and the summed numbers.
+ */
+function aggregateSeasonPlayers(games, team) {
+    const players = new Map(); // Lowercase full name -> entry
+    const lastNameOnly = new Map(); // Lowercase last name -> entry, for players without first name
+    let anonymousGoals = 0;
+    const createEntry = (firstName, lastName) => ({ firstName, lastName, gameIds: new Set(), goals: 0, sevenMetersMade: 0, sevenMetersMissed: 0, penalties: 0, yellowCards: 0, redCards: 0 });
+
+    for (const game of games) {
+        const side = resolveTeamSide(team, game.teamNames);
+        for (const player of Object.values(game.stats[side].players)) {
+            if (isAnonymousName(player.lastName)) {
+                anonymousGoals += player.goals;
+                continue;
+            }
+            const map = isAnonymousName(player.firstName) ? lastNameOnly : players;
+            const key = isAnonymousName(player.firstName) ? player.lastName.toLowerCase() : `${player.firstName} ${player.lastName}`.toLowerCase();
+            if (!map.has(key)) map.set(key, createEntry(isAnonymousName(player.firstName) ? null : player.firstName, player.lastName));
+            addPlayerGames(map.get(key), player, [game.id]);
+        }
+    }
+
+    for (const [lastName, entry] of lastNameOnly) {
+        const namesakes = [...players.values()].filter(player => player.lastName.toLowerCase() === lastName);
+        if (namesakes.length === 1) {
+            addPlayerGames(namesakes[0], entry, entry.gameIds); // The same player, once entered without first name
+        } else {
+            players.set(lastName, entry);
+        }
+    }
+
+    const result = [...players.values()].map(({ gameIds, ...entry }) => ({
+        ...entry, name: entry.firstName ? `${entry.firstName} ${entry.lastName}` : entry.lastName, games: gameIds.size
+    }));
+    return { players: result.sort((a, b) => b.goals - a.goals || a.name.localeCompare(b.name)), anonymousGoals };
+}
+
+/**
+ * Collects the current season of a team from the group's archive: the season of the team's latest archived game.
+ * @param {string} chatId - The chat ID.
+ * @param {string} team - The team.
+ * @param {Array<object>} [chatGames] - The group's archived games, if already loaded (see formatPlayerSeason).
+ * @returns {{season: string, games: Array<object>, players: Array<object>, anonymousGoals: number}|null} - null if the team has no archived game.
+ */
+function getTeamSeason(chatId, team, chatGames = getChatGames(chatId)) {
+    const teamGames = chatGames.filter(game => resolveTeamSide(team, game.teamNames));
+    if (teamGames.length === 0) return null;
+    const startYear = getSeasonStartYear(new Date(teamGames[0].date)); // Games are sorted latest first
+    const games = teamGames.filter(game => getSeasonStartYear(new Date(game.date)) === startYear);
+    return { season: formatSeason(startYear), games, ...aggregateSeasonPlayers(games, team) };
+}
+
+/**
+ * Resolves the team of a leaderboard command: the typed name, or the group's team (settings "team").
+ * @param {string} chatId - The chat ID.
+ * @param {string} [teamArg] - The team as typed by the user.
+ * @returns {{team: string|null, season: object|null, error: string|null}} - error is the reply if there is nothing to show.
+ */
+function resolveSeason(chatId, teamArg) {
+    const language = getGroupLanguage(chatId);
+    const team = (teamArg && teamArg.trim()) || getGroupSettings(chatId).team;
+    if (!team) return { team, season: null, error: translate(language, 'season.noTeam') };
+    const season = getTeamSeason(chatId, team);
+    if (!season) return { team, season, error: translate(language, 'season.noGames', { team }) };
+    return { team, season, error: null };
+}
+
+/**
+ * Formats the reply to !topscorer: the best scorers of the season, the 7-meter specialist and the "Zeitstrafen-König".
+ * @param {string} chatId - The chat ID.
+ * @param {string} [teamArg] - The team as typed by the user (default: the group's team).
+ * @returns {string}
+ */
+function formatTopScorers(chatId, teamArg) {
+    const language = getGroupLanguage(chatId);
+    const { team, season, error } = resolveSeason(chatId, teamArg);
+    if (error) return error;
+    const none = translate(language, 'game.none');
+
+    const scorers = season.players.filter(player => player.goals > 0).slice(0, MAX_TOP_SCORERS);
+    const lines = scorers.map((player, index) => translate(language, 'season.scorerLine', {
+        rank: index + 1, name: player.name, goals: player.goals, perGame: (player.goals / player.games).toFixed(1)
+    }));
+
+    // Most 7-meter goals (the better rate decides a tie) and most 2-minute penalties
+    const sevenMeterTaker = season.players
+        .filter(player => player.sevenMetersMade > 0)
+        .sort((a, b) => b.sevenMetersMade - a.sevenMetersMade || a.sevenMetersMissed - b.sevenMetersMissed)[0];
+    const mostPenalties = season.players.filter(player => player.penalties > 0).sort((a, b) => b.penalties - a.penalties)[0];
+
+    return translate(language, 'season.topScorers', {
+        team,
+        season: season.season,
+        games: season.games.length,
+        lines: lines.length > 0 ? lines.join('\n') : translate(language, 'game.noTopScorer'),
+        sevenMeters: sevenMeterTaker
+            ? translate(language, 'season.sevenMeterTaker', { name: sevenMeterTaker.name, made: sevenMeterTaker.sevenMetersMade, total: sevenMeterTaker.sevenMetersMade + sevenMeterTaker.sevenMetersMissed })
+            : none,
+        penalties: mostPenalties ? translate(language, 'season.penaltyKing', { name: mostPenalties.name, penalties: mostPenalties.penalties }) : none,
+        anonymous: season.anonymousGoals > 0 ? translate(language, 'season.anonymousGoals', { goals: season.anonymousGoals }) : ''
+    });
+}
+
+/**
+ * Formats the reply to !season: a table with every player of the team in the season.
+ * @param {string} chatId - The chat ID.
+ * @param {string} [teamArg] - The team as typed by the user (default: the group's team).
+ * @returns {string}
+ */
+function formatSeasonTable(chatId, teamArg) {
+    const language = getGroupLanguage(chatId);
+    const { team, season, error } = resolveSeason(chatId, teamArg);
+    if (error) return error;
+    const lines = season.players.map(player => translate(language, 'season.tableLine', {
+        ...player,
+        sevenMeters: `${player.sevenMetersMade}/${player.sevenMetersMade + player.sevenMetersMissed}`
+    }));
+    return translate(language, 'season.table', {
+        team,
+        season: season.season,
+        games: season.games.length,
+        lines: lines.length > 0 ? lines.join('\n') : translate(language, 'game.noPlayers'),
+        anonymous: season.anonymousGoals > 0 ? translate(language, 'season.anonymousGoals', { goals: season.anonymousGoals }) : ''
+    });
+}
+
+/**
+ * Finds the players matching a typed name: the full name, the last name, "L. Becker" or a part of the name.
+ * An exact match wins over partial ones.
+ * @param {Array<object>} players - The season players.
+ * @param {string} query - The typed name.
+ * @returns {Array<object>}
+ */
+function findPlayers(players, query) {
+    const needle = query.trim().toLowerCase().replace(/\s+/g, ' ');
+    const exact = players.filter(player => [player.name, player.lastName, abbreviatePlayerName(player.firstName, player.lastName)]
+        .some(name => name && name.toLowerCase() === needle));
+    if (exact.length > 0) return exact;
+    return players.filter(player => player.name.toLowerCase().includes(needle));
+}
+
+/**
+ * Formats the reply to !player: the season numbers of one player of the group's team.
+ * Without a team setting, the players of all teams in the group's archive are searched.
+ * @param {string} chatId - The chat ID.
+ * @param {string} query - The typed name.
+ * @returns {string}
+ */
+function formatPlayerSeason(chatId, query) {
+    const language = getGroupLanguage(chatId);
+    const { team } = getGroupSettings(chatId);
+    // Without a team, every team of the group's archive is a candidate; the archive is read only once for all of them
+    const chatGames = getChatGames(chatId);
+    const teams = team ? [team] : [...new Set(chatGames.flatMap(game => [game.teamNames.home, game.teamNames.guest]))];
+    const candidates = teams.flatMap(teamName => {
+        const season = getTeamSeason(chatId, teamName, chatGames);
+        return season ? season.players.map(player => ({ ...player, team: teamName, season: season.season })) : [];
+    });
+    const matches = findPlayers(candidates, query);
+    if (matches.length === 0) return translate(language, 'season.playerNotFound', { name: query });
+    if (matches.length > 1) return translate(language, 'season.playerAmbiguous', { names: matches.map(player => `${player.name} (${player.team})`).join(', ') });
+
+    const [player] = matches;
+    return translate(language, 'season.player', {
+        ...player,
+        perGame: (player.goals / player.games).toFixed(1),
+        sevenMetersTotal: player.sevenMetersMade + player.sevenMetersMissed
+    });
+}
+
+module.exports = { getSeasonStartYear, aggregateSeasonPlayers, getTeamSeason, formatTopScorers, formatSeasonTable, formatPlayerSeason };
@@ -0,0 +1,293 @@
+// settings.js - Per-group ticker settings (!config), stored in group_settings.json
+const fs = require('fs');
+const { upgradeEventType } = require('./providers/index.js');
+const { DEFAULT_LANGUAGE, getLanguages, translate, isKeyword, parseEventName, getEventNames } = require('./i18n.js');
+const { reportError } = require('./health.js');
+
+// --- SHARED STATE (Initialized by app.js) ---
+let settingsFilePath;
+let storedSettings = {}; // The changed settings of all groups; read from the file once, then kept in memory
+
+/*
+ * The settings a group can change with !config. Every setting has:
+ *   type            - 'number', 'boolean', 'choice', 'events' (list of event types), 'text' (the keyword "off" switches it off)
+ *                     or 'list' (comma-separated entries, the keyword "none" empties it).
+ *   default         - The value for groups that didn't change it.
+ *   defaultTemplate - Instead of default: a template key, so the default follows the group's language.
+ *   min / max       - Allowed range for numbers.
+ *   choices         - Allowed values for choices.
+ *   keywords        - For choices: the values are keywords (locales "keywords"), typed and shown in any language.
+ * The descriptions shown by !config are in the locale files ("settings.descriptions").
+ */
+const SETTINGS = {
+    language: { type: 'choice', default: DEFAULT_LANGUAGE, choices: getLanguages() },
+    recap: { type: 'number', default: 5, min: 1, max: 60 },
+    pregame: { type: 'number', default: 5, min: 0, max: 120 },
+    ignore: { type: 'events', default: ['interruption'] },
+    ai: { type: 'boolean', default: true },
+    stats: { type: 'boolean', default: true },
+    chart: { type: 'boolean', default: true },
+    report: { type: 'boolean', default: true },
+    closing: { type: 'text', defaultTemplate: 'game.closing' },
+    team: { type: 'text', default: null },
+    access: { type: 'choice', default: 'all', choices: ['all', 'admins'], keywords: true },
+    allowed: { type: 'list', default: [] }
+};
+
+/**
+ * Initializes the settings module with the file path from app.js and loads the stored settings.
+ * The settings are read on every message, so they are kept in memory instead of reading the file each time.
+ * Without initialization (e.g. in replay.js) every group uses the defaults.
+ * @param {string} settingsFile - The file path for saving the group settings.
+ */
+function initializeSettings(settingsFile) {
+    settingsFilePath = settingsFile;
+    storedSettings = loadGroupSettings();
+}
+
+/**
+ * Loads the stored settings of all groups from the file.
+ * Ignored events saved before the engine had event types of its own and keyword choices saved as German words are converted.
+ * @returns {object} - An object mapping chatId to the changed settings of that group, or {} on error/no file.
+ */
+function loadGroupSettings() {
+    if (!settingsFilePath) return {};
+    try {
+        const groupSettings = JSON.parse(fs.readFileSync(settingsFilePath, 'utf8'));
+        for (const changes of Object.values(groupSettings)) {
+            if (Array.isArray(changes.ignore)) changes.ignore = [...new Set(changes.ignore.map(upgradeEventType).filter(Boolean))];
+            // Keyword choices used to be stored as the German word (e.g. access "alle")
+            for (const [name, definition] of Object.entries(SETTINGS)) {
+                if (definition.keywords && name in changes && !definition.choices.includes(changes[name])) {
+                    changes[name] = definition.choices.find(choice => isKeyword(changes[name], choice)) || definition.default;
+                }
+            }
+        }
+        return groupSettings;
+    } catch (e) {
+        // Handle file not found or invalid JSON
+        return {};
+    }
+}
+
+/**
+ * Saves the settings of all groups, in memory and in the file.
+ * @param {object} groupSettings - An object mapping chatId to the changed settings of that group.
+ */
+function saveGroupSettings(groupSettings) {
+    storedSettings = groupSettings;
+    try {
+        fs.writeFileSync(settingsFilePath, JSON.stringify(groupSettings, null, 2), 'utf8');
+    } catch (e) {
+        reportError('Fehler beim Speichern der Gruppen-Einstellungen:', e);
+    }
+}
+
+/**
+ * Returns the default value of a setting in a language.
+ * @param {string} name - The setting name.
+ * @param {string} language - The language code.
+ * @returns {*}
+ */
+function getDefaultValue(name, language) {
+    const definition = SETTINGS[name];
+    return definition.defaultTemplate ? translate(language, definition.defaultTemplate) : definition.default;
+}
+
+/**
+ * Returns the effective settings of a group (its changes merged over the defaults).
+ * @param {string} chatId - The chat ID.
+ * @returns {{language: string, recap: number, pregame: number, ignore: Array<string>, ai: boolean, stats: boolean, chart: boolean, report: boolean, closing: string|null, team: string|null, access: string, allowed: Array<string>}}
+ */
+function getGroupSettings(chatId) {
+    const changes = storedSettings[chatId] || {};
+    const language = changes.language || SETTINGS.language.default;
+    const settings = {};
+    for (const name of Object.keys(SETTINGS)) settings[name] = getDefaultValue(name, language);
+    return { ...settings, ...changes };
+}
+
+/**
+ * Returns the language a group gets its messages in.
+ * @param {string} chatId - The chat ID.
+ * @returns {string} - The language code, e.g. "de".
+ */
+function getGroupLanguage(chatId) {
+    return getGroupSettings(chatId).language;
+}
+
+/**
+ * Checks whether a group doesn't want messages for an event type.
+ * @param {string} chatId - The chat ID.
+ * @param {string} eventType - The event type (see EVENT_TYPES in config.js).
+ * @returns {boolean}
+ */
+function isEventIgnored(chatId, eventType) {
+    return getGroupSettings(chatId).ignore.includes(eventType);
+}
+
+/**
+ * Returns all event types a group ignores.
+ * @param {string} chatId - The chat ID.
+ * @returns {Array<string>}
+ */
+function getIgnoredEvents(chatId) {
+    return getGroupSettings(chatId).ignore;
+}
+
+/**
+ * Parses a value typed in !config into the type of the setting.
+ * @param {string} name - The setting name.
+ * @param {string} rawValue - The value as typed by the user.
+ * @param {string} language - The language of the error messages.
+ * @returns {*} - The parsed value.
+ * @throws {Error} - With a user-facing message if the value is invalid.
+ */
+function parseSettingValue(name, rawValue, language) {
+    const definition = SETTINGS[name];
+    const value = rawValue.trim();
+    switch (definition.type) {
+        case 'number': {
+            const number = parseInt(value, 10);
+            if (isNaN(number) || String(number) !== value || number < definition.min || number > definition.max) {
+                throw new Error(translate(language, 'settings.invalidNumber', { name, min: definition.min, max: definition.max }));
+            }
+            return number;
+        }
+        case 'boolean':
+            if (isKeyword(value, 'on') || ['ja', 'yes', 'true'].includes(value.toLowerCase())) return true;
+            if (isKeyword(value, 'off') || ['nein', 'no', 'false'].includes(value.toLowerCase())) return false;
+            throw new Error(translate(language, 'settings.invalidBoolean', { name }));
+        case 'choice': {
+            const choice = definition.keywords
+                ? definition.choices.find(keyword => isKeyword(value, keyword))
+                : definition.choices.find(option => option === value.toLowerCase());
+            if (choice) return choice;
+            const choices = definition.choices.map(option => formatChoice(definition, option, language)).join(', ');
+            throw new Error(translate(language, 'settings.invalidChoice', { name, choices }));
+        }
+        case 'events': {
+            if (isKeyword(value, 'none')) return [];
+            const eventTypes = [];
+            for (const eventName of value.toLowerCase().split(/[\s,]+/).filter(Boolean)) {
+                const eventType = parseEventName(eventName);
+                if (!eventType) throw new Error(translate(language, 'settings.unknownEvent', { event: eventName, names: getEventNames(language).join(', ') }));
+                eventTypes.push(eventType);
+            }
+            return [...new Set(eventTypes)];
+        }
+        case 'text':
+            if (!value) throw new Error(translate(language, 'settings.missingText', { name }));
+            return isKeyword(value, 'off') ? null : value;
+        case 'list':
+            if (isKeyword(value, 'none')) return [];
+            return [...new Set(value.split(/[,\n]/).map(entry => entry.trim()).filter(Boolean))];
+        default:
+            throw new Error(`Unbekannter Einstellungstyp für "${name}".`);
+    }
+}
+
+/**
+ * Changes a setting of a group.
+ * @param {string} chatId - The chat ID.
+ * @param {string} name - The setting name (see SETTINGS).
+ * @param {string} rawValue - The value as typed by the user; "reset" restores the default.
+ * @returns {*} - The new effective value.
+ * @throws {Error} - With a user-facing message if the name or value is invalid.
+ */
+function setGroupSetting(chatId, name, rawValue) {
+    const language = getGroupLanguage(chatId);
+    if (!SETTINGS[name]) throw new Error(translate(language, 'settings.unknownSetting', { name, names: Object.keys(SETTINGS).join(', ') }));
+    const groupSettings = structuredClone(storedSettings); // Only kept if it's valid and saved
+    const changes = groupSettings[chatId] || {};
+    if (rawValue.trim().toLowerCase() === 'reset') {
+        delete changes[name];
+    } else {
+        changes[name] = parseSettingValue(name, rawValue, language);
+    }
+    if (Object.keys(changes).length > 0) groupSettings[chatId] = changes;
+    else delete groupSettings[chatId];
+    saveGroupSettings(groupSettings);
+    return getGroupSettings(chatId)[name];
+}
+
+/**
+ * Restores the defaults for all settings of a group.
+ * @param {string} chatId - The chat ID.
+ */
+function resetGroupSettings(chatId) {
+    if (!storedSettings[chatId]) return;
+    const groupSettings = { ...storedSettings };
+    delete groupSettings[chatId];
+    saveGroupSettings(groupSettings);
+}
+
+/**
+ * Formats a value of a choice setting for chat messages (keywords in the language of the message).
+ * @param {object} definition - The definition of the setting (see SETTINGS).
+ * @param {string} value - The value.
+ * @param {string} language - The language of the message.
+ * @returns {string}
+ */
+function formatChoice(definition, value, language) {
+    return definition.keywords ? translate(language, `keywords.${value}`) : value;
+}
+
+/**
+ * Formats a setting value for chat messages.
+ * @param {string} name - The setting name.
+ * @param {*} value - The value.
+ * @param {string} [language] - The language of the message.
+ * @returns {string}
+ */
+function formatSettingValue(name, value, language = DEFAULT_LANGUAGE) {
+    switch (SETTINGS[name].type) {
+        case 'boolean':
+            return translate(language, value ? 'keywords.on' : 'keywords.off');
+        case 'choice':
+            return formatChoice(SETTINGS[name], value, language);
+        case 'events': {
+            const names = getEventNames(language, value);
+            return names.length > 0 ? names.join(', ') : translate(language, 'keywords.none');
+        }
+        case 'list':
+            return value.length > 0 ? value.join(', ') : translate(language, 'keywords.none');
+        case 'text':
+            if (value === null) return translate(language, 'keywords.off');
+            // Long texts are shortened to their first line
+            return value === getDefaultValue(name, language) ? translate(language, 'settings.default') : `"${value.split('\n')[0].slice(0, 40)}${value.length > 40 ? '…' : ''}"`;
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Builds the overview message for !config.
+ * @param {string} chatId - The chat ID.
+ * @returns {string}
+ */
+function formatGroupSettings(chatId) {
+    const settings = getGroupSettings(chatId);
+    const changed = storedSettings[chatId] || {};
+    const descriptionParams = { languages: SETTINGS.language.choices.join(', '), names: getEventNames(settings.language).join(', ') };
+    const lines = Object.keys(SETTINGS).map(name => translate(settings.language, 'settings.line', {
+        name,
+        value: formatSettingValue(name, settings[name], settings.language),
+        changed: name in changed ? ' ✏️' : '',
+        description: translate(settings.language, `settings.descriptions.${name}`, descriptionParams)
+    }));
+    return translate(settings.language, 'settings.overview', { lines: lines.join('\n') });
+}
+
+module.exports = {
+    SETTINGS,
+    initializeSettings,
+    getGroupSettings,
+    getGroupLanguage,
+    isEventIgnored,
+    getIgnoredEvents,
+    setGroupSetting,
+    resetGroupSettings,
+    formatSettingValue,
+    formatGroupSettings
+};
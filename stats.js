@@ -0,0 +1,186 @@
+// stats.js - Game statistics computed from the events of a game (!score, !stats, scoreboard, final statistics and AI summary)
+
+const GOAL_EVENTS = ['goal', 'penaltyGoal']; // Event types that change the score
+
+/**
+ * Determines the phase of a game and the latest game second from its events.
+ * @param {Array<object>} events - The events of the game, sorted by idx.
+ * @returns {{phase: ('pregame'|'firstHalf'|'halftime'|'secondHalf'|'end'), second: number}}
+ */
+function getGamePhase(events) {
+    let phase = 'pregame';
+    let halftimeSeen = false;
+    for (const ev of events) {
+        if (ev.type === 'start') phase = halftimeSeen ? 'secondHalf' : 'firstHalf';
+        else if (ev.type === 'periodEnd') { phase = 'halftime'; halftimeSeen = true; }
+        else if (ev.type === 'end') phase = 'end';
+    }
+    return { phase, second: events.reduce((max, ev) => Math.max(max, ev.second || 0), 0) };
+}
+
+/**
+ * Creates the empty statistics of one team.
+ * @returns {object}
+ */
+function createTeamStats() {
+    return {
+        goals: 0, players: new Map(), sevenMetersMade: 0, sevenMetersMissed: 0, penalties: 0, timeouts: 0, yellowCards: 0, redCards: 0,
+        largestLead: null, // { goals, pointsHome, pointsGuest, second }
+        longestRun: null, // { goals, from, to } (game seconds of the first and last goal)
+        longestDrought: null // { seconds, from, to }
+    };
+}
+
+/**
+ * Returns the statistics entry of the player of an event, creating it on first use.
+ * @param {object} teamStats - The statistics of the player's team.
+ * @param {object} ev - The event.
+ * @returns {object|null} - The player entry, or null if the event has no player name.
+ */
+function getPlayerStats(teamStats, ev) {
+    const name = `${ev.personFirstname || ''} ${ev.personLastname || ''}`.trim();
+    if (!name) return null;
+    if (!teamStats.players.has(name)) {
+        teamStats.players.set(name, { firstName: ev.personFirstname, lastName: ev.personLastname, goals: 0, sevenMetersMade: 0, sevenMetersMissed: 0, penalties: 0, yellowCards: 0, redCards: 0 });
+    }
+    return teamStats.players.get(name);
+}
+
+/**
+ * Finds the current scoring run: the goals one team scored in a row since the other team's last goal.
+ * @param {Array<object>} goals - The goal events of the game in order.
+ * @returns {{team: ('home'|'guest'), goals: number}|null} - The run, or null if there was no goal yet.
+ */
+function getCurrentRun(goals) {
+    if (goals.length === 0) return null;
+    const teamHome = Boolean(goals[goals.length - 1].teamHome);
+    let count = 0;
+    for (let i = goals.length - 1; i >= 0 && Boolean(goals[i].teamHome) === teamHome; i--) count++;
+    return { team: teamHome ? 'home' : 'guest', goals: count };
+}
+
+/**
+ * Follows the score goal by goal: largest lead, lead changes, ties and the longest run of each team.
+ * @param {object} stats - The statistics to fill in (from computeGameStats).
+ * @param {Array<object>} goals - The goal events of the game in order.
+ */
+function analyzeScoreProgression(stats, goals) {
+    let leader = null; // The team that led last ('home' or 'guest'), kept through ties
+    let run = null;
+    for (const goal of goals) {
+        const team = goal.teamHome ? 'home' : 'guest';
+        const difference = (goal.pointsHome || 0) - (goal.pointsGuest || 0);
+
+        const leadingTeam = difference > 0 ? 'home' : (difference < 0 ? 'guest' : null);
+        if (leadingTeam) {
+            const largestLead = stats[leadingTeam].largestLead;
+            if (!largestLead || Math.abs(difference) > largestLead.goals) {
+                stats[leadingTeam].largestLead = { goals: Math.abs(difference), pointsHome: goal.pointsHome || 0, pointsGuest: goal.pointsGuest || 0, second: goal.second || 0 };
+            }
+            if (leader && leader !== leadingTeam) stats.leadChanges++;
+            leader = leadingTeam;
+        } else if (goal.pointsHome || goal.pointsGuest) {
+            stats.ties++; // Level again (0:0 before the first goal doesn't count)
+        }
+
+        run = (run && run.team === team) ? { ...run, goals: run.goals + 1, to: goal.second || 0 } : { team, goals: 1, from: goal.second || 0, to: goal.second || 0 };
+        const longestRun = stats[team].longestRun;
+        if (!longestRun || run.goals > longestRun.goals) stats[team].longestRun = { goals: run.goals, from: run.from, to: run.to };
+    }
+}
+
+/**
+ * Finds the longest stretch of game time in which a team didn't score, from kick-off to the latest game second.
+ * @param {Array<object>} goals - The goal events of the team in order.
+ * @param {number} lastSecond - The latest game second.
+ * @returns {{seconds: number, from: number, to: number}|null} - The drought, or null before kick-off.
+ */
+function findLongestDrought(goals, lastSecond) {
+    const marks = [0, ...goals.map(goal => goal.second || 0), lastSecond];
+    let longest = null;
+    for (let i = 1; i < marks.length; i++) {
+        const seconds = marks[i] - marks[i - 1];
+        if (seconds > 0 && (!longest || seconds > longest.seconds)) longest = { seconds, from: marks[i - 1], to: marks[i] };
+    }
+    return longest;
+}
+
+/**
+ * Computes the statistics of a game from all of its events so far.
+ * Players are keyed by their full name; each entry keeps first name, last name, goals, 7-meters and sanctions.
+ * @param {Array<object>} events - The events of the game (any order).
+ * @returns {object} - { phase, second, score: {home, guest}, halves, leadChanges, ties, home, guest, currentRun }.
+ *                     `halves` is { first, second } with the goals per team of each half, or null before halftime.
+ */
+function computeGameStats(events) {
+    const sorted = events.slice().sort((a, b) => a.idx - b.idx);
+    const stats = { ...getGamePhase(sorted), score: { home: 0, guest: 0 }, halves: null, leadChanges: 0, ties: 0, home: createTeamStats(), guest: createTeamStats() };
+    const lastEvent = sorted[sorted.length - 1];
+    if (lastEvent) stats.score = { home: lastEvent.pointsHome || 0, guest: lastEvent.pointsGuest || 0 };
+
+    for (const ev of sorted) {
+        const team = ev.teamHome ? stats.home : stats.guest;
+        const player = getPlayerStats(team, ev);
+        if (GOAL_EVENTS.includes(ev.type)) {
+            team.goals++;
+            if (player) player.goals++;
+            if (ev.type === 'penaltyGoal') {
+                team.sevenMetersMade++;
+                if (player) player.sevenMetersMade++;
+            }
+        }
+        else if (ev.type === 'penaltyMiss') {
+            team.sevenMetersMissed++;
+            if (player) player.sevenMetersMissed++;
+        }
+        else if (ev.type === 'suspension') {
+            team.penalties++;
+            if (player) player.penalties++;
+        }
+        else if (ev.type === 'yellowCard') {
+            team.yellowCards++;
+            if (player) player.yellowCards++;
+        }
+        else if (ev.type === 'redCard') {
+            team.redCards++;
+            if (player) player.redCards++;
+        }
+        else if (ev.type === 'timeout') team.timeouts++;
+    }
+
+    // The first whistle ('periodEnd') ends the first half
+    const halftime = sorted.find(ev => ev.type === 'periodEnd');
+    if (halftime) {
+        const first = { home: halftime.pointsHome || 0, guest: halftime.pointsGuest || 0 };
+        stats.halves = { first, second: { home: stats.score.home - first.home, guest: stats.score.guest - first.guest } };
+    }
+
+    const goals = sorted.filter(ev => GOAL_EVENTS.includes(ev.type));
+    analyzeScoreProgression(stats, goals);
+    if (stats.phase !== 'pregame') {
+        stats.home.longestDrought = findLongestDrought(goals.filter(ev => ev.teamHome), stats.second);
+        stats.guest.longestDrought = findLongestDrought(goals.filter(ev => !ev.teamHome), stats.second);
+    }
+    stats.currentRun = getCurrentRun(goals);
+    return stats;
+}
+
+/**
+ * Returns the players of a team sorted by goals (most first).
+ * @param {object} teamStats - The statistics of one team (from computeGameStats).
+ * @returns {Array<[string, object]>} - [full name, player] pairs of all players with an event.
+ */
+function getPlayers(teamStats) {
+    return [...teamStats.players.entries()].sort((a, b) => b[1].goals - a[1].goals);
+}
+
+/**
+ * Returns the players of a team who scored, sorted by goals (most first).
+ * @param {object} teamStats - The statistics of one team (from computeGameStats).
+ * @returns {Array<[string, object]>} - [full name, player] pairs.
+ */
+function getScorers(teamStats) {
+    return getPlayers(teamStats).filter(([, player]) => player.goals > 0);
+}
+
+module.exports = { GOAL_EVENTS, getGamePhase, computeGameStats, getPlayers, getScorers };
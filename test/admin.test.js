@@ -0,0 +1,103 @@
+// test/admin.test.js - Admin console for the bot owners in a private chat (!tickers, !kill, !broadcast, !queue, !health)
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBot, meetingUrl, readJson } = require('./helpers/index.js');
+const { reportError } = require('../health.js');
+
+const OWNER = '491700000009@c.us';
+const STRANGER = '491700000005@c.us';
+const GROUP_A = '881@g.us';
+const GROUP_B = '882@g.us';
+const MINUTE = 60 * 1000;
+
+describe('admin console', () => {
+    let bot;
+    let savedOwners;
+
+    /**
+     * Sends a private message to the bot.
+     * @param {string} sender - The sender (also the private chat).
+     * @param {string} body - The command.
+     */
+    const sendPrivate = (sender, body) => bot.client.receive(sender, body, { isGroup: false, author: sender });
+
+    before(async () => {
+        bot = await setupBot();
+        savedOwners = process.env.BOT_OWNERS;
+        const scheduled = new Date(Date.now() + 120 * MINUTE).toISOString();
+        bot.nuscore.setMeeting(8801, { teamHome: 'Herren', teamGuest: 'Gegner A', scheduled, halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setMeeting(8802, { teamHome: 'Damen', teamGuest: 'Gegner B', scheduled, halftimeLength: 30, versionUid: 'v1' });
+    });
+    after(async () => {
+        if (savedOwners === undefined) delete process.env.BOT_OWNERS; else process.env.BOT_OWNERS = savedOwners;
+        await bot.teardown();
+    });
+    beforeEach(async () => {
+        bot.reset();
+        process.env.BOT_OWNERS = '+49 170 0000009';
+        await bot.client.receive(GROUP_A, `!start ${meetingUrl(8801)}`, { name: 'Herren-Fans' });
+        await bot.client.receive(GROUP_A, `!start ${meetingUrl(8802)}`, { name: 'Herren-Fans' });
+        await bot.client.receive(GROUP_B, `!start ${meetingUrl(8802)} recap`, { name: 'Damen-Fans' });
+        await bot.runAllJobs();
+        bot.client.sent.length = 0;
+    });
+
+    test('only the bot owners get the console, everyone else the usual rejection', async () => {
+        await sendPrivate(STRANGER, '!tickers');
+        await sendPrivate(OWNER, '!hilfe');
+        assert.deepStrictEqual(bot.client.texts(), [
+            'Fehler: Befehle funktionieren nur in Gruppen.',
+            '🛠️ *Admin-Konsole*\n\n!tickers – alle Ticker aller Gruppen\n!kill <chatId> [Nummer|alle] – Ticker einer Gruppe stoppen und löschen\n'
+            + '!broadcast <Text> – Nachricht an alle Gruppen mit Ticker\n!queue – Warteschlange und Worker\n!health – Laufzeit, Speicher und letzte Fehler'
+        ]);
+    });
+
+    test('!tickers lists the tickers of all groups', async () => {
+        await sendPrivate(OWNER, '!tickers');
+        const [reply] = bot.client.texts();
+        const lines = reply.split('\n');
+        assert.strictEqual(lines[0], '📋 *Ticker (3):*');
+        assert.match(lines[1], /^• \*Herren-Fans\* \(881@g\.us\) #1: Herren – Gegner A – geplant für \d{2}\.\d{2}\.\d{4} um \d{2}:\d{2}, live, whatsapp$/);
+        assert.match(lines[2], /^• \*Herren-Fans\* \(881@g\.us\) #2: Damen – Gegner B – geplant für .*, live, whatsapp$/);
+        assert.match(lines[3], /^• \*Damen-Fans\* \(882@g\.us\) #1: Damen – Gegner B – geplant für .*, recap, whatsapp$/);
+    });
+
+    test('!kill stops and deletes the tickers of one group', async () => {
+        await sendPrivate(OWNER, '!kill 881@g.us 2');
+        await sendPrivate(OWNER, '!kill 881@g.us');
+        await sendPrivate(OWNER, '!kill 999@g.us');
+        await sendPrivate(OWNER, '!kill');
+        assert.deepStrictEqual(bot.client.texts(), [
+            '🗑️ Ticker #2 in "Herren-Fans" (881@g.us) gestoppt und gelöscht.',
+            '🗑️ Ticker #1 in "Herren-Fans" (881@g.us) gestoppt und gelöscht.',
+            'In 999@g.us gibt es keinen Ticker.',
+            'Fehler: Bitte gib eine Chat-ID an. Format:\n\n!kill <chatId> [Nummer|alle]'
+        ]);
+        assert.deepStrictEqual([...bot.activeTickers.keys()], ['882@g.us#1']);
+        assert.deepStrictEqual(Object.keys(readJson(bot.files.scheduleFile)), ['882@g.us#1']);
+    });
+
+    test('!broadcast sends a message to every group with a ticker', async () => {
+        await sendPrivate(OWNER, '!broadcast Wartung heute Abend:\nder Bot ist ab 22 Uhr kurz offline.');
+        await sendPrivate(OWNER, '!broadcast');
+        assert.deepStrictEqual(bot.client.sent.map(({ chatId, text }) => ({ chatId, text })), [
+            { chatId: GROUP_A, text: 'Wartung heute Abend:\nder Bot ist ab 22 Uhr kurz offline.' },
+            { chatId: GROUP_B, text: 'Wartung heute Abend:\nder Bot ist ab 22 Uhr kurz offline.' },
+            { chatId: OWNER, text: '📣 Nachricht an 2 Gruppe(n) gesendet.' },
+            { chatId: OWNER, text: 'Fehler: Bitte gib einen Text an. Format:\n\n!broadcast <Text>' }
+        ]);
+    });
+
+    test('!queue and !health show the workers, the tickers and recent errors', async () => {
+        bot.jobQueue.push({ type: 'poll', tickerKey: '881@g.us#1', jobId: Date.now() - 3000 });
+        reportError('[881@g.us#1] Testfehler:', new Error('Zeitüberschreitung'));
+        console.error('Ausgabe einer Bibliothek'); // Only reported errors are kept
+        await sendPrivate(OWNER, '!queue');
+        await sendPrivate(OWNER, '!health');
+        const [queue, health] = bot.client.texts();
+        assert.match(queue, /^⏳ \*Warteschlange:\* 1 Jobs, Worker 0\/\d+ belegt\n• poll 881@g\.us#1 \(wartet seit [34] s\)$/);
+        assert.match(health, /^💚 \*Status\*\n\*Laufzeit:\* 0 T\. 0 Std\. \d+ Min\.\n\*Speicher:\* \d+ MB\n\*Ticker:\* 0 laufend, 3 geplant, 0 beendet\n\*Warteschlange:\* 1 Jobs, Worker 0\/\d+ belegt\n\*Letzte Fehler:\*/);
+        assert.match(health, /\n• \d{2}\.\d{2}\.\d{4} um \d{2}:\d{2}: \[881@g\.us#1\] Testfehler: Zeitüberschreitung$/);
+        bot.jobQueue.length = 0;
+    });
+});
@@ -0,0 +1,127 @@
+// test/ai.test.js - The AI providers for the summary after the game and the template fallback
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { makeEvent, toEngineEvents } = require('./helpers/index.js');
+const { generateGameSummary } = require('../ai.js');
+const { getActiveAiProvider } = require('../ai-providers/index.js');
+
+const AI_ENV = ['AI_PROVIDER', 'GEMINI_API_KEY', 'OPENAI_BASE_URL', 'OPENAI_API_KEY', 'OPENAI_MODEL'];
+const teamNames = { home: 'HSG Heim', guest: 'TV Gast' };
+
+const becker = { personFirstname: 'Lukas', personLastname: 'Becker' };
+const schmidt = { personFirstname: 'Anna', personLastname: 'Schmidt' };
+
+/**
+ * Builds a game from its halftime and final score, all goals by Becker (home) and Schmidt (guest).
+ * @param {number[]} halftime - [home, guest] at halftime.
+ * @param {number[]} final - [home, guest] at full time.
+ * @returns {object[]} The events.
+ */
+function playGame(halftime, final) {
+    const events = [makeEvent(1, 15)];
+    const score = { pointsHome: 0, pointsGuest: 0 };
+    const scoreUntil = ([home, guest], second) => {
+        while (score.pointsHome < home || score.pointsGuest < guest) {
+            const teamHome = score.pointsHome < home;
+            if (teamHome) score.pointsHome++; else score.pointsGuest++;
+            events.push(makeEvent(events.length + 1, 4, { second: second + events.length, teamHome, ...score, ...(teamHome ? becker : schmidt) }));
+        }
+    };
+    scoreUntil(halftime, 60);
+    events.push(makeEvent(events.length + 1, 14, { second: 1800, ...score }));
+    events.push(makeEvent(events.length + 1, 15, { second: 1800, ...score }));
+    scoreUntil(final, 1860);
+    events.push(makeEvent(events.length + 1, 16, { second: 3600, ...score }));
+    return toEngineEvents(events);
+}
+
+describe('AI summary', () => {
+    const savedEnv = {};
+
+    before(() => { for (const name of AI_ENV) savedEnv[name] = process.env[name]; });
+    after(() => {
+        for (const name of AI_ENV) {
+            if (savedEnv[name] === undefined) delete process.env[name]; else process.env[name] = savedEnv[name];
+        }
+    });
+    beforeEach(() => { for (const name of AI_ENV) delete process.env[name]; });
+
+    test('without an AI the template writes the summary', async () => {
+        assert.strictEqual(getActiveAiProvider().name, 'template');
+        const summary = await generateGameSummary(playGame([1, 0], [2, 1]), teamNames, 'HSG Heim Fans', 30);
+        assert.strictEqual(summary, '📝 *Das Spiel in Kürze:*\n\n*Knapper Sieg für HSG Heim!*\n'
+            + 'HSG Heim gewinnt 2:1 gegen TV Gast. Zur Halbzeit stand es 1:0. Topscorer: Lukas Becker (2 Tore) bei HSG Heim, Anna Schmidt (1 Tor) bei TV Gast. '
+            + 'Zeitstrafen: 0 für HSG Heim, 0 für TV Gast. 7-Meter: 0 von 0 und 0 von 0.');
+    });
+
+    test('the template tells draws, clear wins and comebacks apart', async () => {
+        const draw = await generateGameSummary(playGame([2, 1], [3, 3]), teamNames, 'Gruppe', 30, 'en');
+        assert.match(draw, /^📝 \*The game in brief:\*\n\n\*Points shared between HSG Heim and TV Gast!\*\nHSG Heim and TV Gast drew 3:3\. At halftime it was 2:1\. HSG Heim had still been ahead at the break\. Top/);
+
+        const comeback = await generateGameSummary(playGame([4, 1], [5, 13]), teamNames, 'Gruppe', 30);
+        assert.match(comeback, /\*Deutlicher Sieg für TV Gast!\*\nTV Gast gewinnt 13:5 gegen HSG Heim\. Zur Halbzeit stand es 4:1\. Dabei lag HSG Heim zur Pause noch vorne\./);
+
+        // Same game, same text
+        assert.strictEqual(await generateGameSummary(playGame([4, 1], [5, 13]), teamNames, 'Gruppe', 30), comeback);
+    });
+
+    describe('OpenAI-compatible server', () => {
+        let server;
+        let requests;
+        let reply;
+
+        before(async () => {
+            server = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', chunk => { body += chunk; });
+                req.on('end', () => {
+                    requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+                    res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(reply.body));
+                });
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        });
+        after(async () => { await new Promise(resolve => server.close(resolve)); });
+        beforeEach(() => {
+            requests = [];
+            reply = { status: 200, body: { choices: [{ message: { content: '  *Heimsieg!*\nEin Krimi bis zum Schluss.  ' } }] } };
+            process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1/`;
+        });
+
+        test('sends the prompt to the configured model', async () => {
+            process.env.OPENAI_MODEL = 'llama3.1';
+            process.env.OPENAI_API_KEY = 'geheim';
+            assert.strictEqual(getActiveAiProvider().name, 'openai');
+
+            const summary = await generateGameSummary(playGame([1, 0], [2, 1]), teamNames, 'HSG Heim Fans', 30);
+            assert.strictEqual(summary, '🤖 *KI-Analyse zum Spiel:*\n\n*Heimsieg!*\nEin Krimi bis zum Schluss.');
+            assert.strictEqual(requests.length, 1);
+            assert.strictEqual(requests[0].url, '/v1/chat/completions');
+            assert.strictEqual(requests[0].headers.authorization, 'Bearer geheim');
+            assert.strictEqual(requests[0].body.model, 'llama3.1');
+            assert.strictEqual(requests[0].body.messages[0].role, 'user');
+            assert.match(requests[0].body.messages[0].content, /Heimmannschaft: HSG Heim\n\s*- Gastmannschaft: TV Gast/);
+            assert.match(requests[0].body.messages[0].content, /"HSG Heim Fans"/);
+        });
+
+        test('falls back to the template if the server fails or gives no answer', async () => {
+            reply = { status: 500, body: { error: 'model not loaded' } };
+            assert.match(await generateGameSummary(playGame([1, 0], [2, 1]), teamNames, 'Gruppe', 30), /^📝 \*Das Spiel in Kürze:\*/);
+
+            reply = { status: 200, body: { choices: [] } };
+            assert.match(await generateGameSummary(playGame([1, 0], [2, 1]), teamNames, 'Gruppe', 30), /^📝 \*Das Spiel in Kürze:\*/);
+            assert.strictEqual(requests.length, 2);
+        });
+
+        test('AI_PROVIDER chooses the provider', async () => {
+            process.env.AI_PROVIDER = 'template';
+            assert.match(await generateGameSummary(playGame([1, 0], [2, 1]), teamNames, 'Gruppe', 30), /^📝 /);
+            assert.strictEqual(requests.length, 0);
+
+            process.env.AI_PROVIDER = 'gibtsnicht';
+            assert.strictEqual(getActiveAiProvider().name, 'template');
+        });
+    });
+});
@@ -0,0 +1,124 @@
+// test/archive.test.js - Archive of finished games and the !history, !lastgame and !vs commands
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBot, makeEvent, toEngineEvents, meetingUrl, readJson } = require('./helpers/index.js');
+const { archiveGame, getChatGames } = require('../archive.js');
+const { computeGameStats } = require('../stats.js');
+
+const CHAT = '555@g.us';
+const OTHER_CHAT = '556@g.us';
+const MINUTE = 60 * 1000;
+
+/**
+ * Archives a finished game with the given final score (one goal event per goal, all by one player of each team).
+ */
+function archiveResult(chatId, meetingId, date, home, guest, score) {
+    const events = [makeEvent(1, 15)];
+    let pointsHome = 0;
+    let pointsGuest = 0;
+    for (let i = 0; i < score[0] + score[1]; i++) {
+        const teamHome = i < score[0];
+        if (teamHome) pointsHome++; else pointsGuest++;
+        events.push(makeEvent(events.length + 1, 4, { second: 60 * (i + 1), teamHome, pointsHome, pointsGuest, personFirstname: teamHome ? 'Lukas' : 'Anna', personLastname: teamHome ? 'Becker' : 'Schmidt' }));
+    }
+    events.push(makeEvent(events.length + 1, 16, { second: 3600, pointsHome, pointsGuest }));
+    const gameEvents = toEngineEvents(events);
+    const tickerState = { chatId, groupName: 'Testgruppe', meetingPageUrl: meetingUrl(meetingId), scheduledTime: date, teamNames: { home, guest }, halftimeLength: 30 };
+    return archiveGame(tickerState, gameEvents, computeGameStats(gameEvents), null);
+}
+
+describe('match archive', () => {
+    let bot;
+
+    before(async () => { bot = await setupBot(); });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => bot.reset());
+
+    test('keeps finished games after the ticker is cleaned up', async (t) => {
+        bot.nuscore.setMeeting(5501, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 70 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setEvents(5501, 'v1', [
+            makeEvent(1, 15),
+            makeEvent(2, 4, { second: 300, pointsHome: 1, personFirstname: 'Lukas', personLastname: 'Becker' }),
+            makeEvent(3, 14, { second: 1800, pointsHome: 1 }),
+            makeEvent(4, 15, { second: 1800, pointsHome: 1 }),
+            makeEvent(5, 4, { second: 2400, teamHome: false, pointsHome: 1, pointsGuest: 1, personFirstname: 'Anna', personLastname: 'Schmidt' }),
+            makeEvent(6, 4, { second: 3000, pointsHome: 2, pointsGuest: 1, personFirstname: 'Lukas', personLastname: 'Becker' }),
+            makeEvent(7, 16, { second: 3600, pointsHome: 2, pointsGuest: 1 })
+        ]);
+        await bot.client.receive(CHAT, `!start ${meetingUrl(5501)}`);
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        await bot.runAllJobs();
+        t.mock.timers.tick(3600000); // Past the cleanup of the ticker
+        await new Promise(resolve => setImmediate(resolve));
+        t.mock.timers.reset();
+        assert.strictEqual(bot.activeTickers.size, 0);
+
+        const [game] = readJson(bot.files.archiveFile);
+        assert.strictEqual(game.chatId, CHAT);
+        assert.deepStrictEqual(game.teamNames, { home: 'HSG Heim', guest: 'TV Gast' });
+        assert.deepStrictEqual(game.score, { home: 2, guest: 1 });
+        assert.deepStrictEqual(game.halftimeScore, { home: 1, guest: 0 });
+        assert.strictEqual(game.events.length, 7);
+        assert.strictEqual(game.stats.home.players['Lukas Becker'].goals, 2);
+        assert.match(game.summary, /^📝 \*Das Spiel in Kürze:\*\n\n\*Knapper Sieg für HSG Heim!\*/); // No AI in the tests: the template summary
+
+        bot.client.sent.length = 0;
+        await bot.client.receive(CHAT, '!lastgame');
+        assert.match(bot.client.texts()[0], /^🗂️ \*Letztes Spiel \(\d{2}\.\d{2}\.\d{4}\):\*\nHSG Heim {2}\*2:1\* {2}TV Gast\n\*Halbzeit:\* 1:0\n\*Topscorer \(HSG Heim\):\* Lukas Becker \(2 Tore\)\n\*Topscorer \(TV Gast\):\* Anna Schmidt \(1 Tor\)\n\n📝 /);
+    });
+
+    test('replaces a game that is ticked again', () => {
+        archiveResult(CHAT, 5502, '2025-03-01T16:00:00.000Z', 'HSG Heim', 'TV Gast', [20, 20]);
+        archiveResult(CHAT, 5502, '2025-03-01T16:00:00.000Z', 'HSG Heim', 'TV Gast', [21, 20]);
+        assert.deepStrictEqual(getChatGames(CHAT).map(game => game.score), [{ home: 21, guest: 20 }]);
+    });
+});
+
+describe('!history and !vs', () => {
+    let bot;
+
+    before(async () => { bot = await setupBot(); });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => {
+        bot.reset();
+        archiveResult(CHAT, 5511, '2025-01-11T16:00:00.000Z', 'HSG Heim', 'TV Gast', [25, 22]);
+        archiveResult(CHAT, 5512, '2025-02-08T16:00:00.000Z', 'SG Nord', 'HSG Heim', [30, 24]);
+        archiveResult(CHAT, 5513, '2025-03-15T16:00:00.000Z', 'TV Gast', 'HSG Heim', [27, 27]);
+        archiveResult(OTHER_CHAT, 5514, '2025-03-16T16:00:00.000Z', 'TV Gast', 'HSG Heim', [10, 5]);
+    });
+
+    test('!history lists the latest games of the group', async () => {
+        await bot.client.receive(CHAT, '!history 2');
+        assert.deepStrictEqual(bot.client.texts(), [
+            '📚 *Die letzten 2 von 3 Spielen:*\n15.03.2025  TV Gast  *27:27*  HSG Heim\n08.02.2025  SG Nord  *30:24*  HSG Heim'
+        ]);
+    });
+
+    test('results are marked for the group\'s team', async () => {
+        await bot.client.receive(CHAT, '!config team HSG Heim');
+        bot.client.sent.length = 0;
+        await bot.client.receive(CHAT, '!history');
+        assert.deepStrictEqual(bot.client.texts(), [
+            '📚 *Die letzten 3 von 3 Spielen:*\n15.03.2025  TV Gast  *27:27*  HSG Heim 🤝\n08.02.2025  SG Nord  *30:24*  HSG Heim ❌\n11.01.2025  HSG Heim  *25:22*  TV Gast ✅'
+        ]);
+    });
+
+    test('!vs shows the games against a team and the record', async () => {
+        await bot.client.receive(CHAT, '!config team HSG Heim');
+        bot.client.sent.length = 0;
+        await bot.client.receive(CHAT, '!vs tv gast');
+        await bot.client.receive(CHAT, '!vs Heim'); // Only our own team matches
+        await bot.client.receive(CHAT, '!vs');
+        assert.deepStrictEqual(bot.client.texts(), [
+            '⚔️ *Spiele gegen tv gast (2):*\n15.03.2025  TV Gast  *27:27*  HSG Heim 🤝\n11.01.2025  HSG Heim  *25:22*  TV Gast ✅\n\n*Bilanz HSG Heim:* 1 S / 1 U / 0 N, 52:49 Tore',
+            'Im Archiv dieser Gruppe gibt es kein Spiel gegen "Heim".',
+            'Fehler: Bitte gib ein Team an. Format:\n\n!vs <Teamname>'
+        ]);
+    });
+
+    test('groups without archived games get a hint', async () => {
+        await bot.client.receive('557@g.us', '!history');
+        await bot.client.receive('557@g.us', '!lastgame');
+        assert.deepStrictEqual(bot.client.texts(), ['Im Archiv dieser Gruppe ist noch kein Spiel.', 'Im Archiv dieser Gruppe ist noch kein Spiel.']);
+    });
+});
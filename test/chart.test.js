@@ -0,0 +1,107 @@
+// test/chart.test.js - Score progression chart (PNG) and its messages at halftime and full time
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { setupBot, makeEvent, toEngineEvents, meetingUrl } = require('./helpers/index.js');
+const { renderScoreChart } = require('../chart.js');
+
+const CHAT = '777@g.us';
+const MINUTE = 60 * 1000;
+
+// A short game: two goals, a penalty for the guests, halftime at 30:00 and the final whistle
+const GAME_EVENTS = [
+    makeEvent(1, 15),
+    makeEvent(2, 4, { second: 300, pointsHome: 1, personFirstname: 'Lukas', personLastname: 'Becker' }),
+    makeEvent(3, 8, { second: 600, teamHome: false, pointsHome: 1 }),
+    makeEvent(4, 4, { second: 900, teamHome: false, pointsHome: 1, pointsGuest: 1, personFirstname: 'Anna', personLastname: 'Schmidt' }),
+    makeEvent(5, 14, { second: 1800, pointsHome: 1, pointsGuest: 1 }),
+    makeEvent(6, 15, { second: 1800, pointsHome: 1, pointsGuest: 1 }),
+    makeEvent(7, 16, { second: 3600, pointsHome: 1, pointsGuest: 1 })
+];
+
+/**
+ * Decodes the PNGs written by chart.js (8-bit RGB, filter type 0 in every row).
+ * @param {Buffer} png - The PNG file.
+ * @returns {{width: number, height: number, pixel: function(number, number): Array<number>}}
+ */
+function decodePng(png) {
+    const width = png.readUInt32BE(16);
+    const height = png.readUInt32BE(20);
+    const chunks = [];
+    for (let offset = 8; offset < png.length;) {
+        const length = png.readUInt32BE(offset);
+        if (png.toString('ascii', offset + 4, offset + 8) === 'IDAT') chunks.push(png.subarray(offset + 8, offset + 8 + length));
+        offset += length + 12;
+    }
+    const raw = zlib.inflateSync(Buffer.concat(chunks));
+    const pixel = (x, y) => [...raw.subarray(y * (width * 3 + 1) + 1 + x * 3, y * (width * 3 + 1) + 1 + x * 3 + 3)];
+    return { width, height, pixel };
+}
+
+describe('renderScoreChart', () => {
+    test('draws a PNG with score lines, halftime line and penalty bars', () => {
+        const png = renderScoreChart(toEngineEvents(GAME_EVENTS), 30);
+        assert.deepStrictEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+        const image = decodePng(png);
+        assert.strictEqual(image.width, 800);
+        assert.strictEqual(image.height, 400);
+
+        // Plot from x=50 to x=780 for 60 minutes: halftime at x=415, the guest penalty from 10:00 (x≈172) to 12:00 (x≈196)
+        assert.deepStrictEqual(image.pixel(415, 22), [150, 150, 150]);
+        assert.deepStrictEqual(image.pixel(185, 370), [240, 150, 150]);
+        assert.deepStrictEqual(image.pixel(185, 350), [255, 255, 255]); // No penalty for the home team
+        // The goal axis ends at 5 goals: 1 goal is at y=252; the home line is drawn over the guest line where both are level
+        assert.deepStrictEqual(image.pixel(150, 252), [37, 99, 235]);
+        assert.deepStrictEqual(image.pixel(600, 252), [37, 99, 235]);
+    });
+
+    test('draws an empty chart before the first event', () => {
+        const image = decodePng(renderScoreChart([], 30));
+        assert.deepStrictEqual(image.pixel(400, 100), [255, 255, 255]);
+    });
+});
+
+describe('chart messages', () => {
+    let bot;
+
+    before(async () => { bot = await setupBot(); });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => bot.reset());
+
+    /**
+     * Plays the short game in a group and returns the sent images.
+     */
+    async function playGame(meetingId, t) {
+        bot.nuscore.setMeeting(meetingId, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 70 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setEvents(meetingId, 'v1', GAME_EVENTS);
+        await bot.client.receive(CHAT, `!start ${meetingUrl(meetingId)}`);
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        await bot.runAllJobs();
+        t.mock.timers.tick(5000);
+        await new Promise(resolve => setImmediate(resolve));
+        t.mock.timers.reset();
+        return bot.client.sent.filter(message => message.media && message.media.mimetype === 'image/png');
+    }
+
+    test('sends the chart at halftime and after the stats at full time', async (t) => {
+        const images = await playGame(7001, t);
+
+        assert.strictEqual(images.length, 2);
+        assert.strictEqual(images[0].text, '📈 *Spielverlauf bis zur Halbzeit*\n🔵 HSG Heim · 🔴 TV Gast · ┆ Halbzeit · ▬ Zeitstrafen');
+        assert.strictEqual(images[1].text, '📈 *Spielverlauf*\n🔵 HSG Heim · 🔴 TV Gast · ┆ Halbzeit · ▬ Zeitstrafen');
+        assert.strictEqual(images[0].media.mimetype, 'image/png');
+        assert.strictEqual(images[0].media.filename, 'spielverlauf.png');
+        assert.ok(Buffer.from(images[1].media.data, 'base64').subarray(1, 4).equals(Buffer.from('PNG')));
+
+        // The halftime chart follows the halftime message, the final chart follows the statistics
+        const texts = bot.client.texts();
+        assert.ok(texts.findIndex(text => text.startsWith('⏸️')) < texts.indexOf(images[0].text));
+        assert.ok(texts.findIndex(text => text.startsWith('📊 *Statistiken zum Spiel:*')) < texts.indexOf(images[1].text));
+    });
+
+    test('can be switched off with !config chart aus', async (t) => {
+        await bot.client.receive(CHAT, '!config chart aus');
+        const images = await playGame(7002, t);
+        assert.strictEqual(images.length, 0);
+    });
+});
@@ -0,0 +1,115 @@
+// test/commands.test.js - The !start, !stop and !reset command paths
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBot, meetingUrl, readJson } = require('./helpers/index.js');
+
+const CHAT = '222@g.us';
+const MINUTE = 60 * 1000;
+
+describe('commands', () => {
+    let bot;
+
+    before(async () => {
+        bot = await setupBot();
+        const scheduled = new Date(Date.now() + 120 * MINUTE).toISOString();
+        bot.nuscore.setMeeting(3001, { teamHome: 'Herren', teamGuest: 'Gegner A', scheduled, halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setMeeting(3002, { teamHome: 'Damen', teamGuest: 'Gegner B', scheduled, halftimeLength: 30, versionUid: 'v1' });
+    });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => bot.reset());
+
+    test('!start schedules a ticker, a second game gets its own ticker number', async () => {
+        await bot.client.receive(CHAT, `!start ${meetingUrl(3001)}`);
+        await bot.client.receive(CHAT, `!start ${meetingUrl(3002)} recap`);
+        await bot.runAllJobs();
+
+        assert.deepStrictEqual([...bot.activeTickers.keys()], [`${CHAT}#1`, `${CHAT}#2`]);
+        assert.strictEqual(bot.activeTickers.get(`${CHAT}#2`).mode, 'recap');
+        assert.deepStrictEqual(Object.keys(readJson(bot.files.scheduleFile)).sort(), [`${CHAT}#1`, `${CHAT}#2`]);
+    });
+
+    test('!start refuses a game that already has a ticker in the group', async () => {
+        await bot.client.receive(CHAT, `!start ${meetingUrl(3001)}`);
+        await bot.runAllJobs();
+        await bot.client.receive(CHAT, `!start ${meetingUrl(3001)}`);
+
+        assert.strictEqual(bot.activeTickers.size, 1);
+        assert.match(bot.client.sent[bot.client.sent.length - 1].text, /bereits Ticker #1 geplant/);
+    });
+
+    test('!start without URL shows the usage', async () => {
+        await bot.client.receive(CHAT, '!start');
+        assert.match(bot.client.texts()[0], /Format:\n\n!start <URL>/);
+    });
+
+    test('an error while handling a command is logged instead of ending the bot', async () => {
+        const msg = { body: '!start', from: CHAT, author: '4915100000000@c.us', getChat: async () => { throw new Error('Chat nicht geladen'); } };
+        // The listeners must resolve, an unhandled rejection would end the process
+        await Promise.all(bot.client.listeners('message').map(listener => listener(msg)));
+        assert.deepStrictEqual(bot.client.texts(), []);
+    });
+
+    test('commands outside of groups are rejected', async () => {
+        await bot.client.receive('333@c.us', `!start ${meetingUrl(3001)}`, { isGroup: false });
+        assert.deepStrictEqual(bot.client.texts(), ['Fehler: Befehle funktionieren nur in Gruppen.']);
+        assert.strictEqual(bot.activeTickers.size, 0);
+    });
+
+    test('!stop with a number stops only that ticker', async () => {
+        await bot.client.receive(CHAT, `!start ${meetingUrl(3001)}`);
+        await bot.client.receive(CHAT, `!start ${meetingUrl(3002)}`);
+        await bot.runAllJobs();
+
+        await bot.client.receive(CHAT, '!stop 2');
+
+        assert.strictEqual(bot.activeTickers.get(`${CHAT}#1`).isScheduled, true);
+        assert.strictEqual(bot.activeTickers.get(`${CHAT}#2`).isScheduled, false);
+        assert.deepStrictEqual(Object.keys(readJson(bot.files.scheduleFile)), [`${CHAT}#1`]);
+        assert.strictEqual(bot.client.texts('Live-Ticker #2 in dieser Gruppe gestoppt.').length, 1);
+    });
+
+    test('!stop cancels a scheduling job that is still waiting in the queue', async () => {
+        await bot.client.receive(CHAT, `!start ${meetingUrl(3001)}`);
+        await bot.client.receive(CHAT, '!stop');
+
+        assert.strictEqual(bot.jobQueue.length, 0);
+        assert.strictEqual(bot.activeTickers.get(`${CHAT}#1`).isScheduling, false);
+        assert.strictEqual(bot.client.texts('gestoppt').length, 1);
+
+        // The game can be started again right away
+        await bot.client.receive(CHAT, `!start ${meetingUrl(3001)}`);
+        await bot.runAllJobs();
+        assert.strictEqual(bot.activeTickers.get(`${CHAT}#1`).isScheduled, true);
+        assert.deepStrictEqual(bot.client.texts('läuft bereits'), []);
+    });
+
+    test('!stop reports unknown tickers and groups without a ticker', async () => {
+        await bot.client.receive(CHAT, '!stop');
+        await bot.client.receive(CHAT, '!stop 5');
+        assert.deepStrictEqual(bot.client.texts(), ['In dieser Gruppe läuft derzeit kein Live-Ticker.', 'Ticker 5 gibt es in dieser Gruppe nicht.']);
+    });
+
+    test('!reset removes all tickers of the group and their persisted data', async () => {
+        await bot.client.receive(CHAT, `!start ${meetingUrl(3001)}`);
+        await bot.client.receive(CHAT, `!start ${meetingUrl(3002)}`);
+        await bot.runAllJobs();
+
+        await bot.client.receive(CHAT, '!reset');
+
+        assert.strictEqual(bot.activeTickers.size, 0);
+        assert.deepStrictEqual(readJson(bot.files.scheduleFile), {});
+        assert.deepStrictEqual(readJson(bot.files.seenFile), {});
+        assert.strictEqual(bot.client.texts('Alle Ticker-Daten für diese Gruppe wurden zurückgesetzt.').length, 1);
+    });
+
+    test('!reset with a number keeps the other tickers', async () => {
+        await bot.client.receive(CHAT, `!start ${meetingUrl(3001)}`);
+        await bot.client.receive(CHAT, `!start ${meetingUrl(3002)}`);
+        await bot.runAllJobs();
+
+        await bot.client.receive(CHAT, '!reset #1');
+
+        assert.deepStrictEqual([...bot.activeTickers.keys()], [`${CHAT}#2`]);
+        assert.deepStrictEqual(Object.keys(readJson(bot.files.scheduleFile)), [`${CHAT}#2`]);
+    });
+});
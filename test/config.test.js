@@ -0,0 +1,119 @@
+// test/config.test.js - Per-group settings and the !config command
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { setupBot, makeEvent, meetingUrl, readJson } = require('./helpers/index.js');
+const { getGroupSettings, initializeSettings } = require('../settings.js');
+
+const CHAT = '666@g.us';
+const OTHER_CHAT = '777@g.us';
+const MINUTE = 60 * 1000;
+
+describe('!config', () => {
+    let bot;
+
+    before(async () => { bot = await setupBot(); });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => bot.reset());
+
+    /**
+     * Lets a running game end with one goal and returns the messages sent after the end event.
+     */
+    async function playShortGame(chatId, meetingId, t) {
+        bot.nuscore.setMeeting(meetingId, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 70 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setEvents(meetingId, 'v1', [
+            makeEvent(1, 15),
+            makeEvent(2, 1, { second: 100 }),
+            makeEvent(3, 9, { second: 200, teamHome: false }),
+            makeEvent(4, 4, { second: 300, pointsHome: 1, personFirstname: 'Lukas', personLastname: 'Becker' }),
+            makeEvent(5, 16, { second: 3600, pointsHome: 1 })
+        ]);
+        await bot.polling.startPolling(meetingUrl(meetingId), chatId, 'Testgruppe', 'live', 'whatsapp');
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        await bot.runAllJobs();
+        t.mock.timers.tick(5000);
+        await new Promise(resolve => setImmediate(resolve));
+        t.mock.timers.reset();
+        return bot.client.texts();
+    }
+
+    test('shows the settings of the group', async () => {
+        await bot.client.receive(CHAT, '!config');
+        const [overview] = bot.client.texts();
+        assert.match(overview, /⚙️ \*Einstellungen dieser Gruppe:\*/);
+        assert.match(overview, /• \*recap\*: 5\n/);
+        assert.match(overview, /• \*ignore\*: unterbrechung\n/);
+        assert.match(overview, /• \*closing\*: Standard\n/);
+    });
+
+    test('changes, validates and resets settings per group', async () => {
+        await bot.client.receive(CHAT, '!config recap 10');
+        await bot.client.receive(CHAT, '!config recap 0');
+        await bot.client.receive(CHAT, '!config ai aus');
+        await bot.client.receive(CHAT, '!config wetter an');
+
+        assert.deepStrictEqual(bot.client.texts(), [
+            '✅ *recap* ist jetzt: 10',
+            'Fehler: Bitte gib für "recap" eine Zahl von 1 bis 60 an.',
+            '✅ *ai* ist jetzt: aus',
+            'Fehler: Unbekannte Einstellung "wetter". Möglich sind: language, recap, pregame, ignore, ai, stats, chart, report, closing, team, access, allowed.'
+        ]);
+        assert.deepStrictEqual(readJson(bot.files.settingsFile), { [CHAT]: { recap: 10, ai: false } });
+        assert.strictEqual(getGroupSettings(OTHER_CHAT).recap, 5);
+
+        await bot.client.receive(CHAT, '!config recap reset');
+        assert.deepStrictEqual(readJson(bot.files.settingsFile), { [CHAT]: { ai: false } });
+        const admin = '491700000001@c.us'; // Resetting all settings also resets who may control the tickers
+        await bot.client.receive(CHAT, '!config reset', { author: admin, admins: [admin] });
+        assert.deepStrictEqual(readJson(bot.files.settingsFile), {});
+    });
+
+    test('reads the settings file once and keeps the settings in memory', async (t) => {
+        await bot.client.receive(CHAT, '!config recap 10');
+        initializeSettings(bot.files.settingsFile); // As after a restart
+        const readFile = t.mock.method(fs, 'readFileSync');
+        assert.strictEqual(getGroupSettings(CHAT).recap, 10);
+        assert.strictEqual(getGroupSettings(OTHER_CHAT).recap, 5);
+        await bot.client.receive(CHAT, '!config ai aus');
+        assert.strictEqual(getGroupSettings(CHAT).ai, false);
+        assert.strictEqual(readFile.mock.calls.filter(call => call.arguments[0] === bot.files.settingsFile).length, 0);
+        assert.deepStrictEqual(readJson(bot.files.settingsFile), { [CHAT]: { recap: 10, ai: false } });
+    });
+
+    test('the pre-game time moves the start of waiting tickers', async () => {
+        const scheduled = new Date(Date.now() + 120 * MINUTE);
+        bot.nuscore.setMeeting(6001, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: scheduled.toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        await bot.client.receive(CHAT, `!start ${meetingUrl(6001)}`);
+        await bot.runAllJobs();
+
+        await bot.client.receive(CHAT, '!config pregame 30');
+
+        const entry = readJson(bot.files.scheduleFile)[`${CHAT}#1`];
+        assert.strictEqual(entry.startTime, new Date(scheduled.getTime() - 30 * MINUTE).toISOString());
+    });
+
+    test('ignored events, stats, AI and the closing message follow the group settings', async (t) => {
+        await bot.client.receive(CHAT, '!config ignore gelb, keine-ahnung');
+        assert.match(bot.client.texts()[0], /Unbekanntes Event "keine-ahnung"/);
+        await bot.client.receive(CHAT, '!config ignore gelb');
+        await bot.client.receive(CHAT, '!config stats aus');
+        await bot.client.receive(CHAT, '!config closing Bis zum nächsten Spiel, *Heim*!');
+        bot.client.sent.length = 0;
+
+        const texts = await playShortGame(CHAT, 6002, t);
+
+        assert.strictEqual(texts.filter(text => text.includes('Gelbe Karte')).length, 0);
+        assert.strictEqual(texts.filter(text => text.includes('Spiel unterbrochen')).length, 1); // No longer ignored
+        assert.strictEqual(texts.filter(text => text.includes('Statistiken')).length, 0);
+        assert.strictEqual(texts[texts.length - 1], 'Bis zum nächsten Spiel, *Heim*!');
+    });
+
+    test('groups without changes keep the default messages', async (t) => {
+        const texts = await playShortGame(OTHER_CHAT, 6003, t);
+
+        assert.strictEqual(texts.filter(text => text.includes('Gelbe Karte')).length, 1);
+        assert.strictEqual(texts.filter(text => text.includes('Spiel unterbrochen')).length, 0);
+        assert.strictEqual(texts.filter(text => text.includes('📊 *Statistiken zum Spiel:*')).length, 1);
+        assert.match(texts[texts.length - 1], /Vielen Dank fürs Mitfiebern/);
+    });
+});
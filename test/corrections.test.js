@@ -0,0 +1,158 @@
+// test/corrections.test.js - Corrected and deleted events from the scorekeeper
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBot, makeEvent, toEngineEvents, meetingUrl, readJson } = require('./helpers/index.js');
+const { loadSeenTickers } = require('../utils.js');
+
+const CHAT = '444@g.us';
+const MINUTE = 60 * 1000;
+
+const becker = { personFirstname: 'Lukas', personLastname: 'Becker' };
+const richter = { personFirstname: 'Max', personLastname: 'Richter' };
+
+describe('corrections', () => {
+    let bot;
+
+    before(async () => { bot = await setupBot(); });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => bot.reset());
+
+    /**
+     * Starts a ticker for a running game with the given first version of events.
+     */
+    async function startGame(meetingId, mode, events) {
+        bot.nuscore.setMeeting(meetingId, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 10 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setEvents(meetingId, 'v1', events);
+        const tickerKey = await bot.polling.startPolling(meetingUrl(meetingId), CHAT, 'Testgruppe', mode, 'whatsapp');
+        await bot.runAllJobs();
+        return tickerKey;
+    }
+
+    /**
+     * Publishes a new version of the events and polls it.
+     */
+    async function publishVersion(meetingId, versionUid, events) {
+        bot.nuscore.setMeeting(meetingId, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', halftimeLength: 30, versionUid });
+        bot.nuscore.setEvents(meetingId, versionUid, events);
+        bot.polling.masterScheduler();
+        await bot.runAllJobs();
+    }
+
+    test('edits the posted message when the goal scorer is changed', async () => {
+        const tickerKey = await startGame(4001, 'live', [
+            makeEvent(1, 15),
+            makeEvent(2, 4, { second: 754, pointsHome: 1, ...richter })
+        ]);
+        const goalMessage = bot.client.sent.find(m => m.text.includes('Richter'));
+        const sentBefore = bot.client.sent.length;
+
+        await publishVersion(4001, 'v2', [
+            makeEvent(1, 15),
+            makeEvent(2, 4, { second: 754, pointsHome: 1, ...becker })
+        ]);
+
+        assert.strictEqual(bot.client.sent.length, sentBefore);
+        assert.deepStrictEqual(bot.client.edited, [{ id: goalMessage.id, text: 'HSG Heim  *1*:0  TV Gast\n🤾‍♀️ Tor durch L. Becker (12:34)' }]);
+        const saved = readJson(bot.files.seenFile)[tickerKey];
+        assert.strictEqual(saved.events['2'].personLastname, 'Becker');
+        assert.strictEqual(saved.messages['2'], goalMessage.id);
+    });
+
+    test('edits a deleted goal into a notice with the new score', async () => {
+        await startGame(4002, 'live', [
+            makeEvent(1, 4, { second: 60, pointsHome: 1, pointsGuest: 0 }),
+            makeEvent(2, 4, { second: 120, teamHome: false, pointsHome: 1, pointsGuest: 1, ...richter }),
+            makeEvent(3, 8, { second: 180, pointsHome: 1, pointsGuest: 1, ...becker })
+        ]);
+        const goalMessage = bot.client.sent.find(m => m.text.includes('Richter'));
+
+        // Goal 2 is deleted, the scores of later events are recalculated without triggering corrections
+        await publishVersion(4002, 'v2', [
+            makeEvent(1, 4, { second: 60, pointsHome: 1, pointsGuest: 0 }),
+            makeEvent(3, 8, { second: 180, pointsHome: 1, pointsGuest: 0, ...becker })
+        ]);
+
+        assert.deepStrictEqual(bot.client.edited, [{ id: goalMessage.id, text: '❌ Tor zurückgenommen, Stand jetzt 1:0\nTor von M. Richter (*TV Gast*) (02:00)' }]);
+    });
+
+    test('revokes and resends the message when it can no longer be edited', async () => {
+        const tickerKey = await startGame(4006, 'live', [makeEvent(1, 4, { second: 60, pointsHome: 1, ...richter })]);
+        const goalMessage = bot.client.sent.find(m => m.text.includes('Richter'));
+        bot.client.editable = false;
+
+        await publishVersion(4006, 'v2', [makeEvent(1, 4, { second: 60, pointsHome: 1, ...becker })]);
+
+        assert.deepStrictEqual(bot.client.deleted, [goalMessage.id]);
+        const resent = bot.client.sent[bot.client.sent.length - 1];
+        assert.strictEqual(resent.text, 'HSG Heim  *1*:0  TV Gast\n🤾‍♀️ Tor durch L. Becker (01:00)');
+        assert.strictEqual(bot.activeTickers.get(tickerKey).sentMessages['1'], resent.id);
+    });
+
+    test('posts a correction notice when the message can be neither edited nor deleted', async () => {
+        await startGame(4007, 'live', [
+            makeEvent(1, 15),
+            makeEvent(2, 4, { second: 754, pointsHome: 1, ...richter })
+        ]);
+        bot.client.editable = false;
+        bot.client.revocable = false;
+        const sentBefore = bot.client.sent.length;
+
+        await publishVersion(4007, 'v2', [
+            makeEvent(1, 15),
+            makeEvent(2, 4, { second: 754, pointsHome: 1, ...becker })
+        ]);
+
+        assert.deepStrictEqual(bot.client.texts().slice(sentBefore), ['✏️ Korrektur: Tor von L. Becker statt M. Richter (12:34)']);
+    });
+
+    test('mentions the score when a goal is credited to the other team', async () => {
+        await startGame(4003, 'live', [makeEvent(1, 4, { second: 60, pointsHome: 1, pointsGuest: 0, ...becker })]);
+        bot.client.editable = false;
+        bot.client.revocable = false;
+        const sentBefore = bot.client.sent.length;
+
+        await publishVersion(4003, 'v2', [makeEvent(1, 4, { second: 60, teamHome: false, pointsHome: 0, pointsGuest: 1, ...richter })]);
+
+        assert.deepStrictEqual(bot.client.texts().slice(sentBefore), ['✏️ Korrektur (01:00): Tor von M. Richter (*TV Gast*) statt Tor von L. Becker (*HSG Heim*), Stand jetzt 0:1']);
+    });
+
+    test('recap mode fixes unsent events silently and posts corrections for sent ones', async () => {
+        const tickerKey = await startGame(4004, 'recap', [
+            makeEvent(1, 4, { second: 60, pointsHome: 1, ...richter }),
+            makeEvent(2, 9, { second: 90, pointsHome: 1, ...richter })
+        ]);
+        const tickerState = bot.activeTickers.get(tickerKey);
+
+        // Still buffered: the recap simply shows the corrected version
+        await publishVersion(4004, 'v2', [
+            makeEvent(1, 4, { second: 60, pointsHome: 1, ...becker })
+        ]);
+        assert.strictEqual(bot.client.texts('Korrektur').length, 0);
+        assert.strictEqual(bot.client.texts('zurückgenommen').length, 0);
+        assert.deepStrictEqual(tickerState.recapEvents.map(ev => ev.personLastname), ['Becker']);
+
+        await bot.polling.sendRecapMessage(tickerKey);
+        const sentBefore = bot.client.sent.length;
+
+        // Already in a recap: the group is told about the correction right away
+        await publishVersion(4004, 'v3', [
+            makeEvent(1, 4, { second: 60, pointsHome: 1, ...richter })
+        ]);
+        assert.deepStrictEqual(bot.client.texts().slice(sentBefore), ['✏️ Korrektur: Tor von M. Richter statt L. Becker (01:00)']);
+    });
+
+    test('fixes sent messages after a restart from the saved snapshots and message IDs', async () => {
+        const tickerKey = await startGame(4005, 'live', [makeEvent(1, 8, { second: 300, ...becker })]);
+        const penaltyMessage = bot.client.sent.find(m => m.text.includes('Zeitstrafe'));
+
+        const restored = new Map();
+        loadSeenTickers(restored, bot.files.seenFile);
+        const tickerState = { ...restored.get(tickerKey), isPolling: true, mode: 'live', teamNames: { home: 'HSG Heim', guest: 'TV Gast' }, recapEvents: [] };
+        bot.activeTickers.set(tickerKey, tickerState);
+
+        await bot.polling.processEvents({ events: toEngineEvents([makeEvent(2, 4, { second: 320, pointsHome: 1 })]) }, tickerState, tickerKey);
+
+        assert.deepStrictEqual(bot.client.edited, [{ id: penaltyMessage.id, text: '❌ Zeitstrafe für L. Becker (*HSG Heim*) zurückgenommen (05:00)' }]);
+        assert.strictEqual(tickerState.sentMessages['1'], undefined);
+    });
+});
@@ -0,0 +1,154 @@
+// test/dashboard.test.js - HTTP status dashboard and REST API (dashboard.js)
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBot, meetingUrl, readJson } = require('./helpers/index.js');
+const { initializeDashboard, startDashboard } = require('../dashboard.js');
+
+const CHAT = '991@g.us';
+const TOKEN = 'vereinslaptop';
+const MINUTE = 60 * 1000;
+
+describe('dashboard', () => {
+    let bot;
+    let server;
+    let readOnlyServer;
+
+    /**
+     * Calls the dashboard.
+     * @param {string} method - The HTTP method.
+     * @param {string} path - The path, e.g. '/api/status'.
+     * @param {object} [options] - { body, token, server }.
+     * @returns {Promise<{status: number, body: *}>}
+     */
+    async function call(method, path, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (options.token) headers.Authorization = `Bearer ${options.token}`;
+        const { port } = (options.server || server).address();
+        const res = await fetch(`http://127.0.0.1:${port}${path}`, { method, headers, body: options.body ? JSON.stringify(options.body) : undefined });
+        const text = await res.text();
+        return { status: res.status, body: res.headers.get('content-type').startsWith('application/json') ? JSON.parse(text) : text };
+    }
+
+    before(async () => {
+        bot = await setupBot();
+        initializeDashboard(bot.activeTickers, bot.jobQueue, bot.files.scheduleFile);
+        server = await startDashboard(0, TOKEN, '127.0.0.1');
+        readOnlyServer = await startDashboard(0, undefined, '127.0.0.1');
+        const scheduled = new Date(Date.now() + 120 * MINUTE).toISOString();
+        bot.nuscore.setMeeting(9901, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled, halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setMeeting(9902, { teamHome: 'Damen', teamGuest: 'Gegner', scheduled, halftimeLength: 30, versionUid: 'v1' });
+    });
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await new Promise(resolve => readOnlyServer.close(resolve));
+        await bot.teardown();
+    });
+    beforeEach(() => bot.reset());
+
+    test('serves the dashboard page and the status', async () => {
+        const page = await call('GET', '/');
+        assert.strictEqual(page.status, 200);
+        assert.match(page.body, /<title>Liveticker-Bot<\/title>/);
+
+        await bot.client.receive(CHAT, `!start ${meetingUrl(9901)}`, { name: 'Heim-Fans' });
+        await bot.runAllJobs();
+        const { status, body } = await call('GET', '/api/status');
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.tickers, { running: 0, scheduled: 1, scheduling: 0, finished: 0, stopped: 0 });
+        assert.strictEqual(body.queue.length, 0);
+        assert.strictEqual(typeof body.uptimeSeconds, 'number');
+        assert.strictEqual(typeof body.errors.total, 'number');
+        assert.strictEqual((await call('GET', '/api/nichts')).status, 404);
+    });
+
+    test('lists tickers, schedule and queue', async () => {
+        await bot.client.receive(CHAT, `!start ${meetingUrl(9901)} recap`, { name: 'Heim-Fans' });
+        await bot.runAllJobs();
+        bot.jobQueue.push({ type: 'poll', tickerKey: `${CHAT}#1`, jobId: Date.now() });
+
+        const tickers = (await call('GET', '/api/tickers')).body;
+        assert.strictEqual(tickers.length, 1);
+        assert.deepStrictEqual({ ...tickers[0], scheduledTime: typeof tickers[0].scheduledTime }, {
+            key: `${CHAT}#1`,
+            chatId: CHAT,
+            tickerId: 1,
+            groupName: 'Heim-Fans',
+            status: 'scheduled',
+            mode: 'recap',
+            transport: 'whatsapp',
+            meetingPageUrl: meetingUrl(9901),
+            teamNames: { home: 'HSG Heim', guest: 'TV Gast' },
+            score: null,
+            scheduledTime: 'string',
+            lastPollAt: tickers[0].lastPollAt, // Set by the scheduling job
+            errorCount: 0,
+            lastError: null
+        });
+        assert.deepStrictEqual(Object.keys((await call('GET', '/api/schedule')).body), [`${CHAT}#1`]);
+        const queue = (await call('GET', '/api/queue')).body;
+        assert.deepStrictEqual(queue.jobs, [{ type: 'poll', tickerKey: `${CHAT}#1`, waitingSeconds: 0 }]);
+        bot.jobQueue.length = 0;
+    });
+
+    test('starting and stopping needs the token', async () => {
+        const start = { url: meetingUrl(9902), chatId: CHAT };
+        assert.strictEqual((await call('POST', '/api/tickers', { body: start })).status, 401);
+        assert.strictEqual((await call('POST', '/api/tickers', { body: start, token: 'falsch' })).status, 401);
+        assert.strictEqual((await call('POST', '/api/tickers', { body: start, token: TOKEN, server: readOnlyServer })).status, 403);
+        assert.strictEqual(bot.activeTickers.size, 0);
+    });
+
+    test('starts, stops and deletes tickers', async () => {
+        const started = await call('POST', '/api/tickers', { token: TOKEN, body: { url: meetingUrl(9902), chatId: CHAT, groupName: 'Damen-Fans', mode: 'recap' } });
+        assert.strictEqual(started.status, 202);
+        assert.strictEqual(started.body.key, `${CHAT}#1`);
+        assert.strictEqual(started.body.status, 'scheduling');
+        await bot.runAllJobs();
+        assert.strictEqual(bot.activeTickers.get(`${CHAT}#1`).isScheduled, true);
+
+        const duplicate = await call('POST', '/api/tickers', { token: TOKEN, body: { url: meetingUrl(9902), chatId: CHAT } });
+        assert.strictEqual(duplicate.status, 409);
+        const invalid = await Promise.all([
+            call('POST', '/api/tickers', { token: TOKEN, body: { chatId: CHAT } }),
+            call('POST', '/api/tickers', { token: TOKEN, body: { url: 'https://example.com/spiel', chatId: CHAT } }),
+            call('POST', '/api/tickers', { token: TOKEN, body: { url: meetingUrl(9901), chatId: CHAT, mode: 'schnell' } })
+        ]);
+        assert.deepStrictEqual(invalid.map(res => res.status), [400, 400, 400]);
+
+        bot.client.sent.length = 0;
+        const key = encodeURIComponent(`${CHAT}#1`);
+        const stopped = await call('POST', `/api/tickers/${key}/stop`, { token: TOKEN });
+        assert.strictEqual(stopped.status, 200);
+        assert.strictEqual(stopped.body.stopped, true);
+        assert.strictEqual(stopped.body.status, 'stopped');
+        assert.deepStrictEqual(bot.client.texts(), ['Live-Ticker #1 in dieser Gruppe gestoppt.']);
+        assert.deepStrictEqual(readJson(bot.files.scheduleFile), {});
+
+        assert.strictEqual((await call('DELETE', `/api/tickers/${key}`, { token: TOKEN })).status, 200);
+        assert.strictEqual(bot.activeTickers.size, 0);
+        assert.strictEqual((await call('DELETE', `/api/tickers/${key}`, { token: TOKEN })).status, 404);
+    });
+
+    test('answers a malformed ticker key with 400', async () => {
+        const res = await call('POST', '/api/tickers/%E0%A4%A/stop', { token: TOKEN });
+        assert.strictEqual(res.status, 400);
+        assert.match(res.body.error, /URL-kodiert/);
+    });
+
+    test('needs the token for reading too when it listens on the network', async () => {
+        const networkServer = await startDashboard(0, TOKEN, '0.0.0.0');
+        const tokenlessServer = await startDashboard(0, undefined, '0.0.0.0');
+        try {
+            assert.strictEqual((await call('GET', '/', { server: networkServer })).status, 200);
+            for (const path of ['/api/status', '/api/tickers', '/api/schedule', '/api/queue', '/metrics']) {
+                assert.strictEqual((await call('GET', path, { server: networkServer })).status, 401, path);
+                assert.strictEqual((await call('GET', path, { server: networkServer, token: 'falsch' })).status, 401, path);
+                assert.strictEqual((await call('GET', path, { server: networkServer, token: TOKEN })).status, 200, path);
+                assert.strictEqual((await call('GET', path, { server: tokenlessServer, token: TOKEN })).status, 403, path);
+            }
+        } finally {
+            await new Promise(resolve => networkServer.close(resolve));
+            await new Promise(resolve => tokenlessServer.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,128 @@
+// test/filters.test.js - Event type and team filters (!start options and !filter)
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBot, makeEvent, meetingUrl, readJson } = require('./helpers/index.js');
+const { parseFilterOptions, matchesFilter, formatFilter } = require('../filters.js');
+
+const CHAT = '777@g.us';
+const MINUTE = 60 * 1000;
+const teamNames = { home: 'HSG Heim', guest: 'TV Gast' };
+
+describe('filter options', () => {
+    test('parses goals only, event lists and teams and keeps the other options', () => {
+        assert.deepStrictEqual(parseFilterOptions(['recap', 'tore', 'team=gast'], null),
+            { filter: { events: ['goal', 'penaltyGoal'], team: 'guest' }, rest: ['recap'] });
+        assert.deepStrictEqual(parseFilterOptions(['events=tor,zeitstrafe', 'team=TV_Gast'], null).filter,
+            { events: ['goal', 'suspension'], team: 'TV Gast' });
+        assert.deepStrictEqual(parseFilterOptions(['team'], 'HSG').filter, { events: null, team: 'HSG' });
+        assert.deepStrictEqual(parseFilterOptions(['recap'], null), { filter: null, rest: ['recap'] });
+        // English keywords and event names work in every group
+        assert.deepStrictEqual(parseFilterOptions(['goals', 'team=home'], null).filter, { events: ['goal', 'penaltyGoal'], team: 'home' });
+        assert.deepStrictEqual(parseFilterOptions(['events=suspension,rot'], null).filter, { events: ['suspension', 'redCard'], team: null });
+    });
+
+    test('rejects unknown events and a bare "team" without a group team', () => {
+        assert.throws(() => parseFilterOptions(['events=tor,abseits'], null), /Unbekanntes Event "abseits"/);
+        assert.throws(() => parseFilterOptions(['team'], null), /kein Team eingestellt/);
+    });
+
+    test('matches events by type and team, always keeping start, halftime and end', () => {
+        const tickerState = { teamNames, filter: { events: ['goal', 'penaltyGoal'], team: 'gast' } };
+        assert.strictEqual(matchesFilter({ type: 'goal', teamHome: false }, tickerState), true);
+        assert.strictEqual(matchesFilter({ type: 'goal', teamHome: true }, tickerState), false);
+        assert.strictEqual(matchesFilter({ type: 'suspension', teamHome: false }, tickerState), false);
+        assert.strictEqual(matchesFilter({ type: 'periodEnd', teamHome: true }, tickerState), true);
+        // A name matching neither team doesn't hide anything
+        assert.strictEqual(matchesFilter({ type: 'goal', teamHome: true }, { teamNames, filter: { events: null, team: 'Füchse' } }), true);
+    });
+
+    test('describes filters', () => {
+        assert.strictEqual(formatFilter(null, teamNames), 'alle Events');
+        assert.strictEqual(formatFilter({ events: ['goal', 'penaltyGoal'], team: 'home' }, teamNames), 'nur Tore von *HSG Heim*');
+        assert.strictEqual(formatFilter({ events: ['suspension', 'yellowCard'], team: null }), 'nur zeitstrafe, gelb');
+        assert.strictEqual(formatFilter({ events: null, team: 'guest' }), 'alle Events von *Gast*');
+        assert.strictEqual(formatFilter({ events: ['suspension', 'yellowCard'], team: null }, null, 'en'), 'only suspension, yellow');
+    });
+});
+
+describe('filtered tickers', () => {
+    let bot;
+
+    before(async () => { bot = await setupBot(); });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => bot.reset());
+
+    /**
+     * Publishes a new version of the events and polls it.
+     */
+    async function publishVersion(meetingId, versionUid, events) {
+        bot.nuscore.setMeeting(meetingId, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 10 * MINUTE).toISOString(), halftimeLength: 30, versionUid });
+        bot.nuscore.setEvents(meetingId, versionUid, events);
+        bot.polling.masterScheduler();
+        await bot.runAllJobs();
+    }
+
+    const firstEvents = [
+        makeEvent(1, 15),
+        makeEvent(2, 4, { second: 60, pointsHome: 1, personFirstname: 'Lukas', personLastname: 'Becker' }),
+        makeEvent(3, 8, { second: 90, teamHome: false, pointsHome: 1, personFirstname: 'Max', personLastname: 'Richter' }),
+        makeEvent(4, 4, { second: 120, teamHome: false, pointsHome: 1, pointsGuest: 1, personFirstname: 'Tim', personLastname: 'Wolf' })
+    ];
+
+    test('"tore" reports only goals in live mode', async () => {
+        await publishVersion(7001, 'v1', firstEvents);
+        await bot.client.receive(CHAT, `!start ${meetingUrl(7001)} tore`);
+        await bot.runAllJobs();
+
+        assert.strictEqual(bot.client.texts('Filter: nur Tore').length, 1);
+        assert.strictEqual(bot.client.texts('Tor durch').length, 2);
+        assert.strictEqual(bot.client.texts('Zeitstrafe').length, 0);
+        assert.deepStrictEqual(Object.keys(bot.activeTickers.get(`${CHAT}#1`).eventSnapshots), ['1', '2', '4']);
+    });
+
+    test('"team" uses the team set with !config and can be changed mid-game', async () => {
+        await bot.client.receive(CHAT, '!config team TV Gast');
+        await publishVersion(7002, 'v1', firstEvents);
+        await bot.client.receive(CHAT, `!start ${meetingUrl(7002)} team`);
+        await bot.runAllJobs();
+
+        assert.strictEqual(bot.client.texts('Tor durch L. Becker').length, 0);
+        assert.strictEqual(bot.client.texts('Tor durch T. Wolf').length, 1);
+        assert.strictEqual(bot.client.texts('Zeitstrafe').length, 1);
+
+        await bot.client.receive(CHAT, '!filter aus');
+        assert.strictEqual(bot.client.texts('✅ Filter für Ticker #1: alle Events').length, 1);
+        await publishVersion(7002, 'v2', [...firstEvents, makeEvent(5, 4, { second: 150, pointsHome: 2, pointsGuest: 1, personFirstname: 'Lukas', personLastname: 'Becker' })]);
+        assert.strictEqual(bot.client.texts('Tor durch L. Becker').length, 1);
+    });
+
+    test('narrowing the filter mid-game doesn\'t retract already reported events', async () => {
+        await publishVersion(7003, 'v1', firstEvents);
+        await bot.client.receive(CHAT, `!start ${meetingUrl(7003)}`);
+        await bot.runAllJobs();
+
+        await bot.client.receive(CHAT, '!filter team=heim');
+        await publishVersion(7003, 'v2', [...firstEvents, makeEvent(5, 9, { second: 150, teamHome: false, pointsHome: 1, pointsGuest: 1 })]);
+
+        assert.strictEqual(bot.client.texts('zurückgenommen').length, 0);
+        assert.strictEqual(bot.client.texts('Gelbe Karte').length, 0);
+        assert.deepStrictEqual(Object.keys(bot.activeTickers.get(`${CHAT}#1`).eventSnapshots), ['1', '2']);
+    });
+
+    test('!filter saves the filter of a scheduled ticker and asks for the number with several tickers', async () => {
+        bot.nuscore.setMeeting(7004, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() + 60 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        await bot.client.receive(CHAT, `!start ${meetingUrl(7004)}`);
+        await bot.runAllJobs();
+        await bot.client.receive(CHAT, '!filter events=tor,7m-tor');
+        assert.deepStrictEqual(readJson(bot.files.scheduleFile)[`${CHAT}#1`].filter, { events: ['goal', 'penaltyGoal'], team: null });
+        assert.strictEqual(bot.client.texts('✅ Filter für Ticker #1: nur Tore').length, 1);
+
+        bot.nuscore.setMeeting(7005, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() + 90 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        await bot.client.receive(CHAT, `!start ${meetingUrl(7005)}`);
+        await bot.runAllJobs();
+        await bot.client.receive(CHAT, '!filter tore');
+        assert.strictEqual(bot.client.texts('Bitte gib die Nummer an').length, 1);
+        await bot.client.receive(CHAT, '!filter #2');
+        assert.strictEqual(bot.client.texts('Filter für Ticker #2: alle Events').length, 1);
+    });
+});
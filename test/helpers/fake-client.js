@@ -0,0 +1,82 @@
+// test/helpers/fake-client.js - Fake whatsapp-web.js client that records sent messages
+const { EventEmitter } = require('events');
+
+/**
+ * Creates a fake client with the parts of the whatsapp-web.js API the bot uses.
+ * Every sendMessage/reply call is recorded in `sent`, edits in `edited`, revoked messages in `deleted` and pins in `pinned`.
+ * Media messages are recorded with their caption as text and the MessageMedia in `media`.
+ * Set `editable` or `revocable` to false to simulate messages that are too old to be edited or deleted.
+ * @returns {object} - The fake client.
+ */
+function createFakeClient() {
+    const client = new EventEmitter();
+    client.sent = []; // { chatId, text, reply, id, media } in the order they were sent
+    client.edited = []; // { id, text }
+    client.deleted = []; // Message IDs
+    client.pinned = []; // Message IDs
+    client.editable = true;
+    client.revocable = true;
+    const messages = new Map();
+    let nextMessageId = 1;
+
+    client.sendMessage = async (chatId, content, options = {}) => {
+        const media = typeof content === 'string' ? undefined : content;
+        const text = media ? options.caption : content;
+        const id = `msg-${nextMessageId++}`;
+        const message = {
+            id: { _serialized: id },
+            body: text,
+            edit: async newText => {
+                if (!client.editable) return null;
+                client.edited.push({ id, text: newText });
+                message.body = newText;
+                return message;
+            },
+            delete: async () => {
+                if (!client.revocable) throw new Error('Message can not be revoked');
+                client.deleted.push(id);
+                messages.delete(id);
+            },
+            pin: async () => {
+                client.pinned.push(id);
+                return true;
+            }
+        };
+        messages.set(id, message);
+        client.sent.push(media ? { chatId, text, id, media } : { chatId, text, id });
+        return message;
+    };
+    client.getMessageById = async id => messages.get(id);
+    client.initialize = async () => {};
+    client.destroy = async () => {};
+
+    /**
+     * Simulates an incoming chat message and waits until the bot has handled it.
+     * @param {string} chatId - The chat the message comes from.
+     * @param {string} body - The message text.
+     * @param {object} [chatOptions] - { name, isGroup, author, admins }: the sender (default '4915100000000@c.us') and the group admins.
+     */
+    client.receive = async (chatId, body, chatOptions = {}) => {
+        const participants = (chatOptions.admins || []).map(id => ({ id: { _serialized: id }, isAdmin: true, isSuperAdmin: false }));
+        const chat = { id: { _serialized: chatId }, name: chatOptions.name || 'Testgruppe', isGroup: chatOptions.isGroup !== false, participants };
+        const msg = {
+            body,
+            from: chatId,
+            author: chatOptions.author || '4915100000000@c.us',
+            getChat: async () => chat,
+            reply: async text => { client.sent.push({ chatId, text, reply: true }); }
+        };
+        await Promise.all(client.listeners('message').map(listener => listener(msg)));
+    };
+
+    /**
+     * Returns the texts of all recorded messages, optionally only those containing a substring.
+     * @param {string} [needle] - Optional filter.
+     * @returns {Array<string>}
+     */
+    client.texts = needle => client.sent.map(m => m.text).filter(text => !needle || text.includes(needle));
+
+    return client;
+}
+
+module.exports = { createFakeClient };
@@ -0,0 +1,167 @@
+// test/helpers/index.js - Shared setup for the test suite
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockNuScore } = require('./mock-nuscore.js');
+const { createFakeClient } = require('./fake-client.js');
+const { getProvider, normalizeEvents } = require('../../providers/index.js');
+
+const MEETING_PAGE_URL = 'https://hbde-live.liga.nu/nuScoreLive/#/groups/1234/meetings/';
+
+/**
+ * Waits until a condition becomes true (polls every 10ms).
+ * @param {Function} condition - Returns truthy when done.
+ * @param {number} [timeoutMs=3000] - Fails after this time.
+ */
+async function waitFor(condition, timeoutMs = 3000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeoutMs) throw new Error('waitFor: Bedingung nicht erfüllt.');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Creates a temporary directory with paths for the bot's JSON files.
+ * @returns {{dir: string, seenFile: string, scheduleFile: string, settingsFile: string, reportsDir: string, archiveFile: string, cleanup: Function}}
+ */
+function createTempFiles() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticker-test-'));
+    return {
+        dir,
+        seenFile: path.join(dir, 'seen_tickers.json'),
+        scheduleFile: path.join(dir, 'scheduled_tickers.json'),
+        settingsFile: path.join(dir, 'group_settings.json'),
+        reportsDir: path.join(dir, 'reports'),
+        archiveFile: path.join(dir, 'match_archive.json'),
+        cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+    };
+}
+
+/**
+ * Clears all timers of the tickers so the test process can exit.
+ * @param {Map} activeTickers - The map storing active ticker states.
+ */
+function stopAllTickers(activeTickers) {
+    for (const tickerState of activeTickers.values()) {
+        if (tickerState.scheduleTimeout) clearTimeout(tickerState.scheduleTimeout);
+        if (tickerState.scheduleRetryTimeout) clearTimeout(tickerState.scheduleRetryTimeout);
+        if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
+        tickerState.isPolling = false;
+        tickerState.isScheduled = false;
+    }
+    activeTickers.clear();
+}
+
+/**
+ * Builds a nuScore event object.
+ * @param {number} idx - The event index.
+ * @param {number} event - The event type (see the provider's eventMap).
+ * @param {object} [fields] - Further fields (second, teamHome, pointsHome, pointsGuest, personFirstname, personLastname).
+ * @returns {object}
+ */
+function makeEvent(idx, event, fields = {}) {
+    return { idx, event, second: 0, teamHome: true, pointsHome: 0, pointsGuest: 0, personFirstname: null, personLastname: null, ...fields };
+}
+
+/**
+ * Converts nuScore events (see makeEvent) into the engine's event format, for tests that call the engine directly.
+ * @param {Array<object>} events - The nuScore events.
+ * @returns {Array<object>}
+ */
+function toEngineEvents(events) {
+    return normalizeEvents(getProvider('nuscore'), events);
+}
+
+/**
+ * Loads a JSON file written by the bot.
+ * @param {string} file - The file path.
+ * @returns {object}
+ */
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Builds the meeting page URL users paste with !start.
+ * @param {number} meetingId - The meeting ID.
+ * @returns {string}
+ */
+function meetingUrl(meetingId) {
+    return `${MEETING_PAGE_URL}${meetingId}`;
+}
+
+/**
+ * Starts the mock nuScore backend and wires the bot modules to it and to a fake WhatsApp client.
+ * @returns {Promise<object>} - { nuscore, client, files, activeTickers, jobQueue, polling, runAllJobs, reset, teardown }
+ */
+async function setupBot() {
+    const nuscore = await startMockNuScore();
+    process.env.NUSCORE_API_BASE_URL = nuscore.apiBaseUrl;
+    // Never call a real AI; the summary comes from the templates
+    for (const name of ['AI_PROVIDER', 'GEMINI_API_KEY', 'OPENAI_BASE_URL']) delete process.env[name];
+
+    const client = createFakeClient();
+    const files = createTempFiles();
+    const activeTickers = new Map();
+    const jobQueue = [];
+
+    const { registerTransport } = require('../../transports/index.js');
+    const { createWhatsAppTransport } = require('../../transports/whatsapp.js');
+    const polling = require('../../polling.js');
+    const { initializeCommands, handleCommand } = require('../../commands.js');
+    const { initializeAdmin, handleAdminCommand } = require('../../admin.js');
+    const { configureRetry } = require('../../retry.js');
+    const { initializeSettings } = require('../../settings.js');
+    const { initializeReports } = require('../../report.js');
+    const { initializeArchive } = require('../../archive.js');
+
+    const transport = createWhatsAppTransport(client);
+    registerTransport(transport);
+    transport.onCommand(handleCommand);
+    transport.onCommand(handleAdminCommand);
+    initializeSettings(files.settingsFile);
+    initializeReports(files.reportsDir);
+    initializeArchive(files.archiveFile);
+    polling.initializePolling(activeTickers, jobQueue, files.seenFile, files.scheduleFile);
+    initializeCommands(activeTickers, files.seenFile, files.scheduleFile);
+    initializeAdmin(activeTickers, jobQueue);
+    configureRetry({ baseDelayMs: 1, maxDelayMs: 5 }); // The mock backend answers at once, no need to wait long between retries
+
+    /**
+     * Runs queued worker jobs (including the ones they queue) until the queue is empty.
+     */
+    async function runAllJobs() {
+        while (jobQueue.length > 0 || polling.getWorkerStatus().activeWorkers > 0) {
+            polling.dispatcherLoop();
+            // setImmediate instead of setTimeout, so this also works while a test mocks the timers
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    /**
+     * Clears all tickers, jobs, sent messages and files between tests.
+     */
+    function reset() {
+        stopAllTickers(activeTickers);
+        jobQueue.length = 0;
+        client.sent.length = 0;
+        client.edited.length = 0;
+        client.deleted.length = 0;
+        client.pinned.length = 0;
+        client.editable = true;
+        client.revocable = true;
+        for (const file of [files.seenFile, files.scheduleFile, files.settingsFile, files.reportsDir, files.archiveFile]) fs.rmSync(file, { recursive: true, force: true });
+        initializeSettings(files.settingsFile); // Forget the settings kept in memory
+    }
+
+    async function teardown() {
+        reset();
+        await nuscore.close();
+        files.cleanup();
+    }
+
+    return { nuscore, client, files, activeTickers, jobQueue, polling, runAllJobs, reset, teardown };
+}
+
+module.exports = { waitFor, createTempFiles, stopAllTickers, makeEvent, toEngineEvents, readJson, meetingUrl, setupBot };
@@ -0,0 +1,54 @@
+// test/helpers/mock-nuscore.js - Local HTTP stand-in for the nuScore REST backend
+const http = require('http');
+
+/**
+ * Starts a mock nuScore backend on a random local port.
+ * Serves the meeting and events endpoints from in-memory data the tests control.
+ * setOutage(status, [endpoint]) answers every request (or only those of one endpoint, e.g. 'events')
+ * with that HTTP status (e.g. 503) until it is called with null.
+ * @returns {Promise<object>} - { apiBaseUrl, setMeeting, setEvents, setOutage, requests, close }
+ */
+async function startMockNuScore() {
+    const meetings = new Map(); // meetingId -> meeting data
+    const events = new Map(); // "meetingId/versionUid" -> events array
+    const requests = []; // Paths of all received requests
+    let outageStatus = null; // HTTP status of a simulated outage
+    let outageEndpoint = null; // Endpoint the outage is limited to, null for all
+
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+        if (outageStatus && (!outageEndpoint || req.url.startsWith(`/api/1/${outageEndpoint}/`))) return send(outageStatus, { error: 'unavailable' });
+
+        let match = /^\/api\/1\/meeting\/(\d+)\/time\/\d+$/.exec(req.url);
+        if (match) return meetings.has(match[1]) ? send(200, meetings.get(match[1])) : send(404, { error: 'not found' });
+
+        match = /^\/api\/1\/events\/(\d+)\/versions\/([^/]+)$/.exec(req.url);
+        if (match) {
+            const key = `${match[1]}/${match[2]}`;
+            return events.has(key) ? send(200, { events: events.get(key) }) : send(404, { error: 'not found' });
+        }
+
+        send(404, { error: 'unknown endpoint' });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        apiBaseUrl: `http://127.0.0.1:${port}/api/1`,
+        requests,
+        setMeeting(meetingId, data) { meetings.set(String(meetingId), data); },
+        setEvents(meetingId, versionUid, list) { events.set(`${meetingId}/${versionUid}`, list); },
+        setOutage(status, endpoint = null) {
+            outageStatus = status;
+            outageEndpoint = endpoint;
+        },
+        close() { return new Promise(resolve => server.close(resolve)); }
+    };
+}
+
+module.exports = { startMockNuScore };
@@ -0,0 +1,100 @@
+// test/i18n.test.js - Message templates per language and the !config language setting
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBot, makeEvent, meetingUrl } = require('./helpers/index.js');
+const { getLanguages, translate, getEventLabel } = require('../i18n.js');
+
+const CHAT = '888@g.us';
+const MINUTE = 60 * 1000;
+
+/**
+ * Lists the dotted keys of all templates in a locale.
+ */
+function listKeys(templates, prefix = '') {
+    return Object.entries(templates).flatMap(([key, value]) =>
+        (value && typeof value === 'object') ? listKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`]).sort();
+}
+
+describe('templates', () => {
+    test('renders placeholders and falls back to German', () => {
+        assert.strictEqual(translate('en', 'commands.resetTicker', { id: 2 }), 'All data of ticker #2 was reset.');
+        assert.strictEqual(translate('xx', 'commands.resetTicker', { id: 2 }), 'Alle Daten von Ticker #2 wurden zurückgesetzt.');
+        // Placeholders without a value stay visible
+        assert.strictEqual(translate('de', 'commands.resetTicker'), 'Alle Daten von Ticker #{id} wurden zurückgesetzt.');
+        assert.strictEqual(getEventLabel('en', 'suspension'), '2-minute suspension');
+        assert.strictEqual(getEventLabel('en', 'abseits'), 'Unknown event abseits');
+    });
+
+    test('every locale has the same templates as German', () => {
+        const germanKeys = listKeys(require('../locales/de.json'));
+        for (const language of getLanguages()) {
+            assert.deepStrictEqual(listKeys(require(`../locales/${language}.json`)), germanKeys, `locales/${language}.json`);
+        }
+    });
+});
+
+describe('!config language', () => {
+    let bot;
+
+    before(async () => { bot = await setupBot(); });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => bot.reset());
+
+    test('switches the replies and ticker messages of the group', async (t) => {
+        await bot.client.receive(CHAT, '!config language en');
+        assert.deepStrictEqual(bot.client.texts(), ['✅ *language* is now: en']);
+        await bot.client.receive(CHAT, '!config language fr');
+        assert.match(bot.client.texts().pop(), /^Error: Please give one of these values for "language": de, en\.$/);
+
+        bot.nuscore.setMeeting(8001, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 70 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setEvents(8001, 'v1', [
+            makeEvent(1, 15),
+            makeEvent(2, 4, { second: 300, pointsHome: 1, personFirstname: 'Lukas', personLastname: 'Becker' }),
+            makeEvent(3, 8, { second: 400, teamHome: false }),
+            makeEvent(4, 16, { second: 3600, pointsHome: 1 })
+        ]);
+        bot.client.sent.length = 0;
+        await bot.client.receive(CHAT, `!start ${meetingUrl(8001)}`);
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        await bot.runAllJobs();
+        t.mock.timers.tick(5000);
+        await new Promise(resolve => setImmediate(resolve));
+        t.mock.timers.reset();
+
+        const texts = bot.client.texts();
+        assert.ok(texts.includes('⏳ Scheduling ticker (#1) for "Testgruppe"...'));
+        assert.ok(texts.includes('▶️ Ticker for *HSG Heim* vs *TV Gast* starts right away. You\'ll get every event live! ⚽'));
+        assert.ok(texts.includes('HSG Heim  *1*:0  TV Gast\n🤾‍♀️ Goal by L. Becker (05:00)'));
+        assert.ok(texts.includes('✌🏼 2-minute suspension for *TV Gast* (06:40)'));
+        assert.ok(texts.includes('🏁 *Full time*\nHSG Heim  *1:0* TV Gast'));
+        assert.ok(texts.some(text => text.startsWith('📊 *Match statistics:*') && text.includes('*Top scorer (HSG Heim):* Lukas Becker (1 goal)')));
+        assert.ok(texts.some(text => text.startsWith('Thanks for cheering along!')));
+    });
+
+    test('shows the settings overview in the group language', async () => {
+        await bot.client.receive(CHAT, '!config language en');
+        await bot.client.receive(CHAT, '!config');
+        const overview = bot.client.texts().pop();
+        assert.match(overview, /^⚙️ \*Settings of this group:\*/);
+        assert.match(overview, /• \*language\*: en ✏️\n {3}_Language of the ticker messages \(de, en\)_/);
+        assert.match(overview, /• \*closing\*: default\n/);
+        assert.match(overview, /• \*ignore\*: interruption\n {3}_Events that are not reported \(interruption, timeout, goal, 7m-goal, 7m-miss, suspension, yellow, red or none\)_/);
+        assert.match(overview, /• \*access\*: all\n/);
+    });
+
+    test('takes the keywords of every language and answers with the group\'s', async () => {
+        await bot.client.receive(CHAT, '!config language en');
+        await bot.client.receive(CHAT, '!config ignore yellow, red');
+        await bot.client.receive(CHAT, '!config ignore gelb');
+        await bot.client.receive(CHAT, '!config ignore abseits');
+        await bot.client.receive(CHAT, '!config closing off');
+        await bot.client.receive(CHAT, '!config ai aus');
+        assert.deepStrictEqual(bot.client.texts().slice(1), [
+            '✅ *ignore* is now: yellow, red',
+            '✅ *ignore* is now: yellow',
+            'Error: Unknown event "abseits". Possible values: interruption, timeout, goal, 7m-goal, 7m-miss, suspension, yellow, red or none.',
+            '✅ *closing* is now: off',
+            '✅ *ai* is now: off'
+        ]);
+    });
+});
@@ -0,0 +1,129 @@
+// test/metrics.test.js - Prometheus metrics (metrics.js) and the /metrics endpoint of the dashboard
+const { describe, test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { setupBot, makeEvent, meetingUrl } = require('./helpers/index.js');
+const { renderMetrics } = require('../metrics.js');
+const { initializeDashboard, startDashboard } = require('../dashboard.js');
+
+const CHAT = '551@g.us';
+const MINUTE = 60 * 1000;
+
+/**
+ * Reads the value of one sample from the metrics text.
+ * @param {string} text - The output of renderMetrics.
+ * @param {string} sample - The sample name with labels, e.g. 'liveticker_api_errors_total{provider="nuscore",endpoint="events"}'.
+ * @returns {number} - The value, 0 if the sample is missing.
+ */
+function sampleValue(text, sample) {
+    const line = text.split('\n').find(l => l.startsWith(`${sample} `));
+    return line ? Number(line.slice(sample.length + 1)) : 0;
+}
+
+describe('metrics', () => {
+    let bot;
+
+    before(async () => { bot = await setupBot(); });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => bot.reset());
+
+    test('counts worker jobs, sent messages and the time from entering an event to its delivery', async () => {
+        const before = renderMetrics();
+        bot.nuscore.setMeeting(5501, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 10 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setEvents(5501, 'v1', [makeEvent(1, 15), makeEvent(2, 4, { second: 65, teamHome: true, pointsHome: 1, pointsGuest: 0, timestamp: Date.now() - 45 * 1000 })]);
+
+        // The scheduling job starts the running game and queues the first poll
+        await bot.polling.startPolling(meetingUrl(5501), CHAT, 'Testgruppe', 'live', 'whatsapp');
+        await bot.runAllJobs();
+
+        const after = renderMetrics();
+        const diff = sample => sampleValue(after, sample) - sampleValue(before, sample);
+        assert.match(after, /# TYPE liveticker_worker_job_duration_seconds histogram/);
+        assert.strictEqual(diff('liveticker_worker_job_duration_seconds_count{type="schedule",result="ok"}'), 1);
+        assert.strictEqual(diff('liveticker_worker_job_duration_seconds_count{type="poll",result="ok"}'), 1);
+        assert.strictEqual(diff('liveticker_worker_job_duration_seconds_bucket{type="poll",result="ok",le="+Inf"}'), 1);
+        // Planning, "starting now" and the two events
+        assert.strictEqual(diff('liveticker_messages_sent_total{transport="whatsapp"}'), bot.client.sent.length);
+        assert.doesNotMatch(after, new RegExp(CHAT)); // No chat IDs in the labels
+        // Only the goal has a time from nuScore; it was entered 45 seconds ago
+        assert.strictEqual(diff('liveticker_event_delivery_seconds_count'), 1);
+        assert.strictEqual(diff('liveticker_event_delivery_seconds_bucket{le="30"}'), 0);
+        assert.strictEqual(diff('liveticker_event_delivery_seconds_bucket{le="60"}'), 1);
+    });
+
+    test('counts API errors by endpoint and failed messages', async () => {
+        const before = renderMetrics();
+        const meeting = { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 10 * MINUTE).toISOString(), halftimeLength: 30 };
+        bot.nuscore.setMeeting(5502, { ...meeting, versionUid: 'v-fehlt' }); // No events for this version
+
+        const tickerKey = await bot.polling.startPolling(meetingUrl(5502), CHAT, 'Testgruppe', 'live', 'whatsapp');
+        await bot.runAllJobs();
+        bot.nuscore.setMeeting(5502, { ...meeting, versionUid: 'v2' });
+        bot.nuscore.setEvents(5502, 'v2', [makeEvent(1, 15)]);
+        mock.method(bot.client, 'sendMessage', async () => { throw new Error('WhatsApp getrennt'); });
+        try {
+            bot.jobQueue.push({ type: 'poll', tickerKey, meetingPageUrl: meetingUrl(5502), jobId: Date.now() });
+            await bot.runAllJobs();
+        } finally {
+            bot.client.sendMessage.mock.restore();
+        }
+
+        const after = renderMetrics();
+        const diff = sample => sampleValue(after, sample) - sampleValue(before, sample);
+        assert.strictEqual(diff('liveticker_api_errors_total{provider="nuscore",endpoint="events"}'), 1);
+        assert.strictEqual(diff('liveticker_worker_job_duration_seconds_count{type="poll",result="error"}'), 1);
+        assert.strictEqual(diff('liveticker_messages_failed_total{transport="whatsapp"}'), 1);
+    });
+
+    test('counts edited and resent messages of corrections', async () => {
+        const meeting = { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 10 * MINUTE).toISOString(), halftimeLength: 30 };
+        const goal = fields => makeEvent(1, 4, { second: 60, pointsHome: 1, pointsGuest: 0, ...fields });
+        bot.nuscore.setMeeting(5504, { ...meeting, versionUid: 'v1' });
+        bot.nuscore.setEvents(5504, 'v1', [goal({ personLastname: 'Richter' })]);
+        const tickerKey = await bot.polling.startPolling(meetingUrl(5504), CHAT, 'Testgruppe', 'live', 'whatsapp');
+        await bot.runAllJobs();
+
+        /**
+         * Publishes a corrected goal and returns how the message counters changed.
+         */
+        async function correct(versionUid, personLastname) {
+            const before = renderMetrics();
+            bot.nuscore.setMeeting(5504, { ...meeting, versionUid });
+            bot.nuscore.setEvents(5504, versionUid, [goal({ personLastname })]);
+            bot.jobQueue.push({ type: 'poll', tickerKey, meetingPageUrl: meetingUrl(5504), jobId: Date.now() });
+            await bot.runAllJobs();
+            const after = renderMetrics();
+            const diff = sample => sampleValue(after, sample) - sampleValue(before, sample);
+            return {
+                sent: diff('liveticker_messages_sent_total{transport="whatsapp"}'),
+                failed: diff('liveticker_messages_failed_total{transport="whatsapp"}')
+            };
+        }
+
+        assert.deepStrictEqual(await correct('v2', 'Becker'), { sent: 1, failed: 0 }); // Edited
+        bot.client.editable = false;
+        assert.deepStrictEqual(await correct('v3', 'Schulz'), { sent: 1, failed: 1 }); // Edit refused, resent
+    });
+
+    test('serves the metrics with the current queue, workers and tickers', async () => {
+        initializeDashboard(bot.activeTickers, bot.jobQueue, bot.files.scheduleFile);
+        const server = await startDashboard(0, undefined, '127.0.0.1');
+        try {
+            bot.nuscore.setMeeting(5503, { teamHome: 'Damen', teamGuest: 'Gegner', scheduled: new Date(Date.now() + 120 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+            await bot.polling.startPolling(meetingUrl(5503), CHAT, 'Testgruppe', 'live', 'whatsapp');
+
+            const res = await fetch(`http://127.0.0.1:${server.address().port}/metrics`);
+            assert.strictEqual(res.status, 200);
+            assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+            const text = await res.text();
+            assert.strictEqual(sampleValue(text, 'liveticker_job_queue_length'), 1);
+            assert.strictEqual(sampleValue(text, 'liveticker_active_workers'), 0);
+            assert.strictEqual(sampleValue(text, 'liveticker_max_workers'), 2);
+            assert.strictEqual(sampleValue(text, 'liveticker_tickers{status="scheduling"}'), 1);
+            assert.strictEqual(sampleValue(text, 'liveticker_tickers{status="running"}'), 0);
+            assert.ok(sampleValue(text, 'liveticker_start_time_seconds') > 0);
+            assert.match(text, /^# HELP liveticker_puppeteer_launch_failures_total /m);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
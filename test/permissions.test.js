@@ -0,0 +1,144 @@
+// test/permissions.test.js - Restricting ticker control and settings to admins (!config access, !config allowed, BOT_OWNERS)
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBot, meetingUrl } = require('./helpers/index.js');
+const { normalizeMemberId, isBotOwner, isRestrictedCommand, isAccessCommand } = require('../permissions.js');
+const { getGroupSettings } = require('../settings.js');
+
+const CHAT = '777@g.us';
+const MINUTE = 60 * 1000;
+const ADMIN = '491700000001@c.us';
+const MEMBER = '491700000002@c.us';
+const FRIEND = '491700000003@c.us';
+const OWNER = '491700000009@c.us';
+
+test('member IDs match phone numbers in any notation', () => {
+    assert.strictEqual(normalizeMemberId('+49 170 0000001'), normalizeMemberId(ADMIN));
+    assert.strictEqual(normalizeMemberId('0049-170-0000001'), normalizeMemberId(ADMIN));
+    assert.strictEqual(normalizeMemberId(ADMIN), 'whatsapp:491700000001');
+});
+
+test('member IDs are keyed by chat service', () => {
+    assert.strictEqual(normalizeMemberId(123456789, 'telegram'), 'telegram:123456789');
+    assert.strictEqual(normalizeMemberId('Telegram:123456789'), 'telegram:123456789');
+    assert.notStrictEqual(normalizeMemberId('491700000009', 'telegram'), normalizeMemberId('+49 170 0000009'));
+
+    const saved = process.env.BOT_OWNERS;
+    try {
+        process.env.BOT_OWNERS = '+49 170 0000009, telegram:4242';
+        assert.strictEqual(isBotOwner({ transport: { name: 'whatsapp' }, senderId: OWNER }), true);
+        assert.strictEqual(isBotOwner({ transport: { name: 'telegram' }, senderId: '4242' }), true);
+        // A Telegram user whose ID has the digits of an owner's phone number is no owner
+        assert.strictEqual(isBotOwner({ transport: { name: 'telegram' }, senderId: '491700000009' }), false);
+        assert.strictEqual(isBotOwner({ transport: { name: 'whatsapp' }, senderId: '4242@c.us' }), false);
+    } finally {
+        if (saved === undefined) delete process.env.BOT_OWNERS; else process.env.BOT_OWNERS = saved;
+    }
+});
+
+test('only commands that change tickers or settings are restricted', () => {
+    assert.strictEqual(isRestrictedCommand('!reset', ['!reset']), true);
+    assert.strictEqual(isRestrictedCommand('!config', ['!config', 'recap', '10']), true);
+    assert.strictEqual(isRestrictedCommand('!config', ['!config']), false);
+    assert.strictEqual(isRestrictedCommand('!score', ['!score']), false);
+    assert.strictEqual(isAccessCommand('!config', ['!config', 'Access', 'alle']), true);
+    assert.strictEqual(isAccessCommand('!config', ['!config', 'reset']), true);
+    assert.strictEqual(isAccessCommand('!config', ['!config', 'recap', '10']), false);
+});
+
+describe('command permissions', () => {
+    let bot;
+    let savedOwners;
+
+    /**
+     * Sends a command as a member of the test group, in which ADMIN is the only admin.
+     * @param {string} author - The sender.
+     * @param {string} body - The command.
+     */
+    const send = (author, body) => bot.client.receive(CHAT, body, { author, admins: [ADMIN] });
+
+    before(async () => {
+        bot = await setupBot();
+        savedOwners = process.env.BOT_OWNERS;
+    });
+    after(async () => {
+        if (savedOwners === undefined) delete process.env.BOT_OWNERS; else process.env.BOT_OWNERS = savedOwners;
+        await bot.teardown();
+    });
+    beforeEach(() => {
+        bot.reset();
+        delete process.env.BOT_OWNERS;
+    });
+
+    test('without a restriction every member may use all commands', async () => {
+        await send(MEMBER, '!reset');
+        assert.deepStrictEqual(bot.client.texts(), ['Alle Ticker-Daten für diese Gruppe wurden zurückgesetzt.']);
+    });
+
+    test('only admins may change who controls the tickers, even when everyone may', async () => {
+        await send(MEMBER, '!config access admins');
+        await send(MEMBER, `!config allowed ${MEMBER}`);
+        await send(MEMBER, '!config reset');
+        await send(MEMBER, '!config recap 10'); // Other settings stay open with access alle
+        assert.deepStrictEqual(bot.client.texts(), [
+            '⛔ Nur Admins dürfen festlegen, wer in dieser Gruppe die Ticker steuern darf (access, allowed).',
+            '⛔ Nur Admins dürfen festlegen, wer in dieser Gruppe die Ticker steuern darf (access, allowed).',
+            '⛔ Nur Admins dürfen festlegen, wer in dieser Gruppe die Ticker steuern darf (access, allowed).',
+            '✅ *recap* ist jetzt: 10'
+        ]);
+        assert.strictEqual(getGroupSettings(CHAT).access, 'all');
+        await send(ADMIN, '!config access all');
+        assert.strictEqual(bot.client.texts().pop(), '✅ *access* ist jetzt: alle');
+    });
+
+    test('with access admins members are turned away, admins are not', async () => {
+        bot.nuscore.setMeeting(7701, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() + 120 * MINUTE).toISOString(), versionUid: 'v1' });
+        await send(ADMIN, '!config access admins');
+        await send(MEMBER, `!start ${meetingUrl(7701)}`);
+        await send(MEMBER, '!reset');
+        await send(MEMBER, '!config recap 10');
+        await send(MEMBER, '!score'); // Open to everyone
+        assert.deepStrictEqual(bot.client.texts(), [
+            '✅ *access* ist jetzt: admins',
+            '⛔ !start dürfen in dieser Gruppe nur Admins und freigegebene Mitglieder verwenden.',
+            '⛔ !reset dürfen in dieser Gruppe nur Admins und freigegebene Mitglieder verwenden.',
+            '⛔ !config dürfen in dieser Gruppe nur Admins und freigegebene Mitglieder verwenden.',
+            'In dieser Gruppe läuft derzeit kein Live-Ticker.'
+        ]);
+        assert.strictEqual(bot.activeTickers.size, 0);
+
+        bot.client.sent.length = 0;
+        await send(MEMBER, '!config');
+        assert.match(bot.client.texts()[0], /• \*access\*: admins ✏️/);
+
+        bot.client.sent.length = 0;
+        await send(ADMIN, '!reset');
+        assert.deepStrictEqual(bot.client.texts(), ['Alle Ticker-Daten für diese Gruppe wurden zurückgesetzt.']);
+    });
+
+    test('members in the allowlist and bot owners may control the tickers', async () => {
+        await send(ADMIN, '!config access admins');
+        await send(ADMIN, '!config allowed +49 170 0000003, 0049 170 1234567');
+        bot.client.sent.length = 0;
+
+        await send(FRIEND, '!reset');
+        await send(OWNER, '!reset');
+        process.env.BOT_OWNERS = '+49 170 0000009, 491700000010';
+        await send(OWNER, '!reset');
+        assert.deepStrictEqual(bot.client.texts(), [
+            'Alle Ticker-Daten für diese Gruppe wurden zurückgesetzt.',
+            '⛔ !reset dürfen in dieser Gruppe nur Admins und freigegebene Mitglieder verwenden.',
+            'Alle Ticker-Daten für diese Gruppe wurden zurückgesetzt.'
+        ]);
+
+        bot.client.sent.length = 0;
+        await send(FRIEND, '!config access alle'); // Allowed members don't decide who else may
+        await send(ADMIN, '!config allowed keine');
+        await send(FRIEND, '!reset');
+        assert.deepStrictEqual(bot.client.texts(), [
+            '⛔ Nur Admins dürfen festlegen, wer in dieser Gruppe die Ticker steuern darf (access, allowed).',
+            '✅ *allowed* ist jetzt: keine',
+            '⛔ !reset dürfen in dieser Gruppe nur Admins und freigegebene Mitglieder verwenden.'
+        ]);
+    });
+});
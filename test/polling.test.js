@@ -0,0 +1,163 @@
+// test/polling.test.js - Scheduling, polling, recap batching and game end
+const { describe, test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { setupBot, makeEvent, toEngineEvents, meetingUrl, readJson } = require('./helpers/index.js');
+
+const CHAT = '111@g.us';
+const MINUTE = 60 * 1000;
+
+describe('polling', () => {
+    let bot;
+
+    before(async () => { bot = await setupBot(); });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => bot.reset());
+
+    test('schedules a future game and saves it to the schedule file', async () => {
+        const scheduled = new Date(Date.now() + 120 * MINUTE);
+        bot.nuscore.setMeeting(1001, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: scheduled.toISOString(), halftimeLength: 30, versionUid: 'v1' });
+
+        const tickerKey = await bot.polling.startPolling(meetingUrl(1001), CHAT, 'Testgruppe', 'live', 'whatsapp');
+        assert.strictEqual(tickerKey, `${CHAT}#1`);
+        assert.match(bot.client.texts()[0], /Ticker-Planung \(#1\)/);
+
+        await bot.runAllJobs();
+
+        const tickerState = bot.activeTickers.get(tickerKey);
+        assert.strictEqual(tickerState.isScheduled, true);
+        assert.strictEqual(tickerState.isPolling, false);
+        assert.deepStrictEqual(tickerState.teamNames, { home: 'HSG Heim', guest: 'TV Gast' });
+        assert.strictEqual(bot.client.texts('ist geplant').length, 1);
+
+        const schedule = readJson(bot.files.scheduleFile);
+        assert.strictEqual(schedule[tickerKey].chatId, CHAT);
+        assert.strictEqual(schedule[tickerKey].startTime, new Date(scheduled.getTime() - 5 * MINUTE).toISOString());
+        // The meeting API URL is derived from the page URL, no browser needed
+        assert.ok(bot.nuscore.requests.some(url => url.startsWith('/api/1/meeting/1001/time/')));
+        assert.match(schedule[tickerKey].meetingApiUrl, /\/meeting\/1001\/time\/\d+$/);
+    });
+
+    test('rejects URLs that are no nuScore meeting pages', async () => {
+        const tickerKey = await bot.polling.startPolling('https://example.com/game', CHAT, 'Testgruppe', 'live', 'whatsapp');
+        assert.strictEqual(tickerKey, null);
+        assert.match(bot.client.texts()[0], /keine gültige Live-Ticker-Seiten-URL/);
+        assert.strictEqual(bot.activeTickers.size, 0);
+    });
+
+    test('starts a running game immediately and posts new events live', async () => {
+        bot.nuscore.setMeeting(1002, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 10 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setEvents(1002, 'v1', [
+            makeEvent(1, 15),
+            makeEvent(2, 4, { second: 65, teamHome: true, pointsHome: 1, pointsGuest: 0, personFirstname: 'Lukas', personLastname: 'Becker' })
+        ]);
+
+        const tickerKey = await bot.polling.startPolling(meetingUrl(1002), CHAT, 'Testgruppe', 'live', 'whatsapp');
+        await bot.runAllJobs();
+
+        assert.strictEqual(bot.activeTickers.get(tickerKey).isPolling, true);
+        assert.strictEqual(bot.client.texts('wird sofort gestartet').length, 1);
+        assert.strictEqual(bot.client.texts('Das Spiel hat begonnen').length, 1);
+        assert.deepStrictEqual(bot.client.texts('Tor durch L. Becker (01:05)'), ['HSG Heim  *1*:0  TV Gast\n🤾‍♀️ Tor durch L. Becker (01:05)']);
+        assert.deepStrictEqual(readJson(bot.files.seenFile)[tickerKey].seen, [1, 2]);
+    });
+
+    test('fetches events only for new versions and never posts an event twice', async () => {
+        bot.nuscore.setMeeting(1003, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 10 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        const firstEvents = [makeEvent(1, 15), makeEvent(2, 4, { second: 30, pointsHome: 1 })];
+        bot.nuscore.setEvents(1003, 'v1', firstEvents);
+
+        await bot.polling.startPolling(meetingUrl(1003), CHAT, 'Testgruppe', 'live', 'whatsapp');
+        await bot.runAllJobs();
+        const sentAfterFirstPoll = bot.client.sent.length;
+
+        // Same version again: nothing new is fetched or sent
+        bot.polling.masterScheduler();
+        await bot.runAllJobs();
+        assert.strictEqual(bot.client.sent.length, sentAfterFirstPoll);
+        assert.ok(!bot.nuscore.requests.some(url => url.includes('/versions/v2')));
+
+        // New version with one additional event
+        bot.nuscore.setMeeting(1003, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', halftimeLength: 30, versionUid: 'v2' });
+        bot.nuscore.setEvents(1003, 'v2', [...firstEvents, makeEvent(3, 8, { second: 90, teamHome: false, personFirstname: 'Max', personLastname: 'Richter' })]);
+        bot.polling.masterScheduler();
+        await bot.runAllJobs();
+
+        assert.deepStrictEqual(bot.client.texts().slice(sentAfterFirstPoll), ['✌🏼 Zeitstrafe für M. Richter (*TV Gast*) (01:30)']);
+    });
+
+    test('recap mode collects events and sends them in one message at halftime', async () => {
+        bot.nuscore.setMeeting(1004, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 10 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setEvents(1004, 'v1', [
+            makeEvent(1, 4, { second: 120, pointsHome: 1, pointsGuest: 0, personFirstname: 'Lukas', personLastname: 'Becker' }),
+            makeEvent(2, 4, { second: 240, teamHome: false, pointsHome: 1, pointsGuest: 1 }),
+            makeEvent(3, 1, { second: 250, pointsHome: 1, pointsGuest: 1 }), // Ignored in recaps
+            makeEvent(4, 14, { second: 1800, pointsHome: 1, pointsGuest: 1 })
+        ]);
+
+        const tickerKey = await bot.polling.startPolling(meetingUrl(1004), CHAT, 'Testgruppe', 'recap', 'whatsapp');
+        await bot.runAllJobs();
+
+        assert.strictEqual(bot.client.texts('Ticker-Legende').length, 1);
+        const recaps = bot.client.texts('📬 *Recap');
+        assert.strictEqual(recaps.length, 1);
+        assert.strictEqual(recaps[0], [
+            '📬 *Recap Minute 2 - 30*',
+            '',
+            '*HSG Heim* : *TV Gast*',
+            '🤾‍♀️ 02:00 | *1*:0 | L. Becker',
+            '🤾‍♀️ 04:00 | 1:*1* | ',
+            '⏸️ 30:00 | *Halbzeit* | *1:1*'
+        ].join('\n'));
+        assert.deepStrictEqual(bot.activeTickers.get(tickerKey).recapEvents, []);
+    });
+
+    test('recap timer sends buffered events and skips empty buffers', async () => {
+        bot.nuscore.setMeeting(1005, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 10 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setEvents(1005, 'v1', [makeEvent(1, 4, { second: 61, pointsHome: 1 })]);
+
+        const tickerKey = await bot.polling.startPolling(meetingUrl(1005), CHAT, 'Testgruppe', 'recap', 'whatsapp');
+        await bot.runAllJobs();
+        assert.strictEqual(bot.client.texts('📬 *Recap').length, 0); // Waits for the timer
+
+        await bot.polling.sendRecapMessage(tickerKey);
+        assert.strictEqual(bot.client.texts('📬 *Recap Minute 1 - 2*').length, 1);
+
+        await bot.polling.sendRecapMessage(tickerKey);
+        assert.strictEqual(bot.client.texts('📬 *Recap').length, 1);
+    });
+
+    test('game end stops the ticker and sends stats and the closing message', async (t) => {
+        const tickerKey = `${CHAT}#1`;
+        await bot.client.receive(CHAT, '!config report aus'); // The closing message would wait for the report (see report.test.js)
+        bot.activeTickers.set(tickerKey, {
+            chatId: CHAT, tickerId: 1, seen: new Set(), isPolling: true, mode: 'live', meetingPageUrl: meetingUrl(1006),
+            teamNames: { home: 'HSG Heim', guest: 'TV Gast' }, halftimeLength: 30, groupName: 'Testgruppe', recapEvents: []
+        });
+        const events = [
+            makeEvent(1, 15),
+            makeEvent(2, 4, { second: 100, pointsHome: 1, personFirstname: 'Lukas', personLastname: 'Becker' }),
+            makeEvent(3, 5, { second: 200, pointsHome: 2, personFirstname: 'Lukas', personLastname: 'Becker' }),
+            makeEvent(4, 6, { second: 300, teamHome: false, pointsHome: 2, personFirstname: 'Max', personLastname: 'Richter' }),
+            makeEvent(5, 8, { second: 400, teamHome: false, pointsHome: 2, personFirstname: 'Max', personLastname: 'Richter' }),
+            makeEvent(6, 16, { second: 3600, pointsHome: 2, pointsGuest: 0 })
+        ];
+
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        await bot.polling.processEvents({ events: toEngineEvents(events) }, bot.activeTickers.get(tickerKey), tickerKey);
+        assert.strictEqual(bot.activeTickers.get(tickerKey).isPolling, false);
+        assert.strictEqual(bot.client.texts('🏁 *Spielende*').length, 1);
+
+        t.mock.timers.tick(5000); // Stats, AI summary and closing message are sent with a delay
+        await new Promise(resolve => setImmediate(resolve));
+        const [stats] = bot.client.texts('📊 *Statistiken zum Spiel:*');
+        assert.match(stats, /\*Topscorer \(HSG Heim\):\* Lukas Becker \(2 Tore\)/);
+        assert.match(stats, /\*Topscorer \(TV Gast\):\* Niemand/);
+        assert.match(stats, /\*7-Meter \(HSG Heim\):\* 1 von 1/);
+        assert.match(stats, /\*7-Meter \(TV Gast\):\* 0 von 1/);
+        assert.match(stats, /\*Zeitstrafen \(TV Gast\):\* 1/);
+        assert.strictEqual(bot.client.texts('Vielen Dank fürs Mitfiebern').length, 1);
+
+        t.mock.timers.tick(60 * MINUTE); // Cleanup after one hour
+        assert.strictEqual(bot.activeTickers.has(tickerKey), false);
+    });
+});
@@ -0,0 +1,177 @@
+// test/providers.test.js - Provider registry and tickers of games from other backends
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBot, meetingUrl, readJson } = require('./helpers/index.js');
+const { registerProvider, getProvider, findProviderForUrl, normalizeEvents, upgradeEventType, upgradeSavedEvent } = require('../providers/index.js');
+
+const CHAT = '999@g.us';
+const MINUTE = 60 * 1000;
+
+// Game data served by the demo provider, changed by the tests
+const demoGame = { scheduled: null, version: 'r1', events: [] };
+
+// A provider for a made-up football backend with its own URL and event format
+const demoProvider = {
+    name: 'demo',
+    sport: 'football',
+    eventMap: { goal: { emoji: '⚽' }, start: { emoji: '▶️' }, end: { emoji: '🏁' } },
+    matchesUrl: url => /^https:\/\/sport\.example\/spiele\/\d+$/.test(url),
+    resolveGameApiUrl: async url => url.replace('/spiele/', '/api/spiele/'),
+    fetchGame: async () => ({ scheduled: demoGame.scheduled, teamHome: 'FC Nord', teamGuest: 'SV Süd', halftimeLength: 45, version: demoGame.version }),
+    fetchEvents: async () => demoGame.events,
+    normalizeEvent: raw => ({
+        idx: raw.id,
+        type: { anpfiff: 'start', tor: 'goal', abpfiff: 'end', ecke: 'corner' }[raw.type],
+        second: raw.minute * 60,
+        teamHome: raw.side === 'heim',
+        pointsHome: raw.score[0],
+        pointsGuest: raw.score[1],
+        personFirstname: raw.scorer ? raw.scorer.split(' ')[0] : undefined,
+        personLastname: raw.scorer ? raw.scorer.split(' ')[1] : undefined
+    })
+};
+
+describe('provider registry', () => {
+    before(() => registerProvider(demoProvider));
+
+    test('finds the provider of a game page URL', () => {
+        assert.strictEqual(findProviderForUrl(meetingUrl(1234)).name, 'nuscore');
+        assert.strictEqual(findProviderForUrl('https://sport.example/spiele/7').name, 'demo');
+        assert.strictEqual(findProviderForUrl('https://example.com/game/7'), null);
+    });
+
+    test('falls back to nuScore for tickers saved without a provider', () => {
+        assert.strictEqual(getProvider(undefined).name, 'nuscore');
+        assert.strictEqual(getProvider('gibtsnicht').name, 'nuscore');
+        assert.strictEqual(getProvider('demo').sport, 'football');
+    });
+
+    test('nuScore events get the engine\'s event types and keep only the fields the engine uses', () => {
+        const raw = { idx: 3, event: 4, second: 61, teamHome: true, pointsHome: 1, pointsGuest: 0, personFirstname: 'Lukas', personLastname: 'Becker', uid: 'x', timestamp: 1760000000 };
+        assert.deepStrictEqual(getProvider('nuscore').normalizeEvent(raw),
+            { idx: 3, type: 'goal', second: 61, teamHome: true, pointsHome: 1, pointsGuest: 0, personFirstname: 'Lukas', personLastname: 'Becker', time: 1760000000000 });
+        const events = normalizeEvents(getProvider('nuscore'), [
+            { ...raw, idx: 4, event: 8 }, // 2 minutes
+            { ...raw, idx: 5, event: 17 }, // Line-up, no message
+            { ...raw, idx: 6, event: 42 }
+        ]);
+        assert.deepStrictEqual(events.map(ev => [ev.idx, ev.type, ev.duration]), [[4, 'suspension', 120], [6, 'other', undefined]]);
+        // The entry time comes in seconds, milliseconds or as an ISO date; events without one have no time
+        const times = normalizeEvents(getProvider('nuscore'), [
+            { ...raw, timestamp: 1760000000000 },
+            { ...raw, timestamp: '2025-10-09T08:53:20Z' },
+            { ...raw, timestamp: undefined }
+        ]).map(ev => ev.time);
+        assert.deepStrictEqual(times, [1760000000000, 1760000000000, undefined]);
+    });
+
+    test('events of a type the engine doesn\'t know become "other"', () => {
+        const [ev] = normalizeEvents(demoProvider, [{ id: 1, type: 'ecke', minute: 3, side: 'heim', score: [0, 0] }]);
+        assert.strictEqual(ev.type, 'other');
+    });
+
+    test('converts event types saved before the engine had its own', () => {
+        assert.strictEqual(upgradeEventType(9), 'yellowCard');
+        assert.strictEqual(upgradeEventType(0), null);
+        assert.strictEqual(upgradeEventType('goal'), 'goal');
+        assert.deepStrictEqual(upgradeSavedEvent({ event: 14, second: 1800, pointsHome: 12, pointsGuest: 10 }).type, 'periodEnd');
+    });
+});
+
+describe('tickers of other providers', () => {
+    let bot;
+
+    before(async () => {
+        bot = await setupBot();
+        registerProvider(demoProvider);
+    });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => bot.reset());
+
+    test('reports the normalized events with the provider\'s emojis', async () => {
+        demoGame.scheduled = new Date(Date.now() - 10 * MINUTE).toISOString();
+        demoGame.events = [
+            { id: 1, type: 'anpfiff', minute: 0, side: 'heim', score: [0, 0] },
+            { id: 2, type: 'tor', minute: 7, side: 'gast', score: [0, 1], scorer: 'Anna Schmidt' }
+        ];
+        await bot.client.receive(CHAT, '!start https://sport.example/spiele/42');
+        await bot.runAllJobs();
+
+        const tickerState = bot.activeTickers.get(`${CHAT}#1`);
+        assert.strictEqual(tickerState.provider, 'demo');
+        assert.strictEqual(tickerState.meetingApiUrl, 'https://sport.example/api/spiele/42');
+        assert.ok(bot.client.texts().includes('FC Nord  0:*1* SV Süd\n⚽ Tor durch A. Schmidt (07:00)'));
+    });
+
+    test('saves the provider with scheduled tickers', async () => {
+        demoGame.scheduled = new Date(Date.now() + 60 * MINUTE).toISOString();
+        await bot.client.receive(CHAT, '!start https://sport.example/spiele/43');
+        await bot.runAllJobs();
+
+        assert.strictEqual(readJson(bot.files.scheduleFile)[`${CHAT}#1`].provider, 'demo');
+    });
+
+    test('rejects URLs no provider handles', async () => {
+        await bot.client.receive(CHAT, '!start https://example.com/game/7');
+        assert.deepStrictEqual(bot.client.texts(), ['Fehler: Die angegebene URL ist keine gültige Live-Ticker-Seiten-URL.']);
+    });
+});
+
+describe('nuScore API URL capture with Puppeteer', () => {
+    const puppeteer = require('puppeteer');
+    const { resolveMeetingApiUrl } = require('../providers/nuscore.js');
+    const API_URL = 'https://hbde-live.liga.nu/nuScoreLiveRestBackend/api/1/meeting/4242/time/1';
+    let bot;
+
+    before(async () => { bot = await setupBot(); });
+    after(async () => { await bot.teardown(); });
+
+    /**
+     * Replaces the browser launch with a fake page whose navigation is controlled by the test.
+     * @param {object} t - The test context.
+     * @param {function(function(string): void): Promise<void>} goto - Runs the navigation; gets a function that simulates a request of the web app.
+     */
+    function mockBrowser(t, goto) {
+        t.mock.method(puppeteer, 'launch', async () => ({
+            newPage: async () => {
+                let onRequest = null;
+                return {
+                    setRequestInterception: async () => {},
+                    on: (event, handler) => { onRequest = handler; },
+                    goto: () => goto(url => onRequest({ url: () => url, continue: () => {} }))
+                };
+            },
+            close: async () => {}
+        }));
+    }
+
+    test('returns the captured URL even if the navigation fails later', async (t) => {
+        const unhandled = [];
+        const onUnhandled = reason => unhandled.push(reason);
+        process.on('unhandledRejection', onUnhandled);
+        try {
+            mockBrowser(t, async request => {
+                request(API_URL);
+                await new Promise(resolve => setTimeout(resolve, 20));
+                throw new Error('Navigation timeout of 90000 ms exceeded');
+            });
+            // Meeting 4242 is unknown to the mock backend, so the derived URL fails and Puppeteer is used
+            assert.strictEqual(await resolveMeetingApiUrl(meetingUrl(4242)), API_URL);
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.deepStrictEqual(unhandled, []);
+        } finally {
+            process.off('unhandledRejection', onUnhandled);
+        }
+    });
+
+    test('gives up after the capture timeout while the page still loads', async (t) => {
+        mockBrowser(t, () => new Promise(() => {})); // Never loads, never requests the API
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const result = resolveMeetingApiUrl(meetingUrl(4243));
+        // Let the derived URL fail and the fake browser start
+        while (puppeteer.launch.mock.callCount() === 0) await new Promise(resolve => setImmediate(resolve));
+        for (let i = 0; i < 10; i++) await new Promise(resolve => setImmediate(resolve));
+        t.mock.timers.tick(12000);
+        await assert.rejects(result, /nicht innerhalb von 12s abgefangen/);
+    });
+});
@@ -0,0 +1,99 @@
+// test/report.test.js - Match report (HTML/PDF) after the final whistle
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { setupBot, makeEvent, toEngineEvents, meetingUrl } = require('./helpers/index.js');
+const { buildReportHtml } = require('../report.js');
+
+const CHAT = '666@g.us';
+const MINUTE = 60 * 1000;
+
+const GAME_EVENTS = [
+    makeEvent(1, 15),
+    makeEvent(2, 4, { second: 300, pointsHome: 1, personFirstname: 'Lukas', personLastname: 'Becker' }),
+    makeEvent(3, 5, { second: 420, pointsHome: 2, personFirstname: 'Lukas', personLastname: 'Becker' }),
+    makeEvent(4, 8, { second: 600, teamHome: false, pointsHome: 2, personFirstname: 'Tim', personLastname: '<Richter>' }),
+    makeEvent(5, 4, { second: 900, teamHome: false, pointsHome: 2, pointsGuest: 1, personFirstname: 'Anonym', personLastname: 'Anonym' }),
+    makeEvent(6, 14, { second: 1800, pointsHome: 2, pointsGuest: 1 }),
+    makeEvent(7, 15, { second: 1800, pointsHome: 2, pointsGuest: 1 }),
+    makeEvent(8, 16, { second: 3600, pointsHome: 2, pointsGuest: 1 })
+];
+
+describe('buildReportHtml', () => {
+    const tickerState = { chatId: CHAT, teamNames: { home: 'HSG Heim', guest: 'TV Gast' }, groupName: 'Testgruppe', halftimeLength: 30, scheduledTime: '2025-05-24T16:00:00.000Z' };
+
+    test('contains the score, statistics, players and the full timeline', () => {
+        const html = buildReportHtml(toEngineEvents(GAME_EVENTS), tickerState);
+
+        assert.match(html, /^<!DOCTYPE html>/);
+        assert.match(html, /<title>Spielbericht HSG Heim – TV Gast<\/title>/);
+        assert.match(html, /<p class="score">2:1<\/p>/);
+        assert.match(html, /Halbzeit 2:1/);
+        assert.match(html, /24\.05\.2025 · Testgruppe/);
+        assert.match(html, /<img src="data:image\/png;base64,iVBORw0KGgo/);
+        assert.match(html, /<tr><th>7-Meter<\/th><td>1\/1<\/td><td>0\/0<\/td><\/tr>/);
+        assert.match(html, /<tr><td>Lukas Becker<\/td><td>2<\/td><td>1\/1<\/td><td><\/td><td><\/td><td><\/td><\/tr>/);
+        // Names are escaped, "Anonym" players get no row and no name in the timeline
+        assert.match(html, /<tr><td>Tim &lt;Richter&gt;<\/td><td>0<\/td><td><\/td><td>1<\/td>/);
+        assert.doesNotMatch(html, /Anonym/);
+        assert.match(html, /<tr><td>15:00<\/td><td>2:1<\/td><td>🤾‍♀️ Tor<\/td><td>TV Gast<\/td><td><\/td><\/tr>/);
+        assert.match(html, /<tr><td>60:00<\/td><td>2:1<\/td><td>🏁 Spielende<\/td><td><\/td><td><\/td><\/tr>/);
+    });
+});
+
+describe('match report after the game', () => {
+    let bot;
+
+    before(async () => { bot = await setupBot(); });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => bot.reset());
+
+    /**
+     * Plays the game in the group and returns the sent documents.
+     */
+    async function playGame(meetingId, t) {
+        bot.nuscore.setMeeting(meetingId, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 70 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setEvents(meetingId, 'v1', GAME_EVENTS);
+        await bot.client.receive(CHAT, `!start ${meetingUrl(meetingId)}`);
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        await bot.runAllJobs();
+        // The report is rendered after the poll job, the worker doesn't wait for Puppeteer
+        const renderedByWorker = fs.existsSync(bot.files.reportsDir);
+        t.mock.timers.tick(5000);
+        t.mock.timers.reset();
+        // The closing message is the last message of the game
+        const deadline = Date.now() + 60000;
+        while (bot.client.texts('Vielen Dank fürs Mitfiebern').length === 0) {
+            assert.ok(Date.now() < deadline, 'Keine Abschlussnachricht gesendet');
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        assert.strictEqual(renderedByWorker, false);
+        return bot.client.sent.filter(message => message.media && message.media.mimetype !== 'image/png');
+    }
+
+    test('sends the report as a document and keeps a copy', async (t) => {
+        const documents = await playGame(6601, t);
+
+        assert.strictEqual(documents.length, 1);
+        assert.strictEqual(documents[0].text, '📄 *Spielbericht:* HSG Heim – TV Gast 2:1');
+        // PDF if Chromium is installed, otherwise the HTML page
+        const { filename, mimetype } = documents[0].media;
+        assert.match(filename, /^\d{4}-\d{2}-\d{2}_hsg-heim_tv-gast\.(pdf|html)$/);
+        assert.strictEqual(mimetype, filename.endsWith('.pdf') ? 'application/pdf' : 'text/html');
+
+        const savedHtml = fs.readFileSync(path.join(bot.files.reportsDir, filename.replace(/\.pdf$/, '.html')), 'utf8');
+        assert.match(savedHtml, /<p class="score">2:1<\/p>/);
+
+        // The report comes before the closing message
+        const texts = bot.client.texts();
+        assert.ok(texts.indexOf(documents[0].text) < texts.findIndex(text => text.startsWith('Vielen Dank fürs Mitfiebern')));
+    });
+
+    test('can be switched off with !config report aus', async (t) => {
+        await bot.client.receive(CHAT, '!config report aus');
+        const documents = await playGame(6602, t);
+        assert.strictEqual(documents.length, 0);
+        assert.ok(!fs.existsSync(bot.files.reportsDir));
+    });
+});
@@ -0,0 +1,134 @@
+// test/restore.test.js - Restart recovery from seen_tickers.json and scheduled_tickers.json
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { setupBot, makeEvent, meetingUrl, readJson } = require('./helpers/index.js');
+const { loadSeenTickers, saveSeenTickers } = require('../utils.js');
+const { initializeSettings, getGroupSettings } = require('../settings.js');
+
+const MINUTE = 60 * 1000;
+
+describe('restart recovery', () => {
+    let bot;
+
+    before(async () => { bot = await setupBot(); });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => bot.reset());
+
+    test('restores future tickers as scheduled and starts missed ones immediately', () => {
+        const future = new Date(Date.now() + 60 * MINUTE).toISOString();
+        const past = new Date(Date.now() - 5 * MINUTE).toISOString();
+        fs.writeFileSync(bot.files.seenFile, JSON.stringify({ 'a@g.us#1': [1, 2, 3] }));
+        fs.writeFileSync(bot.files.scheduleFile, JSON.stringify({
+            'a@g.us#1': { chatId: 'a@g.us', tickerId: 1, meetingPageUrl: meetingUrl(2001), startTime: future, groupName: 'A', mode: 'live' },
+            'b@g.us#2': { chatId: 'b@g.us', tickerId: 2, meetingPageUrl: meetingUrl(2002), startTime: past, groupName: 'B', mode: 'live' }
+        }));
+
+        loadSeenTickers(bot.activeTickers, bot.files.seenFile);
+        const rescheduled = bot.polling.restoreScheduledTickers();
+
+        assert.strictEqual(rescheduled, 1);
+        const scheduledTicker = bot.activeTickers.get('a@g.us#1');
+        assert.strictEqual(scheduledTicker.isScheduled, true);
+        assert.ok(scheduledTicker.scheduleTimeout);
+        assert.deepStrictEqual([...scheduledTicker.seen], [1, 2, 3]);
+        assert.strictEqual(scheduledTicker.meetingPageUrl, meetingUrl(2001));
+
+        const missedTicker = bot.activeTickers.get('b@g.us#2');
+        assert.strictEqual(missedTicker.isPolling, true);
+        assert.ok(bot.jobQueue.some(job => job.type === 'poll' && job.tickerKey === 'b@g.us#2'));
+        // Started tickers are removed from the schedule file
+        assert.deepStrictEqual(Object.keys(readJson(bot.files.scheduleFile)), ['a@g.us#1']);
+    });
+
+    test('reads files written before tickers were keyed per ticker number', () => {
+        const future = new Date(Date.now() + 60 * MINUTE).toISOString();
+        fs.writeFileSync(bot.files.seenFile, JSON.stringify({ 'old@g.us': [7, 8] }));
+        fs.writeFileSync(bot.files.scheduleFile, JSON.stringify({
+            'old@g.us': { meetingPageUrl: meetingUrl(2003), startTime: future, groupName: 'Old', mode: 'recap' }
+        }));
+
+        loadSeenTickers(bot.activeTickers, bot.files.seenFile);
+        bot.polling.restoreScheduledTickers();
+
+        const tickerState = bot.activeTickers.get('old@g.us#1');
+        assert.strictEqual(tickerState.chatId, 'old@g.us');
+        assert.strictEqual(tickerState.tickerId, 1);
+        assert.strictEqual(tickerState.mode, 'recap');
+        assert.deepStrictEqual([...tickerState.seen], [7, 8]);
+    });
+
+    test('converts snapshots, filters and settings saved by older versions', () => {
+        const future = new Date(Date.now() + 60 * MINUTE).toISOString();
+        const penalty = { event: 8, second: 300, teamHome: true, pointsHome: 0, pointsGuest: 0, personFirstname: 'Lukas', personLastname: 'Becker' };
+        fs.writeFileSync(bot.files.seenFile, JSON.stringify({ 'd@g.us#1': { meetingPageUrl: meetingUrl(2006), seen: [1, 2], events: { 2: penalty } } }));
+        fs.writeFileSync(bot.files.scheduleFile, JSON.stringify({
+            'd@g.us#1': { chatId: 'd@g.us', tickerId: 1, meetingPageUrl: meetingUrl(2006), startTime: future, groupName: 'D', mode: 'live', filter: { events: [4, 5], team: null } }
+        }));
+        fs.writeFileSync(bot.files.settingsFile, JSON.stringify({ 'd@g.us': { ignore: [1, 9, 0], access: 'alle' } }));
+
+        initializeSettings(bot.files.settingsFile);
+        loadSeenTickers(bot.activeTickers, bot.files.seenFile);
+        bot.polling.restoreScheduledTickers();
+
+        const tickerState = bot.activeTickers.get('d@g.us#1');
+        assert.deepStrictEqual(tickerState.eventSnapshots['2'], { type: 'suspension', second: 300, teamHome: true, pointsHome: 0, pointsGuest: 0, personFirstname: 'Lukas', personLastname: 'Becker', duration: 120 });
+        assert.deepStrictEqual(tickerState.filter, { events: ['goal', 'penaltyGoal'], team: null });
+        assert.deepStrictEqual(getGroupSettings('d@g.us').ignore, ['interruption', 'yellowCard']);
+        assert.strictEqual(getGroupSettings('d@g.us').access, 'all');
+    });
+
+    test('seen events survive a save and load round trip', () => {
+        bot.activeTickers.set('c@g.us#3', { chatId: 'c@g.us', tickerId: 3, meetingPageUrl: meetingUrl(2004), seen: new Set([4, 5]) });
+        saveSeenTickers(bot.activeTickers, bot.files.seenFile);
+
+        const restored = new Map();
+        loadSeenTickers(restored, bot.files.seenFile);
+        assert.deepStrictEqual([...restored.get('c@g.us#3').seen], [4, 5]);
+        assert.strictEqual(restored.get('c@g.us#3').tickerId, 3);
+        assert.strictEqual(restored.get('c@g.us#3').meetingPageUrl, meetingUrl(2004));
+    });
+
+    test('!start after a restart continues the ticker of the same game without posting events again', async () => {
+        const chatId = 'd@g.us';
+        bot.nuscore.setMeeting(2005, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 10 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setEvents(2005, 'v1', [makeEvent(1, 15), makeEvent(2, 4, { second: 65, pointsHome: 1, personFirstname: 'Lukas', personLastname: 'Becker' })]);
+        await bot.client.receive(chatId, `!start ${meetingUrl(2005)}`);
+        await bot.runAllJobs();
+        assert.strictEqual(bot.client.texts('Tor durch').length, 1);
+
+        // Restart in the middle of the game: running tickers aren't in the schedule file, only their seen events are kept
+        bot.activeTickers.clear();
+        loadSeenTickers(bot.activeTickers, bot.files.seenFile);
+        bot.polling.restoreScheduledTickers();
+        await bot.client.receive(chatId, `!start ${meetingUrl(2005)}`);
+        await bot.runAllJobs();
+
+        assert.deepStrictEqual([...bot.activeTickers.keys()], [`${chatId}#1`]);
+        assert.strictEqual(bot.activeTickers.get(`${chatId}#1`).isPolling, true);
+        assert.strictEqual(bot.client.texts('Tor durch').length, 1);
+    });
+
+    test('!start after upgrading takes over the seen events of a file in the old format', async () => {
+        const chatId = 'e@g.us';
+        bot.nuscore.setMeeting(2006, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 10 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setEvents(2006, 'v1', [
+            makeEvent(1, 15),
+            makeEvent(2, 4, { second: 65, pointsHome: 1, personFirstname: 'Lukas', personLastname: 'Becker' }),
+            makeEvent(3, 4, { second: 130, pointsHome: 2, personFirstname: 'Jonas', personLastname: 'Richter' })
+        ]);
+        // One seen list per group under the plain chat ID, written while the game was running
+        fs.writeFileSync(bot.files.seenFile, JSON.stringify({ [chatId]: [1, 2] }));
+
+        loadSeenTickers(bot.activeTickers, bot.files.seenFile);
+        bot.polling.restoreScheduledTickers();
+        assert.deepStrictEqual([...bot.activeTickers.get(`${chatId}#1`).seen], [1, 2]);
+
+        await bot.client.receive(chatId, `!start ${meetingUrl(2006)}`);
+        await bot.runAllJobs();
+
+        assert.deepStrictEqual([...bot.activeTickers.keys()], [`${chatId}#1`]);
+        assert.deepStrictEqual(bot.client.texts('Tor durch').map(text => text.includes('Richter')), [true]);
+        assert.strictEqual(readJson(bot.files.seenFile)[`${chatId}#1`].meetingPageUrl, meetingUrl(2006));
+    });
+});
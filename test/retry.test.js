@@ -0,0 +1,236 @@
+// test/retry.test.js - Retries, circuit breaker (retry.js) and the outage notices of the tickers
+const { describe, test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBot, makeEvent, meetingUrl } = require('./helpers/index.js');
+const { configureRetry, isTransientError, getBackoffDelay, requestWithRetry } = require('../retry.js');
+
+const CHAT = '661@g.us';
+const MINUTE = 60 * 1000;
+const TEST_RETRY = { baseDelayMs: 1, maxDelayMs: 5 }; // Like setupBot
+
+/**
+ * Builds an error like axios throws it.
+ * @param {number|string} statusOrCode - An HTTP status, or an error code like 'ECONNRESET'.
+ * @returns {Error}
+ */
+function httpError(statusOrCode) {
+    const error = new Error(`Request failed: ${statusOrCode}`);
+    if (typeof statusOrCode === 'number') error.response = { status: statusOrCode, headers: {} };
+    else error.code = statusOrCode;
+    return error;
+}
+
+/**
+ * Creates a request function that fails with the given errors first and then answers.
+ * @param {Array<Error>} errors - The errors of the first calls.
+ * @returns {function(): Promise<string>} - Counts its calls in `calls`.
+ */
+function flakyRequest(errors) {
+    const request = async () => {
+        request.calls++;
+        if (errors.length > 0) throw errors.shift();
+        return 'ok';
+    };
+    request.calls = 0;
+    return request;
+}
+
+describe('retry', () => {
+    afterEach(() => configureRetry(TEST_RETRY));
+
+    test('tells transient from permanent errors', () => {
+        for (const error of [httpError(500), httpError(503), httpError(429), httpError(408), httpError('ECONNRESET'), httpError('ETIMEDOUT'), httpError('ECIRCUITOPEN')]) {
+            assert.strictEqual(isTransientError(error), true, error.message);
+        }
+        for (const error of [httpError(400), httpError(401), httpError(404), new Error('Konnte Meeting ID nicht extrahieren')]) {
+            assert.strictEqual(isTransientError(error), false, error.message);
+        }
+    });
+
+    test('backs off exponentially with jitter up to the limit', () => {
+        for (let i = 0; i < 20; i++) {
+            const first = getBackoffDelay(0, 1000, 30000);
+            const third = getBackoffDelay(2, 1000, 30000);
+            const capped = getBackoffDelay(10, 1000, 30000);
+            assert.ok(first >= 500 && first <= 1000, `first ${first}`);
+            assert.ok(third >= 2000 && third <= 4000, `third ${third}`);
+            assert.ok(capped >= 15000 && capped <= 30000, `capped ${capped}`);
+        }
+    });
+
+    test('retries transient errors but not permanent ones', async () => {
+        configureRetry({ ...TEST_RETRY, retries: 2 });
+        const flaky = flakyRequest([httpError(503), httpError('ECONNRESET')]);
+        assert.strictEqual(await requestWithRetry('http://nuscore.test/a', flaky), 'ok');
+        assert.strictEqual(flaky.calls, 3);
+
+        const missing = flakyRequest([httpError(404)]);
+        await assert.rejects(requestWithRetry('http://nuscore.test/b', missing), error => error.isUnreachable === false);
+        assert.strictEqual(missing.calls, 1);
+
+        const down = flakyRequest([httpError(502), httpError(502), httpError(502)]);
+        await assert.rejects(requestWithRetry('http://nuscore.test/c', down), error => error.isUnreachable === true);
+        assert.strictEqual(down.calls, 3);
+    });
+
+    test('opens the circuit of a failing host and closes it after a successful test request', async () => {
+        configureRetry({ ...TEST_RETRY, retries: 1, failureThreshold: 4, openMs: 200 });
+        await assert.rejects(requestWithRetry('http://down.test/1', flakyRequest([httpError(503), httpError(503)])));
+        await assert.rejects(requestWithRetry('http://down.test/2', flakyRequest([httpError(503), httpError(503)])));
+
+        // Open: no request is made, other hosts are not affected
+        const blocked = flakyRequest([]);
+        await assert.rejects(requestWithRetry('http://down.test/3', blocked), error => error.code === 'ECIRCUITOPEN' && error.isUnreachable);
+        assert.strictEqual(blocked.calls, 0);
+        assert.strictEqual(await requestWithRetry('http://up.test/1', flakyRequest([])), 'ok');
+
+        // After the pause a failing test request opens it again at once, a working one closes it
+        await new Promise(resolve => setTimeout(resolve, 250));
+        const test1 = flakyRequest([httpError(503)]);
+        await assert.rejects(requestWithRetry('http://down.test/4', test1));
+        assert.strictEqual(test1.calls, 1);
+        await new Promise(resolve => setTimeout(resolve, 250));
+        assert.strictEqual(await requestWithRetry('http://down.test/5', flakyRequest([])), 'ok');
+        assert.strictEqual(await requestWithRetry('http://down.test/6', flakyRequest([httpError(503)])), 'ok');
+    });
+
+    test('lets only one test request through while the circuit is half-open', async () => {
+        configureRetry({ ...TEST_RETRY, retries: 0, failureThreshold: 1, openMs: 100 });
+        await assert.rejects(requestWithRetry('http://half.test/1', flakyRequest([httpError(503)])));
+        await new Promise(resolve => setTimeout(resolve, 150));
+
+        let finishTest;
+        const slowTest = requestWithRetry('http://half.test/2', () => new Promise(resolve => { finishTest = resolve; }));
+        const other = flakyRequest([]);
+        await assert.rejects(requestWithRetry('http://half.test/3', other), error => error.code === 'ECIRCUITOPEN');
+        assert.strictEqual(other.calls, 0);
+
+        finishTest('ok');
+        assert.strictEqual(await slowTest, 'ok');
+        assert.strictEqual(await requestWithRetry('http://half.test/4', other), 'ok');
+    });
+});
+
+describe('outages of the ticker data', () => {
+    let bot;
+
+    before(async () => { bot = await setupBot(); });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => bot.reset());
+    afterEach(() => {
+        bot.nuscore.setOutage(null);
+        configureRetry(TEST_RETRY);
+    });
+
+    /**
+     * Queues a poll job for a ticker and runs it.
+     * @param {string} tickerKey - The key of the ticker.
+     * @param {number} meetingId - The meeting of the ticker.
+     */
+    async function poll(tickerKey, meetingId) {
+        bot.jobQueue.push({ type: 'poll', tickerKey, meetingPageUrl: meetingUrl(meetingId), jobId: Date.now() });
+        await bot.runAllJobs();
+    }
+
+    test('tells the group once when polls fail and again when the data is back', async () => {
+        configureRetry({ ...TEST_RETRY, openMs: 200 });
+        const meeting = { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 10 * MINUTE).toISOString(), halftimeLength: 30 };
+        bot.nuscore.setMeeting(6601, { ...meeting, versionUid: 'v1' });
+        bot.nuscore.setEvents(6601, 'v1', [makeEvent(1, 15)]);
+        const tickerKey = await bot.polling.startPolling(meetingUrl(6601), CHAT, 'Testgruppe', 'live', 'whatsapp');
+        await bot.runAllJobs();
+        bot.client.sent.length = 0;
+
+        bot.nuscore.setOutage(503);
+        await poll(tickerKey, 6601);
+        assert.deepStrictEqual(bot.client.texts(), []); // One failed poll is no outage yet
+        await poll(tickerKey, 6601);
+        await poll(tickerKey, 6601); // The circuit is open now
+        assert.deepStrictEqual(bot.client.texts(), ['⚠️ Ticker-Daten aktuell nicht erreichbar. Der Ticker versucht es weiter und meldet sich, sobald wieder Daten ankommen.']);
+        const tickerState = bot.activeTickers.get(tickerKey);
+        assert.strictEqual(tickerState.isPolling, true);
+        assert.strictEqual(tickerState.errorCount, 3);
+
+        bot.nuscore.setOutage(null);
+        bot.nuscore.setMeeting(6601, { ...meeting, versionUid: 'v2' });
+        bot.nuscore.setEvents(6601, 'v2', [makeEvent(1, 15), makeEvent(2, 4, { second: 65, teamHome: true, pointsHome: 1, pointsGuest: 0, personFirstname: 'Lukas', personLastname: 'Becker' })]);
+        await poll(tickerKey, 6601); // Still blocked by the open circuit
+        assert.strictEqual(bot.client.sent.length, 1);
+        await new Promise(resolve => setTimeout(resolve, 250));
+        await poll(tickerKey, 6601);
+        assert.deepStrictEqual(bot.client.texts().slice(1), [
+            '✅ Ticker-Daten wieder erreichbar, es geht weiter!',
+            'HSG Heim  *1*:0  TV Gast\n🤾‍♀️ Tor durch L. Becker (01:05)'
+        ]);
+        assert.strictEqual(tickerState.isUnreachable, false);
+        assert.strictEqual(tickerState.failedFetches, 0);
+    });
+
+    test('fetches the events of a version again if they could not be loaded', async () => {
+        const meeting = { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 10 * MINUTE).toISOString(), halftimeLength: 30 };
+        bot.nuscore.setMeeting(6604, { ...meeting, versionUid: 'v1' });
+        bot.nuscore.setEvents(6604, 'v1', [makeEvent(1, 15)]);
+        const tickerKey = await bot.polling.startPolling(meetingUrl(6604), CHAT, 'Testgruppe', 'live', 'whatsapp');
+        await bot.runAllJobs();
+        bot.client.sent.length = 0;
+
+        // The meeting announces a new version, but its events can't be loaded
+        bot.nuscore.setMeeting(6604, { ...meeting, versionUid: 'v2' });
+        bot.nuscore.setEvents(6604, 'v2', [makeEvent(1, 15), makeEvent(2, 4, { second: 65, teamHome: true, pointsHome: 1, pointsGuest: 0, personFirstname: 'Lukas', personLastname: 'Becker' })]);
+        bot.nuscore.setOutage(503, 'events');
+        await poll(tickerKey, 6604);
+        const tickerState = bot.activeTickers.get(tickerKey);
+        assert.strictEqual(tickerState.lastVersionUid, 'v1');
+        assert.strictEqual(bot.client.texts('Tor durch').length, 0);
+
+        bot.nuscore.setOutage(null);
+        await poll(tickerKey, 6604);
+        assert.strictEqual(tickerState.lastVersionUid, 'v2');
+        assert.strictEqual(bot.client.texts('Tor durch').length, 1);
+    });
+
+    test('retries the scheduling later instead of giving up', async (t) => {
+        configureRetry({ ...TEST_RETRY, retries: 0 }); // No delays inside the job while the timers are mocked
+        bot.nuscore.setMeeting(6602, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() + 120 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setOutage(503);
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        try {
+            const tickerKey = await bot.polling.startPolling(meetingUrl(6602), CHAT, 'Testgruppe', 'live', 'whatsapp');
+            await bot.runAllJobs();
+            const tickerState = bot.activeTickers.get(tickerKey);
+            assert.strictEqual(tickerState.isScheduling, true);
+            assert.deepStrictEqual(bot.client.texts('nicht erreichbar'), ['⚠️ Ticker-Daten aktuell nicht erreichbar. Die Planung wird automatisch wiederholt.']);
+            assert.deepStrictEqual(bot.client.texts('fehlgeschlagen'), []);
+
+            // Still down at the second attempt: no second notice
+            t.mock.timers.tick(MINUTE);
+            await bot.runAllJobs();
+            assert.strictEqual(tickerState.failedFetches, 2);
+            assert.strictEqual(bot.client.texts('nicht erreichbar').length, 1);
+
+            bot.nuscore.setOutage(null);
+            t.mock.timers.tick(2 * MINUTE);
+            await bot.runAllJobs();
+            assert.strictEqual(tickerState.isScheduled, true);
+            assert.strictEqual(bot.client.texts('ist geplant').length, 1);
+            assert.deepStrictEqual(bot.client.texts('wieder erreichbar'), []); // The confirmation says enough
+        } finally {
+            t.mock.timers.reset();
+        }
+    });
+
+    test('!stop cancels a scheduling that waits for its retry', async () => {
+        configureRetry({ ...TEST_RETRY, retries: 0 });
+        bot.nuscore.setMeeting(6603, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() + 120 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setOutage(503);
+        const tickerKey = await bot.polling.startPolling(meetingUrl(6603), CHAT, 'Testgruppe', 'live', 'whatsapp');
+        await bot.runAllJobs();
+        const tickerState = bot.activeTickers.get(tickerKey);
+        assert.ok(tickerState.scheduleRetryTimeout);
+
+        await bot.client.receive(CHAT, '!stop');
+        assert.strictEqual(tickerState.scheduleRetryTimeout, null);
+        assert.strictEqual(tickerState.isScheduling, false);
+        assert.deepStrictEqual(bot.client.texts('gestoppt'), ['Laufender/geplanter Live-Ticker in dieser Gruppe gestoppt.']);
+    });
+});
@@ -0,0 +1,93 @@
+// test/scoreboard.test.js - The continuously updated (and pinned) scoreboard message
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBot, makeEvent, meetingUrl, readJson } = require('./helpers/index.js');
+
+const CHAT = '555@g.us';
+const MINUTE = 60 * 1000;
+
+describe('scoreboard', () => {
+    let bot;
+
+    before(async () => { bot = await setupBot(); });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => bot.reset());
+
+    /**
+     * Publishes a new version of the events and polls it.
+     */
+    async function publishVersion(meetingId, versionUid, events) {
+        bot.nuscore.setMeeting(meetingId, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 10 * MINUTE).toISOString(), halftimeLength: 30, versionUid });
+        bot.nuscore.setEvents(meetingId, versionUid, events);
+        bot.polling.masterScheduler();
+        await bot.runAllJobs();
+    }
+
+    const firstHalf = [
+        makeEvent(1, 15),
+        makeEvent(2, 4, { second: 125, pointsHome: 1, personFirstname: 'Lukas', personLastname: 'Becker' }),
+        makeEvent(3, 8, { second: 200, teamHome: false, pointsHome: 1, personFirstname: 'Max', personLastname: 'Richter' })
+    ];
+
+    test('posts and pins the scoreboard and edits it on new versions', async () => {
+        await publishVersion(5001, 'v1', firstHalf);
+        await bot.client.receive(CHAT, `!start ${meetingUrl(5001)} scoreboard pin`);
+        await bot.runAllJobs();
+
+        const [board] = bot.client.sent.filter(m => m.text.startsWith('📋'));
+        assert.strictEqual(board.text, [
+            '📋 *Anzeigetafel*',
+            'HSG Heim  *1:0*  TV Gast',
+            '⏱️ 1. Halbzeit (03:20)',
+            '🤾‍♀️ Letztes Tor: L. Becker (*HSG Heim*), 02:05',
+            '✌🏼 Zeitstrafe M. Richter (*TV Gast*) bis 05:20'
+        ].join('\n'));
+        assert.deepStrictEqual(bot.client.pinned, [board.id]);
+        // Per-event messages are still sent in addition
+        assert.strictEqual(bot.client.texts('Tor durch L. Becker').length, 1);
+        assert.strictEqual(readJson(bot.files.seenFile)[`${CHAT}#1`].scoreboard, board.id);
+
+        await publishVersion(5001, 'v2', [...firstHalf, makeEvent(4, 14, { second: 1800, pointsHome: 1 })]);
+        assert.deepStrictEqual(bot.client.edited, [{ id: board.id, text: '📋 *Anzeigetafel*\nHSG Heim  *1:0*  TV Gast\n⏱️ Halbzeit\n🤾‍♀️ Letztes Tor: L. Becker (*HSG Heim*), 02:05' }]);
+        assert.strictEqual(bot.client.sent.filter(m => m.text.startsWith('📋')).length, 1);
+    });
+
+    test('scoreboard-only mode sends no per-event messages', async () => {
+        await publishVersion(5002, 'v1', firstHalf);
+        await bot.client.receive(CHAT, `!start ${meetingUrl(5002)} scoreboard-only`);
+        await bot.runAllJobs();
+
+        assert.strictEqual(bot.client.texts('Tor durch').length, 0);
+        assert.strictEqual(bot.client.texts('📋 *Anzeigetafel*').length, 1);
+        assert.strictEqual(bot.client.texts('Die Anzeigetafel wird laufend aktualisiert').length, 1);
+        assert.deepStrictEqual(bot.client.pinned, []);
+    });
+
+    test('replaces and re-pins the scoreboard when it can no longer be edited', async () => {
+        await publishVersion(5003, 'v1', firstHalf);
+        await bot.client.receive(CHAT, `!start ${meetingUrl(5003)} scoreboard-only pin`);
+        await bot.runAllJobs();
+        const [oldBoard] = bot.client.sent.filter(m => m.text.startsWith('📋'));
+        bot.client.editable = false;
+
+        await publishVersion(5003, 'v2', [...firstHalf, makeEvent(4, 4, { second: 300, teamHome: false, pointsHome: 1, pointsGuest: 1 })]);
+
+        const newBoard = bot.client.sent[bot.client.sent.length - 1];
+        assert.match(newBoard.text, /\*1:1\*/);
+        assert.deepStrictEqual(bot.client.deleted, [oldBoard.id]);
+        assert.deepStrictEqual(bot.client.pinned, [oldBoard.id, newBoard.id]);
+        assert.strictEqual(bot.activeTickers.get(`${CHAT}#1`).scoreboardMessageId, newBoard.id);
+    });
+
+    test('keeps the scoreboard options of scheduled tickers', async () => {
+        bot.nuscore.setMeeting(5004, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() + 120 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        await bot.client.receive(CHAT, `!start ${meetingUrl(5004)} recap scoreboard`);
+        await bot.runAllJobs();
+
+        const entry = readJson(bot.files.scheduleFile)[`${CHAT}#1`];
+        assert.strictEqual(entry.mode, 'recap');
+        assert.strictEqual(entry.scoreboard, true);
+        assert.strictEqual(entry.pinScoreboard, false);
+        assert.strictEqual(bot.client.texts('im Recap-Modus (5-Minuten-Zusammenfassungen) und Anzeigetafel').length, 1);
+    });
+});
@@ -0,0 +1,115 @@
+// test/season.test.js - Season leaderboards from the archived games (!topscorer, !season, !player)
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { setupBot, makeEvent, toEngineEvents, meetingUrl } = require('./helpers/index.js');
+const { archiveGame } = require('../archive.js');
+const { computeGameStats } = require('../stats.js');
+const { getSeasonStartYear } = require('../season.js');
+
+const CHAT = '444@g.us';
+
+/**
+ * Archives a game of the group from a list of player events.
+ * @param {number} meetingId - The meeting ID (makes the game unique).
+ * @param {string} date - The kick-off.
+ * @param {{home: string, guest: string}} teamNames - The teams.
+ * @param {Array<Array>} actions - [event type, teamHome, first name, last name] per event.
+ */
+function archivePlayedGame(meetingId, date, teamNames, actions) {
+    let pointsHome = 0;
+    let pointsGuest = 0;
+    const events = [makeEvent(1, 15)];
+    for (const [event, teamHome, personFirstname, personLastname] of actions) {
+        if ([4, 5].includes(event)) {
+            if (teamHome) pointsHome++; else pointsGuest++;
+        }
+        events.push(makeEvent(events.length + 1, event, { second: 60 * events.length, teamHome, pointsHome, pointsGuest, personFirstname, personLastname }));
+    }
+    events.push(makeEvent(events.length + 1, 16, { second: 3600, pointsHome, pointsGuest }));
+    const gameEvents = toEngineEvents(events);
+    const tickerState = { chatId: CHAT, meetingPageUrl: meetingUrl(meetingId), scheduledTime: date, teamNames, halftimeLength: 30 };
+    archiveGame(tickerState, gameEvents, computeGameStats(gameEvents), null);
+}
+
+test('seasons start in July', () => {
+    assert.strictEqual(getSeasonStartYear(new Date('2025-03-15T12:00:00Z')), 2024);
+    assert.strictEqual(getSeasonStartYear(new Date('2025-07-01T12:00:00Z')), 2025);
+});
+
+describe('season leaderboards', () => {
+    let bot;
+
+    before(async () => { bot = await setupBot(); });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => {
+        bot.reset();
+        // Last season: doesn't count
+        archivePlayedGame(4400, '2024-04-20T16:00:00.000Z', { home: 'HSG Heim', guest: 'TV Gast' }, [
+            [4, true, 'Lukas', 'Becker'], [4, true, 'Lukas', 'Becker'], [4, true, 'Lukas', 'Becker']
+        ]);
+        archivePlayedGame(4401, '2024-09-14T16:00:00.000Z', { home: 'HSG Heim', guest: 'TV Gast' }, [
+            [4, true, 'Lukas', 'Becker'], [5, true, 'Lukas', 'Becker'], [6, true, 'Tim', 'Wolf'],
+            [4, true, 'Tim', 'Wolf'], [8, true, 'Jan', 'Wolf'], [4, false, 'Anna', 'Schmidt']
+        ]);
+        archivePlayedGame(4402, '2024-10-05T16:00:00.000Z', { home: 'SG Nord', guest: 'HSG Heim' }, [
+            // "Anonym" first name: the only Becker of the team; "Anonym" Wolf: there are two
+            [4, false, 'Anonym', 'Becker'], [5, false, 'Anonym', 'Becker'], [4, false, 'Anonym', 'Wolf'],
+            [4, false, 'Anonym', 'Anonym'], [8, false, 'Jan', 'Wolf'], [9, false, 'Jan', 'Wolf'], [5, false, 'Tim', 'Wolf'],
+            [4, true, 'Nils', 'Nord']
+        ]);
+    });
+
+    test('!topscorer lists the season\'s scorers, 7-meter specialist and most suspensions', async () => {
+        await bot.client.receive(CHAT, '!config team HSG Heim');
+        bot.client.sent.length = 0;
+        await bot.client.receive(CHAT, '!topscorer');
+        assert.deepStrictEqual(bot.client.texts(), [
+            '🏆 *Torschützen HSG Heim, Saison 2024/25* (Spiele: 2)\n1. Lukas Becker: 4 (2.0 pro Spiel)\n2. Tim Wolf: 2 (1.0 pro Spiel)\n3. Wolf: 1 (1.0 pro Spiel)\n\n'
+            + '🎯 *7-Meter-Spezialist:* Lukas Becker (2 von 2)\n⛓️ *Zeitstrafen-König:* Jan Wolf (2× 2 Min.)\n_Tore ohne Namen: 1_'
+        ]);
+    });
+
+    test('!season shows every player and works for other teams', async () => {
+        await bot.client.receive(CHAT, '!season tv gast');
+        assert.deepStrictEqual(bot.client.texts(), [
+            '📋 *Saisontabelle tv gast, 2024/25* (Spiele: 1)\n_Spiele · Tore · 7m · 2 Min. · 🟨 · 🟥_\nAnna Schmidt: 1 · *1* · 0/0 · 0 · 0 · 0'
+        ]);
+    });
+
+    test('!player finds players by full name, last name or short name', async () => {
+        await bot.client.receive(CHAT, '!config team HSG Heim');
+        bot.client.sent.length = 0;
+        await bot.client.receive(CHAT, '!player L. Becker');
+        await bot.client.receive(CHAT, '!player jan wolf');
+        await bot.client.receive(CHAT, '!player Wolf');
+        await bot.client.receive(CHAT, '!player Schmidt'); // Not in our team
+        await bot.client.receive(CHAT, '!player');
+        assert.deepStrictEqual(bot.client.texts(), [
+            '👤 *Lukas Becker* (HSG Heim, Saison 2024/25)\n*Spiele:* 2\n*Tore:* 4 (2.0 pro Spiel)\n*7-Meter:* 2 von 2\n*Zeitstrafen:* 0\n*Gelbe Karten:* 0\n*Rote Karten:* 0',
+            '👤 *Jan Wolf* (HSG Heim, Saison 2024/25)\n*Spiele:* 2\n*Tore:* 0 (0.0 pro Spiel)\n*7-Meter:* 0 von 0\n*Zeitstrafen:* 2\n*Gelbe Karten:* 1\n*Rote Karten:* 0',
+            'Mehrere Spieler passen: Tim Wolf (HSG Heim), Wolf (HSG Heim), Jan Wolf (HSG Heim). Bitte gib den Namen genauer an.',
+            'Im Archiv dieser Gruppe gibt es keinen Spieler "Schmidt".',
+            'Fehler: Bitte gib einen Spieler an. Format:\n\n!player <Name>'
+        ]);
+    });
+
+    test('!player reads the archive once, however many teams it holds', async (t) => {
+        t.mock.method(fs, 'readFileSync');
+        await bot.client.receive(CHAT, '!player schmidt');
+        const archiveReads = fs.readFileSync.mock.calls.filter(call => call.arguments[0] === bot.files.archiveFile);
+        assert.strictEqual(archiveReads.length, 1);
+        assert.strictEqual(bot.client.texts('Anna Schmidt').length, 1);
+    });
+
+    test('without a team, !player searches every team and !topscorer asks for one', async () => {
+        await bot.client.receive(CHAT, '!player schmidt');
+        await bot.client.receive(CHAT, '!topscorer');
+        await bot.client.receive(CHAT, '!topscorer TSV Irgendwo');
+        assert.deepStrictEqual(bot.client.texts(), [
+            '👤 *Anna Schmidt* (TV Gast, Saison 2024/25)\n*Spiele:* 1\n*Tore:* 1 (1.0 pro Spiel)\n*7-Meter:* 0 von 0\n*Zeitstrafen:* 0\n*Gelbe Karten:* 0\n*Rote Karten:* 0',
+            'Für diese Gruppe ist kein Team eingestellt. Lege es mit !config team <Name> fest oder gib das Team an, z.B. !topscorer HSG Heim',
+            'Im Archiv dieser Gruppe gibt es noch kein Spiel von "TSV Irgendwo".'
+        ]);
+    });
+});
@@ -0,0 +1,190 @@
+// test/stats.test.js - Game statistics and the !score and !stats commands
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupBot, makeEvent, toEngineEvents, meetingUrl } = require('./helpers/index.js');
+const { computeGameStats, getGamePhase, getScorers } = require('../stats.js');
+const { describeGameCourse } = require('../ai.js');
+
+const CHAT = '121@g.us';
+const MINUTE = 60 * 1000;
+
+const becker = { personFirstname: 'Lukas', personLastname: 'Becker' };
+const wolf = { personFirstname: 'Tim', personLastname: 'Wolf' };
+
+// A game in the second half: the guests lead 1:2 after two goals in a row
+const secondHalfEvents = [
+    makeEvent(1, 15),
+    makeEvent(2, 4, { second: 60, pointsHome: 1, ...becker }),
+    makeEvent(3, 2, { second: 200 }),
+    makeEvent(4, 8, { second: 300, teamHome: false, ...wolf }),
+    makeEvent(5, 14, { second: 1800, pointsHome: 1 }),
+    makeEvent(6, 15, { second: 1800, pointsHome: 1 }),
+    makeEvent(7, 6, { second: 1900, teamHome: false, pointsHome: 1, ...wolf }),
+    makeEvent(8, 5, { second: 2000, teamHome: false, pointsHome: 1, pointsGuest: 1, ...wolf }),
+    makeEvent(9, 4, { second: 2463, teamHome: false, pointsHome: 1, pointsGuest: 2, personFirstname: 'Anonym', personLastname: 'Anonym' })
+];
+
+// 2:0, 2:2 (tie), 2:3 (lead change), 3:3 (tie), 6:3 (lead change, run of four), full time after 60 minutes
+const fullGameEvents = [
+    makeEvent(1, 15),
+    makeEvent(2, 4, { second: 120, pointsHome: 1, ...becker }),
+    makeEvent(3, 4, { second: 240, pointsHome: 2, ...becker }),
+    makeEvent(4, 9, { second: 300, teamHome: false, ...wolf }),
+    makeEvent(5, 5, { second: 600, teamHome: false, pointsHome: 2, pointsGuest: 1, ...wolf }),
+    makeEvent(6, 4, { second: 900, teamHome: false, pointsHome: 2, pointsGuest: 2, ...wolf }),
+    makeEvent(7, 14, { second: 1800, pointsHome: 2, pointsGuest: 2 }),
+    makeEvent(8, 15, { second: 1800, pointsHome: 2, pointsGuest: 2 }),
+    makeEvent(9, 4, { second: 1900, teamHome: false, pointsHome: 2, pointsGuest: 3 }),
+    makeEvent(10, 8, { second: 2000, ...becker }),
+    makeEvent(11, 4, { second: 2400, pointsHome: 3, pointsGuest: 3, personFirstname: 'Max', personLastname: 'Richter' }),
+    makeEvent(12, 4, { second: 2500, pointsHome: 4, pointsGuest: 3, ...becker }),
+    makeEvent(13, 5, { second: 2600, pointsHome: 5, pointsGuest: 3, ...becker }),
+    makeEvent(14, 4, { second: 3000, pointsHome: 6, pointsGuest: 3, personFirstname: 'Max', personLastname: 'Richter' }),
+    makeEvent(15, 11, { second: 3100, teamHome: false, ...wolf }),
+    makeEvent(16, 16, { second: 3600, pointsHome: 6, pointsGuest: 3 })
+];
+
+describe('game statistics', () => {
+    test('determines the phase and game time', () => {
+        assert.deepStrictEqual(getGamePhase([]), { phase: 'pregame', second: 0 });
+        assert.deepStrictEqual(getGamePhase(toEngineEvents(secondHalfEvents.slice(0, 5))), { phase: 'halftime', second: 1800 });
+        assert.deepStrictEqual(getGamePhase(toEngineEvents(secondHalfEvents)), { phase: 'secondHalf', second: 2463 });
+    });
+
+    test('counts goals, 7-meters, penalties and timeouts per team and finds the current run', () => {
+        const stats = computeGameStats(toEngineEvents(secondHalfEvents.slice().reverse()));
+        assert.deepStrictEqual(stats.score, { home: 1, guest: 2 });
+        assert.strictEqual(stats.home.goals, 1);
+        assert.strictEqual(stats.home.timeouts, 1);
+        assert.deepStrictEqual(stats.home.players.get('Lukas Becker'),
+            { firstName: 'Lukas', lastName: 'Becker', goals: 1, sevenMetersMade: 0, sevenMetersMissed: 0, penalties: 0, yellowCards: 0, redCards: 0 });
+        assert.strictEqual(stats.guest.goals, 2);
+        assert.strictEqual(stats.guest.penalties, 1);
+        assert.strictEqual(stats.guest.sevenMetersMade, 1);
+        assert.strictEqual(stats.guest.sevenMetersMissed, 1);
+        assert.deepStrictEqual(stats.currentRun, { team: 'guest', goals: 2 });
+        assert.strictEqual(computeGameStats([]).currentRun, null);
+    });
+
+    test('follows the course of the game: halves, leads, lead changes, ties, runs and droughts', () => {
+        const stats = computeGameStats(toEngineEvents(fullGameEvents));
+        assert.deepStrictEqual(stats.halves, { first: { home: 2, guest: 2 }, second: { home: 4, guest: 1 } });
+        assert.deepStrictEqual(stats.home.largestLead, { goals: 3, pointsHome: 6, pointsGuest: 3, second: 3000 });
+        assert.deepStrictEqual(stats.guest.largestLead, { goals: 1, pointsHome: 2, pointsGuest: 3, second: 1900 });
+        assert.strictEqual(stats.leadChanges, 2);
+        assert.strictEqual(stats.ties, 2);
+        assert.deepStrictEqual(stats.home.longestRun, { goals: 4, from: 2400, to: 3000 });
+        assert.deepStrictEqual(stats.guest.longestRun, { goals: 3, from: 600, to: 1900 });
+        assert.deepStrictEqual(stats.home.longestDrought, { seconds: 2160, from: 240, to: 2400 });
+        assert.deepStrictEqual(stats.guest.longestDrought, { seconds: 1700, from: 1900, to: 3600 });
+    });
+
+    test('keeps goals, 7-meters and cards per player', () => {
+        const stats = computeGameStats(toEngineEvents(fullGameEvents));
+        assert.deepStrictEqual(getScorers(stats.home).map(([name, player]) => [name, player.goals]), [['Lukas Becker', 4], ['Max Richter', 2]]);
+        assert.deepStrictEqual(stats.home.players.get('Lukas Becker'),
+            { firstName: 'Lukas', lastName: 'Becker', goals: 4, sevenMetersMade: 1, sevenMetersMissed: 0, penalties: 1, yellowCards: 0, redCards: 0 });
+        assert.deepStrictEqual(stats.guest.players.get('Tim Wolf'),
+            { firstName: 'Tim', lastName: 'Wolf', goals: 2, sevenMetersMade: 1, sevenMetersMissed: 0, penalties: 0, yellowCards: 1, redCards: 1 });
+    });
+
+    test('describes the course of the game for the AI summary', () => {
+        const course = describeGameCourse(computeGameStats(toEngineEvents(fullGameEvents)), { home: 'HSG Heim', guest: 'TV Gast' });
+        assert.match(course, /- Tore pro Halbzeit: 1\. HZ 2:2, 2\. HZ 4:1/);
+        assert.match(course, /- Höchste Führung HSG Heim: \+3 beim 6:3 \(50\. Minute\)/);
+        assert.match(course, /- Führungswechsel: 2, Ausgleiche: 2/);
+        assert.match(course, /- Längster Lauf TV Gast: 3 Tore in Folge \(10\. Minute bis 31\. Minute\)/);
+        assert.match(course, /- Beste Spieler TV Gast: Tim Wolf 2 Tore \(1 per 7m\), Rote Karte/);
+    });
+});
+
+describe('!score and !stats', () => {
+    let bot;
+
+    before(async () => { bot = await setupBot(); });
+    after(async () => { await bot.teardown(); });
+    beforeEach(() => bot.reset());
+
+    /**
+     * Starts a running ticker for a meeting with the given events.
+     */
+    async function startGame(meetingId, events) {
+        bot.nuscore.setMeeting(meetingId, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 45 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setEvents(meetingId, 'v1', events);
+        await bot.client.receive(CHAT, `!start ${meetingUrl(meetingId)}`);
+        await bot.runAllJobs();
+        bot.client.sent.length = 0;
+    }
+
+    test('!score shows the score, half and game time of the running game', async () => {
+        await startGame(9101, secondHalfEvents);
+        await bot.client.receive(CHAT, '!score');
+        assert.deepStrictEqual(bot.client.texts(), ['📣 *Spielstand*\nHSG Heim  *1:2*  TV Gast\n⏱️ 2. Halbzeit (41:03)']);
+    });
+
+    test('!stats lists scorers, 7-meters, penalties, timeouts and a run of three goals', async () => {
+        const events = [...secondHalfEvents, makeEvent(10, 4, { second: 2500, teamHome: false, pointsHome: 1, pointsGuest: 3, ...wolf })];
+        await startGame(9102, events);
+        await bot.client.receive(CHAT, '!stats');
+        assert.deepStrictEqual(bot.client.texts(), [[
+            '📊 *Statistiken bis jetzt:*',
+            'HSG Heim  *1:3*  TV Gast',
+            '⏱️ 2. Halbzeit (41:40)',
+            '-----------------------------------',
+            '*Torschützen (HSG Heim):* L. Becker 1',
+            '*Torschützen (TV Gast):* T. Wolf 2',
+            '*7-Meter (HSG Heim):* 0 von 0',
+            '*7-Meter (TV Gast):* 1 von 2',
+            '*Zeitstrafen (HSG Heim):* 0',
+            '*Zeitstrafen (TV Gast):* 1',
+            '*Timeouts (HSG Heim):* 1',
+            '*Timeouts (TV Gast):* 0',
+            '🔥 3:0-Lauf von *TV Gast*'
+        ].join('\n')]);
+    });
+
+    test('the final statistics include the course of the game and a line per player', async (t) => {
+        bot.nuscore.setMeeting(9105, { teamHome: 'HSG Heim', teamGuest: 'TV Gast', scheduled: new Date(Date.now() - 70 * MINUTE).toISOString(), halftimeLength: 30, versionUid: 'v1' });
+        bot.nuscore.setEvents(9105, 'v1', fullGameEvents);
+        await bot.client.receive(CHAT, `!start ${meetingUrl(9105)}`);
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        await bot.runAllJobs();
+        t.mock.timers.tick(1000);
+        await new Promise(resolve => setImmediate(resolve));
+        t.mock.timers.reset();
+
+        const statsMessage = bot.client.texts('📊 *Statistiken zum Spiel:*')[0];
+        assert.ok(statsMessage.includes('*Topscorer (HSG Heim):* Lukas Becker (4 Tore)'));
+        assert.ok(statsMessage.includes([
+            '📈 *Spielverlauf:*',
+            '-----------------------------------',
+            '*1. Halbzeit:* 2:2',
+            '*2. Halbzeit:* 4:1',
+            '*Höchste Führung (HSG Heim):* +3 beim 6:3 (50:00)',
+            '*Höchste Führung (TV Gast):* +1 beim 2:3 (31:40)',
+            '*Führungswechsel:* 2',
+            '*Ausgleiche:* 2',
+            '*Längster Lauf (HSG Heim):* 4:0 (40:00 – 50:00)',
+            '*Längster Lauf (TV Gast):* 3:0 (10:00 – 31:40)',
+            '*Längste Torflaute (HSG Heim):* 36:00 Min. (04:00 – 40:00)',
+            '*Längste Torflaute (TV Gast):* 28:20 Min. (31:40 – 60:00)'
+        ].join('\n')));
+        assert.ok(statsMessage.includes('👥 *Spieler (HSG Heim):*\nL. Becker: 4 (7m 1/1) ✌🏼\nM. Richter: 2'));
+        assert.ok(statsMessage.endsWith('👥 *Spieler (TV Gast):*\nT. Wolf: 2 (7m 1/1) 🟨🟥'));
+    });
+
+    test('answers for every running game and without a running game', async () => {
+        await bot.client.receive(CHAT, '!score');
+        assert.deepStrictEqual(bot.client.texts(), ['In dieser Gruppe läuft derzeit kein Live-Ticker.']);
+
+        await startGame(9103, secondHalfEvents.slice(0, 2));
+        await startGame(9104, []);
+        await bot.client.receive(CHAT, '!score');
+        assert.deepStrictEqual(bot.client.texts(), [
+            '_#1 HSG Heim – TV Gast_\n📣 *Spielstand*\nHSG Heim  *1:0*  TV Gast\n⏱️ 1. Halbzeit (01:00)\n\n' +
+            '_#2 HSG Heim – TV Gast_\n📣 *Spielstand*\nHSG Heim  *0:0*  TV Gast\n⏱️ Vor Spielbeginn'
+        ]);
+        await bot.client.receive(CHAT, '!stats #3');
+        assert.deepStrictEqual(bot.client.texts().slice(1), ['Ticker #3 gibt es in dieser Gruppe nicht.']);
+    });
+});
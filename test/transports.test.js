@@ -0,0 +1,34 @@
+// test/transports.test.js - Chat transports (transports/) against mocked chat service APIs
+const { describe, test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { createTelegramTransport } = require('../transports/telegram.js');
+
+/**
+ * Builds an error like axios throws it for a Telegram Bot API answer.
+ * @param {number} status - The HTTP status.
+ * @param {string} description - The error description of the Bot API.
+ * @returns {Error}
+ */
+function telegramError(status, description) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, data: { ok: false, error_code: status, description } };
+    return error;
+}
+
+describe('telegram transport', () => {
+    afterEach(() => mock.restoreAll());
+
+    test('treats an edit without changes as done and other 400 answers as not editable', async () => {
+        const transport = createTelegramTransport('token');
+        mock.method(axios, 'post', async () => { throw telegramError(400, 'Bad Request: message is not modified: specified new message content and reply markup are exactly the same as a current content and reply markup of the message'); });
+        assert.strictEqual(await transport.editMessage('-100', '7', 'Text'), true);
+        assert.strictEqual(axios.post.mock.callCount(), 1); // Not sent again without Markdown
+
+        axios.post.mock.mockImplementation(async () => { throw telegramError(400, "Bad Request: message can't be edited"); });
+        assert.strictEqual(await transport.editMessage('-100', '7', 'Text'), false);
+
+        axios.post.mock.mockImplementation(async () => { throw telegramError(502, 'Bad Gateway'); });
+        await assert.rejects(transport.editMessage('-100', '7', 'Text'), /502/);
+    });
+});
@@ -0,0 +1,30 @@
+// transports/console.js - Stub transport that prints messages instead of sending them
+
+/**
+ * Creates a transport that writes every message to the console.
+ * Used by the replay mode (replay.js) to show what the bot would send.
+ * @param {string} [name='console'] - The transport name. Replay registers it under the default name.
+ * @returns {object} - The transport object.
+ */
+function createConsoleTransport(name = 'console') {
+    return {
+        name,
+
+        async sendMessage(chatId, text) {
+            const time = new Date().toLocaleTimeString('de-DE');
+            process.stdout.write(`\n----- ${time} -> ${chatId} -----\n${text}\n`);
+        },
+
+        async sendImage(chatId, image, caption) {
+            const time = new Date().toLocaleTimeString('de-DE');
+            process.stdout.write(`\n----- ${time} -> ${chatId} -----\n[Bild: ${Math.round(image.length / 1024)} KB]\n${caption}\n`);
+        },
+
+        async sendDocument(chatId, document, fileName, mimeType, caption) {
+            const time = new Date().toLocaleTimeString('de-DE');
+            process.stdout.write(`\n----- ${time} -> ${chatId} -----\n[Datei: ${fileName}, ${Math.round(document.length / 1024)} KB]\n${caption}\n`);
+        }
+    };
+}
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,62 @@
+// transports/index.js - Registry of the chat transports the ticker can post to
+
+/*
+ * A transport connects the ticker engine to one chat service. Every transport is a plain object with:
+ *   name                        - Unique name, stored per ticker to pick the transport (e.g. 'whatsapp').
+ *   sendMessage(chatId, text)   - Sends a text message to a chat. Returns a promise for the ID of the sent
+ *                                 message (a string), or undefined if the service has no message IDs.
+ *   editMessage(chatId, messageId, text) - Optional. Replaces the text of a sent message. Resolves to true on success,
+ *                                 false if the message can't be edited anymore (e.g. too old).
+ *   deleteMessage(chatId, messageId)     - Optional. Deletes a sent message for everyone. Resolves to true on success.
+ *   pinMessage(chatId, messageId)        - Optional. Pins a sent message in the chat. Resolves to true on success.
+ *   sendImage(chatId, image, caption)    - Optional. Sends a PNG image (a Buffer) with a caption, e.g. the score chart.
+ *                                 Returns a promise for the message ID like sendMessage.
+ *   sendDocument(chatId, document, fileName, mimeType, caption)
+ *                               - Optional. Sends a file (a Buffer) as a document, e.g. the match report.
+ *   onCommand(handler)          - Optional. Registers a handler for incoming '!' commands. The handler receives
+ *                                 { transport, chatId, chatName, isGroup, senderId, isAdmin(), body, reply(text) }:
+ *                                 senderId is the member who sent the command, isAdmin() resolves to true if
+ *                                 that member is an admin of the group.
+ *   initialize() / destroy()    - Optional. Start and stop the connection.
+ */
+
+const DEFAULT_TRANSPORT = 'whatsapp';
+const transports = new Map();
+
+/**
+ * Registers a transport so tickers can select it by name.
+ * @param {object} transport - The transport object (see above).
+ */
+function registerTransport(transport) {
+    transports.set(transport.name, transport);
+}
+
+/**
+ * Returns a registered transport, falling back to the default (WhatsApp) transport.
+ * @param {string} [name] - The transport name stored in the ticker state.
+ * @returns {object} - The transport object.
+ */
+function getTransport(name) {
+    const transport = transports.get(name || DEFAULT_TRANSPORT) || transports.get(DEFAULT_TRANSPORT);
+    if (!transport) throw new Error(`Transport "${name}" ist nicht registriert.`);
+    return transport;
+}
+
+/**
+ * Checks whether a transport with the given name is registered.
+ * @param {string} name - The transport name.
+ * @returns {boolean}
+ */
+function hasTransport(name) {
+    return transports.has(name);
+}
+
+/**
+ * Returns all registered transports.
+ * @returns {Array<object>}
+ */
+function getAllTransports() {
+    return [...transports.values()];
+}
+
+module.exports = { DEFAULT_TRANSPORT, registerTransport, getTransport, hasTransport, getAllTransports };
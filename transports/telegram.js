@@ -0,0 +1,212 @@
+// transports/telegram.js - Transport for Telegram groups via the Telegram Bot API
+const axios = require('axios');
+const { reportError } = require('../health.js');
+
+const LONG_POLL_SECONDS = 25; // How long a single getUpdates request waits for new messages
+const RETRY_DELAY_MS = 5000; // Pause after a failed getUpdates request
+
+/**
+ * Creates the Telegram transport. Incoming messages are fetched via long polling (getUpdates),
+ * so no public webhook endpoint is needed.
+ * Commands work as '!start ...' (bot privacy mode disabled) and as '/start ...' or '/start@BotName ...'.
+ * @param {string} token - The bot token from @BotFather.
+ * @returns {object} - The transport object.
+ */
+function createTelegramTransport(token) {
+    const apiUrl = `https://api.telegram.org/bot${token}`;
+    const handlers = [];
+    let running = false;
+    let offset = 0;
+
+    /**
+     * Turns a Telegram text into the bot's '!command' syntax, or returns null if it's no command.
+     * @param {string} text - The message text.
+     * @returns {string|null}
+     */
+    function normalizeCommand(text) {
+        if (text.startsWith('!')) return text;
+        if (!text.startsWith('/')) return null;
+        // "/start@MyTickerBot <URL>" -> "!start <URL>"
+        return '!' + text.slice(1).replace(/^(\S+?)@\S+/, '$1');
+    }
+
+    /**
+     * Long-polling loop that dispatches incoming commands to the registered handlers.
+     */
+    async function pollUpdates() {
+        while (running) {
+            try {
+                const res = await axios.get(`${apiUrl}/getUpdates`, {
+                    params: { offset, timeout: LONG_POLL_SECONDS, allowed_updates: JSON.stringify(['message']) },
+                    timeout: (LONG_POLL_SECONDS + 10) * 1000
+                });
+                for (const update of res.data.result) {
+                    offset = update.update_id + 1; // Acknowledge the update
+                    const message = update.message;
+                    if (!message || !message.text) continue;
+                    const body = normalizeCommand(message.text);
+                    if (!body) continue;
+                    const chatId = String(message.chat.id);
+                    const commandMsg = {
+                        transport,
+                        chatId,
+                        chatName: message.chat.title || message.chat.username || chatId,
+                        isGroup: message.chat.type === 'group' || message.chat.type === 'supergroup',
+                        senderId: message.from ? String(message.from.id) : undefined,
+                        isAdmin: () => isChatAdmin(chatId, message.from && message.from.id),
+                        body,
+                        reply: text => sendText(chatId, text, message.message_id)
+                    };
+                    for (const handler of handlers) {
+                        try { await handler(commandMsg); }
+                        catch (e) { reportError(`[${chatId}] Fehler beim Verarbeiten des Telegram-Befehls:`, e); }
+                    }
+                }
+            } catch (error) {
+                reportError('Fehler beim Abrufen der Telegram-Updates:', error.message);
+                await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+            }
+        }
+    }
+
+    /**
+     * Checks whether a user is the creator or an admin of a chat.
+     * @param {string} chatId - The Telegram chat ID.
+     * @param {number} [userId] - The Telegram user ID.
+     * @returns {Promise<boolean>}
+     */
+    async function isChatAdmin(chatId, userId) {
+        if (!userId) return false;
+        const res = await axios.get(`${apiUrl}/getChatMember`, { params: { chat_id: chatId, user_id: userId } });
+        return ['creator', 'administrator'].includes(res.data.result.status);
+    }
+
+    /**
+     * Sends a text message. Tries Markdown first (same *bold* and _italic_ syntax as WhatsApp)
+     * and falls back to plain text if Telegram rejects the formatting.
+     * @param {string} chatId - The Telegram chat ID.
+     * @param {string} text - The message text.
+     * @param {number} [replyToMessageId] - Optional message to reply to.
+     */
+    async function sendText(chatId, text, replyToMessageId) {
+        const payload = { chat_id: chatId, text };
+        if (replyToMessageId) payload.reply_to_message_id = replyToMessageId;
+        try {
+            return (await axios.post(`${apiUrl}/sendMessage`, { ...payload, parse_mode: 'Markdown' })).data.result;
+        } catch (error) {
+            if (error.response && error.response.status === 400) {
+                return (await axios.post(`${apiUrl}/sendMessage`, payload)).data.result;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Checks whether Telegram refused an edit because the message already has that content.
+     * @param {Error} error - The error of an axios request.
+     * @returns {boolean}
+     */
+    function isNotModified(error) {
+        const data = error.response && error.response.status === 400 && error.response.data;
+        return Boolean(data && typeof data.description === 'string' && data.description.includes('message is not modified'));
+    }
+
+    /**
+     * Replaces the text of a sent message, with the same Markdown fallback as sendText.
+     * An edit that changes nothing isn't retried without Markdown, that would strip the formatting.
+     * @param {string} chatId - The Telegram chat ID.
+     * @param {string} messageId - The ID of the message to edit.
+     * @param {string} text - The new message text.
+     */
+    async function editText(chatId, messageId, text) {
+        const payload = { chat_id: chatId, message_id: Number(messageId), text };
+        try {
+            await axios.post(`${apiUrl}/editMessageText`, { ...payload, parse_mode: 'Markdown' });
+        } catch (error) {
+            if (!error.response || error.response.status !== 400 || isNotModified(error)) throw error;
+            await axios.post(`${apiUrl}/editMessageText`, payload);
+        }
+    }
+
+    const transport = {
+        name: 'telegram',
+
+        async sendMessage(chatId, text) {
+            const message = await sendText(chatId, text);
+            return message ? String(message.message_id) : undefined;
+        },
+
+        async sendImage(chatId, image, caption) {
+            // Photos are uploaded as multipart form data; the caption uses the same Markdown as text messages
+            const form = new FormData();
+            form.append('chat_id', chatId);
+            form.append('caption', caption);
+            form.append('parse_mode', 'Markdown');
+            form.append('photo', new Blob([image], { type: 'image/png' }), 'spielverlauf.png');
+            const message = (await axios.post(`${apiUrl}/sendPhoto`, form)).data.result;
+            return message ? String(message.message_id) : undefined;
+        },
+
+        async sendDocument(chatId, document, fileName, mimeType, caption) {
+            const form = new FormData();
+            form.append('chat_id', chatId);
+            form.append('caption', caption);
+            form.append('parse_mode', 'Markdown');
+            form.append('document', new Blob([document], { type: mimeType }), fileName);
+            const message = (await axios.post(`${apiUrl}/sendDocument`, form)).data.result;
+            return message ? String(message.message_id) : undefined;
+        },
+
+        async editMessage(chatId, messageId, text) {
+            try {
+                await editText(chatId, messageId, text);
+                return true;
+            } catch (error) {
+                // The message already shows this text: nothing to replace
+                if (isNotModified(error)) return true;
+                // Telegram answers 400 if the message is gone or can't be edited
+                if (error.response && error.response.status === 400) return false;
+                throw error;
+            }
+        },
+
+        async deleteMessage(chatId, messageId) {
+            try {
+                await axios.post(`${apiUrl}/deleteMessage`, { chat_id: chatId, message_id: Number(messageId) });
+                return true;
+            } catch (error) {
+                if (error.response && error.response.status === 400) return false;
+                throw error;
+            }
+        },
+
+        async pinMessage(chatId, messageId) {
+            try {
+                await axios.post(`${apiUrl}/pinChatMessage`, { chat_id: chatId, message_id: Number(messageId), disable_notification: true });
+                return true;
+            } catch (error) {
+                // 400: the bot is no admin of the group or the message is gone
+                if (error.response && error.response.status === 400) return false;
+                throw error;
+            }
+        },
+
+        onCommand(handler) {
+            handlers.push(handler);
+        },
+
+        async initialize() {
+            if (running) return;
+            running = true;
+            console.log('Telegram-Transport gestartet.');
+            pollUpdates();
+        },
+
+        async destroy() {
+            running = false;
+        }
+    };
+    return transport;
+}
+
+module.exports = { createTelegramTransport };
@@ -0,0 +1,36 @@
+// transports/webhook.js - Outgoing-only transport that POSTs ticker messages to a URL
+const axios = require('axios');
+
+/**
+ * Creates a transport that forwards every ticker message as JSON to a webhook,
+ * e.g. for showing the feed on a club website. It cannot receive commands.
+ * Payload: { chatId, text, sentAt }, images additionally carry `image` (base64 PNG) with the caption as text,
+ * documents carry `document` (base64), `fileName` and `mimeType`.
+ * If a secret is set, it is sent as a Bearer token.
+ * @param {string} url - The webhook URL.
+ * @param {string} [secret] - Optional shared secret for the Authorization header.
+ * @returns {object} - The transport object.
+ */
+function createWebhookTransport(url, secret) {
+    const headers = secret ? { Authorization: `Bearer ${secret}` } : {};
+    return {
+        name: 'webhook',
+
+        async sendMessage(chatId, text) {
+            const payload = { chatId, text, sentAt: new Date().toISOString() };
+            await axios.post(url, payload, { headers, timeout: 10000 });
+        },
+
+        async sendImage(chatId, image, caption) {
+            const payload = { chatId, text: caption, image: image.toString('base64'), sentAt: new Date().toISOString() };
+            await axios.post(url, payload, { headers, timeout: 10000 });
+        },
+
+        async sendDocument(chatId, document, fileName, mimeType, caption) {
+            const payload = { chatId, text: caption, document: document.toString('base64'), fileName, mimeType, sentAt: new Date().toISOString() };
+            await axios.post(url, payload, { headers, timeout: 10000 });
+        }
+    };
+}
+
+module.exports = { createWebhookTransport };
@@ -0,0 +1,91 @@
+// transports/whatsapp.js - Transport for WhatsApp groups via whatsapp-web.js
+const { MessageMedia } = require('whatsapp-web.js');
+const { reportError } = require('../health.js');
+
+const PIN_DURATION_SECONDS = 24 * 60 * 60; // WhatsApp pins expire; 24 hours outlasts any game
+const IMAGE_FILE_NAME = 'spielverlauf.png';
+
+/**
+ * Creates the WhatsApp transport around an existing whatsapp-web.js client.
+ * The client itself (auth, QR code, lifecycle events) is still set up in app.js.
+ * @param {Client} client - The whatsapp-web.js client instance.
+ * @returns {object} - The transport object.
+ */
+function createWhatsAppTransport(client) {
+    const transport = {
+        name: 'whatsapp',
+
+        async sendMessage(chatId, text) {
+            const message = await client.sendMessage(chatId, text);
+            return message && message.id ? message.id._serialized : undefined;
+        },
+
+        async sendImage(chatId, image, caption) {
+            const media = new MessageMedia('image/png', image.toString('base64'), IMAGE_FILE_NAME);
+            const message = await client.sendMessage(chatId, media, { caption });
+            return message && message.id ? message.id._serialized : undefined;
+        },
+
+        async sendDocument(chatId, document, fileName, mimeType, caption) {
+            const media = new MessageMedia(mimeType, document.toString('base64'), fileName);
+            const message = await client.sendMessage(chatId, media, { caption, sendMediaAsDocument: true });
+            return message && message.id ? message.id._serialized : undefined;
+        },
+
+        async editMessage(chatId, messageId, text) {
+            const message = await client.getMessageById(messageId);
+            if (!message) return false;
+            // WhatsApp only allows editing own messages for a limited time; edit() returns null then
+            return Boolean(await message.edit(text));
+        },
+
+        async deleteMessage(chatId, messageId) {
+            const message = await client.getMessageById(messageId);
+            if (!message) return false;
+            await message.delete(true); // Revoke for everyone
+            return true;
+        },
+
+        async pinMessage(chatId, messageId) {
+            const message = await client.getMessageById(messageId);
+            if (!message) return false;
+            return Boolean(await message.pin(PIN_DURATION_SECONDS));
+        },
+
+        onCommand(handler) {
+            client.on('message', async msg => {
+                // Ignore messages not starting with '!'
+                if (!msg.body.startsWith('!')) return;
+                // An error in a command must not end the bot (unhandled rejection), so it is only logged
+                try {
+                    const chat = await msg.getChat();
+                    const senderId = msg.author || msg.from; // In groups the author is the member, 'from' the group
+                    await handler({
+                        transport,
+                        chatId: chat.id._serialized, // Unique ID for the group chat
+                        chatName: chat.name,
+                        isGroup: chat.isGroup,
+                        senderId,
+                        isAdmin: async () => (chat.participants || []).some(participant =>
+                            participant.id._serialized === senderId && (participant.isAdmin || participant.isSuperAdmin)),
+                        body: msg.body,
+                        reply: text => msg.reply(text)
+                    });
+                } catch (e) {
+                    reportError(`[${msg.from}] Fehler beim Verarbeiten des WhatsApp-Befehls:`, e);
+                }
+            });
+        },
+
+        async initialize() {
+            await client.initialize();
+        },
+
+        async destroy() {
+            await client.destroy();
+        }
+    };
+    return transport;
+}
+
+module.exports = { createWhatsAppTransport };
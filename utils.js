@@ -2,12 +2,90 @@
 
 const fs = require('fs');
 const path = require('path');
-const { EVENT_MAP } = require('./config.js'); // Import event definitions
+const { getProvider, upgradeSavedEvent } = require('./providers/index.js'); // Event emojis of the ticker's provider
+const { isEventIgnored, getGroupLanguage } = require('./settings.js'); // Per-group ignored events and language (!config)
+const { translate, getEventLabel } = require('./i18n.js'); // Message templates (locales/<lang>.json)
+const { GOAL_EVENTS, getGamePhase, computeGameStats, getPlayers, getScorers } = require('./stats.js'); // Statistics from the game events
+const { reportError } = require('./health.js'); // Errors for !health and the dashboard
+
+// --- TICKER KEYS ---
+// A chat can hold several tickers. Each ticker has a small per-chat number (#1, #2, ...) that users
+// type in commands, and is stored in activeTickers under the key "<chatId>#<number>".
+
+/**
+ * Builds the key of a ticker in the activeTickers map.
+ * @param {string} chatId - The chat ID where the ticker runs.
+ * @param {number} tickerId - The per-chat ticker number.
+ * @returns {string} - The ticker key, e.g. "123456789@g.us#2".
+ */
+function getTickerKey(chatId, tickerId) {
+    return `${chatId}#${tickerId}`;
+}
+
+/**
+ * Splits a ticker key into chat ID and ticker number.
+ * Keys from before multiple tickers per chat (plain chat IDs) are treated as ticker #1.
+ * @param {string} tickerKey - The ticker key.
+ * @returns {{chatId: string, tickerId: number}}
+ */
+function parseTickerKey(tickerKey) {
+    const match = /^(.*)#(\d+)$/.exec(tickerKey);
+    if (!match) return { chatId: tickerKey, tickerId: 1 };
+    return { chatId: match[1], tickerId: parseInt(match[2], 10) };
+}
+
+/**
+ * Returns all tickers of a chat, ordered by their ticker number.
+ * @param {Map} activeTickers - The map storing active ticker states.
+ * @param {string} chatId - The chat ID.
+ * @returns {Array<[string, object]>} - [tickerKey, tickerState] pairs.
+ */
+function getChatTickers(activeTickers, chatId) {
+    return [...activeTickers.entries()]
+        .filter(([, tickerState]) => tickerState.chatId === chatId)
+        .sort((a, b) => a[1].tickerId - b[1].tickerId);
+}
+
+/**
+ * Returns the next free ticker number for a chat, considering running and scheduled tickers.
+ * @param {Map} activeTickers - The map storing active ticker states.
+ * @param {string} chatId - The chat ID.
+ * @returns {number} - The next ticker number (starting at 1).
+ */
+function getNextTickerId(activeTickers, chatId) {
+    const usedIds = getChatTickers(activeTickers, chatId).map(([, tickerState]) => tickerState.tickerId);
+    return usedIds.length > 0 ? Math.max(...usedIds) + 1 : 1;
+}
+
+/**
+ * Returns the state of a ticker in one word, for the admin console and the dashboard.
+ * @param {object} tickerState - The state object for the ticker.
+ * @returns {string} - 'finished', 'running', 'scheduled', 'scheduling' or 'stopped'.
+ */
+function getTickerStatus(tickerState) {
+    if (tickerState.isFinished) return 'finished';
+    if (tickerState.isPolling) return 'running';
+    if (tickerState.isScheduled) return 'scheduled';
+    if (tickerState.isScheduling) return 'scheduling';
+    return 'stopped';
+}
+
+/**
+ * Builds the header line that tells readers which game a message belongs to,
+ * used when a chat follows several games at once.
+ * @param {object} tickerState - The state object for the ticker.
+ * @returns {string} - E.g. "_#2 HSG Musterstadt – TV Beispiel_".
+ */
+function formatTickerLabel(tickerState) {
+    const teams = tickerState.teamNames ? ` ${tickerState.teamNames.home} – ${tickerState.teamNames.guest}` : '';
+    return `_#${tickerState.tickerId}${teams}_`;
+}
 
 // --- DATA PERSISTENCE ---
 
 /**
- * Loads the set of seen event IDs for each chat from a JSON file.
+ * Loads the set of seen event IDs, the last known event contents and the IDs of the messages sent
+ * for them (live mode) for each ticker from a JSON file.
  * Populates the activeTickers map with this data on startup.
  * @param {Map} activeTickers - The map storing active ticker states.
  * @param {string} seenFilePath - The path to the 'seen_tickers.json' file.
@@ -16,15 +94,27 @@ function loadSeenTickers(activeTickers, seenFilePath) {
     try {
         const raw = fs.readFileSync(seenFilePath, 'utf8'); // Read file content
         const data = JSON.parse(raw); // Parse JSON data
-        // Iterate through saved data (chatId -> array of seen IDs)
-        for (const [chatId, seenArray] of Object.entries(data)) {
-            // If this chat isn't already in memory (e.g., from schedule file), add it with its seen events
-            if (!activeTickers.has(chatId)) {
-                activeTickers.set(chatId, { seen: new Set(seenArray) }); // Use a Set for efficient lookups
+        // Iterate through saved data (tickerKey -> { meetingPageUrl, seen: [IDs], events: {idx: snapshot}, messages: {idx: messageId}, scoreboard: messageId })
+        for (const [savedKey, entry] of Object.entries(data)) {
+            const { chatId, tickerId } = parseTickerKey(savedKey); // Also accepts old plain chat ID keys
+            const tickerKey = getTickerKey(chatId, tickerId);
+            // Older files store just the array of seen IDs, without event snapshots
+            const seenArray = Array.isArray(entry) ? entry : (entry.seen || []);
+            const eventSnapshots = Array.isArray(entry) ? {} : upgradeSnapshots(entry.events || {});
+            const sentMessages = Array.isArray(entry) ? {} : (entry.messages || {});
+            const scoreboardMessageId = Array.isArray(entry) ? undefined : entry.scoreboard;
+            // If this ticker isn't already in memory (e.g., from schedule file), add it with its seen events
+            if (!activeTickers.has(tickerKey)) {
+                // The game's URL lets !start pick the ticker up again (see queueTickerScheduling); older files don't have it
+                const meetingPageUrl = Array.isArray(entry) ? undefined : entry.meetingPageUrl;
+                activeTickers.set(tickerKey, { chatId, tickerId, meetingPageUrl, seen: new Set(seenArray), eventSnapshots, sentMessages, scoreboardMessageId }); // Use a Set for efficient lookups
             } else {
-                // If ticker state already exists (e.g., loaded from schedule), just add the 'seen' set
-                const existingState = activeTickers.get(chatId);
+                // If ticker state already exists (e.g., loaded from schedule), just add the 'seen' set, snapshots and message IDs
+                const existingState = activeTickers.get(tickerKey);
                 existingState.seen = new Set(seenArray);
+                existingState.eventSnapshots = eventSnapshots;
+                existingState.sentMessages = sentMessages;
+                existingState.scoreboardMessageId = scoreboardMessageId;
             }
         }
         console.log(`Daten für ${Object.keys(data).length} Ticker aus der Datei geladen.`);
@@ -35,7 +125,23 @@ function loadSeenTickers(activeTickers, seenFilePath) {
 }
 
 /**
- * Saves the current set of seen event IDs for all active tickers to a JSON file.
+ * Converts event snapshots saved before the engine had event types of its own (see upgradeSavedEvent).
+ * @param {object} snapshots - The saved snapshots, idx -> snapshot.
+ * @returns {object} - The snapshots in the current format.
+ */
+function upgradeSnapshots(snapshots) {
+    const upgraded = {};
+    for (const [idx, snapshot] of Object.entries(snapshots)) {
+        const ev = upgradeSavedEvent(snapshot);
+        if (ev) upgraded[idx] = getEventSnapshot(ev);
+    }
+    return upgraded;
+}
+
+/**
+ * Saves the current set of seen event IDs, event snapshots and sent message IDs for all active tickers to a JSON file.
+ * Snapshots and message IDs are needed to detect and fix corrections by the scorekeeper after a restart,
+ * the game's URL to continue the same ticker when the game is started again.
  * @param {Map} activeTickers - The map storing active ticker states.
  * @param {string} seenFilePath - The path to the 'seen_tickers.json' file.
  */
@@ -43,28 +149,41 @@ function saveSeenTickers(activeTickers, seenFilePath) {
     try {
         const dataToSave = {};
         // Iterate through all tickers currently in memory
-        for (const [chatId, tickerState] of activeTickers.entries()) {
+        for (const [tickerKey, tickerState] of activeTickers.entries()) {
             // Convert the Set of seen IDs back to an array for JSON compatibility
             if (tickerState.seen) {
-                dataToSave[chatId] = [...tickerState.seen];
+                dataToSave[tickerKey] = {
+                    meetingPageUrl: tickerState.meetingPageUrl,
+                    seen: [...tickerState.seen],
+                    events: tickerState.eventSnapshots || {},
+                    messages: tickerState.sentMessages || {},
+                    scoreboard: tickerState.scoreboardMessageId
+                };
             }
         }
         // Write the data to the file, formatted with indentation for readability
         fs.writeFileSync(seenFilePath, JSON.stringify(dataToSave, null, 2), 'utf8');
     } catch (e) {
-        console.error('Fehler beim Speichern der Ticker-Daten:', e);
+        reportError('Fehler beim Speichern der Ticker-Daten:', e);
     }
 }
 
 /**
  * Loads the schedule data (details of tickers waiting to start) from a JSON file.
+ * Entries saved under a plain chat ID (before multiple tickers per chat) are returned as ticker #1.
  * @param {string} scheduleFilePath - The path to the 'scheduled_tickers.json' file.
- * @returns {object} - An object mapping chatId to schedule details, or {} on error/no file.
+ * @returns {object} - An object mapping tickerKey to schedule details (incl. chatId and tickerId), or {} on error/no file.
  */
 function loadScheduledTickers(scheduleFilePath) {
     try {
         const raw = fs.readFileSync(scheduleFilePath, 'utf8');
-        return JSON.parse(raw); // Return the parsed schedule object
+        const data = JSON.parse(raw);
+        const schedule = {};
+        for (const [savedKey, scheduleData] of Object.entries(data)) {
+            const { chatId, tickerId } = parseTickerKey(savedKey);
+            schedule[getTickerKey(chatId, tickerId)] = { chatId, tickerId, ...scheduleData };
+        }
+        return schedule; // Return the normalized schedule object
     } catch (e) {
         // Handle file not found or invalid JSON
         console.log('Keine gespeicherte Planungsdatei gefunden oder Fehler beim Lesen.');
@@ -74,7 +193,7 @@ function loadScheduledTickers(scheduleFilePath) {
 
 /**
  * Saves the current schedule data (tickers waiting to start) to a JSON file.
- * @param {object} scheduledTickers - An object mapping chatId to schedule details.
+ * @param {object} scheduledTickers - An object mapping tickerKey to schedule details.
  * @param {string} scheduleFilePath - The path to the 'scheduled_tickers.json' file.
  */
 function saveScheduledTickers(scheduledTickers, scheduleFilePath) {
@@ -82,12 +201,10 @@ function saveScheduledTickers(scheduledTickers, scheduleFilePath) {
         // Write the schedule object to the file, formatted
         fs.writeFileSync(scheduleFilePath, JSON.stringify(scheduledTickers, null, 2), 'utf8');
     } catch (e) {
-        console.error('Fehler beim Speichern der geplanten Ticker:', e);
+        reportError('Fehler beim Speichern der geplanten Ticker:', e);
     }
 }
 
-// --- HELPER FUNCTIONS ---
-
 /**
  * Abbreviates a player's name to the format "F. Lastname".
  * @param {string|null} firstName - The player's first name.
@@ -114,93 +231,85 @@ function formatTimeFromSeconds(sec) {
     return `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
 }
 
+/**
+ * Collects what the message templates of an event need: emoji, label, team names, player and time.
+ * @param {object} ev - The event object (or snapshot).
+ * @param {object} tickerState - The state object for the ticker (contains team names and chat ID).
+ * @param {string} language - The language code.
+ * @returns {object} - The template parameters.
+ */
+function getEventParams(ev, tickerState, language) {
+    const home = tickerState.teamNames ? tickerState.teamNames.home : translate(language, 'teams.home');
+    const guest = tickerState.teamNames ? tickerState.teamNames.guest : translate(language, 'teams.guest');
+    const { eventMap } = getProvider(tickerState.provider);
+    return {
+        emoji: eventMap[ev.type] ? eventMap[ev.type].emoji : "📢", // Fallback for types without an emoji
+        label: getEventLabel(language, ev.type),
+        home,
+        guest,
+        team: ev.teamHome ? home : guest, // The acting team for this specific event
+        // ** FIX: Check for "Anonym" names **
+        player: abbreviatePlayerName(ev.personFirstname, ev.personLastname),
+        pointsHome: ev.pointsHome,
+        pointsGuest: ev.pointsGuest
+    };
+}
+
 /**
  * Formats a game event object into a user-friendly WhatsApp message string for live mode.
- * Applies different layouts based on the event type (goal, penalty, timeout, etc.).
+ * Applies different templates based on the event type (goal, penalty, timeout, etc.),
+ * with an "...Anonymous" variant for events without a player name.
  * Only includes the score line for goal events.
  * @param {object} ev - The event object from the API.
- * @param {object} tickerState - The state object for the current ticker (contains team names).
- * @returns {string} - The formatted message string, or an empty string for ignored events.
+ * @param {object} tickerState - The state object for the current ticker (contains team names and chat ID).
+ * @returns {string} - The formatted message string, or an empty string for events the group ignores.
  */
 function formatEvent(ev, tickerState) {
-    // Get basic event info (emoji, label) from config, provide fallback for unknown types
-    const eventInfo = EVENT_MAP[ev.event] || { label: `Unbekanntes Event ${ev.event}`, emoji: "📢" };
-    const homeTeamName = tickerState.teamNames ? tickerState.teamNames.home : 'Heim';
-    const guestTeamName = tickerState.teamNames ? tickerState.teamNames.guest : 'Gast';
-    // Determine the acting team for this specific event
-    const team = ev.teamHome ? homeTeamName : guestTeamName;
+    if (isEventIgnored(tickerState.chatId, ev.type)) return ``;
+    const language = getGroupLanguage(tickerState.chatId);
+    const params = getEventParams(ev, tickerState, language);
     // Format the game time if available
-    const time = ev.second ? ` (${formatTimeFromSeconds(ev.second)})` : '';
-    // ** FIX: Check for "Anonym" names **
-    const abbreviatedPlayer = abbreviatePlayerName(ev.personFirstname, ev.personLastname);
-    const playerForGoal = abbreviatedPlayer ? ` durch ${abbreviatedPlayer}` : '';
+    params.time = ev.second ? ` (${formatTimeFromSeconds(ev.second)})` : '';
+    const withPlayer = key => translate(language, params.player ? key : `${key}Anonymous`, params);
 
     // Main logic: Format message differently based on the event type
-    switch (ev.event) {
-        case 4: { // Tor (regular goal)
-            let scoreLine;
-            // Create score line, bolding the score of the team that scored
-            if (ev.teamHome) {
-                scoreLine = `${homeTeamName}  *${ev.pointsHome}*:${ev.pointsGuest}  ${guestTeamName}`;
-            } else {
-                scoreLine = `${homeTeamName}  ${ev.pointsHome}:*${ev.pointsGuest}* ${guestTeamName}`;
-            }
-            // Return score line + goal info
-            return `${scoreLine}\n${eventInfo.emoji} Tor${playerForGoal}${time}`;
-        }
-        case 5: { // 7-Meter Tor
-            let scoreLine;
-            // Create score line, bolding the score of the team that scored
-            if (ev.teamHome) {
-                scoreLine = `${homeTeamName}  *${ev.pointsHome}*:${ev.pointsGuest}  ${guestTeamName}`;
-            } else {
-                scoreLine = `${homeTeamName}  ${ev.pointsHome}:*${ev.pointsGuest}* ${guestTeamName}`;
-            }
-            // Return score line + 7m goal info
-            return `${scoreLine}\n${eventInfo.emoji} 7-Meter Tor${playerForGoal}${time}`;
-        }
-        case 6: // 7-Meter Fehlwurf
+    switch (ev.type) {
+        case 'goal':
+        case 'penaltyGoal':
+            // Score line with the score of the team that scored in bold
+            params.scoreLine = translate(language, ev.teamHome ? 'live.scoreLineHome' : 'live.scoreLineGuest', params);
+            return withPlayer(ev.type === 'goal' ? 'live.goal' : 'live.sevenMeterGoal');
+
+        case 'penaltyMiss':
              // No score update, just the action. Explicitly name the team.
-             return `${eventInfo.emoji} 7-Meter Fehlwurf für *${team}*${playerForGoal}${time}`;
+             return withPlayer('live.sevenMeterMiss');
 
-        case 2: // Timeout Heim
-        case 3: // Timeout Gast
+        case 'timeout':
             // No score update, just the action. Explicitly name the team.
-            return `${eventInfo.emoji} Timeout für *${team}*`;
-
-        case 8: // Zeitstrafe
-        case 9: // Gelbe Karte
-        case 11: // Rote Karte
-             // ** FIX: Logic updated to handle empty abbreviatedPlayer **
-            if (abbreviatedPlayer) {
-                return `${eventInfo.emoji} ${eventInfo.label} für ${abbreviatedPlayer} (*${team}*)${time}`;
-            } else {
-                // If player is "Anonym", this will now correctly show just the team
-                return `${eventInfo.emoji} ${eventInfo.label} für *${team}*${time}`;
-            }
+            return translate(language, 'live.timeout', params);
 
-        case 14: // Halbzeit
+        case 'suspension':
+        case 'yellowCard':
+        case 'redCard':
+            // If player is "Anonym", the template without player shows just the team
+            return withPlayer('live.sanction');
+
+        case 'periodEnd':
             // Summary event, show score
-            return `⏸️ *Halbzeit*\n${homeTeamName}  *${ev.pointsHome}:${ev.pointsGuest}* ${guestTeamName}`;
+            return translate(language, 'live.halftime', params);
 
-        case 16: // Spielende
+        case 'end':
             // Summary event, show score
-            return `🏁 *Spielende*\n${homeTeamName}  *${ev.pointsHome}:${ev.pointsGuest}* ${guestTeamName}`;
+            return translate(language, 'live.end', params);
 
-        case 15: // Spielbeginn
+        case 'start':
              // Simple start message
-             return `▶️ *Das Spiel hat begonnen!*`;
-
-        // Events to ignore entirely (return empty string -> no message sent)
-        case 0: // Spiel geht weiter
-        case 1: // Spiel unterbrochen
-        case 17: // Teamaufstellung
-            return ``;
+             return translate(language, 'live.start', params);
 
-        // Fallback for any other unknown or unhandled event types
+        // Fallback for interruptions and events without a type of their own
         default:
             // Show basic info without score
-            return `${eventInfo.emoji} ${eventInfo.label}`;
+            return translate(language, 'live.other', params);
     }
 }
 
@@ -208,64 +317,386 @@ function formatEvent(ev, tickerState) {
  * Formats a single event into a line for the recap message (Emoji-only version).
  * @param {object} ev - The raw event object.
  * @param {object} tickerState - The state object for the ticker.
- * @returns {string} - The formatted recap line string.
+ * @returns {string} - The formatted recap line string, or an empty string for events the group ignores.
  */
 function formatRecapEventLine(ev, tickerState) {
-    const eventInfo = EVENT_MAP[ev.event] || { label: `Unbekanntes Event ${ev.event}`, emoji: "📢" };
-    const homeTeamName = tickerState.teamNames ? tickerState.teamNames.home : 'Heim';
-    const guestTeamName = tickerState.teamNames ? tickerState.teamNames.guest : 'Gast';
-    const team = ev.teamHome ? homeTeamName : guestTeamName;
-    const time = ev.second ? formatTimeFromSeconds(ev.second) : '--:--';
-    // ** FIX: Check for "Anonym" names **
-    const abbreviatedPlayer = abbreviatePlayerName(ev.personFirstname, ev.personLastname);
-
-    let scoreStr = `${ev.pointsHome}:${ev.pointsGuest}`; // Score is always shown
-    let detailStr = abbreviatedPlayer || "";
-    let currentEmoji = eventInfo.emoji;
-
-    switch (ev.event) {
-        case 4: // Tor
-        case 5: // 7-Meter Tor
-            if (ev.teamHome) { scoreStr = `*${ev.pointsHome}*:${ev.pointsGuest}`; }
-            else { scoreStr = `${ev.pointsHome}:*${ev.pointsGuest}*`; }
-            break;
-        case 6: // 7-Meter Fehlwurf
-            detailStr = abbreviatedPlayer ? `${abbreviatedPlayer} (*${team}*)` : `*${team}*`;
+    if (isEventIgnored(tickerState.chatId, ev.type)) return "";
+    const language = getGroupLanguage(tickerState.chatId);
+    const params = getEventParams(ev, tickerState, language);
+    params.time = ev.second ? formatTimeFromSeconds(ev.second) : '--:--';
+    params.score = `${ev.pointsHome}:${ev.pointsGuest}`; // Score is always shown
+    params.detail = params.player;
+    // Player with team, or just the team if the player is "Anonym"
+    const playerAndTeam = () => translate(language, params.player ? 'teams.player' : 'teams.team', params);
+
+    switch (ev.type) {
+        case 'goal':
+        case 'penaltyGoal':
+            if (ev.teamHome) { params.score = `*${ev.pointsHome}*:${ev.pointsGuest}`; }
+            else { params.score = `${ev.pointsHome}:*${ev.pointsGuest}*`; }
             break;
-        case 2: // Timeout Heim
-        case 3: // Timeout Gast
-            detailStr = `*${team}*`;
+        case 'penaltyMiss':
+        case 'suspension':
+        case 'yellowCard':
+        case 'redCard':
+            params.detail = playerAndTeam();
             break;
-        case 8: // Zeitstrafe
-        case 9: // Gelbe Karte
-        case 11: // Rote Karte
-            // ** FIX: Logic updated to handle empty abbreviatedPlayer **
-            detailStr = abbreviatedPlayer ? `${abbreviatedPlayer} (*${team}*)` : `*${team}*`;
+        case 'timeout':
+            params.detail = translate(language, 'teams.team', params);
             break;
-        case 15: // Spielbeginn
-            return `${currentEmoji} ${time} | *Das Spiel hat begonnen!*`;
-        case 14: // Halbzeit
-            return `${currentEmoji} ${time} | *Halbzeit* | *${scoreStr}*`;
-        case 16: // Spielende
-            return `${currentEmoji} ${time} | *Spielende* | *${scoreStr}*`;
-        // Ignored events
-        case 0: case 1: case 17:
-             return "";
+        case 'start':
+            return translate(language, 'recap.start', params);
+        case 'periodEnd':
+            return translate(language, 'recap.halftime', params);
+        case 'end':
+            return translate(language, 'recap.end', params);
         default:
-             detailStr = eventInfo.label;
+             params.detail = params.label;
              break;
     }
 
     // Construct the line for non-critical events
-    return `${eventInfo.emoji} ${time} | ${scoreStr} | ${detailStr}`;
+    return translate(language, 'recap.line', params);
+}
+
+// --- CORRECTIONS ---
+// The scorekeeper can fix or delete events in a later version of the game. To notice this,
+// the last known content of every posted event is kept as a small snapshot.
+
+/**
+ * Reduces an event to the fields needed to detect and describe corrections.
+ * @param {object} ev - The event object from the API.
+ * @returns {object} - The snapshot of the event.
+ */
+function getEventSnapshot(ev) {
+    const snapshot = {
+        type: ev.type,
+        second: ev.second,
+        teamHome: ev.teamHome,
+        pointsHome: ev.pointsHome,
+        pointsGuest: ev.pointsGuest,
+        personFirstname: ev.personFirstname,
+        personLastname: ev.personLastname
+    };
+    if (ev.duration !== undefined) snapshot.duration = ev.duration;
+    return snapshot;
+}
+
+/**
+ * Checks whether the scorekeeper changed the content of an event.
+ * Only type, team and player count: the score of later events shifts whenever an earlier goal
+ * is corrected, and small clock fixes are not worth a message.
+ * @param {object} previous - The snapshot of the event as it was posted.
+ * @param {object} current - The event (or snapshot) from the latest version.
+ * @returns {boolean}
+ */
+function hasEventChanged(previous, current) {
+    return previous.type !== current.type ||
+        Boolean(previous.teamHome) !== Boolean(current.teamHome) ||
+        (previous.personFirstname || '') !== (current.personFirstname || '') ||
+        (previous.personLastname || '') !== (current.personLastname || '');
+}
+
+/**
+ * Checks whether an event changes the score.
+ * @param {object} ev - The event object or snapshot.
+ * @returns {boolean}
+ */
+function isGoalEvent(ev) {
+    return GOAL_EVENTS.includes(ev.type);
+}
+
+/**
+ * Describes an event in a few words for correction messages, e.g. "Zeitstrafe für M. Richter (*TV Gast*)".
+ * @param {object} ev - The event object or snapshot.
+ * @param {object} tickerState - The state object for the ticker (contains team names).
+ * @param {string} language - The language code.
+ * @returns {string}
+ */
+function describeEvent(ev, tickerState, language) {
+    const params = getEventParams(ev, tickerState, language);
+    const withPlayer = key => translate(language, params.player ? key : `${key}Anonymous`, params);
+
+    switch (ev.type) {
+        case 'periodEnd': return translate(language, 'corrections.halftime', params);
+        case 'start': return translate(language, 'corrections.start', params);
+        case 'end': return translate(language, 'corrections.end', params);
+        case 'timeout': return translate(language, 'corrections.timeout', params);
+        case 'goal': case 'penaltyGoal': return withPlayer('corrections.goal');
+        default: return withPlayer('corrections.event');
+    }
+}
+
+/**
+ * Formats the message for an event the scorekeeper changed after it was posted.
+ * A changed goal scorer gets the short form "Korrektur: Tor von X statt Y".
+ * @param {object} previous - The snapshot of the event as it was posted.
+ * @param {object} current - The event from the latest version.
+ * @param {object} tickerState - The state object for the ticker.
+ * @param {{pointsHome: number, pointsGuest: number}} score - The current score of the game.
+ * @returns {string} - The correction message.
+ */
+function formatCorrection(previous, current, tickerState, score) {
+    const language = getGroupLanguage(tickerState.chatId);
+    const time = current.second ? ` (${formatTimeFromSeconds(current.second)})` : '';
+    const sameGoal = isGoalEvent(current) && current.type === previous.type && Boolean(current.teamHome) === Boolean(previous.teamHome);
+    if (sameGoal) {
+        const unknownPlayer = translate(language, 'teams.unknownPlayer');
+        return translate(language, 'corrections.scorer', {
+            label: getEventLabel(language, current.type),
+            player: abbreviatePlayerName(current.personFirstname, current.personLastname) || unknownPlayer,
+            previousPlayer: abbreviatePlayerName(previous.personFirstname, previous.personLastname) || unknownPlayer,
+            time
+        });
+    }
+    // Type or team changed: describe both versions, and the score if goals are involved
+    const scoreInfo = (isGoalEvent(current) || isGoalEvent(previous)) ? translate(language, 'corrections.score', score) : '';
+    return translate(language, 'corrections.changed', {
+        time,
+        event: describeEvent(current, tickerState, language),
+        previousEvent: describeEvent(previous, tickerState, language),
+        score: scoreInfo
+    });
+}
+
+/**
+ * Formats the message for an event the scorekeeper deleted after it was posted.
+ * @param {object} previous - The snapshot of the deleted event.
+ * @param {object} tickerState - The state object for the ticker.
+ * @param {{pointsHome: number, pointsGuest: number}} score - The current score of the game.
+ * @returns {string} - The message, e.g. "❌ Tor zurückgenommen, Stand jetzt 12:11".
+ */
+function formatRetraction(previous, tickerState, score) {
+    const language = getGroupLanguage(tickerState.chatId);
+    const params = { ...score, event: describeEvent(previous, tickerState, language) };
+    params.time = previous.second ? ` (${formatTimeFromSeconds(previous.second)})` : '';
+    return translate(language, isGoalEvent(previous) ? 'corrections.goalRetracted' : 'corrections.retracted', params);
+}
+
+// --- SCOREBOARD ---
+
+/**
+ * Formats the phase line of a game, with the game time while a half is running.
+ * @param {string} phase - The phase from getGamePhase (its template key below "scoreboard").
+ * @param {number} second - The latest game second.
+ * @param {string} language - The language code.
+ * @returns {string} - E.g. "⏱️ 2. Halbzeit (41:23)".
+ */
+function formatGamePhase(phase, second, language) {
+    const isRunning = phase === 'firstHalf' || phase === 'secondHalf';
+    const params = { phase: translate(language, `scoreboard.${phase}`), time: formatTimeFromSeconds(second) };
+    return translate(language, isRunning ? 'scoreboard.phaseRunning' : 'scoreboard.phase', params);
+}
+
+/**
+ * Builds the text of the scoreboard message (score, game time, last goal, open 2-minute penalties),
+ * which is posted once per game and then edited on every new version.
+ * Open penalties are judged against the latest game second reported by the scorekeeper.
+ * @param {Array<object>} events - All events of the game so far.
+ * @param {object} tickerState - The state object for the ticker (contains team names).
+ * @returns {string} - The scoreboard text.
+ */
+function formatScoreboard(events, tickerState) {
+    const language = getGroupLanguage(tickerState.chatId);
+    const homeTeamName = tickerState.teamNames ? tickerState.teamNames.home : translate(language, 'teams.home');
+    const guestTeamName = tickerState.teamNames ? tickerState.teamNames.guest : translate(language, 'teams.guest');
+    const sorted = events.slice().sort((a, b) => a.idx - b.idx);
+    const lastEvent = sorted[sorted.length - 1];
+    const score = lastEvent ? `${lastEvent.pointsHome}:${lastEvent.pointsGuest}` : '0:0';
+    const { phase, second: currentSecond } = getGamePhase(sorted);
+
+    const lines = [
+        translate(language, 'scoreboard.title'),
+        translate(language, 'scoreboard.score', { home: homeTeamName, guest: guestTeamName, score }),
+        formatGamePhase(phase, currentSecond, language)
+    ];
+
+    /**
+     * Formats the player and team of an event, or just the team if the player is "Anonym".
+     * @param {object} ev - The event object.
+     * @returns {string}
+     */
+    const formatPlayer = ev => {
+        const params = { player: abbreviatePlayerName(ev.personFirstname, ev.personLastname), team: ev.teamHome ? homeTeamName : guestTeamName };
+        return translate(language, params.player ? 'teams.player' : 'teams.team', params);
+    };
+
+    const lastGoal = sorted.filter(isGoalEvent).pop();
+    if (lastGoal) {
+        lines.push(translate(language, 'scoreboard.lastGoal', { player: formatPlayer(lastGoal), time: formatTimeFromSeconds(lastGoal.second || 0) }));
+    }
+
+    if (phase !== 'end') {
+        const penaltyEnd = ev => (ev.second || 0) + (ev.duration || 0);
+        for (const penalty of sorted.filter(ev => ev.type === 'suspension' && penaltyEnd(ev) > currentSecond)) {
+            lines.push(translate(language, 'scoreboard.penalty', {
+                emoji: getProvider(tickerState.provider).eventMap.suspension.emoji,
+                player: formatPlayer(penalty),
+                until: formatTimeFromSeconds(penaltyEnd(penalty))
+            }));
+        }
+    }
+    return lines.join('\n');
+}
+
+// --- ON-DEMAND STATISTICS (!score / !stats) ---
+
+const MAX_LISTED_SCORERS = 3; // Scorers per team listed by !stats
+const MIN_RUN_GOALS = 3; // Goals in a row from which !stats mentions the run
+
+/**
+ * Formats the reply to !score: current score, half and game time.
+ * @param {Array<object>} events - All events of the game so far.
+ * @param {object} tickerState - The state object for the ticker (contains team names).
+ * @returns {string}
+ */
+function formatScore(events, tickerState) {
+    const language = getGroupLanguage(tickerState.chatId);
+    const stats = computeGameStats(events);
+    const home = tickerState.teamNames ? tickerState.teamNames.home : translate(language, 'teams.home');
+    const guest = tickerState.teamNames ? tickerState.teamNames.guest : translate(language, 'teams.guest');
+    return translate(language, 'stats.score', {
+        score: translate(language, 'scoreboard.score', { home, guest, score: `${stats.score.home}:${stats.score.guest}` }),
+        phase: formatGamePhase(stats.phase, stats.second, language)
+    });
+}
+
+/**
+ * Formats the reply to !stats: the statistics of the game so far (scorers, 7-meters, penalties, timeouts, current run).
+ * @param {Array<object>} events - All events of the game so far.
+ * @param {object} tickerState - The state object for the ticker (contains team names).
+ * @returns {string}
+ */
+function formatLiveStats(events, tickerState) {
+    const language = getGroupLanguage(tickerState.chatId);
+    const stats = computeGameStats(events);
+    const home = tickerState.teamNames ? tickerState.teamNames.home : translate(language, 'teams.home');
+    const guest = tickerState.teamNames ? tickerState.teamNames.guest : translate(language, 'teams.guest');
+
+    /**
+     * Lists the best scorers of a team, e.g. "L. Becker 5, T. Wolf 3". "Anonym" players are left out, as in the live messages.
+     * @param {object} teamStats - The statistics of the team.
+     * @returns {string}
+     */
+    const formatScorers = teamStats => {
+        const scorers = getScorers(teamStats)
+            .map(([, player]) => ({ name: abbreviatePlayerName(player.firstName, player.lastName), goals: player.goals }))
+            .filter(scorer => scorer.name)
+            .slice(0, MAX_LISTED_SCORERS);
+        if (scorers.length === 0) return translate(language, 'game.noTopScorer');
+        return scorers.map(scorer => translate(language, 'stats.scorer', scorer)).join(', ');
+    };
+    const formatSevenMeters = teamStats => translate(language, 'game.sevenMeters', { made: teamStats.sevenMetersMade, total: teamStats.sevenMetersMade + teamStats.sevenMetersMissed });
+
+    const run = stats.currentRun;
+    return translate(language, 'stats.live', {
+        home,
+        guest,
+        score: translate(language, 'scoreboard.score', { home, guest, score: `${stats.score.home}:${stats.score.guest}` }),
+        phase: formatGamePhase(stats.phase, stats.second, language),
+        homeScorers: formatScorers(stats.home),
+        guestScorers: formatScorers(stats.guest),
+        homeSevenMeters: formatSevenMeters(stats.home),
+        guestSevenMeters: formatSevenMeters(stats.guest),
+        homePenalties: stats.home.penalties,
+        guestPenalties: stats.guest.penalties,
+        homeTimeouts: stats.home.timeouts,
+        guestTimeouts: stats.guest.timeouts,
+        // Only runs of a few goals are worth mentioning
+        run: (run && run.goals >= MIN_RUN_GOALS) ? translate(language, 'stats.run', { goals: run.goals, team: run.team === 'home' ? home : guest }) : ''
+    });
+}
+
+// --- FINAL STATISTICS ---
+
+/**
+ * Formats the details of the final statistics: the course of the game (halves, leads, runs, droughts)
+ * and a line per player with goals, 7-meters and sanctions for both teams.
+ * @param {object} stats - The statistics of the game (from computeGameStats).
+ * @param {object} tickerState - The state object for the ticker (contains team names and provider).
+ * @returns {string} - The course and the player lines, separated by a blank line.
+ */
+function formatGameDetails(stats, tickerState) {
+    const language = getGroupLanguage(tickerState.chatId);
+    const { eventMap } = getProvider(tickerState.provider);
+    const home = tickerState.teamNames ? tickerState.teamNames.home : translate(language, 'teams.home');
+    const guest = tickerState.teamNames ? tickerState.teamNames.guest : translate(language, 'teams.guest');
+    const none = translate(language, 'game.none');
+
+    const formatHalf = half => stats.halves ? `${stats.halves[half].home}:${stats.halves[half].guest}` : none;
+    const formatLead = lead => lead
+        ? translate(language, 'game.lead', { goals: lead.goals, score: `${lead.pointsHome}:${lead.pointsGuest}`, time: formatTimeFromSeconds(lead.second) })
+        : none;
+    const formatRun = run => run
+        ? translate(language, 'game.run', { goals: run.goals, from: formatTimeFromSeconds(run.from), to: formatTimeFromSeconds(run.to) })
+        : none;
+    const formatDrought = drought => drought
+        ? translate(language, 'game.drought', { duration: formatTimeFromSeconds(drought.seconds), from: formatTimeFromSeconds(drought.from), to: formatTimeFromSeconds(drought.to) })
+        : none;
+    const course = translate(language, 'game.course', {
+        home,
+        guest,
+        firstHalf: formatHalf('first'),
+        secondHalf: formatHalf('second'),
+        homeLead: formatLead(stats.home.largestLead),
+        guestLead: formatLead(stats.guest.largestLead),
+        leadChanges: stats.leadChanges,
+        ties: stats.ties,
+        homeRun: formatRun(stats.home.longestRun),
+        guestRun: formatRun(stats.guest.longestRun),
+        homeDrought: formatDrought(stats.home.longestDrought),
+        guestDrought: formatDrought(stats.guest.longestDrought)
+    });
+
+    /**
+     * Formats the player lines of a team, e.g. "L. Becker: 7 (7m 2/3) ✌🏼🟨". "Anonym" players are left out.
+     * @param {object} teamStats - The statistics of the team.
+     * @param {string} team - The team name.
+     * @returns {string}
+     */
+    const formatPlayers = (teamStats, team) => {
+        const lines = getPlayers(teamStats)
+            .map(([, player]) => ({ player, name: abbreviatePlayerName(player.firstName, player.lastName) }))
+            .filter(({ name }) => name)
+            .map(({ player, name }) => {
+                const sevenMeterAttempts = player.sevenMetersMade + player.sevenMetersMissed;
+                const sanctions = (eventMap.suspension ? eventMap.suspension.emoji : '').repeat(player.penalties)
+                    + (eventMap.yellowCard ? eventMap.yellowCard.emoji : '').repeat(player.yellowCards)
+                    + (eventMap.redCard ? eventMap.redCard.emoji : '').repeat(player.redCards);
+                return translate(language, 'game.playerLine', {
+                    name,
+                    goals: player.goals,
+                    sevenMeters: sevenMeterAttempts > 0 ? translate(language, 'game.playerSevenMeters', { made: player.sevenMetersMade, total: sevenMeterAttempts }) : '',
+                    sanctions: sanctions ? ` ${sanctions}` : ''
+                });
+            });
+        return translate(language, 'game.players', { team, lines: lines.length > 0 ? lines.join('\n') : translate(language, 'game.noPlayers') });
+    };
+
+    return [course, formatPlayers(stats.home, home), formatPlayers(stats.guest, guest)].join('\n\n');
 }
 
 // Export all functions needed by other modules
 module.exports = {
+    getTickerKey,
+    parseTickerKey,
+    getChatTickers,
+    getNextTickerId,
+    getTickerStatus,
+    formatTickerLabel,
     loadSeenTickers,
     saveSeenTickers,
     formatEvent, // For live mode and critical events
     loadScheduledTickers,
     saveScheduledTickers,
-    formatRecapEventLine // For recap mode messages
+    formatRecapEventLine, // For recap mode messages
+    getEventSnapshot,
+    hasEventChanged,
+    formatCorrection,
+    formatRetraction,
+    formatScoreboard,
+    formatScore,
+    formatLiveStats,
+    formatGameDetails,
+    abbreviatePlayerName
 };
\ No newline at end of file